@@ -7,34 +7,33 @@
  * @see {@link https://www.bfs.admin.ch/bfs/en/home.html|Swiss Federal Statistical Office}
  */
 
-import ky from 'ky';
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
 import { validateLanguage, getSpatialDivisionCode } from '../utils/formatting.js';
+import { responseCache, withValidators, lastChanged, NOT_MODIFIED } from '../utils/cache.js';
+import { circuitBreakers } from '../utils/circuit-breaker.js';
+import { createHttpClient } from '../utils/http.js';
+import { toBfsError } from '../utils/errors.js';
 
 /**
  * Configured HTTP client for DAM API requests.
- * Pre-configured with base URL, retry logic, and timeout settings.
+ * Pre-configured with base URL; retries, timeouts and headers come from the shared HTTP layer.
  * 
  * @constant {object}
- * @see {@link https://github.com/sindresorhus/ky|ky HTTP client}
+ * @see {@link module:utils/http}
  */
-export const apiClient = ky.create({
+export const apiClient = createHttpClient({
+  name: 'dam',
   prefixUrl: config.damBaseUrl,
   headers: {
     'Accept': 'application/json',
   },
-  retry: {
-    limit: config.maxRetries,
-    methods: ['get'],
-    statusCodes: [408, 413, 429, 500, 502, 503, 504],
-  },
-  timeout: 30000,
 });
 
 /**
  * Search for datasets in the BFS catalog using various filters.
  * Searches the Data Asset Management API for statistical datasets matching the provided criteria.
+ * Responses are cached (endpoint 'dam-search').
  * 
  * @async
  * @param {Object} params - Search parameters
@@ -49,8 +48,11 @@ export const apiClient = ky.create({
  * @param {string} [params.publishingYearEnd] - Publishing year end (e.g., "2023")
  * @param {string} [params.orderNr] - BFS number filter (exact match)
  * @param {number} [params.limit=100] - Result limit (default: 100, max: 1000)
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request, including retries
+ * @param {boolean} [options.refresh=false] - Bypass the cache and refresh the cached results
  * @returns {Promise<Object>} Search results with data array containing matching datasets
- * @throws {Error} If the API request fails
+ * @throws {BfsError} If the API request fails (see {@link module:utils/errors})
  * 
  * @example
  * // Search for population datasets in English
@@ -68,7 +70,7 @@ export const apiClient = ky.create({
  *   orderNr: 'px-x-1502040100_131'
  * });
  */
-export async function searchCatalog(params) {
+export async function searchCatalog(params, options = {}) {
   const {
     language = 'de',
     title,
@@ -109,30 +111,45 @@ export async function searchCatalog(params) {
   logger.debug({ url, searchParams }, 'Searching DAM catalog');
   
   try {
-    const response = await apiClient.get(url, {
-      searchParams,
-      headers: {
-        'Accept-Language': lang,
-      },
-    }).json();
+    const response = await responseCache.wrap('dam-search', { url, body: searchParams, language: lang }, (headers) => circuitBreakers.dam.run(async () => {
+      const searchResponse = await apiClient.get(url, {
+        searchParams,
+        signal: options.signal,
+        throwHttpErrors: status => status !== 304,
+        headers: {
+          ...headers,
+          'Accept-Language': lang,
+        },
+      });
+      
+      if (searchResponse.status === 304) {
+        return NOT_MODIFIED;
+      }
+      return withValidators(await searchResponse.json(), searchResponse.headers);
+    }, { signal: options.signal }), { refresh: options.refresh, signal: options.signal });
     
     logger.debug({ resultCount: response.data?.length || 0 }, 'Successfully searched catalog');
     return response;
   } catch (error) {
     logger.error({ error: error.message }, 'Failed to search catalog');
-    throw new Error(`Failed to search catalog: ${error.message}`);
+    throw toBfsError(error, 'Failed to search catalog');
   }
 }
 
 /**
  * Get detailed metadata for a specific asset by its asset number.
  * Retrieves comprehensive information including title, description, themes, spatial divisions, and download links.
+ * Responses are cached (endpoint 'dam-asset').
  * 
  * @async
  * @param {string} numberAsset - Asset number (DAM ID) from the BFS catalog
  * @param {string} [language='de'] - Language code (de, fr, it, en)
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request, including retries
+ * @param {Function} [options.onLastChanged] - Called with the last change reported by the upstream (ISO 8601) when known
  * @returns {Promise<Object>} Asset metadata including description, categorization, and links
- * @throws {Error} If the asset is not found or the API request fails
+ * @throws {NotFoundError} If the asset is not found
+ * @throws {BfsError} If the API request fails (see {@link module:utils/errors})
  * 
  * @example
  * // Get metadata for a specific asset
@@ -140,24 +157,39 @@ export async function searchCatalog(params) {
  * console.log(metadata.description.titles.main);
  * console.log(metadata.links);
  */
-export async function getAssetMetadata(numberAsset, language = 'de') {
+export async function getAssetMetadata(numberAsset, language = 'de', options = {}) {
   const lang = validateLanguage(language);
   const url = `dam/assets/${numberAsset}`;
   
   logger.debug({ url, numberAsset, language: lang }, 'Fetching asset metadata');
   
   try {
-    const response = await apiClient.get(url, {
-      headers: {
-        'Accept-Language': lang,
-      },
-    }).json();
+    const response = await responseCache.wrap('dam-asset', { url, language: lang }, (headers) => circuitBreakers.dam.run(async () => {
+      const assetResponse = await apiClient.get(url, {
+        signal: options.signal,
+        throwHttpErrors: status => status !== 304,
+        headers: {
+          ...headers,
+          'Accept-Language': lang,
+        },
+      });
+      
+      if (assetResponse.status === 304) {
+        return NOT_MODIFIED;
+      }
+      return withValidators(await assetResponse.json(), assetResponse.headers);
+    }, { signal: options.signal }), {
+      signal: options.signal,
+      onValidators: validators => options.onLastChanged?.(lastChanged(validators)),
+    });
     
     logger.debug({ numberAsset }, 'Successfully fetched asset metadata');
     return response;
   } catch (error) {
     logger.error({ error: error.message, numberAsset }, 'Failed to fetch asset metadata');
-    throw new Error(`Failed to fetch asset metadata for ${numberAsset}: ${error.message}`);
+    throw toBfsError(error, `Failed to fetch asset metadata for ${numberAsset}`, {
+      hints: { NOT_FOUND: 'The catalog has no asset with this number; search_datasets lists datasets with their asset numbers.' },
+    });
   }
 }
 
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Upstream health checks for BFS MCP server.
+ * Probes the three BFS APIs with cheap requests and reports per-upstream status,
+ * latency and a failure classification, so that an outage of PXWEB, DAM or the
+ * Swiss Stats Explorer can be told apart from a configuration problem.
+ *
+ * Probes:
+ * - PXWEB: API configuration (`GET /{lang}/?config`)
+ * - SSE: dataflow list (`GET /dataflow`)
+ * - DAM: catalog search limited to one result
+ *
+ * @module api/health-check
+ */
+
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { classifyError } from '../utils/errors.js';
+import { getConfig as getPxwebConfig } from './pxweb-client.js';
+import { listDataflows } from './sse-client.js';
+import { searchCatalog } from './dam-client.js';
+
+export { classifyError };
+
+/**
+ * Default time limit per probe in milliseconds.
+ * @type {number}
+ * @constant
+ */
+export const DEFAULT_PROBE_TIMEOUT = 10000;
+
+/**
+ * Configuration keys whose values are never reported.
+ * @type {RegExp}
+ * @constant
+ */
+const SECRET_KEY_PATTERN = /secret|token|password|passphrase|apikey|api_key|credential|auth/i;
+
+/**
+ * Remove credentials from a URL.
+ *
+ * @param {string} value - URL
+ * @returns {string} URL without user name and password (unchanged if not a URL)
+ */
+function redactUrl(value) {
+  try {
+    const url = new URL(value);
+    if (!url.username && !url.password) {
+      return value;
+    }
+    url.username = '';
+    url.password = '';
+    return url.toString();
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Get the effective server configuration without secrets.
+ * Keys that look like secrets are left out, also in nested settings such as
+ * the request headers, and credentials are removed from URLs.
+ *
+ * @param {Object} [settings=config] - Configuration object
+ * @returns {Object} Reportable configuration
+ *
+ * @example
+ * const effective = getEffectiveConfig();
+ * console.log(effective.pxwebBaseUrl);
+ */
+export function getEffectiveConfig(settings = config) {
+  const effective = {};
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (SECRET_KEY_PATTERN.test(key)) {
+      continue;
+    }
+    if (typeof value === 'string') {
+      effective[key] = redactUrl(value);
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      effective[key] = getEffectiveConfig(value);
+    } else {
+      effective[key] = value;
+    }
+  }
+
+  return effective;
+}
+
+/**
+ * Run one probe and measure it.
+ *
+ * @async
+ * @param {Object} probe - Probe definition
+ * @param {string} probe.name - Upstream name
+ * @param {string} probe.url - Probed URL
+ * @param {Function} probe.run - Performs the request with `{ signal, refresh }` and returns probe details
+ * @param {AbortSignal} signal - Signal that ends the probe (timeout or cancellation)
+ * @returns {Promise<Object>} Probe result
+ */
+async function runProbe({ name, url, run }, signal) {
+  const start = performance.now();
+
+  try {
+    const details = await run({ signal, refresh: true });
+    return {
+      name,
+      url,
+      status: 'ok',
+      latencyMs: Math.round(performance.now() - start),
+      details,
+    };
+  } catch (error) {
+    const { type, httpStatus } = classifyError(error);
+    logger.warn({ upstream: name, errorType: type, error: error.message }, 'Upstream health probe failed');
+
+    return {
+      name,
+      url,
+      status: 'error',
+      latencyMs: Math.round(performance.now() - start),
+      errorType: type,
+      ...(httpStatus !== undefined && { httpStatus }),
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Probe PXWEB, SSE and DAM in parallel.
+ *
+ * @async
+ * @param {Object} [options={}] - Check options
+ * @param {number} [options.timeout=DEFAULT_PROBE_TIMEOUT] - Time limit per probe in milliseconds
+ * @param {AbortSignal} [options.signal] - Signal that cancels all probes
+ * @returns {Promise<{status: ('ok'|'degraded'|'down'), upstreams: Array<Object>}>} Overall status
+ * (ok if all probes succeed, down if all fail) and one result per upstream
+ *
+ * @example
+ * const { status, upstreams } = await checkUpstreams({ timeout: 5000 });
+ * upstreams.filter(u => u.status === 'error').forEach(u => console.error(u.name, u.errorType));
+ */
+export async function checkUpstreams(options = {}) {
+  const { timeout = DEFAULT_PROBE_TIMEOUT, signal } = options;
+
+  const probes = [
+    {
+      name: 'pxweb',
+      url: `${config.pxwebBaseUrl}/en/?config`,
+      run: async (requestOptions) => {
+        const { maxValues, maxCells, maxCalls, timeWindow } = await getPxwebConfig('en', requestOptions);
+        return { maxValues, maxCells, maxCalls, timeWindow };
+      },
+    },
+    {
+      name: 'sse',
+      url: `${config.sseBaseUrl}/dataflow`,
+      run: async (requestOptions) => ({
+        dataflows: (await listDataflows(requestOptions)).length,
+      }),
+    },
+    {
+      name: 'dam',
+      url: `${config.damBaseUrl}/dam/assets`,
+      run: async (requestOptions) => ({
+        results: (await searchCatalog({ language: 'en', limit: 1 }, requestOptions)).data?.length || 0,
+      }),
+    },
+  ];
+
+  const upstreams = await Promise.all(probes.map(probe => {
+    const timeoutSignal = AbortSignal.timeout(timeout);
+    return runProbe(probe, signal ? AbortSignal.any([timeoutSignal, signal]) : timeoutSignal);
+  }));
+
+  const failures = upstreams.filter(upstream => upstream.status !== 'ok').length;
+  let status = 'degraded';
+  if (failures === 0) {
+    status = 'ok';
+  } else if (failures === upstreams.length) {
+    status = 'down';
+  }
+
+  return { status, upstreams };
+}
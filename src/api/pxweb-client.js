@@ -1,6 +1,6 @@
 /**
  * @fileoverview PXWEB API client for BFS MCP server.
- * Provides functions to retrieve metadata and data from BFS statistical datasets using the PXWEB API.
+ * Provides functions to browse the PXWEB database tree and to retrieve metadata and data from BFS statistical datasets using the PXWEB API.
  * PXWEB is a standard API for accessing statistical data in PX format, widely used by statistical offices.
  * 
  * @module api/pxweb-client
@@ -8,21 +8,487 @@
  * @see {@link https://www.scb.se/en/services/statistical-programs-for-px-files/px-web/pxweb-api/|PXWEB API Documentation}
  */
 
-import ky from 'ky';
+import { isDeepStrictEqual } from 'node:util';
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
-import { validateLanguage, formatBfsNumber, sleep } from '../utils/formatting.js';
+import { validateLanguage, formatBfsNumber } from '../utils/formatting.js';
+import { responseCache, withValidators, lastChanged, NOT_MODIFIED } from '../utils/cache.js';
+import { circuitBreakers } from '../utils/circuit-breaker.js';
+import { createHttpClient } from '../utils/http.js';
+import { toBfsError, InvalidQueryError, TooLargeError } from '../utils/errors.js';
+import { mergeJsonStat, toJsonStat2, toTidyRows, toDelimited } from '../utils/json-stat.js';
+import { resolveLabels, normalizeLabel } from '../utils/labels.js';
+
+/**
+ * HTTP client for PXWEB API requests (retries, timeouts, headers and request IDs).
+ * @type {Object}
+ * @constant
+ */
+const http = createHttpClient({ name: 'pxweb' });
+
+/**
+ * Hint for datasets that PXWEB does not know.
+ * @type {string}
+ * @constant
+ */
+const NOT_FOUND_HINT = 'PXWEB has no table with this BFS number; search_datasets finds datasets and their BFS numbers.';
+
+/**
+ * PXWEB selection filters accepted in queries. `agg:` and `vs:` are followed by the
+ * name of an aggregation or value set of the table.
+ * @type {RegExp}
+ * @constant
+ */
+const SELECTION_FILTER_PATTERN = /^(item|all|top|agg:.+|vs:.+)$/;
+
+/**
+ * Build the PXWEB query selections of a query.
+ * Value codes (string or array) select items; selection specs (`{ filter, values }`)
+ * are passed on with their filter, `all` defaulting to the pattern `*`.
+ * 
+ * @param {Object} query - Query object; keys are dimension codes
+ * @returns {Array<Object>} PXWEB query selections ({ code, selection: { filter, values } })
+ */
+function buildSelections(query) {
+  return Object.entries(query).map(([code, spec]) => {
+    if (typeof spec === 'string' || Array.isArray(spec)) {
+      return { code, selection: { filter: 'item', values: [spec].flat() } };
+    }
+    
+    const values = [spec?.values ?? []].flat().map(String);
+    return {
+      code,
+      selection: {
+        filter: spec?.filter,
+        values: spec?.filter === 'all' && values.length === 0 ? ['*'] : values,
+      },
+    };
+  });
+}
+
+/**
+ * Get the item values of selections as a query object, for comparison with the metadata.
+ * Selections with other filters keep their dimension without values.
+ * 
+ * @param {Array<Object>} selections - PXWEB query selections
+ * @returns {Object<string, string[]>} Item values by dimension code
+ */
+function toItemQuery(selections) {
+  return Object.fromEntries(selections.map(({ code, selection }) => (
+    [code, selection.filter === 'item' ? selection.values : []]
+  )));
+}
+
+/**
+ * Check whether a value code matches a pattern of the `all` filter (`*` is a wildcard).
+ * 
+ * @param {string} pattern - Pattern (e.g. "*", "1*", "*00")
+ * @param {string} value - Value code
+ * @returns {boolean} True if the value matches
+ */
+function matchesPattern(pattern, value) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`).test(value);
+}
+
+/**
+ * Get the values that an `all` or `top` selection selects.
+ * `top` selects the last values of the variable, which are the latest periods of
+ * time variables.
+ * 
+ * @param {Object|undefined} variable - Variable of the metadata
+ * @param {Object} selection - PXWEB selection ({ filter, values })
+ * @returns {string[]|null} Selected value codes, or null for other filters or without metadata
+ */
+function resolveValues(variable, { filter, values }) {
+  if (!variable?.values) {
+    return null;
+  }
+  if (filter === 'all') {
+    return variable.values.filter(value => values.some(pattern => matchesPattern(pattern, value)));
+  }
+  if (filter === 'top') {
+    return variable.values.slice(-Number(values[0]));
+  }
+  return null;
+}
+
+/**
+ * Resolve the dimension labels of selections and the value labels of their `item`
+ * selections to codes (see {@link module:utils/labels}).
+ * 
+ * @param {Object} metadata - Dataset metadata with variables array
+ * @param {Array<Object>} selections - PXWEB query selections with codes or labels
+ * @returns {Array<Object>} Selections with codes
+ * @throws {InvalidQueryError} If dimensions or values match no code or label, or several labels
+ */
+function resolveSelections(metadata, selections) {
+  const dimensions = (metadata.variables || []).map(({ code, text, values = [], valueTexts = [] }) => ({
+    code,
+    text,
+    values: values.map((value, index) => ({ code: value, label: valueTexts[index] ?? value })),
+  }));
+  // Checks the whole query at once, so that all invalid labels and duplicate dimensions are reported
+  resolveLabels(dimensions, toItemQuery(selections));
+  
+  // Object keys don't keep their order (integer-like codes come first), so each
+  // selection is matched to its resolved dimension by key
+  return selections.map((entry) => {
+    const [[code, values]] = Object.entries(resolveLabels(dimensions, toItemQuery([entry])));
+    return { code, selection: entry.selection.filter === 'item' ? { ...entry.selection, values } : entry.selection };
+  });
+}
+
+/**
+ * Check the filters of query selections against the metadata of the table.
+ * `top` needs a positive count and, where the metadata marks a time variable,
+ * applies to it; `all` patterns must match at least one value, and `agg:` and
+ * `vs:` selections need group codes. Aggregation and value set names are not part
+ * of the metadata and are checked by PXWEB.
+ * 
+ * @param {Object} metadata - Dataset metadata with variables array
+ * @param {Array<Object>} selections - PXWEB query selections with codes (see resolveSelections())
+ * @throws {InvalidQueryError} If a selection doesn't fit the metadata
+ */
+function validateSelections(metadata, selections) {
+  const variables = metadata.variables || [];
+  const timeVariables = variables.filter(variable => variable.time).map(variable => variable.code);
+  
+  for (const { code, selection: { filter, values } } of selections) {
+    const variable = variables.find(v => v.code === code);
+    const reject = (message, hint) => {
+      throw new InvalidQueryError(`Invalid selection of ${code}: ${message}`, { hint, details: { dimension: code, filter } });
+    };
+    
+    if (!SELECTION_FILTER_PATTERN.test(filter ?? '')) {
+      reject(`unknown filter ${JSON.stringify(filter)}`, 'Use one of the filters item, all, top, agg:<aggregation> or vs:<value set>.');
+    }
+    if (filter === 'top') {
+      if (timeVariables.length > 0 && !timeVariables.includes(code)) {
+        reject('top selects the latest periods of the time dimension', `Use top with ${timeVariables.join(' or ')}.`);
+      }
+      if (values.length !== 1 || !/^[1-9]\d*$/.test(values[0])) {
+        reject(`top needs one positive count, got ${JSON.stringify(values)}`, `Select the latest 5 periods with {"filter": "top", "values": ["5"]}.`);
+      }
+    } else if (filter === 'all') {
+      const unmatched = values.filter(pattern => !variable.values.some(value => matchesPattern(pattern, value)));
+      if (unmatched.length > 0) {
+        reject(`no values match ${unmatched.join(', ')}`, `Patterns use * as a wildcard (e.g. "*" or "1*"); get_dataset_metadata lists the values of ${code}.`);
+      }
+    } else if (filter !== 'item' && values.length === 0) {
+      reject(`${filter} needs the codes of the groups to select`, `Pass the group codes of ${filter.slice(filter.indexOf(':') + 1)} as values.`);
+    }
+  }
+}
+
+/**
+ * Count the cells a PXWEB query selects.
+ * The cell count is the product of the number of selected values per variable.
+ * `all` and `top` selections are resolved with the metadata (without it, `all`
+ * counts one value and `top` its count); variables missing from the query are
+ * eliminated and count as one.
+ * 
+ * @param {Object|null} metadata - Dataset metadata with variables array (not needed without `all` or `top` selections)
+ * @param {Array<Object>} selections - PXWEB query selections ({ code, selection: { filter, values } })
+ * @returns {number} Number of selected cells
+ */
+function countCells(metadata, selections) {
+  return selections.reduce((cells, { code, selection }) => (
+    cells * countValues(metadata?.variables?.find(v => v.code === code), selection)
+  ), 1);
+}
+
+/**
+ * Count the values one selection selects (see countCells()).
+ * 
+ * @param {Object|undefined} variable - Variable of the metadata
+ * @param {Object} selection - PXWEB selection ({ filter, values })
+ * @returns {number} Number of selected values
+ */
+function countValues(variable, selection) {
+  const values = resolveValues(variable, selection);
+  if (values) {
+    return values.length;
+  }
+  if (selection.filter === 'all') {
+    return 1;
+  }
+  if (selection.filter === 'top') {
+    return Number(selection.values[0]) || 1;
+  }
+  return selection.values.length;
+}
+
+/**
+ * Select all values of every variable, as a query without dimension filters does.
+ * 
+ * @param {Object} metadata - Dataset metadata with variables array
+ * @returns {Array<Object>} PXWEB query selections
+ */
+function selectAll(metadata) {
+  return metadata.variables.map(variable => ({
+    code: variable.code,
+    selection: {
+      filter: 'all',
+      values: ['*'],
+    },
+  }));
+}
+
+/**
+ * Response formats of PXWEB and how their responses are read: parsed as JSON,
+ * decoded as text, or kept as binary content (encoded as base64).
+ * @type {Object<string, {body: string, mediaType?: string}>}
+ * @constant
+ */
+const RESPONSE_FORMATS = {
+  'json-stat': { body: 'json' },
+  'json-stat2': { body: 'json' },
+  'json': { body: 'json' },
+  'csv': { body: 'text', mediaType: 'text/csv' },
+  'px': { body: 'text', mediaType: 'text/plain' },
+  'sdmx': { body: 'text', mediaType: 'application/xml' },
+  'xlsx': { body: 'binary', mediaType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+};
+
+/**
+ * Merge functions of the response formats that can be downloaded in chunks.
+ * @type {Object<string, Function>}
+ * @constant
+ */
+const MERGE_CHUNKS = {
+  'json-stat': mergeJsonStat,
+  'json-stat2': mergeJsonStat,
+  'json': parts => ({ ...parts[0], data: parts.flatMap(part => part.data || []) }),
+};
+
+/**
+ * The formats of MERGE_CHUNKS, for hints (e.g. "json-stat, json-stat2, or json").
+ * @type {string}
+ * @constant
+ */
+const CHUNKED_FORMATS = new Intl.ListFormat('en', { type: 'disjunction' }).format(Object.keys(MERGE_CHUNKS));
+
+/**
+ * Local conversions of a table fetched as JSON-stat, by target format.
+ * Text conversions are returned like PXWEB text responses.
+ * @type {Object<string, Function>}
+ * @constant
+ */
+const CONVERSIONS = {
+  'csv': data => ({ format: 'csv', mediaType: 'text/csv', content: toDelimited(data, ',') }),
+  'tsv': data => ({ format: 'tsv', mediaType: 'text/tab-separated-values', content: toDelimited(data, '\t') }),
+  'json-stat2': data => toJsonStat2(data),
+  'tidy': data => ({ format: 'tidy', rows: toTidyRows(data) }),
+};
+
+/**
+ * Read the body of a PXWEB data response in its format.
+ * Text is decoded with the charset of the `Content-Type` header (default UTF-8).
+ * 
+ * @param {Response} response - Data response
+ * @param {string} format - Requested response format
+ * @returns {Promise<Object>} Parsed JSON, or `{ format, mediaType, content }` for text and
+ *   `{ format, mediaType, encoding: 'base64', content }` for binary formats
+ */
+async function readBody(response, format) {
+  const { body, mediaType } = RESPONSE_FORMATS[format];
+  if (body === 'json') {
+    return response.json();
+  }
+  
+  const buffer = Buffer.from(await response.arrayBuffer());
+  if (body === 'binary') {
+    return { format, mediaType, encoding: 'base64', content: buffer.toString('base64') };
+  }
+  
+  const charset = /charset=([^;]+)/i.exec(response.headers?.get('content-type') || '')?.[1].trim();
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset || 'utf-8');
+  } catch {
+    decoder = new TextDecoder('utf-8');
+  }
+  return { format, mediaType, content: decoder.decode(buffer) };
+}
+
+/**
+ * Replace `all` and `top` selections with the explicit values from the metadata,
+ * so that they can be split.
+ * 
+ * @param {Object|null} metadata - Dataset metadata with variables array
+ * @param {Array<Object>} selections - PXWEB query selections
+ * @returns {Array<Object>} Selections with `item` filters where the values are known
+ */
+function expandSelections(metadata, selections) {
+  return selections.map(({ code, selection }) => {
+    const values = resolveValues(metadata?.variables?.find(v => v.code === code), selection);
+    return values ? { code, selection: { filter: 'item', values } } : { code, selection };
+  });
+}
+
+/**
+ * Split query selections into chunks of at most `maxCells` cells.
+ * The variable with the most selected values is split into blocks; if a single
+ * value of it still selects too many cells, the blocks are split further along
+ * the next largest variable.
+ * 
+ * @param {Array<Object>} selections - PXWEB query selections with `item` filters
+ * @param {number} maxCells - Maximum cells per request
+ * @returns {Array<Array<Object>>} Selections of each chunk, in value order
+ */
+function splitSelections(selections, maxCells) {
+  const cells = countCells(null, selections);
+  const largest = selections.reduce((best, { selection }, index) => (
+    selection.values.length > selections[best].selection.values.length ? index : best
+  ), 0);
+  const values = selections[largest]?.selection.values || [];
+  
+  if (cells <= maxCells || values.length <= 1) {
+    return [selections];
+  }
+  
+  const blockSize = Math.max(1, Math.floor(maxCells / (cells / values.length)));
+  const chunks = [];
+  for (let start = 0; start < values.length; start += blockSize) {
+    const block = selections.map((entry, index) => (index === largest
+      ? { ...entry, selection: { ...entry.selection, values: values.slice(start, start + blockSize) } }
+      : entry));
+    chunks.push(...splitSelections(block, maxCells));
+  }
+  return chunks;
+}
+
+/**
+ * Get the maximum number of cells PXWEB returns per request, from the API configuration.
+ * 
+ * @param {string} language - Language code
+ * @param {Object} options - Request options (`signal`)
+ * @returns {Promise<number>} Cell limit, or Infinity if the configuration is unavailable
+ */
+async function getMaxCells(language, options) {
+  try {
+    const { maxValues, maxCells } = await getConfig(language, { signal: options.signal });
+    return maxValues || maxCells || Infinity;
+  } catch (error) {
+    if (options.signal?.aborted) {
+      throw error;
+    }
+    logger.warn({ error: error.message }, 'PXWEB cell limit unknown, sending query without chunking');
+    return Infinity;
+  }
+}
+
+/**
+ * Check a response format and a local conversion.
+ * 
+ * @param {string} format - Response format
+ * @param {string} [convert] - Format to convert the table to locally
+ * @throws {InvalidQueryError} If PXWEB doesn't offer the format or it can't be converted to
+ */
+function checkFormats(format, convert) {
+  if (!RESPONSE_FORMATS[format]) {
+    throw new InvalidQueryError(`Unknown format: ${format}`, { hint: `Use one of the formats ${Object.keys(RESPONSE_FORMATS).join(', ')}.` });
+  }
+  if (convert && !CONVERSIONS[convert]) {
+    throw new InvalidQueryError(`Unknown conversion: ${convert}`, { hint: `Convert to one of ${Object.keys(CONVERSIONS).join(', ')}.` });
+  }
+}
+
+/**
+ * Send one PXWEB data request. Responses are cached (endpoint 'pxweb-data').
+ * 
+ * @param {Object} request - Request context
+ * @param {string} request.url - Table URL
+ * @param {string} request.language - Language code
+ * @param {AbortSignal} [request.signal] - Signal that cancels the request
+ * @param {Function} request.onProgress - Progress callback ('parsing' phase)
+ * @param {Function} request.onLastChanged - Called with the last change reported by the upstream
+ * @param {Object} queryPayload - PXWEB query body
+ * @returns {Promise<Object>} Parsed response
+ */
+function fetchData(request, queryPayload) {
+  const { url, language, signal, onProgress } = request;
+  
+  return responseCache.wrap('pxweb-data', { url, body: queryPayload, language }, (headers) => circuitBreakers.pxweb.run(async () => {
+    const response = await http.post(url, {
+      headers,
+      json: queryPayload,
+      signal,
+      throwHttpErrors: status => status !== 304,
+      timeout: config.dataTimeout * 1000,
+    });
+    
+    if (response.status === 304) {
+      return NOT_MODIFIED;
+    }
+    
+    const bytes = Number(response.headers?.get('content-length')) || undefined;
+    onProgress({
+      phase: 'parsing',
+      message: bytes ? `Parsing ${bytes} bytes` : 'Parsing response',
+      bytes,
+    });
+    
+    return withValidators(await readBody(response, queryPayload.response.format), response.headers);
+  }, { signal }), {
+    signal,
+    onValidators: validators => request.onLastChanged(lastChanged(validators)),
+  });
+}
+
+/**
+ * Get the metadata of a table if it is cached, without sending a request.
+ * 
+ * @param {string} url - Metadata URL of the table
+ * @param {string} language - Language code
+ * @returns {Promise<Object|null>} Cached metadata, or null if it isn't cached
+ */
+async function getCachedMetadata(url, language) {
+  const cached = await responseCache.get('pxweb-metadata', { url, language });
+  return cached?.value ?? null;
+}
+
+/**
+ * Resolve the labels of a query that PXWEB rejected, with the metadata of the table
+ * (usually from the cache). PXWEB only knows codes, so queries are sent as they are first.
+ * 
+ * @param {string} numberBfs - BFS number of the dataset
+ * @param {string} language - Language code
+ * @param {Array<Object>} selections - Selections of the rejected query
+ * @param {AbortSignal} [signal] - Signal that cancels the metadata request
+ * @returns {Promise<Object|null>} Metadata to retry the query with if it resolved labels, or null if the
+ *   query has no labels or the metadata is unavailable
+ * @throws {InvalidQueryError} If dimensions or values match no code or label, or several labels
+ */
+async function resolveRejectedQuery(numberBfs, language, selections, signal) {
+  try {
+    const metadata = await getMetadata(numberBfs, language, { signal });
+    return isDeepStrictEqual(resolveSelections(metadata, selections), selections) ? null : metadata;
+  } catch (error) {
+    if (error instanceof InvalidQueryError) {
+      throw error;
+    }
+    return null;
+  }
+}
 
 /**
  * Get metadata structure for a BFS dataset from the PXWEB API.
  * Returns information about all available dimensions, their codes, and possible values.
  * This metadata is essential for understanding what filters can be applied when querying data.
+ * Responses are cached (endpoint 'pxweb-metadata').
  * 
  * @async
  * @param {string} numberBfs - BFS number (FSO number) of the dataset (e.g., "px-x-1502040100_131")
  * @param {string} [language='de'] - Language code (de, fr, it, en)
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request, including retries
+ * @param {Function} [options.onLastChanged] - Called with the last change reported by the upstream
+ *   (ISO 8601, from Last-Modified or ETag revalidation) when known
  * @returns {Promise<Object>} Dataset metadata including variables array with dimension information
- * @throws {Error} If the dataset is not found or the API request fails
+ * @throws {NotFoundError} If the dataset is not found
+ * @throws {BfsError} If the API request fails (see {@link module:utils/errors})
  * 
  * @example
  * // Get metadata for a dataset
@@ -32,7 +498,7 @@ import { validateLanguage, formatBfsNumber, sleep } from '../utils/formatting.js
  *   console.log(`${v.code}: ${v.values.length} values`);
  * });
  */
-export async function getMetadata(numberBfs, language = 'de') {
+export async function getMetadata(numberBfs, language = 'de', options = {}) {
   const lang = validateLanguage(language);
   const bfsNum = formatBfsNumber(numberBfs);
   
@@ -41,35 +507,86 @@ export async function getMetadata(numberBfs, language = 'de') {
   logger.debug({ url, numberBfs: bfsNum, language: lang }, 'Fetching PXWEB metadata');
   
   try {
-    const response = await ky.get(url, {
-      retry: {
-        limit: config.maxRetries,
-        methods: ['get'],
-        statusCodes: [408, 413, 429, 500, 502, 503, 504],
-      },
-      timeout: 30000,
-    }).json();
+    const response = await responseCache.wrap('pxweb-metadata', { url, language: lang }, (headers) => circuitBreakers.pxweb.run(async () => {
+      const metadataResponse = await http.get(url, {
+        headers,
+        signal: options.signal,
+        throwHttpErrors: status => status !== 304,
+      });
+      
+      if (metadataResponse.status === 304) {
+        return NOT_MODIFIED;
+      }
+      return withValidators(await metadataResponse.json(), metadataResponse.headers);
+    }, { signal: options.signal }), {
+      signal: options.signal,
+      onValidators: validators => options.onLastChanged?.(lastChanged(validators)),
+    });
     
     logger.debug({ numberBfs: bfsNum }, 'Successfully fetched metadata');
     return response;
   } catch (error) {
     logger.error({ error: error.message, numberBfs: bfsNum }, 'Failed to fetch metadata');
-    throw new Error(`Failed to fetch metadata for ${bfsNum}: ${error.message}`);
+    throw toBfsError(error, `Failed to fetch metadata for ${bfsNum}`, { hints: { NOT_FOUND: NOT_FOUND_HINT } });
   }
 }
 
 /**
  * Get data from a BFS dataset with optional dimension filters.
  * If no query is provided, retrieves all data. If a query is provided, filters data by specified dimensions.
- * Automatically fetches metadata first to build a valid query structure.
+ * Each dimension of the query selects value codes, or takes a PXWEB selection spec
+ * `{ filter, values }`:
+ * - `{ filter: 'item', values: ['2022', '2023'] }`: the listed values (same as passing the codes)
+ * - `{ filter: 'top', values: ['5'] }`: the latest 5 values of the time dimension
+ * - `{ filter: 'all', values: ['1*'] }`: all values matching the patterns (`*` is a wildcard; default `*`)
+ * - `{ filter: 'agg:<aggregation>', values: [...] }`: groups of an aggregation of the table
+ * - `{ filter: 'vs:<value set>', values: [...] }`: values of a value set of the table
+ * 
+ * Dimensions and item values may also be given by their labels in the requested language
+ * (e.g. `{ Kanton: ['Zürich', 'Bern'] }`, see {@link module:utils/labels}).
+ * 
+ * Without a query, or with `all` or `top` selections, the metadata is fetched first (unless the
+ * caller passes metadata it already has) to resolve the selected values and labels; the query is
+ * then checked against it before it is sent. Other queries are resolved and checked with the
+ * metadata if it is cached, and are otherwise sent as they are; if PXWEB rejects one, its labels
+ * are resolved with the metadata and the query is sent again.
+ * Queries that select more cells than PXWEB returns per request (`maxValues` of the API
+ * configuration) are split along the variable with the most values into chunks that fit the
+ * limit. The chunks are fetched one after another and merged into one dataset (formats
+ * 'json-stat', 'json-stat2' and 'json'); at most `BFS_PXWEB_MAX_CHUNKS` chunks are fetched.
+ * Responses are cached (endpoint 'pxweb-data', one entry per chunk).
+ * 
+ * JSON formats are returned parsed. Text formats ('csv', 'px', 'sdmx') are returned as
+ * `{ format, mediaType, content }`, 'xlsx' with the content encoded as base64 (`encoding: 'base64'`).
+ * With `options.convert`, the table is fetched as JSON-stat and converted locally to 'csv' or 'tsv'
+ * (returned like text formats, one line per cell), 'json-stat2' or 'tidy' (`{ format: 'tidy', rows }`,
+ * see {@link module:utils/json-stat}), whatever formats PXWEB offers for the table.
  * 
  * @async
  * @param {string} numberBfs - BFS number (FSO number) of the dataset (e.g., "px-x-1502040100_131")
  * @param {string} [language='de'] - Language code (de, fr, it, en)
- * @param {Object|null} [query=null] - Query object with dimension filters. Keys are dimension codes, values are arrays of dimension value codes.
- * @param {string} [format='json-stat'] - Response format: 'json-stat' (default), 'json', or 'csv'
+ * @param {Object|null} [query=null] - Query object with dimension filters. Keys are dimension codes, values are
+ *   dimension value codes (string or array) or selection specs (`{ filter, values }`).
+ * @param {string} [format='json-stat'] - Response format: 'json-stat' (default), 'json-stat2', 'json', 'csv', 'px',
+ *   'xlsx' or 'sdmx' (ignored with `options.convert`)
+ * @param {Object} [options={}] - Request options
+ * @param {string} [options.convert] - Convert the table locally to 'csv', 'tsv', 'json-stat2' or 'tidy'
+ * @param {Function} [options.onProgress] - Called at the start of each phase ('metadata', 'downloading', 'parsing')
+ *   with `{ phase, message, ...details }`; details include `cells` and `bytes` where known, and `chunk`
+ *   and `chunks` for chunked downloads
+ * @param {AbortSignal} [options.signal] - Signal that cancels the wait for the rate limiter, the metadata lookup and the
+ *   data request, including retries
+ * @param {Object} [options.metadata] - Metadata of the dataset from getMetadata(), reused instead of fetching it
+ * @param {Function} [options.onLastChanged] - Called with the last change reported by the upstream (ISO 8601) when known;
+ *   the latest change of all chunks
  * @returns {Promise<Object>} Dataset data in the specified format
- * @throws {Error} If the dataset is not found or the API request fails
+ * @throws {NotFoundError} If the dataset is not found
+ * @throws {InvalidQueryError} If the format or conversion is unknown, a selection doesn't fit the metadata or PXWEB
+ *   rejects the query; unknown
+ *   dimension codes or values and ambiguous labels are listed in the hint and details, with suggestions
+ * @throws {TooLargeError} If the query exceeds the cell limit and the format can't be merged, or needs
+ *   more than `BFS_PXWEB_MAX_CHUNKS` chunks
+ * @throws {BfsError} If the API request fails (see {@link module:utils/errors})
  * 
  * @example
  * // Get all data from a dataset
@@ -88,73 +605,158 @@ export async function getMetadata(numberBfs, language = 'de') {
  * );
  * 
  * @example
- * // Get data in CSV format
- * const csvData = await getData('px-x-1502040100_131', 'de', null, 'csv');
+ * // Get the latest 5 years for all cantons
+ * const latest = await getData('px-x-0102010000_101', 'en', {
+ *   Jahr: { filter: 'top', values: ['5'] },
+ *   Kanton: { filter: 'all', values: ['*'] },
+ * });
+ * 
+ * @example
+ * // Get data in CSV format, as PXWEB writes it
+ * const { content } = await getData('px-x-1502040100_131', 'de', null, 'csv');
+ * 
+ * @example
+ * // Get tidy rows of a table, converted locally
+ * const { rows } = await getData('px-x-1502040100_131', 'en', null, 'json-stat', { convert: 'tidy' });
+ * // [{ Jahr: '2020/21', Studienstufe: 'Bachelor', value: 123 }, ...]
+ * 
+ * @example
+ * // Track progress
+ * const data = await getData('px-x-1502040100_131', 'en', null, 'json-stat', {
+ *   onProgress: ({ phase, message }) => console.error(phase, message),
+ * });
  */
-export async function getData(numberBfs, language = 'de', query = null, format = 'json-stat') {
+export async function getData(numberBfs, language = 'de', query = null, format = 'json-stat', options = {}) {
   const lang = validateLanguage(language);
   const bfsNum = formatBfsNumber(numberBfs);
+  const onProgress = options.onProgress || (() => {});
   
   const url = `${config.pxwebBaseUrl}/${lang}/${bfsNum}/${bfsNum}.px`;
   
   logger.debug({ url, numberBfs: bfsNum, language: lang, hasQuery: !!query }, 'Fetching PXWEB data');
   
-  // Apply delay if configured
-  if (config.requestDelay > 0) {
-    await sleep(config.requestDelay * 1000);
-  }
+  let selections = null;
+  let metadata = options.metadata || null;
   
   try {
-    // First get metadata to build query if not provided
-    const metadata = await getMetadata(numberBfs, language);
+    checkFormats(format, options.convert);
+    // Tables converted locally are fetched as JSON-stat, which can be downloaded in chunks
+    const responseFormat = options.convert ? 'json-stat' : format;
+    selections = query === null ? null : buildSelections(query);
     
-    let queryPayload;
+    // Metadata is only needed to select all values or resolve `all` and `top` selections,
+    // and only if the caller doesn't have it yet
+    if (!metadata && (!selections || selections.some(({ selection }) => selection.filter !== 'item'))) {
+      onProgress({ phase: 'metadata', message: `Fetching metadata for ${bfsNum}` });
+      metadata = await getMetadata(numberBfs, language, { signal: options.signal });
+    }
+    // Otherwise labels are resolved with cached metadata, so that PXWEB doesn't reject them first
+    if (!metadata && selections) {
+      metadata = await getCachedMetadata(url, lang);
+    }
+    if (selections && metadata) {
+      selections = resolveSelections(metadata, selections);
+      validateSelections(metadata, selections);
+    }
     
-    if (query === null) {
-      // Build query to get all data
-      queryPayload = {
-        query: metadata.variables.map(variable => ({
-          code: variable.code,
-          selection: {
-            filter: 'all',
-            values: ['*'],
-          },
-        })),
-        response: {
-          format: format,
-        },
-      };
+    const queryPayload = {
+      // Without a query, all values of every variable
+      query: selections ?? selectAll(metadata),
+      response: {
+        format: responseFormat,
+      },
+    };
+    
+    const cells = countCells(metadata, queryPayload.query);
+    const maxCells = await getMaxCells(lang, options);
+    
+    // Latest change reported by the upstream across all requests
+    let latestChange;
+    const request = {
+      url,
+      language: lang,
+      signal: options.signal,
+      onProgress,
+      onLastChanged: (value) => {
+        if (value && !(latestChange > value)) {
+          latestChange = value;
+        }
+      },
+    };
+    
+    let data;
+    if (cells <= maxCells) {
+      onProgress({ phase: 'downloading', message: `Downloading ${cells} cells from ${bfsNum}`, cells });
+      data = await fetchData(request, queryPayload);
     } else {
-      // Use provided query
-      queryPayload = {
-        query: Object.entries(query).map(([code, values]) => ({
-          code,
-          selection: {
-            filter: 'item',
-            values: Array.isArray(values) ? values : [values],
-          },
-        })),
-        response: {
-          format: format,
-        },
-      };
+      const mergeChunks = MERGE_CHUNKS[responseFormat];
+      if (!mergeChunks) {
+        throw new TooLargeError(`The query selects ${cells} cells of ${bfsNum}; PXWEB returns at most ${maxCells} per request`, {
+          hint: `Request the format ${CHUNKED_FORMATS}, which is downloaded in chunks (so are tables converted locally), or select fewer values.`,
+          details: { cells, maxCells },
+        });
+      }
+      
+      const chunks = splitSelections(expandSelections(metadata, queryPayload.query), maxCells);
+      if (config.pxwebMaxChunks > 0 && chunks.length > config.pxwebMaxChunks) {
+        throw new TooLargeError(`The query selects ${cells} cells of ${bfsNum}, which would take ${chunks.length} requests of at most ${maxCells} cells (limit: ${config.pxwebMaxChunks})`, {
+          details: { cells, maxCells, chunks: chunks.length },
+        });
+      }
+      
+      logger.debug({ numberBfs: bfsNum, cells, maxCells, chunks: chunks.length }, 'Splitting PXWEB query into chunks');
+      
+      // One chunk at a time; the rate limiter spaces the requests
+      const parts = [];
+      for (const [index, selections] of chunks.entries()) {
+        const chunkCells = countCells(null, selections);
+        onProgress({
+          phase: 'downloading',
+          message: `Downloading chunk ${index + 1}/${chunks.length} (${chunkCells} cells) from ${bfsNum}`,
+          cells: chunkCells,
+          chunk: index + 1,
+          chunks: chunks.length,
+        });
+        parts.push(await fetchData(request, { ...queryPayload, query: selections }));
+      }
+      data = mergeChunks(parts);
     }
     
-    const response = await ky.post(url, {
-      json: queryPayload,
-      retry: {
-        limit: config.maxRetries,
-        methods: ['post'],
-        statusCodes: [408, 413, 429, 500, 502, 503, 504],
-      },
-      timeout: 60000,
-    }).json();
+    if (options.convert) {
+      data = CONVERSIONS[options.convert](data);
+    }
+    if (latestChange) {
+      options.onLastChanged?.(latestChange);
+    }
     
     logger.debug({ numberBfs: bfsNum }, 'Successfully fetched data');
-    return response;
+    return data;
   } catch (error) {
+    const bfsError = toBfsError(error, `Failed to fetch data for ${bfsNum}`, { hints: { NOT_FOUND: NOT_FOUND_HINT } });
+    
+    // A query sent without metadata may use labels: resolve them and retry, or tell which
+    // dimension codes or values PXWEB didn't accept
+    if (bfsError instanceof InvalidQueryError && selections && !metadata && !(error instanceof InvalidQueryError)) {
+      let resolvedMetadata;
+      try {
+        resolvedMetadata = await resolveRejectedQuery(numberBfs, lang, selections, options.signal);
+      } catch (invalid) {
+        logger.error({ error: invalid.message, numberBfs: bfsNum }, 'Failed to fetch data');
+        throw new InvalidQueryError(`Failed to fetch data for ${bfsNum}: ${invalid.message}`, {
+          hint: invalid.hint,
+          details: invalid.details,
+          status: bfsError.status,
+          cause: error,
+        });
+      }
+      if (resolvedMetadata) {
+        logger.debug({ numberBfs: bfsNum }, 'Retrying PXWEB query with resolved labels');
+        return getData(numberBfs, language, query, format, { ...options, metadata: resolvedMetadata });
+      }
+    }
+    
     logger.error({ error: error.message, numberBfs: bfsNum }, 'Failed to fetch data');
-    throw new Error(`Failed to fetch data for ${bfsNum}: ${error.message}`);
+    throw bfsError;
   }
 }
 
@@ -162,11 +764,15 @@ export async function getData(numberBfs, language = 'de', query = null, format =
  * Get configuration limits and settings from the PXWEB API.
  * Returns information about API limits such as maximum cells per query, timeout settings, etc.
  * Useful for understanding API constraints before making large data requests.
+ * Responses are cached (endpoint 'pxweb-config').
  * 
  * @async
  * @param {string} [language='de'] - Language code (de, fr, it, en)
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request
+ * @param {boolean} [options.refresh=false] - Bypass the cache and refresh the cached configuration
  * @returns {Promise<Object>} API configuration including limits and settings
- * @throws {Error} If the API request fails
+ * @throws {BfsError} If the API request fails (see {@link module:utils/errors})
  * 
  * @example
  * // Get API configuration
@@ -174,16 +780,377 @@ export async function getData(numberBfs, language = 'de', query = null, format =
  * console.log(config.maxCells); // Maximum cells per query
  * console.log(config.timeWindow); // Time window for rate limiting
  */
-export async function getConfig(language = 'de') {
+export async function getConfig(language = 'de', options = {}) {
   const lang = validateLanguage(language);
   const url = `${config.pxwebBaseUrl}/${lang}/?config`;
   
   try {
-    const response = await ky.get(url).json();
+    const response = await responseCache.wrap('pxweb-config', { url, language: lang }, () => circuitBreakers.pxweb.run(() => (
+      http.get(url, { signal: options.signal }).json()
+    ), { signal: options.signal }), { refresh: options.refresh, signal: options.signal });
     logger.debug('Successfully fetched PXWEB config');
     return response;
   } catch (error) {
     logger.error({ error: error.message }, 'Failed to fetch PXWEB config');
-    throw new Error(`Failed to fetch PXWEB config: ${error.message}`);
+    throw toBfsError(error, 'Failed to fetch PXWEB config');
+  }
+}
+
+/**
+ * Response size, in tokens, above which an estimate recommends a narrower query.
+ * Larger tool results fill much of a model's context window.
+ * @type {number}
+ * @constant
+ */
+const LARGE_RESPONSE_TOKENS = 25000;
+
+/**
+ * Average bytes per token of JSON responses, for token estimates.
+ * @type {number}
+ * @constant
+ */
+const BYTES_PER_TOKEN = 4;
+
+/**
+ * Estimate the size of a PXWEB response as returned by the tools (pretty-printed JSON).
+ * JSON-stat and PX hold one value per cell and the labels of the selected values once;
+ * `json` and `sdmx` repeat the value codes of each cell, `tidy`, `csv`, `tsv` and `xlsx`
+ * the value labels.
+ * 
+ * @param {string} format - Response format, or the format of a local conversion
+ * @param {Array<{code: string, values: Array<{code: string, label: string}>}>} dimensions - Selected
+ *   dimensions and their selected values
+ * @param {number} cells - Number of selected cells
+ * @returns {number} Approximate size in bytes
+ */
+function estimateBytes(format, dimensions, cells) {
+  const average = (values, field) => values.reduce((sum, value) => sum + value[field].length, 0) / (values.length || 1);
+  const perCell = (base, bytesOf) => Math.round(cells * dimensions.reduce((bytes, dimension) => bytes + bytesOf(dimension), base));
+  
+  switch (format) {
+    case 'json':
+      return perCell(40, ({ values }) => average(values, 'code') + 12);
+    case 'sdmx':
+      return perCell(60, ({ code, values }) => code.length + average(values, 'code') + 6);
+    case 'tidy':
+      return perCell(30, ({ code, values }) => code.length + average(values, 'label') + 10);
+    case 'csv':
+    case 'tsv':
+    case 'xlsx':
+      return perCell(12, ({ values }) => average(values, 'label') + 3);
+    default: {
+      const labels = dimensions.flatMap(({ values }) => values).reduce((bytes, { code, label }) => bytes + code.length + label.length + 12, 0);
+      return cells * 16 + labels;
+    }
+  }
+}
+
+/**
+ * Recommend narrower selections for a query that selects too many cells.
+ * Each recommendation narrows one of the largest dimensions enough on its own.
+ * 
+ * @param {Array<Object>} dimensions - Dimensions of the estimate (see estimateQuery())
+ * @param {number} factor - How many times too many cells the query selects
+ * @returns {string[]} Recommendations, at most three
+ */
+function recommendNarrowing(dimensions, factor) {
+  const recommendations = dimensions
+    .filter(({ selected }) => selected > 1)
+    .sort((a, b) => b.selected - a.selected)
+    .map(({ code, time, selected, eliminable }) => {
+      const keep = Math.floor(selected / factor);
+      if (keep < 1) {
+        return null;
+      }
+      if (time) {
+        return `Select the latest ${keep} of the ${selected} periods of ${code}: {"${code}": {"filter": "top", "values": ["${keep}"]}}`;
+      }
+      return `Select at most ${keep} of the ${selected} values of ${code}${eliminable ? ', or leave it out to get its total' : ''}`;
+    })
+    .filter(Boolean)
+    .slice(0, 3);
+  
+  return recommendations.length > 0
+    ? recommendations
+    : [`Select fewer values of several dimensions: the query selects about ${Math.ceil(factor)} times too many cells`];
+}
+
+/**
+ * Estimate the cost of a PXWEB data query before sending it.
+ * Resolves the query like getData() (labels, `all` and `top` selections) against the
+ * metadata of the table, counts the selected cells and compares them to the limits of
+ * the API configuration: the cells per request (`maxValues`), the chunks a query may
+ * be split into (`BFS_PXWEB_MAX_CHUNKS`) and the request rate (`maxCalls` per
+ * `timeWindow` seconds). The response size is approximated per format; queries that
+ * exceed the limits or a response of about 25,000 tokens get recommendations for
+ * narrower selections. Only the metadata and the configuration are requested (both cached).
+ * 
+ * @async
+ * @param {string} numberBfs - BFS number (FSO number) of the dataset (e.g., "px-x-1502040100_131")
+ * @param {string} [language='de'] - Language code (de, fr, it, en)
+ * @param {Object|null} [query=null] - Query object as for getData()
+ * @param {string} [format='json-stat'] - Response format as for getData()
+ * @param {Object} [options={}] - Request options
+ * @param {string} [options.convert] - Local conversion as for getData()
+ * @param {AbortSignal} [options.signal] - Signal that cancels the metadata and configuration requests
+ * @returns {Promise<Object>} Estimate with `cells`, the selected `dimensions`, the PXWEB `limits`, the
+ *   `requests` the query takes, whether it is `withinLimits`, `estimatedBytes`, `estimatedTokens`,
+ *   whether it is a `largeResponse`, and `recommendations` (empty if the query is fine)
+ * @throws {NotFoundError} If the dataset is not found
+ * @throws {InvalidQueryError} If the format, conversion or query doesn't fit (as for getData())
+ * @throws {BfsError} If the metadata request fails (see {@link module:utils/errors})
+ * 
+ * @example
+ * const estimate = await estimateQuery('px-x-0102010000_101', 'en', { Kanton: { filter: 'all', values: ['*'] } });
+ * console.log(estimate.cells, estimate.estimatedTokens);
+ * console.log(estimate.recommendations); // e.g. ['Select the latest 5 of the 50 periods of Jahr: ...']
+ */
+export async function estimateQuery(numberBfs, language = 'de', query = null, format = 'json-stat', options = {}) {
+  const lang = validateLanguage(language);
+  const bfsNum = formatBfsNumber(numberBfs);
+  
+  logger.debug({ numberBfs: bfsNum, language: lang, hasQuery: !!query, format }, 'Estimating PXWEB query');
+  
+  try {
+    checkFormats(format, options.convert);
+    const metadata = await getMetadata(numberBfs, lang, { signal: options.signal });
+    let selections = selectAll(metadata);
+    if (query !== null) {
+      selections = resolveSelections(metadata, buildSelections(query));
+      validateSelections(metadata, selections);
+    }
+    
+    let pxwebConfig = {};
+    try {
+      pxwebConfig = await getConfig(lang, { signal: options.signal });
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      logger.warn({ error: error.message }, 'PXWEB limits unknown, estimating without them');
+    }
+    
+    const selectedValues = [];
+    const dimensions = metadata.variables.map((variable) => {
+      const entry = selections.find(({ code }) => code === variable.code);
+      if (entry) {
+        const codes = resolveValues(variable, entry.selection) ?? entry.selection.values;
+        selectedValues.push({
+          code: variable.code,
+          values: codes.map(code => ({ code, label: variable.valueTexts?.[variable.values.indexOf(code)] ?? code })),
+        });
+      }
+      return {
+        code: variable.code,
+        text: variable.text ?? variable.code,
+        time: Boolean(variable.time),
+        values: variable.values?.length ?? 0,
+        selected: entry ? countValues(variable, entry.selection) : null,
+        filter: entry?.selection.filter ?? null,
+        eliminable: Boolean(variable.elimination),
+      };
+    });
+    
+    const cells = countCells(metadata, selections);
+    const maxCells = pxwebConfig.maxValues || pxwebConfig.maxCells || null;
+    const maxChunks = config.pxwebMaxChunks > 0 ? config.pxwebMaxChunks : null;
+    const chunkable = Boolean(MERGE_CHUNKS[options.convert ? 'json-stat' : format]);
+    
+    // Above the chunk limit, the minimum number of requests is enough to tell
+    let requests = 1;
+    if (maxCells && cells > maxCells) {
+      const minimum = Math.ceil(cells / maxCells);
+      requests = maxChunks && minimum > maxChunks
+        ? minimum
+        : splitSelections(expandSelections(metadata, selections), maxCells).length;
+    }
+    
+    const missing = dimensions.filter(({ filter, eliminable }) => filter === null && !eliminable).map(({ code }) => code);
+    const withinLimits = missing.length === 0
+      && (requests === 1 || (chunkable && !(maxChunks && requests > maxChunks)));
+    const estimatedBytes = estimateBytes(options.convert ?? format, selectedValues, cells);
+    const estimatedTokens = Math.ceil(estimatedBytes / BYTES_PER_TOKEN);
+    const largeResponse = estimatedTokens > LARGE_RESPONSE_TOKENS;
+    
+    const recommendations = [];
+    if (missing.length > 0) {
+      recommendations.push(`Select values of ${missing.join(', ')}: PXWEB rejects queries that leave ${missing.length === 1 ? 'it' : 'them'} out`);
+    }
+    if (requests > 1 && !chunkable) {
+      recommendations.push(`Request the format ${CHUNKED_FORMATS}, which is downloaded in chunks, or convert the table locally`);
+    }
+    
+    // Cells that fit both the request limits and a modest response
+    const targetCells = Math.max(1, Math.min(
+      Math.floor(cells * LARGE_RESPONSE_TOKENS / estimatedTokens),
+      maxCells ? maxCells * (chunkable ? (maxChunks ?? Infinity) : 1) : Infinity,
+    ));
+    if (cells > targetCells) {
+      if (query === null) {
+        recommendations.push('Pass a query: without one, all values of every dimension are selected');
+      }
+      recommendations.push(...recommendNarrowing(dimensions, cells / targetCells));
+    }
+    
+    logger.debug({ numberBfs: bfsNum, cells, requests, estimatedTokens }, 'Estimated PXWEB query');
+    return {
+      numberBfs: bfsNum,
+      format,
+      convert: options.convert ?? null,
+      cells,
+      dimensions,
+      limits: {
+        maxCells,
+        maxCalls: pxwebConfig.maxCalls ?? null,
+        timeWindow: pxwebConfig.timeWindow ?? null,
+        maxChunks,
+      },
+      requests,
+      withinLimits,
+      estimatedBytes,
+      estimatedTokens,
+      largeResponse,
+      recommendations,
+    };
+  } catch (error) {
+    logger.error({ error: error.message, numberBfs: bfsNum }, 'Failed to estimate query');
+    throw toBfsError(error, `Failed to estimate query for ${bfsNum}`, { hints: { NOT_FOUND: NOT_FOUND_HINT } });
   }
 }
+
+/**
+ * Maximum number of folders listed by one recursive browse.
+ * @type {number}
+ * @constant
+ */
+const MAX_BROWSE_FOLDERS = 50;
+
+/**
+ * Hint for folder paths that PXWEB does not know.
+ * @type {string}
+ * @constant
+ */
+const FOLDER_NOT_FOUND_HINT = 'Browse from the root (no path) and pass the path of a returned folder.';
+
+/**
+ * Convert an entry of a PXWEB folder listing into a node.
+ * The root lists databases (`{ dbid, text }`); databases and their folders list
+ * folders (type 'l') and tables (type 't').
+ * 
+ * @param {string} parentPath - Path of the listed folder ('' for the root)
+ * @param {Object} entry - Listing entry
+ * @returns {Object} Node with id, path, type ('folder' or 'table'), title and, where known,
+ *   updated and numberBfs
+ */
+function toNode(parentPath, entry) {
+  const id = entry.dbid ?? entry.id;
+  const isTable = entry.type === 't';
+  
+  return {
+    id,
+    path: parentPath ? `${parentPath}/${id}` : id,
+    type: isTable ? 'table' : 'folder',
+    title: entry.text ?? id,
+    ...(entry.updated && { updated: entry.updated }),
+    // BFS tables are named after their BFS number
+    ...(isTable && { numberBfs: id.replace(/\.px$/i, '') }),
+  };
+}
+
+/**
+ * List one folder of the PXWEB database tree.
+ * Responses are cached (endpoint 'pxweb-browse').
+ * 
+ * @async
+ * @param {string} [path=''] - Folder path below the language, e.g. 'px-x-0102010000_101' ('' for the root)
+ * @param {string} [language='de'] - Language code (de, fr, it, en)
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request
+ * @returns {Promise<Array<Object>>} Folders and tables of the folder (see browsePxweb())
+ * @throws {NotFoundError} If the folder does not exist
+ * @throws {BfsError} If the API request fails (see {@link module:utils/errors})
+ * 
+ * @example
+ * const databases = await listPxwebFolder('', 'en');
+ * const tables = await listPxwebFolder(databases[0].path, 'en');
+ */
+export async function listPxwebFolder(path = '', language = 'de', options = {}) {
+  const lang = validateLanguage(language);
+  const segments = path.split('/').filter(Boolean);
+  const url = `${config.pxwebBaseUrl}/${lang}/${segments.map(segment => `${encodeURIComponent(segment)}/`).join('')}`;
+  
+  logger.debug({ url, path, language: lang }, 'Listing PXWEB folder');
+  
+  try {
+    const entries = await responseCache.wrap('pxweb-browse', { url, language: lang }, (headers) => circuitBreakers.pxweb.run(async () => {
+      const response = await http.get(url, {
+        headers,
+        signal: options.signal,
+        throwHttpErrors: status => status !== 304,
+      });
+      
+      if (response.status === 304) {
+        return NOT_MODIFIED;
+      }
+      return withValidators(await response.json(), response.headers);
+    }, { signal: options.signal }), { signal: options.signal });
+    
+    return (Array.isArray(entries) ? entries : []).map(entry => toNode(segments.join('/'), entry));
+  } catch (error) {
+    logger.error({ error: error.message, path }, 'Failed to list PXWEB folder');
+    throw toBfsError(error, `Failed to list PXWEB folder ${path || '/'}`, { hints: { NOT_FOUND: FOLDER_NOT_FOUND_HINT } });
+  }
+}
+
+/**
+ * Browse the PXWEB database tree: list a folder and, optionally, its subfolders.
+ * 
+ * Recursive browsing walks the tree breadth-first, one folder request at a time,
+ * and stops after `maxFolders` folders; `truncated` tells whether folders were left
+ * unlisted. The text filter keeps the folders and tables whose title, id or path
+ * contains it (ignoring case and accents); filtered-out folders are still walked.
+ * 
+ * @async
+ * @param {string} [path=''] - Folder path to start from ('' for the root)
+ * @param {string} [language='de'] - Language code (de, fr, it, en)
+ * @param {Object} [options={}] - Browse options
+ * @param {boolean} [options.recursive=false] - Also list the subfolders
+ * @param {string} [options.filter] - Text the returned folders and tables must contain
+ * @param {number} [options.maxFolders=50] - Maximum number of folders listed when browsing recursively
+ * @param {AbortSignal} [options.signal] - Signal that cancels the requests
+ * @returns {Promise<{path: string, nodes: Array<Object>, foldersListed: number, truncated: boolean}>}
+ *   Nodes with id, path, type ('folder' or 'table'), title and, where PXWEB reports them, updated
+ *   (ISO 8601) and numberBfs (tables)
+ * @throws {NotFoundError} If the start folder does not exist
+ * @throws {BfsError} If an API request fails (see {@link module:utils/errors})
+ * 
+ * @example
+ * // Find tables about commuters below the root
+ * const { nodes } = await browsePxweb('', 'en', { recursive: true, filter: 'commuter' });
+ * nodes.filter(node => node.type === 'table').map(node => node.numberBfs);
+ */
+export async function browsePxweb(path = '', language = 'de', options = {}) {
+  const { recursive = false, filter, maxFolders = MAX_BROWSE_FOLDERS, signal } = options;
+  const wanted = filter ? normalizeLabel(filter) : null;
+  const start = path.split('/').filter(Boolean).join('/');
+  
+  const nodes = [];
+  const queue = [start];
+  let foldersListed = 0;
+  
+  while (queue.length > 0 && (foldersListed === 0 || (recursive && foldersListed < maxFolders))) {
+    const children = await listPxwebFolder(queue.shift(), language, { signal });
+    foldersListed++;
+    
+    for (const node of children) {
+      if (!wanted || normalizeLabel(`${node.title} ${node.path}`).includes(wanted)) {
+        nodes.push(node);
+      }
+      if (recursive && node.type === 'folder') {
+        queue.push(node.path);
+      }
+    }
+  }
+  
+  return { path: start, nodes, foldersListed, truncated: queue.length > 0 };
+}
@@ -8,7 +8,7 @@
  * 
  * Key features:
  * - SDMX XML parsing for metadata and data retrieval
- * - Dataflow URL resolution with caching for performance
+ * - Dataflow index with case-insensitive, version-aware lookup, refreshed on a TTL
  * - Support for dimension-based filtering and time period selection
  * - Multi-language support (de, fr, it, en)
  * - Automatic conversion of SDMX structures to simplified JSON format
@@ -20,108 +20,313 @@
 import { parseStringPromise } from 'xml2js';
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
-import { validateLanguage, formatBfsNumber, sleep } from '../utils/formatting.js';
+import { validateLanguage, formatBfsNumber, groupSseDimensions } from '../utils/formatting.js';
+import { responseCache, withValidators, lastChanged, NOT_MODIFIED } from '../utils/cache.js';
+import { circuitBreakers } from '../utils/circuit-breaker.js';
+import { createHttpClient } from '../utils/http.js';
+import { toBfsError, NotFoundError, InvalidQueryError, ParseError } from '../utils/errors.js';
+import { resolveLabels } from '../utils/labels.js';
 
 /**
- * Cache for dataflow URLs to avoid repeated lookups.
- * Maps cache keys (format: `${numberBfs}_${metadata}`) to resolved SSE URLs.
- * @type {Map<string, string>}
+ * HTTP client for SSE API requests (retries, timeouts, headers and request IDs).
+ * @type {Object}
  * @constant
  */
-const dataflowUrlCache = new Map();
+const http = createHttpClient({ name: 'sse' });
 
 /**
- * Get the full SSE URL for a dataset by looking up its dataflow.
- * 
- * This internal function resolves the complete SDMX URL for a dataset by:
- * 1. Checking the cache for previously resolved URLs
- * 2. Fetching all available dataflows from the SSE API
- * 3. Parsing dataflow URNs to find the matching dataset
- * 4. Constructing the appropriate metadata or data URL
- * 5. Caching the result for future requests
- * 
- * @param {string} numberBfs - BFS dataset identifier (e.g., "DF_LWZ_1")
- * @param {boolean} [metadata=false] - Whether to get metadata URL instead of data URL
- * @returns {Promise<string>} Full SSE URL with agency, dataflow, and version
- * @throws {Error} If the dataset is not found or the API request fails
- * 
- * @example
- * // Get data URL for a dataset
- * const dataUrl = await getSseUrl('DF_LWZ_1', false);
- * // Returns: 'https://disseminate.stats.swiss/rest/data/BFS,DF_LWZ_1,1.0/'
+ * Parse an SDMX XML response.
  * 
- * @example
- * // Get metadata URL for a dataset
- * const metadataUrl = await getSseUrl('DF_LWZ_1', true);
- * // Returns: 'https://disseminate.stats.swiss/rest/dataflow/BFS/DF_LWZ_1/1.0?references=all'
+ * @param {string} xml - SDMX XML
+ * @returns {Promise<Object>} Parsed XML (xml2js)
+ * @throws {ParseError} If the response is not valid XML
  */
-async function getSseUrl(numberBfs, metadata = false) {
-  const cacheKey = `${numberBfs}_${metadata}`;
-  
-  // Check cache first
-  if (dataflowUrlCache.has(cacheKey)) {
-    return dataflowUrlCache.get(cacheKey);
+async function parseSdmx(xml) {
+  try {
+    return await parseStringPromise(xml);
+  } catch (error) {
+    throw new ParseError(`Invalid SDMX XML: ${error.message}`, { cause: error });
   }
+}
+
+/**
+ * Index of the SSE dataflows, built from the dataflow list of the configured
+ * base URL and rebuilt once it is older than `config.sseDataflowTTL`.
+ * `byId` maps upper-case dataflow IDs to their versions, newest first.
+ * @type {{baseUrl: string, dataflows: Array<Object>, byId: Map<string, Array<Object>>, loadedAt: number, expiresAt: number}|null}
+ */
+let dataflowIndex = null;
+
+/**
+ * Pending index build, shared by concurrent lookups.
+ * @type {Promise<Object>|null}
+ */
+let dataflowIndexLoading = null;
+
+/**
+ * Get statistics of the SSE client caches.
+ * 
+ * @returns {{dataflowIndex: {entries: number, baseUrl: string|null, ageSeconds: number, expiresInSeconds: number}}}
+ *   Size and age of the dataflow index
+ */
+export function getSseCacheStats() {
+  const now = Date.now();
   
-  const baseUrl = 'https://disseminate.stats.swiss/rest';
-  
+  return {
+    dataflowIndex: {
+      entries: dataflowIndex?.dataflows.length || 0,
+      baseUrl: dataflowIndex?.baseUrl || null,
+      ageSeconds: dataflowIndex ? Math.round((now - dataflowIndex.loadedAt) / 1000) : 0,
+      expiresInSeconds: dataflowIndex ? Math.max(0, Math.round((dataflowIndex.expiresAt - now) / 1000)) : 0,
+    },
+  };
+}
+
+/**
+ * Drop the dataflow index, so that the next lookup rebuilds it.
+ */
+export function clearDataflowIndex() {
+  dataflowIndex = null;
+}
+
+/**
+ * Fetch the dataflow list and parse the dataflow URNs into their agency,
+ * dataflow ID and version components.
+ * 
+ * @param {string} baseUrl - SSE base URL
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request
+ * @returns {Promise<Array<{agencyId: string, dataflowId: string, version: string}>>} Available dataflows
+ * @throws {Error} If the API request fails
+ */
+async function fetchDataflows(baseUrl, options = {}) {
   try {
-    // Get all available dataflows using native fetch
-    const response = await fetch(`${baseUrl}/dataflow`, {
+    // Get all available dataflows
+    const dataflowsResponse = await circuitBreakers.sse.run(() => http.get(`${baseUrl}/dataflow`, {
       headers: {
         'Accept': 'application/json',
         'Accept-Language': 'en',
       },
-      signal: AbortSignal.timeout(60000),
-    });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${await response.text()}`);
-    }
-    
-    const dataflowsResponse = await response.json();
+      signal: options.signal,
+      timeout: config.dataTimeout * 1000,
+    }).json(), { signal: options.signal });
     
     // Extract dataflow URNs from references
     const references = dataflowsResponse?.references || {};
-    const dataflowUrns = Object.keys(references);
+    const dataflows = [];
     
-    // Find the matching dataflow for our dataset
-    let matchingUrn = null;
-    for (const urn of dataflowUrns) {
+    for (const urn of Object.keys(references)) {
       // URN format: urn:sdmx:org.sdmx.infomodel.datastructure.Dataflow=AGENCY:DATAFLOW_ID(VERSION)
       const match = urn.match(/Dataflow=([^:]+):([^(]+)\(([^)]+)\)/);
-      if (match && match[2] === numberBfs) {
-        matchingUrn = {
+      if (match) {
+        dataflows.push({
           agencyId: match[1],
           dataflowId: match[2],
           version: match[3],
-        };
-        break;
+        });
       }
     }
     
-    if (!matchingUrn) {
-      throw new Error(`Dataset ${numberBfs} not found in SSE API`);
+    logger.debug({ dataflowCount: dataflows.length, baseUrl }, 'Successfully listed SSE dataflows');
+    return dataflows;
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to list SSE dataflows');
+    throw toBfsError(error, 'Failed to list SSE dataflows');
+  }
+}
+
+/**
+ * Compare two dataflow versions numerically, segment by segment ("1.10" > "1.9").
+ * 
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a is older than b, positive if newer, 0 if equal
+ */
+function compareVersions(a, b) {
+  const partsA = a.split('.');
+  const partsB = b.split('.');
+  
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (parseInt(partsA[i], 10) || 0) - (parseInt(partsB[i], 10) || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return a.localeCompare(b);
+}
+
+/**
+ * Get the dataflow index, building it if there is none, it has expired, or the
+ * base URL has changed. Concurrent callers share one build. If a rebuild fails,
+ * the expired index is used until the next lookup (except when refreshing).
+ * 
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the dataflow list request
+ * @param {boolean} [options.refresh=false] - Rebuild the index even if it has not expired
+ * @returns {Promise<Object>} Dataflow index
+ * @throws {Error} If the dataflow list cannot be fetched and there is no usable index
+ */
+async function getDataflowIndex(options = {}) {
+  const baseUrl = config.sseBaseUrl;
+  const usable = dataflowIndex?.baseUrl === baseUrl;
+  
+  if (usable && !options.refresh && dataflowIndex.expiresAt > Date.now()) {
+    return dataflowIndex;
+  }
+  
+  if (!dataflowIndexLoading) {
+    dataflowIndexLoading = fetchDataflows(baseUrl, options)
+      .then(dataflows => {
+        const byId = new Map();
+        for (const dataflow of dataflows) {
+          const key = dataflow.dataflowId.toUpperCase();
+          byId.set(key, [...(byId.get(key) || []), dataflow]);
+        }
+        for (const versions of byId.values()) {
+          versions.sort((a, b) => compareVersions(b.version, a.version));
+        }
+        
+        const loadedAt = Date.now();
+        dataflowIndex = {
+          baseUrl,
+          dataflows,
+          byId,
+          loadedAt,
+          expiresAt: loadedAt + config.sseDataflowTTL * 1000,
+        };
+        return dataflowIndex;
+      })
+      .finally(() => {
+        dataflowIndexLoading = null;
+      });
+  }
+  
+  try {
+    return await dataflowIndexLoading;
+  } catch (error) {
+    if (usable && !options.refresh) {
+      logger.warn({ error: error.message, baseUrl }, 'Failed to refresh SSE dataflow index, using expired index');
+      return dataflowIndex;
     }
+    throw error;
+  }
+}
+
+/**
+ * List all dataflows available in the SSE API.
+ * 
+ * Served from the dataflow index, which is fetched from the configured base URL
+ * and refreshed after `BFS_SSE_DATAFLOW_TTL` seconds.
+ * 
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request
+ * @param {boolean} [options.refresh=false] - Refetch the dataflow list even if the index has not expired
+ * @returns {Promise<Array<{agencyId: string, dataflowId: string, version: string}>>} Available dataflows
+ * @throws {Error} If the API request fails
+ * 
+ * @example
+ * const dataflows = await listDataflows();
+ * // Returns: [{ agencyId: 'BFS', dataflowId: 'DF_LWZ_1', version: '1.0' }, ...]
+ */
+export async function listDataflows(options = {}) {
+  return (await getDataflowIndex(options)).dataflows;
+}
+
+/**
+ * Find a dataflow in the dataflow index.
+ * 
+ * The dataflow ID is matched case-insensitively. A reference may name the agency
+ * and version in SDMX notation (`AGENCY:DATAFLOW_ID(VERSION)`); without a
+ * version, the newest version is returned.
+ * 
+ * @param {string} reference - Dataflow ID or SDMX reference (e.g., "DF_LWZ_1", "df_lwz_1", "BFS:DF_LWZ_1(1.0)")
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the dataflow list request
+ * @returns {Promise<{agencyId: string, dataflowId: string, version: string}>} Matching dataflow
+ * @throws {InvalidQueryError} If the reference is malformed
+ * @throws {NotFoundError} If the dataflow or the requested version does not exist
+ * 
+ * @example
+ * await findDataflow('df_lwz_1');
+ * // Returns: { agencyId: 'BFS', dataflowId: 'DF_LWZ_1', version: '1.0' }
+ */
+export async function findDataflow(reference, options = {}) {
+  const match = formatBfsNumber(reference).match(/^(?:([^:]+):)?([^(]+?)(?:\(([^)]+)\))?$/);
+  if (!match) {
+    throw new InvalidQueryError(`Invalid dataflow reference: ${reference}`, {
+      hint: 'Use a dataflow ID such as DF_LWZ_1, optionally with agency and version: BFS:DF_LWZ_1(1.0).',
+    });
+  }
+  const [, agencyId, dataflowId, version] = match;
+  
+  const index = await getDataflowIndex(options);
+  const candidates = (index.byId.get(dataflowId.toUpperCase()) || [])
+    .filter(dataflow => !agencyId || dataflow.agencyId.toUpperCase() === agencyId.toUpperCase());
+  
+  if (candidates.length === 0) {
+    throw new NotFoundError(`Dataset ${dataflowId} not found in SSE API`, {
+      hint: 'The Swiss Stats Explorer has no dataflow with this ID; search_datasets finds datasets and their identifiers.',
+    });
+  }
+  if (!version) {
+    return candidates[0];
+  }
+  
+  const versioned = candidates.find(dataflow => dataflow.version === version);
+  if (!versioned) {
+    const versions = candidates.map(dataflow => dataflow.version);
+    throw new NotFoundError(`Version ${version} of dataset ${dataflowId} not found in SSE API (available: ${versions.join(', ')})`, {
+      hint: `Use one of the versions ${versions.join(', ')}, or leave out the version for the newest.`,
+      details: { versions },
+    });
+  }
+  return versioned;
+}
+
+/**
+ * Get the full SSE URL for a dataset by looking up its dataflow.
+ * 
+ * This internal function resolves the dataflow in the dataflow index (see
+ * {@link findDataflow}) and builds the metadata or data URL on the configured base URL.
+ * 
+ * @param {string} numberBfs - BFS dataset identifier (e.g., "DF_LWZ_1")
+ * @param {boolean} [metadata=false] - Whether to get metadata URL instead of data URL
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the dataflow lookup
+ * @returns {Promise<string>} Full SSE URL with agency, dataflow, and version
+ * @throws {Error} If the dataset is not found or the API request fails
+ * 
+ * @example
+ * // Get data URL for a dataset
+ * const dataUrl = await getSseUrl('DF_LWZ_1', false);
+ * // Returns: 'https://disseminate.stats.swiss/rest/data/BFS,DF_LWZ_1,1.0/'
+ * 
+ * @example
+ * // Get metadata URL for a dataset
+ * const metadataUrl = await getSseUrl('DF_LWZ_1', true);
+ * // Returns: 'https://disseminate.stats.swiss/rest/dataflow/BFS/DF_LWZ_1/1.0?references=all'
+ */
+async function getSseUrl(numberBfs, metadata = false, options = {}) {
+  const baseUrl = config.sseBaseUrl;
+  
+  try {
+    const { agencyId, dataflowId, version } = await findDataflow(numberBfs, { signal: options.signal });
     
     // Build the URL
     let url;
     if (metadata) {
       // Metadata URL format: /dataflow/agency/dataflow/version?references=all
-      url = `${baseUrl}/dataflow/${matchingUrn.agencyId}/${matchingUrn.dataflowId}/${matchingUrn.version}?references=all`;
+      url = `${baseUrl}/dataflow/${agencyId}/${dataflowId}/${version}?references=all`;
     } else {
       // Data URL format: /data/agency,dataflow,version/
-      url = `${baseUrl}/data/${matchingUrn.agencyId},${matchingUrn.dataflowId},${matchingUrn.version}/`;
+      url = `${baseUrl}/data/${agencyId},${dataflowId},${version}/`;
     }
     
-    // Cache the result
-    dataflowUrlCache.set(cacheKey, url);
-    
     logger.debug({ numberBfs, metadata, url }, 'Resolved SSE URL');
     return url;
   } catch (error) {
     logger.error({ error: error.message, numberBfs }, 'Failed to resolve SSE URL');
-    throw new Error(`Failed to resolve SSE URL for ${numberBfs}: ${error.message}`);
+    throw toBfsError(error, `Failed to resolve SSE URL for ${numberBfs}`);
   }
 }
 
@@ -131,21 +336,26 @@ async function getSseUrl(numberBfs, metadata = false) {
  * Retrieves comprehensive metadata about a dataset from the Swiss Stats Explorer API,
  * including all available dimensions, their codes, and possible values. The metadata
  * is extracted from SDMX XML structures and converted to a simplified JSON format.
+ * The SDMX structure responses are cached (endpoint 'sse-metadata').
  * 
  * The returned metadata includes:
  * - Dimension codes and their positions
  * - Codelist references and values
  * - Localized labels in the requested language
  * 
- * @param {string} numberBfs - BFS dataset identifier (e.g., "DF_LWZ_1")
+ * @param {string} numberBfs - Dataflow ID, case-insensitive (e.g., "DF_LWZ_1"), or SDMX reference with version (e.g., "BFS:DF_LWZ_1(1.0)")
  * @param {string} [language='de'] - Language code (de, fr, it, en)
+ * @param {Object} [options={}] - Request options
+ * @param {AbortSignal} [options.signal] - Signal that cancels the dataflow lookup and the structure request
+ * @param {Function} [options.onLastChanged] - Called with the last change reported by the upstream (ISO 8601) when known
  * @returns {Promise<Array<Object>>} Array of dimension metadata objects, each containing:
  *   - code: Dimension code
  *   - text: Dimension label
  *   - value: Dimension value code
  *   - valueText: Dimension value label
  *   - position_dimension: Position in the dimension list
- * @throws {Error} If the dataset is not found or the API request fails
+ * @throws {NotFoundError} If the dataset is not found
+ * @throws {BfsError} If the API request fails (see {@link module:utils/errors})
  * 
  * @example
  * // Get metadata for vacant dwellings dataset in English
@@ -162,30 +372,37 @@ async function getSseUrl(numberBfs, metadata = false) {
  * //   ...
  * // ]
  */
-export async function getSseMetadata(numberBfs, language = 'de') {
+export async function getSseMetadata(numberBfs, language = 'de', options = {}) {
   const lang = validateLanguage(language);
   const bfsNum = formatBfsNumber(numberBfs);
   
-  const metadataUrl = await getSseUrl(bfsNum, true);
+  const metadataUrl = await getSseUrl(bfsNum, true, options);
   
   logger.debug({ metadataUrl, numberBfs: bfsNum, language: lang }, 'Fetching SSE metadata');
   
   try {
-    const response = await fetch(metadataUrl, {
-      headers: {
-        'Accept': 'application/xml',
-        'Accept-Language': lang,
-      },
-      signal: AbortSignal.timeout(30000),
+    const xmlResponse = await responseCache.wrap('sse-metadata', { url: metadataUrl, language: lang }, (headers) => circuitBreakers.sse.run(async () => {
+      const response = await http.get(metadataUrl, {
+        headers: {
+          ...headers,
+          'Accept': 'application/xml',
+          'Accept-Language': lang,
+        },
+        signal: options.signal,
+        throwHttpErrors: status => status !== 304,
+      });
+      
+      if (response.status === 304) {
+        return NOT_MODIFIED;
+      }
+      
+      return withValidators(await response.text(), response.headers);
+    }, { signal: options.signal }), {
+      signal: options.signal,
+      onValidators: validators => options.onLastChanged?.(lastChanged(validators)),
     });
     
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${await response.text()}`);
-    }
-    
-    const xmlResponse = await response.text();
-    
-    const parsed = await parseStringPromise(xmlResponse);
+    const parsed = await parseSdmx(xmlResponse);
     
     // Extract dimensions from SDMX structure
     const dimensions = [];
@@ -268,7 +485,7 @@ export async function getSseMetadata(numberBfs, language = 'de') {
     return dimensions;
   } catch (error) {
     logger.error({ error: error.message, numberBfs: bfsNum }, 'Failed to fetch SSE metadata');
-    throw new Error(`Failed to fetch SSE metadata for ${bfsNum}: ${error.message}`);
+    throw toBfsError(error, `Failed to fetch SSE metadata for ${bfsNum}`);
   }
 }
 
@@ -277,20 +494,32 @@ export async function getSseMetadata(numberBfs, language = 'de') {
  * 
  * Retrieves time-series data from the Swiss Stats Explorer API with optional filtering
  * by dimensions and time periods. The data is extracted from SDMX Generic XML format
- * and converted to simplified JSON observations.
+ * and converted to simplified JSON observations. The SDMX data responses are cached
+ * (endpoint 'sse-data').
  * 
  * Query filters are applied by dimension code, and values can be single strings or arrays.
+ * Dimensions and values may also be given by their labels in the requested language; they are
+ * resolved with the structure (see {@link module:utils/labels}).
  * The function automatically resolves dimension positions and constructs the appropriate
  * SDMX query URL. Time periods can be specified to limit the temporal scope of the data.
  * 
- * @param {string} numberBfs - BFS dataset identifier (e.g., "DF_LWZ_1")
+ * @param {string} numberBfs - Dataflow ID, case-insensitive (e.g., "DF_LWZ_1"), or SDMX reference with version (e.g., "BFS:DF_LWZ_1(1.0)")
  * @param {string} [language='de'] - Language code (de, fr, it, en)
  * @param {Object<string, string|string[]>|null} [query=null] - Query object with dimension filters.
- *   Keys are dimension codes, values are dimension value codes (string or array of strings).
+ *   Keys are dimension codes, values are dimension value codes (string or array of strings); labels work as well.
  * @param {string} [startPeriod] - Start period for time-series data (e.g., "2020")
  * @param {string} [endPeriod] - End period for time-series data (e.g., "2023")
+ * @param {Object} [options={}] - Request options
+ * @param {Function} [options.onProgress] - Called at the start of each phase ('resolving', 'metadata',
+ *   'downloading', 'parsing') with `{ phase, message, ...details }`; details include `bytes` where known
+ * @param {AbortSignal} [options.signal] - Signal that cancels all upstream requests, including their wait for the rate limiter
+ * @param {Array<Object>} [options.metadata] - Metadata of the dataset from getSseMetadata(), reused instead of
+ *   fetching it
+ * @param {Function} [options.onLastChanged] - Called with the last change reported by the upstream (ISO 8601) when known
  * @returns {Promise<Array<Object>>} Array of observation objects with dimension values and data
- * @throws {Error} If the dataset is not found, no records match the query, or the API request fails
+ * @throws {NotFoundError} If the dataset is not found or no records match the query
+ * @throws {InvalidQueryError} If the query has dimensions or values the dataset does not have, or ambiguous labels
+ * @throws {BfsError} If the API request fails (see {@link module:utils/errors})
  * 
  * @example
  * // Get all data for a dataset
@@ -304,6 +533,10 @@ export async function getSseMetadata(numberBfs, language = 'de') {
  * });
  * 
  * @example
+ * // Filter by labels
+ * const data = await getSseData('DF_LWZ_1', 'en', { GR_KT_GDE: ['Zürich', 'Basel'] });
+ * 
+ * @example
  * // Get data for a specific time period
  * const data = await getSseData('DF_LWZ_1', 'en', null, '2020', '2023');
  * // Returns observations from 2020 to 2023
@@ -315,19 +548,34 @@ export async function getSseMetadata(numberBfs, language = 'de') {
  * }, '2022', '2023');
  * // Returns: [{ GR_KT_GDE: 'Zürich', TIME_PERIOD: '2022', value: 1234 }, ...]
  */
-export async function getSseData(numberBfs, language = 'de', query = null, startPeriod = null, endPeriod = null) {
+export async function getSseData(numberBfs, language = 'de', query = null, startPeriod = null, endPeriod = null, options = {}) {
   const lang = validateLanguage(language);
   const bfsNum = formatBfsNumber(numberBfs);
+  const onProgress = options.onProgress || (() => {});
   
-  // Apply delay if configured
-  if (config.requestDelay > 0) {
-    await sleep(config.requestDelay * 1000);
-  }
+  onProgress({ phase: 'resolving', message: `Resolving dataflow ${bfsNum}` });
+  const dataUrl = await getSseUrl(bfsNum, false, { signal: options.signal });
   
-  const dataUrl = await getSseUrl(bfsNum, false);
+  // Get metadata to understand dimension structure, unless the caller already has it
+  let metadata = options.metadata;
+  if (!metadata) {
+    onProgress({ phase: 'metadata', message: `Fetching structure for ${bfsNum}` });
+    metadata = await getSseMetadata(bfsNum, lang, { signal: options.signal });
+  }
   
-  // Get metadata to understand dimension structure
-  const metadata = await getSseMetadata(bfsNum, lang);
+  // Dimensions and values may be given by their labels
+  if (query) {
+    const dimensions = groupSseDimensions(metadata).map(({ code, text, values }) => ({
+      code,
+      text,
+      values: values.map(({ value, valueText }) => ({ code: value, label: valueText })),
+    }));
+    try {
+      query = resolveLabels(dimensions, query);
+    } catch (error) {
+      throw toBfsError(error, `Invalid query for ${bfsNum}`);
+    }
+  }
   
   // Build URL query part
   let urlQuery = 'all';
@@ -362,21 +610,34 @@ export async function getSseData(numberBfs, language = 'de', query = null, start
   logger.debug({ url, numberBfs: bfsNum, language: lang }, 'Fetching SSE data');
   
   try {
-    const response = await fetch(url, {
-      headers: {
-        'Accept': 'application/xml',
-        'Accept-Language': lang,
-      },
-      signal: AbortSignal.timeout(60000),
+    const xmlResponse = await responseCache.wrap('sse-data', { url, language: lang }, (headers) => circuitBreakers.sse.run(async () => {
+      onProgress({ phase: 'downloading', message: `Downloading observations for ${bfsNum}` });
+      
+      const response = await http.get(url, {
+        headers: {
+          ...headers,
+          'Accept': 'application/xml',
+          'Accept-Language': lang,
+        },
+        signal: options.signal,
+        throwHttpErrors: status => status !== 304,
+        timeout: config.dataTimeout * 1000,
+      });
+      
+      if (response.status === 304) {
+        return NOT_MODIFIED;
+      }
+      
+      return withValidators(await response.text(), response.headers);
+    }, { signal: options.signal }), {
+      signal: options.signal,
+      onValidators: validators => options.onLastChanged?.(lastChanged(validators)),
     });
     
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${await response.text()}`);
-    }
-    
-    const xmlResponse = await response.text();
+    const bytes = Buffer.byteLength(xmlResponse);
+    onProgress({ phase: 'parsing', message: `Parsing ${bytes} bytes of SDMX data`, bytes });
     
-    const parsed = await parseStringPromise(xmlResponse);
+    const parsed = await parseSdmx(xmlResponse);
     
     // Extract observations from SDMX Generic format
     const observations = [];
@@ -393,16 +654,19 @@ export async function getSseData(numberBfs, language = 'de', query = null, start
           const obsKeys = observation?.['generic:ObsKey']?.[0]?.['generic:Value'] || [];
           for (const key of obsKeys) {
             const dimId = key.$?.id;
-            const dimValue = key.$?.value;
+            const dimValue = key.$?.value ?? '';
+            if (!dimId) {
+              continue;
+            }
             
             // Find matching metadata for readable labels
             const metaMatch = metadata.find(m => m.code === dimId && m.value === dimValue);
             obsData[dimId] = metaMatch?.valueText || dimValue;
           }
           
-          // Extract observation value
-          const obsValue = observation?.['generic:ObsValue']?.[0]?.$?.value;
-          obsData.value = obsValue ? parseFloat(obsValue) : null;
+          // Extract observation value; missing observations may be marked "NaN"
+          const obsValue = parseFloat(observation?.['generic:ObsValue']?.[0]?.$?.value);
+          obsData.value = Number.isFinite(obsValue) ? obsValue : null;
           
           observations.push(obsData);
         }
@@ -414,10 +678,14 @@ export async function getSseData(numberBfs, language = 'de', query = null, start
   } catch (error) {
     logger.error({ error: error.message, numberBfs: bfsNum }, 'Failed to fetch SSE data');
     
-    if (error.message.includes('NoRecordsFound')) {
-      throw new Error('No records found for the specified query');
+    if (error.status === 404 && error.body?.includes('NoRecordsFound')) {
+      throw new NotFoundError('No records found for the specified query', {
+        hint: 'The dataset has no observations for these filters and period; check them with get_sse_metadata.',
+        status: 404,
+        cause: error,
+      });
     }
     
-    throw new Error(`Failed to fetch SSE data for ${bfsNum}: ${error.message}`);
+    throw toBfsError(error, `Failed to fetch SSE data for ${bfsNum}`);
   }
 }
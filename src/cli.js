@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview bfs command-line interface - entry point.
+ * Exposes the BFS API clients as shell commands, without an MCP client.
+ *
+ *     bfs search population --lang de
+ *     bfs data px-x-0102010000_102 -q Jahr=2023 -q Kanton=ZH,BE -o csv
+ *
+ * @module cli
+ * @see {@link module:cli/commands} for the available commands
+ */
+
+import { runCli } from './cli/commands.js';
+
+runCli(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
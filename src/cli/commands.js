@@ -0,0 +1,377 @@
+/**
+ * @fileoverview Commands of the bfs command-line interface.
+ * Calls the BFS API clients directly, without an MCP client, so that analysts can
+ * script data pulls in shell pipelines and reproduce what an agent did.
+ *
+ * Commands:
+ * - search [query] - Search the DAM catalog
+ * - themes - List statistical themes
+ * - info <numberBfs> - Show catalog information for a dataset
+ * - browse [path] - List PXWEB folders and tables
+ * - meta <numberBfs> - Show PXWEB dimensions (or the values of one dimension)
+ * - data <numberBfs> - Retrieve PXWEB data
+ * - estimate <numberBfs> - Estimate the size of a PXWEB data query
+ * - sse-meta <dataflowId> - Show SSE dimensions and values
+ * - sse-data <dataflowId> - Retrieve SSE observations
+ *
+ * @module cli/commands
+ * @see {@link module:cli/output} for output formatting
+ */
+
+import { parseArgs } from 'node:util';
+import { validateConfig } from '../config.js';
+import { searchCatalog, getAssetMetadata, getThemes } from '../api/dam-client.js';
+import { getMetadata, getData, estimateQuery, browsePxweb } from '../api/pxweb-client.js';
+import { getSseMetadata, getSseData } from '../api/sse-client.js';
+import { logger } from '../utils/logger.js';
+import { formatDatasetSummary, formatAssetInfo, formatErrorMessage } from '../utils/formatting.js';
+import { formatOutput, OUTPUT_FORMATS } from './output.js';
+
+/**
+ * Options accepted by every command.
+ * @type {Object}
+ * @constant
+ */
+const GLOBAL_OPTIONS = {
+  lang: { type: 'string', short: 'l', default: 'en' },
+  output: { type: 'string', short: 'o', default: 'table' },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Parse repeated `--query` values into a query object.
+ * Each value is either a JSON object or a `DIMENSION=value1,value2` pair. JSON
+ * objects may select a dimension with a PXWEB selection spec (`{ filter, values }`).
+ *
+ * @param {string[]} [values=[]] - Raw query option values
+ * @returns {Object<string, string[]|Object>|null} Query object, or null if no query was given
+ * @throws {Error} If a value is neither valid JSON nor a DIMENSION=values pair
+ * @example
+ * parseQuery(['Jahr=40,41', 'Kanton=ZH']); // { Jahr: ['40', '41'], Kanton: ['ZH'] }
+ * parseQuery(['{"Jahr": ["40"]}']);        // { Jahr: ['40'] }
+ * parseQuery(['{"Jahr": {"filter": "top", "values": ["5"]}}']); // { Jahr: { filter: 'top', values: ['5'] } }
+ */
+export function parseQuery(values = []) {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const query = {};
+
+  for (const value of values) {
+    if (value.trim().startsWith('{')) {
+      for (const [code, selection] of Object.entries(JSON.parse(value))) {
+        if (Array.isArray(selection)) {
+          query[code] = selection.map(String);
+        } else {
+          query[code] = selection !== null && typeof selection === 'object' ? selection : [String(selection)];
+        }
+      }
+      continue;
+    }
+
+    const separator = value.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid query: ${value}. Use DIMENSION=value1,value2 or a JSON object`);
+    }
+
+    query[value.slice(0, separator)] = value.slice(separator + 1).split(',');
+  }
+
+  return query;
+}
+
+/**
+ * Convert a PXWEB `json` format response into flat rows.
+ * Dimension columns are taken from each entry's key, content columns from its values.
+ *
+ * @param {Object} response - PXWEB response with `columns` and `data`
+ * @returns {Array<Object>} One row per data entry, keyed by column code
+ */
+export function pxwebJsonToRows(response) {
+  const columns = response.columns || [];
+  const keyColumns = columns.filter(column => column.type !== 'c');
+  const valueColumns = columns.filter(column => column.type === 'c');
+
+  return (response.data || []).map(entry => {
+    const row = {};
+    keyColumns.forEach((column, index) => {
+      row[column.code] = entry.key?.[index];
+    });
+    valueColumns.forEach((column, index) => {
+      row[column.code] = entry.values?.[index];
+    });
+    return row;
+  });
+}
+
+/**
+ * Available commands. Each command declares its usage line, extra options and a
+ * `run` function returning `{ rows, data }`: rows are rendered as table or CSV,
+ * data (default: rows) is printed as JSON.
+ * @type {Object<string, Object>}
+ * @constant
+ */
+const COMMANDS = {
+  search: {
+    usage: 'search [query] [--theme <prodima>] [--spatial-division <level>] [--from <year>] [--to <year>] [--limit <n>]',
+    description: 'Search the BFS catalog',
+    options: {
+      theme: { type: 'string' },
+      'spatial-division': { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      limit: { type: 'string', default: '50' },
+    },
+    run: async ([query], values) => {
+      const results = await searchCatalog({
+        language: values.lang,
+        extendedSearch: query,
+        prodima: values.theme ? parseInt(values.theme, 10) : undefined,
+        spatialDivision: values['spatial-division'],
+        publishingYearStart: values.from,
+        publishingYearEnd: values.to,
+        limit: parseInt(values.limit, 10),
+      });
+
+      return { rows: results.data?.map(item => formatDatasetSummary(item, values.lang)) || [] };
+    },
+  },
+
+  themes: {
+    usage: 'themes',
+    description: 'List statistical themes and their prodima numbers',
+    options: {},
+    run: async () => ({ rows: getThemes() }),
+  },
+
+  info: {
+    usage: 'info <numberBfs> | info --asset <numberAsset>',
+    description: 'Show catalog information for a dataset',
+    options: {
+      asset: { type: 'string' },
+    },
+    run: async ([numberBfs], values) => {
+      let assetNum = values.asset;
+
+      if (!assetNum) {
+        if (!numberBfs) {
+          throw new Error('Either <numberBfs> or --asset must be provided');
+        }
+
+        const searchResults = await searchCatalog({ language: values.lang, orderNr: numberBfs, limit: 1 });
+
+        if (!searchResults.data || searchResults.data.length === 0) {
+          throw new Error(`Dataset not found with BFS number: ${numberBfs}`);
+        }
+
+        assetNum = searchResults.data[0].ids?.damId?.toString();
+      }
+
+      const info = formatAssetInfo(await getAssetMetadata(assetNum, values.lang), values.lang);
+      const rows = Object.entries(info).map(([field, value]) => ({
+        field,
+        value: field === 'links' ? value.map(link => `${link.rel} ${link.href}`) : value,
+      }));
+
+      return { rows, data: info };
+    },
+  },
+
+  browse: {
+    usage: 'browse [path] [--recursive] [--filter <text>]',
+    description: 'List PXWEB folders and tables',
+    options: {
+      recursive: { type: 'boolean', short: 'r' },
+      filter: { type: 'string' },
+    },
+    run: async ([path = ''], values) => {
+      const result = await browsePxweb(path, values.lang, { recursive: values.recursive, filter: values.filter });
+      return { rows: result.nodes, data: result };
+    },
+  },
+
+  meta: {
+    usage: 'meta <numberBfs> [--dimension <code>]',
+    description: 'Show PXWEB dimensions, or all values of one dimension',
+    options: {
+      dimension: { type: 'string', short: 'd' },
+    },
+    run: async ([numberBfs], values) => {
+      const metadata = await getMetadata(numberBfs, values.lang);
+      const variables = metadata.variables || [];
+
+      if (values.dimension) {
+        const variable = variables.find(v => v.code === values.dimension);
+
+        if (!variable) {
+          throw new Error(`Dimension ${values.dimension} not found. Available dimensions: ${variables.map(v => v.code).join(', ')}`);
+        }
+
+        return {
+          rows: (variable.values || []).map((value, index) => ({
+            value,
+            valueText: variable.valueTexts?.[index] ?? value,
+          })),
+        };
+      }
+
+      return {
+        rows: variables.map(variable => ({
+          code: variable.code,
+          text: variable.text,
+          time: variable.time || false,
+          valueCount: variable.values?.length || 0,
+        })),
+      };
+    },
+  },
+
+  data: {
+    usage: 'data <numberBfs> [--query <DIMENSION=v1,v2>]...',
+    description: 'Retrieve PXWEB data (query values are dimension value codes)',
+    options: {
+      query: { type: 'string', short: 'q', multiple: true },
+    },
+    run: async ([numberBfs], values) => {
+      const response = await getData(numberBfs, values.lang, parseQuery(values.query), 'json');
+      return { rows: pxwebJsonToRows(response) };
+    },
+  },
+
+  estimate: {
+    usage: 'estimate <numberBfs> [--query <DIMENSION=v1,v2>]... [--format <format>]',
+    description: 'Estimate the cells, requests and size of a PXWEB data query',
+    options: {
+      query: { type: 'string', short: 'q', multiple: true },
+      format: { type: 'string', short: 'f', default: 'json-stat' },
+    },
+    run: async ([numberBfs], values) => {
+      const estimate = await estimateQuery(numberBfs, values.lang, parseQuery(values.query), values.format);
+      const rows = Object.entries(estimate)
+        .filter(([field]) => field !== 'dimensions')
+        .map(([field, value]) => ({
+          field,
+          value: field === 'limits' ? Object.entries(value).map(([limit, count]) => `${limit} ${count ?? 'unknown'}`) : value,
+        }));
+
+      return { rows, data: estimate };
+    },
+  },
+
+  'sse-meta': {
+    usage: 'sse-meta <dataflowId>',
+    description: 'Show SSE dimensions and their values',
+    options: {},
+    run: async ([dataflowId], values) => ({
+      rows: await getSseMetadata(dataflowId, values.lang),
+    }),
+  },
+
+  'sse-data': {
+    usage: 'sse-data <dataflowId> [--query <DIMENSION=v1,v2>]... [--start <period>] [--end <period>]',
+    description: 'Retrieve SSE observations',
+    options: {
+      query: { type: 'string', short: 'q', multiple: true },
+      start: { type: 'string' },
+      end: { type: 'string' },
+    },
+    run: async ([dataflowId], values) => ({
+      rows: await getSseData(dataflowId, values.lang, parseQuery(values.query), values.start, values.end),
+    }),
+  },
+};
+
+/**
+ * Build the usage text for the CLI or a single command.
+ *
+ * @param {string} [commandName] - Command to describe (default: all commands)
+ * @returns {string} Usage text
+ */
+export function usage(commandName) {
+  const globalHelp = [
+    'Options:',
+    '  -l, --lang <de|fr|it|en>        Language for results (default: en)',
+    '  -o, --output <table|json|csv>   Output format (default: table)',
+    '  -v, --verbose                   Log requests to stderr',
+    '  -h, --help                      Show help',
+  ];
+
+  if (commandName && COMMANDS[commandName]) {
+    const command = COMMANDS[commandName];
+    return [`Usage: bfs ${command.usage}`, '', command.description, '', ...globalHelp].join('\n');
+  }
+
+  return [
+    'Usage: bfs <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(10)} ${command.description}`),
+    '',
+    ...globalHelp,
+    '',
+    'Run "bfs <command> --help" for command options.',
+  ].join('\n');
+}
+
+/**
+ * Run the CLI with the given arguments.
+ *
+ * @async
+ * @param {string[]} argv - Command-line arguments (without node and script path)
+ * @param {Object} [io] - Output streams
+ * @param {{write: Function}} [io.stdout=process.stdout] - Stream for results
+ * @param {{write: Function}} [io.stderr=process.stderr] - Stream for usage and errors
+ * @returns {Promise<number>} Process exit code (0 on success, 1 on error)
+ *
+ * @example
+ * const exitCode = await runCli(['search', 'population', '--lang', 'de', '-o', 'csv']);
+ */
+export async function runCli(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  const [commandName, ...rest] = argv;
+
+  if (!commandName || commandName === '--help' || commandName === '-h') {
+    (commandName ? stdout : stderr).write(`${usage()}\n`);
+    return commandName ? 0 : 1;
+  }
+
+  const command = COMMANDS[commandName];
+
+  if (!command) {
+    stderr.write(`Unknown command: ${commandName}\n\n${usage()}\n`);
+    return 1;
+  }
+
+  try {
+    const { values, positionals } = parseArgs({
+      args: rest,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true,
+    });
+
+    if (values.help) {
+      stdout.write(`${usage(commandName)}\n`);
+      return 0;
+    }
+
+    if (!OUTPUT_FORMATS.includes(values.output)) {
+      throw new Error(`Invalid output format: ${values.output}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    logger.level = values.verbose ? 'debug' : 'silent';
+    validateConfig();
+
+    const { rows, data = rows } = await command.run(positionals, values);
+    const output = values.output === 'json' ? JSON.stringify(data, null, 2) : formatOutput(rows, values.output);
+
+    if (output) {
+      stdout.write(`${output}\n`);
+    }
+
+    return 0;
+  } catch (error) {
+    stderr.write(`Error: ${formatErrorMessage(error)}\n`);
+    return 1;
+  }
+}
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Output formatting for the bfs command-line interface.
+ * Renders arrays of flat row objects as aligned text tables, CSV or JSON so that
+ * command results can be read in a terminal or piped into other tools.
+ * @module cli/output
+ */
+
+/**
+ * Supported output formats.
+ * @type {string[]}
+ * @constant
+ */
+export const OUTPUT_FORMATS = ['table', 'json', 'csv'];
+
+/**
+ * Collect the column names of a list of rows in order of first appearance.
+ *
+ * @param {Array<Object>} rows - Row objects
+ * @returns {string[]} Column names
+ * @example
+ * getColumns([{ a: 1 }, { a: 2, b: 3 }]); // ['a', 'b']
+ */
+export function getColumns(rows) {
+  const columns = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      columns.add(key);
+    }
+  }
+  return [...columns];
+}
+
+/**
+ * Convert a cell value to its display string.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} Display string (empty for null and undefined)
+ */
+function cellText(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.join(', ');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Render rows as an aligned plain-text table with a header line.
+ *
+ * @param {Array<Object>} rows - Row objects
+ * @param {string[]} [columns] - Columns to render (default: all columns)
+ * @returns {string} Table text (empty string when there are no rows)
+ * @example
+ * formatTable([{ code: '01', name: 'Population' }]);
+ * // 'code  name\n----  ----------\n01    Population'
+ */
+export function formatTable(rows, columns = getColumns(rows)) {
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const cells = rows.map(row => columns.map(column => cellText(row[column])));
+  const widths = columns.map((column, index) => Math.max(
+    column.length,
+    ...cells.map(line => line[index].length)
+  ));
+
+  const renderLine = line => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+
+  return [
+    renderLine(columns),
+    renderLine(widths.map(width => '-'.repeat(width))),
+    ...cells.map(renderLine),
+  ].join('\n');
+}
+
+/**
+ * Escape a value for CSV output (RFC 4180).
+ *
+ * @param {string} text - Cell text
+ * @returns {string} Escaped cell
+ */
+function csvCell(text) {
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV with a header line.
+ *
+ * @param {Array<Object>} rows - Row objects
+ * @param {string[]} [columns] - Columns to render (default: all columns)
+ * @returns {string} CSV text
+ * @example
+ * formatCsv([{ code: '01', name: 'Population, total' }]);
+ * // 'code,name\n01,"Population, total"'
+ */
+export function formatCsv(rows, columns = getColumns(rows)) {
+  return [
+    columns.map(csvCell).join(','),
+    ...rows.map(row => columns.map(column => csvCell(cellText(row[column]))).join(',')),
+  ].join('\n');
+}
+
+/**
+ * Render rows in the requested output format.
+ *
+ * @param {Array<Object>} rows - Row objects
+ * @param {string} format - Output format (table, json, csv)
+ * @returns {string} Rendered output
+ * @throws {Error} If the format is not supported
+ */
+export function formatOutput(rows, format) {
+  switch (format) {
+    case 'table':
+      return formatTable(rows);
+    case 'json':
+      return JSON.stringify(rows, null, 2);
+    case 'csv':
+      return formatCsv(rows);
+    default:
+      throw new Error(`Invalid output format: ${format}. Must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+  }
+}
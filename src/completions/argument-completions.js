@@ -0,0 +1,310 @@
+/**
+ * @fileoverview Argument completion callbacks for BFS MCP server.
+ *
+ * This module provides completion callbacks for the MCP completion capability.
+ * They are attached to prompt arguments (via `completable()`) and resource template
+ * variables so that clients can suggest valid values while the user types:
+ * - BFS numbers from the DAM catalog (title or BFS number prefix)
+ * - SSE dataflow IDs from the dataflow list
+ * - PXWEB dimension codes and values from the dataset metadata
+ * - Languages and theme prodima numbers/codes from static lists
+ *
+ * Completion callbacks never throw: upstream failures yield no suggestions.
+ *
+ * @module completions/argument-completions
+ * @see {@link https://modelcontextprotocol.io/specification/2025-06-18/server/utilities/completion|MCP Completion}
+ */
+
+import { searchCatalog, getThemes } from '../api/dam-client.js';
+import { getMetadata as getPxwebMetadata } from '../api/pxweb-client.js';
+import { listDataflows } from '../api/sse-client.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Maximum number of suggestions returned per completion request.
+ * The MCP specification caps completion results at 100 values.
+ * @type {number}
+ * @constant
+ */
+const MAX_COMPLETIONS = 100;
+
+/**
+ * Minimum input length before the DAM catalog is searched.
+ * @type {number}
+ * @constant
+ */
+const MIN_SEARCH_LENGTH = 2;
+
+/**
+ * Seconds for which the BFS numbers found for a prefix are reused.
+ * @type {number}
+ * @constant
+ */
+const PREFIX_CACHE_TTL = 600;
+
+/**
+ * Maximum number of searched prefixes whose BFS numbers are kept.
+ * @type {number}
+ * @constant
+ */
+const PREFIX_CACHE_SIZE = 50;
+
+/**
+ * Complete lists of the BFS numbers found for a prefix, keyed by language and lower-case
+ * prefix. Longer input with the same prefix is completed from the list without a search,
+ * so that typing a BFS number costs one catalog search instead of one per keystroke.
+ * @type {Map<string, {numbers: string[], expiresAt: number}>}
+ */
+const prefixCache = new Map();
+
+/**
+ * Supported language codes.
+ * @type {string[]}
+ * @constant
+ */
+const LANGUAGES = ['de', 'fr', 'it', 'en'];
+
+/**
+ * Filter candidates by case-insensitive prefix, remove duplicates and cap the result.
+ *
+ * @param {string[]} candidates - Candidate values
+ * @param {string} value - Partial input typed by the user
+ * @returns {string[]} Matching values
+ */
+function filterByPrefix(candidates, value) {
+  const prefix = (value || '').toLowerCase();
+  const matches = candidates.filter(candidate => candidate.toLowerCase().startsWith(prefix));
+  return [...new Set(matches)].slice(0, MAX_COMPLETIONS);
+}
+
+/**
+ * Resolve the language from already-filled arguments.
+ *
+ * @param {Object} [context] - Completion context with already-resolved arguments
+ * @returns {string} Language code (default: 'en')
+ */
+function contextLanguage(context) {
+  const language = context?.arguments?.language || context?.arguments?.lang;
+  return LANGUAGES.includes(language) ? language : 'en';
+}
+
+/**
+ * Complete language codes.
+ *
+ * @param {string} value - Partial input
+ * @returns {string[]} Matching language codes
+ *
+ * @example
+ * completeLanguage('f'); // ['fr']
+ */
+export function completeLanguage(value) {
+  return filterByPrefix(LANGUAGES, value);
+}
+
+/**
+ * Complete theme prodima numbers.
+ *
+ * @param {string} value - Partial input
+ * @returns {string[]} Matching prodima numbers
+ *
+ * @example
+ * completeThemeProdima('90001'); // ['900010']
+ */
+export function completeThemeProdima(value) {
+  return filterByPrefix(getThemes().map(theme => String(theme.prodima)), value);
+}
+
+/**
+ * Complete two-digit theme codes.
+ *
+ * @param {string} value - Partial input
+ * @returns {string[]} Matching theme codes
+ *
+ * @example
+ * completeThemeCode('1'); // ['10', '11', ..., '19']
+ */
+export function completeThemeCode(value) {
+  return filterByPrefix(getThemes().map(theme => theme.code), value);
+}
+
+/**
+ * Find the cached BFS numbers of a prefix of the input.
+ *
+ * @param {string} language - Catalog language
+ * @param {string} input - BFS number prefix typed by the user
+ * @returns {string[]|null} BFS numbers of a shorter or equal prefix, or null if none is cached
+ */
+function cachedNumbers(language, input) {
+  const prefix = input.toLowerCase();
+  for (const [key, entry] of prefixCache) {
+    if (entry.expiresAt <= Date.now()) {
+      prefixCache.delete(key);
+    } else if (key.startsWith(`${language}:`) && prefix.startsWith(key.slice(language.length + 1))) {
+      return entry.numbers;
+    }
+  }
+  return null;
+}
+
+/**
+ * Clear the cached BFS numbers of searched prefixes.
+ *
+ * @returns {void}
+ */
+export function clearNumberBfsCompletions() {
+  prefixCache.clear();
+}
+
+/**
+ * Complete PXWEB BFS numbers from the DAM catalog.
+ *
+ * Inputs that look like a BFS number (e.g., "px-x-01") are searched across all catalog
+ * fields and the BFS numbers of the results matched by prefix (the catalog's `orderNr`
+ * filter only matches whole numbers); anything else is searched in dataset titles.
+ * Both searches return at most `MAX_COMPLETIONS` entries. When a prefix search finds
+ * fewer, the list is complete and longer input is filtered from it without a new search.
+ *
+ * @async
+ * @param {string} value - Partial input (BFS number prefix or title words)
+ * @param {Object} [context] - Completion context; `language` or `lang` selects the catalog language
+ * @returns {Promise<string[]>} Matching BFS numbers
+ *
+ * @example
+ * await completeNumberBfs('px-x-0102', { arguments: { language: 'en' } });
+ * // ['px-x-0102010000_101', 'px-x-0102010000_102', ...]
+ */
+export async function completeNumberBfs(value, context) {
+  const input = (value || '').trim();
+
+  if (input.length < MIN_SEARCH_LENGTH) {
+    return [];
+  }
+
+  const isBfsNumber = /^[a-z]{2}-[a-z]-/i.test(input);
+  const language = contextLanguage(context);
+
+  if (isBfsNumber) {
+    const cached = cachedNumbers(language, input);
+    if (cached) {
+      return filterByPrefix(cached, input);
+    }
+  }
+
+  try {
+    const results = await searchCatalog({
+      language,
+      ...(isBfsNumber ? { extendedSearch: input } : { title: input }),
+      limit: MAX_COMPLETIONS,
+    });
+
+    const items = results.data || [];
+    const numbers = items
+      .map(item => item.shop?.orderNr)
+      .filter(Boolean);
+
+    if (!isBfsNumber) {
+      return [...new Set(numbers)].slice(0, MAX_COMPLETIONS);
+    }
+
+    const matches = filterByPrefix(numbers, input);
+    if (items.length < MAX_COMPLETIONS) {
+      if (prefixCache.size >= PREFIX_CACHE_SIZE) {
+        prefixCache.delete(prefixCache.keys().next().value);
+      }
+      prefixCache.set(`${language}:${input.toLowerCase()}`, { numbers: matches, expiresAt: Date.now() + PREFIX_CACHE_TTL * 1000 });
+    }
+    return matches;
+  } catch (error) {
+    logger.debug({ error: error.message, value: input }, 'BFS number completion failed');
+    return [];
+  }
+}
+
+/**
+ * Complete SSE dataflow IDs.
+ * The dataflow list comes from the SSE client's dataflow index, so completions
+ * don't refetch it on every keystroke.
+ *
+ * @async
+ * @param {string} value - Partial dataflow ID (case-insensitive)
+ * @returns {Promise<string[]>} Matching dataflow IDs
+ *
+ * @example
+ * await completeDataflowId('DF_LWZ'); // ['DF_LWZ_1', 'DF_LWZ_2', ...]
+ */
+export async function completeDataflowId(value) {
+  try {
+    const dataflows = await listDataflows();
+    return filterByPrefix(dataflows.map(dataflow => dataflow.dataflowId), value);
+  } catch (error) {
+    logger.debug({ error: error.message, value }, 'Dataflow ID completion failed');
+    return [];
+  }
+}
+
+/**
+ * Complete PXWEB dimension codes of the dataset chosen in `numberBfs`.
+ *
+ * @async
+ * @param {string} value - Partial dimension code
+ * @param {Object} [context] - Completion context; requires `numberBfs`, optionally `language` or `lang`
+ * @returns {Promise<string[]>} Matching dimension codes, or none if no dataset is chosen yet
+ *
+ * @example
+ * await completeDimensionCode('J', { arguments: { numberBfs: 'px-x-1502040100_131' } });
+ * // ['Jahr']
+ */
+export async function completeDimensionCode(value, context) {
+  const numberBfs = context?.arguments?.numberBfs;
+
+  if (!numberBfs) {
+    return [];
+  }
+
+  try {
+    const metadata = await getPxwebMetadata(numberBfs, contextLanguage(context));
+    return filterByPrefix((metadata.variables || []).map(variable => variable.code), value);
+  } catch (error) {
+    logger.debug({ error: error.message, numberBfs }, 'Dimension code completion failed');
+    return [];
+  }
+}
+
+/**
+ * Create a completion callback for value labels of a PXWEB dimension.
+ *
+ * The dimension is taken from the `dimensionArgument` argument if set, otherwise the
+ * time dimension of the dataset is used. Value labels are suggested because prompt
+ * arguments are read by the model, which then maps labels to codes from the metadata.
+ *
+ * @param {string} [dimensionArgument='dimensionCode'] - Name of the argument holding the dimension code
+ * @returns {Function} Completion callback `(value, context) => Promise<string[]>`
+ *
+ * @example
+ * const completeYear = completeDimensionValue();
+ * await completeYear('20', { arguments: { numberBfs: 'px-x-0102010000_102' } });
+ * // ['2010', '2011', ...]
+ */
+export function completeDimensionValue(dimensionArgument = 'dimensionCode') {
+  return async (value, context) => {
+    const numberBfs = context?.arguments?.numberBfs;
+    const dimensionCode = context?.arguments?.[dimensionArgument];
+
+    if (!numberBfs) {
+      return [];
+    }
+
+    try {
+      const metadata = await getPxwebMetadata(numberBfs, contextLanguage(context));
+      const variables = metadata.variables || [];
+      const variable = dimensionCode
+        ? variables.find(v => v.code === dimensionCode)
+        : variables.find(v => v.time);
+
+      return filterByPrefix(variable?.valueTexts || variable?.values || [], value);
+    } catch (error) {
+      logger.debug({ error: error.message, numberBfs }, 'Dimension value completion failed');
+      return [];
+    }
+  };
+}
@@ -7,10 +7,97 @@
  * @see {@link https://www.bfs.admin.ch/bfs/en/home.html|Swiss Federal Statistical Office}
  */
 
+import { fileURLToPath } from 'node:url';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * Supported cassette modes.
+ * @type {string[]}
+ * @constant
+ */
+export const CASSETTE_MODES = ['off', 'record', 'replay'];
+
+/**
+ * Default cassette directory: the fixtures of the package, wherever it is run from.
+ * @type {string}
+ * @constant
+ */
+const DEFAULT_CASSETTE_DIR = fileURLToPath(new URL('../tests/fixtures/cassettes', import.meta.url));
+
+/**
+ * Parse a comma-separated environment variable into a list.
+ * 
+ * @param {string} [value] - Comma-separated values
+ * @returns {string[]} Trimmed, non-empty values
+ */
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a comma-separated list of `name=seconds` pairs.
+ * 
+ * @param {string} [value] - Pairs such as "pxweb-metadata=86400,dam-search=600"
+ * @returns {Object<string, number>} Seconds by name
+ */
+function parseDurations(value) {
+  const durations = {};
+  for (const item of parseList(value)) {
+    const [name, seconds] = item.split('=').map(part => part.trim());
+    if (name && seconds !== undefined && !Number.isNaN(parseInt(seconds, 10))) {
+      durations[name] = parseInt(seconds, 10);
+    }
+  }
+  return durations;
+}
+
+/**
+ * Parse a comma-separated list of `Name=value` HTTP headers.
+ * 
+ * @param {string} [value] - Headers such as "From=ops@example.org,X-Client=analytics"
+ * @returns {Object<string, string>} Header values by name
+ */
+function parseHeaders(value) {
+  const headers = {};
+  for (const item of parseList(value)) {
+    const separator = item.indexOf('=');
+    if (separator > 0) {
+      headers[item.slice(0, separator).trim()] = item.slice(separator + 1).trim();
+    }
+  }
+  return headers;
+}
+
+/**
+ * Requests per second per upstream host. Without `BFS_RATE_LIMIT`, the
+ * deprecated `BFS_REQUEST_DELAY` (seconds between requests) sets one request
+ * per delay.
+ * 
+ * @returns {number} Requests per second (0 disables the limit)
+ */
+function parseRateLimit() {
+  if (process.env.BFS_RATE_LIMIT) {
+    return parseFloat(process.env.BFS_RATE_LIMIT);
+  }
+  const requestDelay = parseFloat(process.env.BFS_REQUEST_DELAY || '0');
+  return requestDelay > 0 ? 1 / requestDelay : 2;
+}
+
+/**
+ * Requests an idle upstream host may receive at once. The deprecated
+ * `BFS_REQUEST_DELAY` spaces every request, so it allows no burst.
+ * 
+ * @returns {number} Burst size
+ */
+function parseRateBurst() {
+  if (process.env.BFS_RATE_BURST) {
+    return parseInt(process.env.BFS_RATE_BURST, 10);
+  }
+  return !process.env.BFS_RATE_LIMIT && parseFloat(process.env.BFS_REQUEST_DELAY || '0') > 0 ? 1 : 10;
+}
+
 /**
  * Server configuration object containing all environment-based settings.
  * 
@@ -18,10 +105,40 @@ dotenv.config();
  * @property {string} pxwebBaseUrl - Base URL for PXWEB API (default: https://www.pxweb.bfs.admin.ch/api/v1)
  * @property {string} damBaseUrl - Base URL for DAM (Data Asset Management) API (default: https://dam-api.bfs.admin.ch/hub/api)
  * @property {string} sseBaseUrl - Base URL for SSE (Swiss Stats Explorer) API (default: https://disseminate.stats.swiss/rest)
- * @property {number} requestDelay - Delay between requests in seconds (default: 0)
+ * @property {number} sseDataflowTTL - Seconds after which the SSE dataflow index is refreshed (default: 3600)
+ * @property {number} pxwebMaxChunks - Maximum requests a PXWEB query exceeding the cell limit is split into; 0 is unlimited (default: 20)
+ * @property {number} rateLimit - Requests per second per upstream host; 0 disables the limit (default: 2, or 1/BFS_REQUEST_DELAY)
+ * @property {number} rateBurst - Requests an idle upstream host may receive at once (default: 10, or 1 with BFS_REQUEST_DELAY)
+ * @property {number} requestDelay - Deprecated: seconds between requests, used when BFS_RATE_LIMIT is unset (default: 0)
+ * @property {number} maxConcurrentRequests - Upstream requests in flight at a time; 0 is unlimited (default: 4)
  * @property {number} maxRetries - Maximum number of retry attempts for failed requests (default: 3)
- * @property {number} cacheTTL - Cache time-to-live in seconds (default: 3600)
+ * @property {number} requestTimeout - Timeout in seconds of metadata, catalog and configuration requests (default: 30)
+ * @property {number} dataTimeout - Timeout in seconds of data and dataflow list requests (default: 60)
+ * @property {string} userAgent - User-Agent header of upstream requests (default: 'schwaizer-bfs-mcp/<version>')
+ * @property {Object<string, string>} requestHeaders - Additional headers sent with every upstream request (default: {})
+ * @property {number} circuitFailureThreshold - Consecutive upstream failures that open its circuit breaker; 0 disables the breakers (default: 5)
+ * @property {number} circuitResetTimeout - Seconds an open circuit breaker waits before probing the upstream again (default: 30)
+ * @property {number} cacheTTL - Cache time-to-live in seconds; 0 disables the response cache (default: 3600)
+ * @property {Object<string, number>} cacheTTLOverrides - Time-to-live in seconds per cached endpoint (default: {})
+ * @property {number} cacheMaxEntries - Maximum number of responses kept in memory (default: 500)
+ * @property {number} cacheMaxBytes - Maximum total size of the responses kept in memory (default: 50 MB)
+ * @property {string} cacheDir - Directory for persisting cached responses; empty keeps them in memory only (default: '')
+ * @property {string} cassetteMode - Record or replay upstream requests: 'off', 'record' or 'replay' (default: 'off')
+ * @property {string} cassetteDir - Directory of the recorded requests (default: tests/fixtures/cassettes of the package)
  * @property {string} logLevel - Logging level (default: 'info')
+ * @property {string} transport - MCP transport to serve: 'stdio' or 'http' (default: 'stdio')
+ * @property {string} httpHost - Interface the HTTP transport binds to (default: '127.0.0.1')
+ * @property {number} httpPort - Port the HTTP transport listens on (default: 3000)
+ * @property {string} httpPath - Endpoint path for Streamable HTTP requests (default: '/mcp')
+ * @property {number} httpShutdownTimeout - Grace period in seconds for closing open sessions on shutdown (default: 10)
+ * @property {number} httpMaxBodySize - Maximum size in bytes of an HTTP request body (default: 1 MB)
+ * @property {string[]} httpAllowedHosts - Host names clients may reach the HTTP transport by, besides the bound host (default: [])
+ * @property {string[]} toolGroups - Tool groups to register; empty registers all groups (default: [])
+ * @property {string[]} disabledToolGroups - Tool groups not to register (default: [])
+ * @property {string[]} enabledTools - Tools to register regardless of their groups (default: [])
+ * @property {string[]} disabledTools - Tools never to register (default: [])
+ * @property {string} toolPrefix - Prefix prepended to every tool name (default: '')
+ * @property {string[]} toolModules - Files or directories of additional tool modules (default: [])
  * @property {string} serverName - MCP server name identifier
  * @property {string} serverVersion - Current server version
  * 
@@ -37,18 +154,84 @@ export const config = {
   pxwebBaseUrl: process.env.BFS_PXWEB_BASE_URL || 'https://www.pxweb.bfs.admin.ch/api/v1',
   damBaseUrl: process.env.BFS_DAM_BASE_URL || 'https://dam-api.bfs.admin.ch/hub/api',
   sseBaseUrl: process.env.BFS_SSE_BASE_URL || 'https://disseminate.stats.swiss/rest',
+  sseDataflowTTL: parseInt(process.env.BFS_SSE_DATAFLOW_TTL || '3600', 10),
+  pxwebMaxChunks: parseInt(process.env.BFS_PXWEB_MAX_CHUNKS || '20', 10),
   
   // Rate limiting
-  requestDelay: parseInt(process.env.BFS_REQUEST_DELAY || '0', 10),
+  rateLimit: parseRateLimit(),
+  rateBurst: parseRateBurst(),
+  requestDelay: parseFloat(process.env.BFS_REQUEST_DELAY || '0'),
+  maxConcurrentRequests: parseInt(process.env.BFS_MAX_CONCURRENT_REQUESTS || '4', 10),
   maxRetries: parseInt(process.env.BFS_MAX_RETRIES || '3', 10),
   
+  // Upstream requests
+  requestTimeout: parseInt(process.env.BFS_REQUEST_TIMEOUT || '30', 10),
+  dataTimeout: parseInt(process.env.BFS_DATA_TIMEOUT || '60', 10),
+  userAgent: process.env.BFS_USER_AGENT || 'schwaizer-bfs-mcp/1.0.0',
+  requestHeaders: parseHeaders(process.env.BFS_REQUEST_HEADERS),
+  
+  // Circuit breakers
+  circuitFailureThreshold: parseInt(process.env.BFS_CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+  circuitResetTimeout: parseInt(process.env.BFS_CIRCUIT_RESET_TIMEOUT || '30', 10),
+  
   // Caching
   cacheTTL: parseInt(process.env.BFS_CACHE_TTL || '3600', 10),
+  cacheTTLOverrides: parseDurations(process.env.BFS_CACHE_TTL_OVERRIDES),
+  cacheMaxEntries: parseInt(process.env.BFS_CACHE_MAX_ENTRIES || '500', 10),
+  cacheMaxBytes: parseInt(process.env.BFS_CACHE_MAX_BYTES || String(50 * 1024 * 1024), 10),
+  cacheDir: process.env.BFS_CACHE_DIR || '',
+  
+  // Cassettes (recorded upstream requests)
+  cassetteMode: process.env.BFS_CASSETTE_MODE || 'off',
+  cassetteDir: process.env.BFS_CASSETTE_DIR || DEFAULT_CASSETTE_DIR,
   
   // Logging
   logLevel: process.env.LOG_LEVEL || 'info',
   
+  // Transport
+  transport: process.env.BFS_TRANSPORT || 'stdio',
+  httpHost: process.env.BFS_HTTP_HOST || '127.0.0.1',
+  httpPort: parseInt(process.env.BFS_HTTP_PORT || '3000', 10),
+  httpPath: process.env.BFS_HTTP_PATH || '/mcp',
+  httpShutdownTimeout: parseInt(process.env.BFS_HTTP_SHUTDOWN_TIMEOUT || '10', 10),
+  httpMaxBodySize: parseInt(process.env.BFS_HTTP_MAX_BODY_SIZE || String(1024 * 1024), 10),
+  httpAllowedHosts: parseList(process.env.BFS_HTTP_ALLOWED_HOSTS),
+  
+  // Tools
+  toolGroups: parseList(process.env.BFS_TOOL_GROUPS),
+  disabledToolGroups: parseList(process.env.BFS_DISABLED_TOOL_GROUPS),
+  enabledTools: parseList(process.env.BFS_ENABLED_TOOLS),
+  disabledTools: parseList(process.env.BFS_DISABLED_TOOLS),
+  toolPrefix: process.env.BFS_TOOL_PREFIX || '',
+  toolModules: parseList(process.env.BFS_TOOL_MODULES),
+  
   // Server info
   serverName: 'schwaizer-bfs-mcp',
   serverVersion: '1.0.0',
 };
+
+/**
+ * Check the configuration for invalid and deprecated settings. The server calls this
+ * once at startup and logs the warnings; the CLI only checks for invalid settings.
+ * Importing a module never fails or warns on a setting.
+ * 
+ * @param {Object} [settings=config] - Configuration to check
+ * @returns {string[]} Warnings about deprecated settings
+ * @throws {Error} If a setting is invalid
+ * 
+ * @example
+ * for (const warning of validateConfig()) {
+ *   logger.warn(warning);
+ * }
+ */
+export function validateConfig(settings = config) {
+  if (!CASSETTE_MODES.includes(settings.cassetteMode)) {
+    throw new Error(`Invalid BFS_CASSETTE_MODE: ${settings.cassetteMode}. Must be one of: ${CASSETTE_MODES.join(', ')}`);
+  }
+
+  const warnings = [];
+  if (settings.requestDelay > 0) {
+    warnings.push(`BFS_REQUEST_DELAY is deprecated; set BFS_RATE_LIMIT and BFS_RATE_BURST instead (now ${settings.rateLimit} requests per second, burst ${settings.rateBurst})`);
+  }
+  return warnings;
+}
@@ -7,76 +7,103 @@
  * - PXWEB API for statistical data tables
  * - DAM API for dataset catalog and metadata
  * - SSE API for time-series data (SDMX format)
- * 
+ *
+ * The server is reachable over stdio (default) or Streamable HTTP with SSE fallback.
+ * Select the transport with `BFS_TRANSPORT` or the `--transport` flag:
+ *
+ *     node src/index.js --transport http --port 3000
+ *
  * @module index
  * @see {@link https://www.bfs.admin.ch/bfs/en/home.html|Swiss Federal Statistical Office}
  * @see {@link https://modelcontextprotocol.io|Model Context Protocol}
  */
 
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { parseArgs } from 'node:util';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { z } from 'zod';
-import { config } from './config.js';
+import { config, validateConfig } from './config.js';
 import { logger } from './utils/logger.js';
-import { registerCatalogTools } from './tools/catalog-tools.js';
-import { registerDataTools } from './tools/data-tools.js';
-import { registerMetadataTools } from './tools/metadata-tools.js';
+import { createServer } from './server.js';
+import { loadToolModules } from './tools/registry.js';
+import { startHttpServer } from './transports/http-server.js';
 
 /**
- * Creates and configures the MCP server instance with all available tools.
- * Adds a helper method to simplify tool registration and registers all tool categories.
- * 
- * @returns {McpServer} Configured MCP server instance with all tools registered
- * 
- * @example
- * const server = createServer();
- * // Server now has catalog, data, and metadata tools registered
+ * Parse command-line flags, falling back to configuration values.
+ *
+ * @param {string[]} argv - Command-line arguments (without node and script path)
+ * @returns {{transport: string, host: string, port: number, path: string}} Effective transport options
+ * @throws {Error} If an unknown flag or transport is given
  */
-function createServer() {
-  const server = new McpServer({
-    name: config.serverName,
-    version: config.serverVersion,
+function parseCliOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      transport: { type: 'string', short: 't' },
+      host: { type: 'string' },
+      port: { type: 'string', short: 'p' },
+      path: { type: 'string' },
+    },
   });
-  
-  // Helper function to make tool registration easier
-  server.tool = function(name, description, schema, handler) {
-    this.registerTool(name, {
-      description,
-      inputSchema: schema,
-    }, handler);
+
+  const transport = values.transport || config.transport;
+
+  if (!['stdio', 'http'].includes(transport)) {
+    throw new Error(`Invalid transport: ${transport}. Must be one of: stdio, http`);
+  }
+
+  return {
+    transport,
+    host: values.host || config.httpHost,
+    port: values.port ? parseInt(values.port, 10) : config.httpPort,
+    path: values.path || config.httpPath,
   };
-  
-  // Register all tools
-  registerCatalogTools(server);
-  registerDataTools(server);
-  registerMetadataTools(server);
-  
-  logger.info('All tools registered successfully');
-  
-  return server;
 }
 
 /**
  * Main function to start the MCP server.
- * Initializes the server, creates stdio transport, and establishes connection.
+ * Initializes the server on the selected transport and establishes connection.
+ * In HTTP mode, SIGINT and SIGTERM close all open sessions before exiting.
  * Exits with code 1 if server fails to start.
- * 
+ *
  * @async
  * @throws {Error} If server initialization or connection fails
- * 
+ *
  * @example
  * // Server is started automatically when this module is executed
  * // node src/index.js
+ * // node src/index.js --transport http --port 3000
  */
 async function main() {
   try {
     logger.info('Starting Schwaizer BFS MCP Server...');
-    
-    const server = createServer();
+    for (const warning of validateConfig()) {
+      logger.warn(warning);
+    }
+
+    const options = parseCliOptions(process.argv.slice(2));
+    const toolModules = await loadToolModules();
+    const createConfiguredServer = () => createServer({ toolModules });
+
+    if (options.transport === 'http') {
+      const handle = await startHttpServer(createConfiguredServer, options);
+
+      const shutdown = async (signal) => {
+        logger.info({ signal }, 'Received shutdown signal');
+        await handle.close();
+        process.exit(0);
+      };
+
+      process.once('SIGINT', shutdown);
+      process.once('SIGTERM', shutdown);
+
+      logger.info({ url: handle.url }, 'Server started successfully and listening via HTTP');
+      return;
+    }
+
+    const server = createConfiguredServer();
     const transport = new StdioServerTransport();
-    
+
     await server.connect(transport);
-    
+
     logger.info('Server started successfully and connected via stdio');
   } catch (error) {
     logger.error({ error: error.message, stack: error.stack }, 'Failed to start server');
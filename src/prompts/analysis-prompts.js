@@ -0,0 +1,302 @@
+/**
+ * @fileoverview Guided analysis prompts for BFS MCP server.
+ *
+ * This module registers MCP prompts that encode the recommended BFS workflow
+ * (search → metadata → data) so that the model calls the tools in the right order
+ * and only uses dimension codes taken from the dataset metadata.
+ *
+ * The module registers three MCP prompts:
+ * - explore_theme: Discover datasets within a statistical theme
+ * - compare_cantons: Compare cantons on an indicator
+ * - build_time_series: Build a time series from a single dataset
+ *
+ * Dataset, theme, language and period arguments support argument completion.
+ * The prompts name the tools as the registry exposed them (with `BFS_TOOL_PREFIX`),
+ * and a prompt whose tools are disabled is not registered.
+ *
+ * @module prompts/analysis-prompts
+ * @see {@link module:tools/catalog-tools} for search_datasets
+ * @see {@link module:tools/metadata-tools} for get_dataset_dimensions
+ * @see {@link module:tools/data-tools} for get_statistical_data
+ */
+
+import { z } from 'zod';
+import { completable } from '@modelcontextprotocol/sdk/server/completable.js';
+import { getThemes } from '../api/dam-client.js';
+import { toolName } from '../tools/registry.js';
+import { InvalidQueryError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+import { normalizeLabel } from '../utils/labels.js';
+import {
+  completeLanguage,
+  completeThemeProdima,
+  completeNumberBfs,
+  completeDimensionValue,
+} from '../completions/argument-completions.js';
+
+/**
+ * Language argument shared by all prompts.
+ * Prompt arguments are always strings, so the default is applied in the callbacks.
+ * @type {z.ZodType}
+ * @constant
+ */
+const languageArg = completable(
+  z.enum(['de', 'fr', 'it', 'en']).optional().describe('Language for results and labels (de, fr, it, en; default: en)'),
+  completeLanguage
+);
+
+/**
+ * Completion for period arguments, suggesting the time dimension labels of the chosen dataset.
+ * @type {Function}
+ * @constant
+ */
+const completePeriod = completeDimensionValue();
+
+/**
+ * Instructions appended to every prompt to enforce the metadata step.
+ *
+ * @param {Function} tool - Exposed name of a tool, or undefined if it is disabled
+ * @returns {string} Rules naming the enabled metadata and estimate tools
+ */
+function metadataRules(tool) {
+  const metadataTools = ['get_dataset_dimensions', 'get_dataset_metadata'].map(tool).filter(Boolean);
+  return [
+    'Rules:',
+    `- Never guess dimension codes or value codes. Only use codes returned by ${metadataTools.join(' or ')}.`,
+    '- Dimension codes are the keys of the query object; value codes are its values. Labels in the requested language also work, but codes are unambiguous.',
+    `- Prefer narrow queries: select only the values you need instead of requesting the whole table.${tool('estimate_query') ? ` If a query may be large, call ${tool('estimate_query')} with the same arguments first.` : ''}`,
+    '- If a query fails, re-read the metadata and fix the codes instead of retrying the same query.',
+  ].join('\n');
+}
+
+/**
+ * Find a theme by its prodima number, two-digit code or name.
+ *
+ * @param {string} theme - Prodima number (e.g., "900010"), code (e.g., "01") or name (e.g., "Population")
+ * @returns {Object} Theme ({ name, prodima, code })
+ * @throws {InvalidQueryError} If no theme matches
+ */
+function findTheme(theme) {
+  const value = String(theme).trim();
+  const themes = getThemes();
+  const match = themes.find(t => String(t.prodima) === value || t.code === value)
+    ?? themes.find(t => normalizeLabel(t.name) === normalizeLabel(value));
+
+  if (!match) {
+    throw new InvalidQueryError(`Unknown theme: ${value}`, {
+      hint: `Use a theme prodima number, code or name: ${themes.map(t => `${t.name} (${t.prodima})`).join(', ')}`,
+    });
+  }
+  return match;
+}
+
+/**
+ * Build a single-message prompt result.
+ *
+ * @param {string} description - Prompt description returned to the client
+ * @param {string[]} lines - Lines of the user message
+ * @returns {Object} MCP get prompt result
+ */
+function userPrompt(description, lines) {
+  return {
+    description,
+    messages: [
+      {
+        role: 'user',
+        content: {
+          type: 'text',
+          text: lines.join('\n'),
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Registers guided analysis prompts with the MCP server.
+ * Prompts that need a disabled tool are skipped.
+ *
+ * @param {Object} server - MCP server instance with prompt registration capability
+ * @param {Object} [options={}] - Registration options
+ * @param {Object<string, string>} [options.tools] - Exposed name of each registered tool by its name
+ *   without prefix, as returned by registerTools() (default: every tool, named with toolName())
+ * @returns {void}
+ *
+ * @example
+ * import { registerAnalysisPrompts } from './prompts/analysis-prompts.js';
+ *
+ * const server = new McpServer({ name: 'bfs-mcp', version: '1.0.0' });
+ * const { tools } = registerTools(server);
+ * registerAnalysisPrompts(server, { tools });
+ */
+export function registerAnalysisPrompts(server, { tools } = {}) {
+  const tool = name => (tools ? tools[name] : toolName(name));
+
+  const registerPrompt = (name, requiredTools, definition, callback) => {
+    const disabled = requiredTools.filter(required => !tool(required));
+    if (disabled.length > 0) {
+      logger.debug({ prompt: name, disabledTools: disabled }, 'Prompt skipped, its tools are disabled');
+      return;
+    }
+    server.registerPrompt(name, definition, callback);
+  };
+
+  /**
+   * MCP Prompt: explore_theme
+   *
+   * Walks the model through discovering datasets in a theme and summarising
+   * what they contain, including their dimensions.
+   *
+   * @param {Object} args - Prompt arguments
+   * @param {string} args.theme - Theme prodima number (e.g., "900010"), code or name
+   * @param {string} [args.topic] - Optional keyword to narrow the search
+   * @param {string} [args.language='en'] - Language for results
+   */
+  registerPrompt(
+    'explore_theme',
+    ['search_datasets', 'get_dataset_dimensions', 'get_statistical_data'],
+    {
+      title: 'Explore a BFS theme',
+      description: 'Find and summarise the datasets available for a BFS statistical theme, including their dimensions.',
+      argsSchema: {
+        theme: completable(
+          z.string().describe(`Theme prodima number (e.g., "900010" for Population), two-digit code or name.${tool('list_themes') ? ` Use ${tool('list_themes')} to see all themes.` : ''}`),
+          completeThemeProdima
+        ),
+        topic: z.string().optional().describe('Optional keyword to narrow the search (e.g., "births")'),
+        language: languageArg,
+      },
+    },
+    ({ theme, topic, language = 'en' }) => {
+      const themeInfo = findTheme(theme);
+      const themeLabel = `"${themeInfo.name}" (prodima ${themeInfo.prodima})`;
+
+      return userPrompt(`Explore BFS theme ${themeLabel}`, [
+        `Explore the BFS statistical theme ${themeLabel} and give me an overview of the available datasets.`,
+        '',
+        'Steps:',
+        `1. Call ${tool('search_datasets')} with {"language": "${language}", "theme": ${themeInfo.prodima}${topic ? `, "query": ${JSON.stringify(topic)}` : ''}, "limit": 20}.`,
+        '2. Group the results by subject and pick the 3 to 5 most relevant datasets.',
+        `3. For each selected dataset, call ${tool('get_dataset_dimensions')} with its numberBfs and "language": "${language}" to learn its dimensions.`,
+        '4. Summarise each dataset: title, numberBfs, what it measures, its dimensions (code and name), and the covered time range.',
+        `5. Suggest concrete follow-up questions that could be answered with ${tool('get_statistical_data')}.`,
+        '',
+        metadataRules(tool),
+      ]);
+    }
+  );
+
+  /**
+   * MCP Prompt: compare_cantons
+   *
+   * Walks the model through finding a cantonal dataset for an indicator,
+   * resolving canton and year codes from the metadata, and comparing values.
+   *
+   * @param {Object} args - Prompt arguments
+   * @param {string} args.indicator - Indicator to compare (e.g., "permanent resident population")
+   * @param {string} [args.cantons] - Comma-separated cantons (default: all cantons)
+   * @param {string} [args.year] - Year to compare (default: latest available)
+   * @param {string} [args.numberBfs] - Dataset to use, skipping the search step
+   * @param {string} [args.language='en'] - Language for results
+   */
+  registerPrompt(
+    'compare_cantons',
+    ['search_datasets', 'get_dataset_dimensions', 'get_statistical_data'],
+    {
+      title: 'Compare cantons on an indicator',
+      description: 'Find a cantonal BFS dataset for an indicator and compare cantons for a given year.',
+      argsSchema: {
+        indicator: z.string().describe('Indicator to compare (e.g., "permanent resident population")'),
+        cantons: z.string().optional().describe('Comma-separated cantons to compare (e.g., "Zürich, Bern, Vaud"). Default: all cantons'),
+        year: completable(
+          z.string().optional().describe('Year to compare (e.g., "2023"). Default: latest available year'),
+          completePeriod
+        ),
+        numberBfs: completable(
+          z.string().optional().describe('BFS number of the dataset to use. If omitted, a dataset is searched'),
+          completeNumberBfs
+        ),
+        language: languageArg,
+      },
+    },
+    ({ indicator, cantons, year, numberBfs, language = 'en' }) => {
+      const searchStep = numberBfs
+        ? `1. Use the dataset ${numberBfs}.`
+        : `1. Call ${tool('search_datasets')} with {"language": "${language}", "query": ${JSON.stringify(indicator)}, "spatialDivision": "Cantons"} and pick the dataset that best matches the indicator. Note its numberBfs.`;
+
+      return userPrompt(`Compare cantons on ${indicator}`, [
+        `Compare the Swiss cantons on the indicator: ${indicator}.`,
+        `Cantons: ${cantons || 'all cantons'}. Year: ${year || 'the latest available year'}.`,
+        '',
+        'Steps:',
+        searchStep,
+        `2. Call ${tool('get_dataset_dimensions')} with the numberBfs and "language": "${language}". Identify the canton dimension, the time dimension and every other dimension.`,
+        tool('get_dataset_metadata')
+          ? `3. If you need more than the sample values, call ${tool('get_dataset_metadata')} to get all value codes with their labels.`
+          : '3. Use the value codes and labels listed by the dimensions.',
+        `4. Map ${cantons ? 'the requested cantons' : 'the cantons'} and ${year ? `the year ${year}` : 'the latest year'} to their value codes. For every other dimension select the total (often "-99999" or "0"; check the labels).`,
+        `5. Call ${tool('get_statistical_data')} with the numberBfs, "language": "${language}" and the query built from these codes.`,
+        '6. Present the result as a table sorted by value, and add shares or per-capita figures only if the data allows it.',
+        '',
+        metadataRules(tool),
+      ]);
+    }
+  );
+
+  /**
+   * MCP Prompt: build_time_series
+   *
+   * Walks the model through building a time series from a single PXWEB dataset.
+   *
+   * @param {Object} args - Prompt arguments
+   * @param {string} args.numberBfs - BFS number of the dataset
+   * @param {string} [args.startYear] - First period to include
+   * @param {string} [args.endYear] - Last period to include
+   * @param {string} [args.focus] - Optional description of the series of interest
+   * @param {string} [args.language='en'] - Language for results
+   */
+  registerPrompt(
+    'build_time_series',
+    ['get_dataset_metadata', 'get_statistical_data'],
+    {
+      title: 'Build a time series for a dataset',
+      description: 'Build a time series from a PXWEB dataset by selecting periods and fixing all other dimensions.',
+      argsSchema: {
+        numberBfs: completable(
+          z.string().describe('BFS number of the dataset (e.g., "px-x-0102010000_102")'),
+          completeNumberBfs
+        ),
+        startYear: completable(
+          z.string().optional().describe('First period to include (e.g., "2010")'),
+          completePeriod
+        ),
+        endYear: completable(
+          z.string().optional().describe('Last period to include (e.g., "2023")'),
+          completePeriod
+        ),
+        focus: z.string().optional().describe('Optional description of the series of interest (e.g., "women in canton Zürich")'),
+        language: languageArg,
+      },
+    },
+    ({ numberBfs, startYear, endYear, focus, language = 'en' }) => {
+      const range = startYear || endYear
+        ? `from ${startYear || 'the first available period'} to ${endYear || 'the latest available period'}`
+        : 'for all available periods';
+
+      return userPrompt(`Build a time series for ${numberBfs}`, [
+        `Build a time series from the BFS dataset ${numberBfs} ${range}.`,
+        focus ? `Series of interest: ${focus}.` : 'Use the totals of all non-time dimensions unless the dataset suggests a more meaningful breakdown.',
+        '',
+        'Steps:',
+        `1. Call ${tool('get_dataset_metadata')} with {"numberBfs": "${numberBfs}", "language": "${language}"}.`,
+        '2. Find the time dimension (the variable with "time": true). Note that its value codes may differ from the labels (e.g., code "40" for label "2020/21").',
+        `3. Select the time value codes whose labels fall ${range}.`,
+        '4. For every other dimension select exactly one value code matching the series of interest, so the result is a single series.',
+        `5. Call ${tool('get_statistical_data')} with the numberBfs, "language": "${language}", "format": "json" and the query built from these codes.`,
+        '6. Present the series as a table of period and value, then describe the trend, notable changes and the overall growth rate.',
+        '',
+        metadataRules(tool),
+      ]);
+    }
+  );
+}
@@ -0,0 +1,287 @@
+/**
+ * @fileoverview Dataset resources for BFS MCP server.
+ *
+ * This module exposes BFS dataset structures as MCP resources so that clients can
+ * attach them to a conversation as context instead of calling tools. All resources
+ * are served as JSON and resolved live from the BFS APIs.
+ *
+ * The module registers the following resources:
+ * - bfs://themes - List of all statistical themes
+ * - bfs://themes/{code} - A single statistical theme (listed for all themes)
+ * - bfs://pxweb/{lang}/{numberBfs}/metadata - PXWEB dataset metadata
+ * - bfs://pxweb/{lang}/{numberBfs}/dimensions/{dimensionCode} - Codes and labels of one PXWEB dimension
+ * - bfs://sse/{lang}/{dataflowId}/structure - SSE dataflow dimension structure
+ * - bfs://dam/{lang}/asset/{numberAsset} - DAM asset metadata
+ *
+ * Template variables support argument completion (languages, theme codes, BFS numbers,
+ * SSE dataflow IDs and dimension codes).
+ *
+ * @module resources/dataset-resources
+ * @see {@link module:api/pxweb-client} for PXWEB metadata retrieval
+ * @see {@link module:api/sse-client} for SSE metadata retrieval
+ * @see {@link module:api/dam-client} for DAM asset metadata and themes
+ */
+
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { getMetadata as getPxwebMetadata } from '../api/pxweb-client.js';
+import { getSseMetadata } from '../api/sse-client.js';
+import { getAssetMetadata, getThemes } from '../api/dam-client.js';
+import { logger } from '../utils/logger.js';
+import { groupSseDimensions } from '../utils/formatting.js';
+import { NotFoundError } from '../utils/errors.js';
+import {
+  completeLanguage,
+  completeThemeCode,
+  completeNumberBfs,
+  completeDataflowId,
+  completeDimensionCode,
+} from '../completions/argument-completions.js';
+
+/**
+ * Build a JSON resource read result.
+ *
+ * @param {URL} uri - Resource URI that was requested
+ * @param {*} data - Data to serialize as JSON
+ * @returns {Object} MCP read resource result with a single JSON text content
+ */
+function jsonContents(uri, data) {
+  return {
+    contents: [
+      {
+        uri: uri.href,
+        mimeType: 'application/json',
+        text: JSON.stringify(data, null, 2),
+      },
+    ],
+  };
+}
+
+/**
+ * Registers dataset resources and resource templates with the MCP server.
+ *
+ * Resource read failures are logged and rethrown so that the MCP SDK reports
+ * them to the client as JSON-RPC errors.
+ *
+ * @param {Object} server - MCP server instance with resource registration capability
+ * @returns {void}
+ *
+ * @example
+ * import { registerDatasetResources } from './resources/dataset-resources.js';
+ *
+ * const server = new McpServer({ name: 'bfs-mcp', version: '1.0.0' });
+ * registerDatasetResources(server);
+ */
+export function registerDatasetResources(server) {
+
+  /**
+   * MCP Resource: themes
+   *
+   * All statistical themes with their prodima numbers and codes.
+   */
+  server.registerResource(
+    'themes',
+    'bfs://themes',
+    {
+      title: 'BFS statistical themes',
+      description: 'All statistical themes (categories) of the BFS catalog with their prodima numbers for filtering search_datasets.',
+      mimeType: 'application/json',
+    },
+    async (uri) => {
+      const themes = getThemes();
+      return jsonContents(uri, {
+        totalThemes: themes.length,
+        themes,
+      });
+    }
+  );
+
+  /**
+   * MCP Resource Template: theme
+   *
+   * A single statistical theme, addressed by its two-digit code.
+   * Every theme is enumerated in the resource listing.
+   */
+  server.registerResource(
+    'theme',
+    new ResourceTemplate('bfs://themes/{code}', {
+      list: async () => ({
+        resources: getThemes().map(theme => ({
+          uri: `bfs://themes/${theme.code}`,
+          name: theme.name,
+          description: `BFS theme ${theme.code} (prodima ${theme.prodima})`,
+          mimeType: 'application/json',
+        })),
+      }),
+      complete: {
+        code: completeThemeCode,
+      },
+    }),
+    {
+      title: 'BFS statistical theme',
+      description: 'A single BFS statistical theme with its prodima number.',
+      mimeType: 'application/json',
+    },
+    async (uri, { code }) => {
+      const theme = getThemes().find(t => t.code === code);
+
+      if (!theme) {
+        throw new NotFoundError(`Theme not found: ${code}`, {
+          hint: 'bfs://themes lists the available themes.',
+        });
+      }
+
+      return jsonContents(uri, theme);
+    }
+  );
+
+  /**
+   * MCP Resource Template: pxweb-metadata
+   *
+   * Complete PXWEB metadata (dimensions, codes and values) of a dataset.
+   */
+  server.registerResource(
+    'pxweb-metadata',
+    new ResourceTemplate('bfs://pxweb/{lang}/{numberBfs}/metadata', {
+      list: undefined,
+      complete: {
+        lang: completeLanguage,
+        numberBfs: completeNumberBfs,
+      },
+    }),
+    {
+      title: 'PXWEB dataset metadata',
+      description: 'Dimensions, codes and values of a PXWEB dataset (e.g., bfs://pxweb/en/px-x-1502040100_131/metadata).',
+      mimeType: 'application/json',
+    },
+    async (uri, { lang, numberBfs }, extra) => {
+      try {
+        logger.info({ numberBfs, language: lang }, 'Reading PXWEB metadata resource');
+
+        const metadata = await getPxwebMetadata(numberBfs, lang, { signal: extra?.signal });
+        return jsonContents(uri, metadata);
+      } catch (error) {
+        logger.error({ error: error.message, numberBfs }, 'Error reading PXWEB metadata resource');
+        throw error;
+      }
+    }
+  );
+
+  /**
+   * MCP Resource Template: pxweb-dimension
+   *
+   * Codes and labels of a single PXWEB dimension.
+   */
+  server.registerResource(
+    'pxweb-dimension',
+    new ResourceTemplate('bfs://pxweb/{lang}/{numberBfs}/dimensions/{dimensionCode}', {
+      list: undefined,
+      complete: {
+        lang: completeLanguage,
+        numberBfs: completeNumberBfs,
+        dimensionCode: completeDimensionCode,
+      },
+    }),
+    {
+      title: 'PXWEB dataset dimension',
+      description: 'Value codes and labels of one dimension of a PXWEB dataset (e.g., bfs://pxweb/en/px-x-1502040100_131/dimensions/Jahr).',
+      mimeType: 'application/json',
+    },
+    async (uri, { lang, numberBfs, dimensionCode }, extra) => {
+      try {
+        logger.info({ numberBfs, dimensionCode, language: lang }, 'Reading PXWEB dimension resource');
+
+        const metadata = await getPxwebMetadata(numberBfs, lang, { signal: extra?.signal });
+        const variable = metadata.variables?.find(v => v.code === dimensionCode);
+
+        if (!variable) {
+          const available = metadata.variables?.map(v => v.code).join(', ') || 'none';
+          throw new NotFoundError(`Dimension ${dimensionCode} not found in ${numberBfs}. Available dimensions: ${available}`, {
+            hint: `Valid dimensions: ${available}`,
+          });
+        }
+
+        return jsonContents(uri, {
+          code: variable.code,
+          text: variable.text,
+          time: variable.time || false,
+          elimination: variable.elimination || false,
+          values: (variable.values || []).map((value, index) => ({
+            value,
+            valueText: variable.valueTexts?.[index] ?? value,
+          })),
+        });
+      } catch (error) {
+        logger.error({ error: error.message, numberBfs, dimensionCode }, 'Error reading PXWEB dimension resource');
+        throw error;
+      }
+    }
+  );
+
+  /**
+   * MCP Resource Template: sse-structure
+   *
+   * Dimension structure of an SSE dataflow, grouped by dimension.
+   */
+  server.registerResource(
+    'sse-structure',
+    new ResourceTemplate('bfs://sse/{lang}/{dataflowId}/structure', {
+      list: undefined,
+      complete: {
+        lang: completeLanguage,
+        dataflowId: completeDataflowId,
+      },
+    }),
+    {
+      title: 'SSE dataflow structure',
+      description: 'Dimensions and code values of a Swiss Stats Explorer dataflow (e.g., bfs://sse/en/DF_LWZ_1/structure).',
+      mimeType: 'application/json',
+    },
+    async (uri, { lang, dataflowId }, extra) => {
+      try {
+        logger.info({ dataflowId, language: lang }, 'Reading SSE structure resource');
+
+        const metadata = await getSseMetadata(dataflowId, lang, { signal: extra?.signal });
+        const dimensions = groupSseDimensions(metadata);
+
+        return jsonContents(uri, {
+          totalDimensions: dimensions.length,
+          dimensions,
+        });
+      } catch (error) {
+        logger.error({ error: error.message, dataflowId }, 'Error reading SSE structure resource');
+        throw error;
+      }
+    }
+  );
+
+  /**
+   * MCP Resource Template: dam-asset
+   *
+   * Full DAM metadata of a catalog asset.
+   */
+  server.registerResource(
+    'dam-asset',
+    new ResourceTemplate('bfs://dam/{lang}/asset/{numberAsset}', {
+      list: undefined,
+      complete: {
+        lang: completeLanguage,
+      },
+    }),
+    {
+      title: 'DAM asset metadata',
+      description: 'Catalog metadata of a BFS asset including description, themes and links (e.g., bfs://dam/en/asset/12345678).',
+      mimeType: 'application/json',
+    },
+    async (uri, { lang, numberAsset }, extra) => {
+      try {
+        logger.info({ numberAsset, language: lang }, 'Reading DAM asset resource');
+
+        const metadata = await getAssetMetadata(numberAsset, lang, { signal: extra?.signal });
+        return jsonContents(uri, metadata);
+      } catch (error) {
+        logger.error({ error: error.message, numberAsset }, 'Error reading DAM asset resource');
+        throw error;
+      }
+    }
+  );
+}
@@ -0,0 +1,363 @@
+/**
+ * @fileoverview Output schemas of the BFS MCP tools.
+ * Each tool declares one of these zod shapes as its output schema and returns a
+ * matching `structuredContent` object, so clients get a stable contract for the
+ * field names instead of re-parsing the text content.
+ *
+ * The shapes are raw zod shapes (like the tools' input schemas); the building
+ * blocks they share are exported as zod objects.
+ *
+ * @module schemas/output-schemas
+ * @see {@link https://modelcontextprotocol.io/specification/2025-06-18/server/tools#output-schema|MCP output schemas}
+ */
+
+import { z } from 'zod';
+
+/**
+ * Dataset summary as returned by formatDatasetSummary().
+ * @type {z.ZodObject}
+ * @constant
+ */
+export const datasetSummarySchema = z.object({
+  title: z.string().describe('Dataset title'),
+  numberBfs: z.string().describe('BFS number (FSO number), or "N/A"'),
+  numberAsset: z.union([z.number(), z.string()]).describe('DAM asset number, or "N/A"'),
+  publicationDate: z.string().describe('Publication date, or "N/A"'),
+  language: z.string().describe('Language of the catalog entry'),
+});
+
+/**
+ * Statistical theme as returned by getThemes().
+ * @type {z.ZodObject}
+ * @constant
+ */
+export const themeSchema = z.object({
+  name: z.string().describe('Theme name'),
+  prodima: z.number().describe('Prodima number, used to filter search_datasets'),
+  code: z.string().describe('Two-digit theme code'),
+});
+
+/**
+ * Folder or table of the PXWEB database tree, as returned by browsePxweb().
+ * @type {z.ZodObject}
+ * @constant
+ */
+export const pxwebNodeSchema = z.object({
+  id: z.string().describe('Folder or table id'),
+  path: z.string().describe('Path of the folder or table, used as browse_pxweb path'),
+  type: z.enum(['folder', 'table']).describe('Whether this is a folder or a table'),
+  title: z.string().describe('Folder or table title'),
+  updated: z.string().optional().describe('Last update of the table, as reported by PXWEB'),
+  numberBfs: z.string().optional().describe('BFS number of the table, used by get_statistical_data'),
+});
+
+/**
+ * PXWEB variable (dimension) with all its values.
+ * @type {z.ZodObject}
+ * @constant
+ */
+export const pxwebVariableSchema = z.object({
+  code: z.string().describe('Dimension code, used as query key'),
+  text: z.string().optional().describe('Dimension label'),
+  valueCount: z.number().describe('Number of values'),
+  values: z.array(z.string()).describe('Value codes, used as query values'),
+  valueTexts: z.array(z.string()).describe('Value labels, in the order of values'),
+  time: z.boolean().describe('Whether this is the time dimension'),
+  elimination: z.boolean().describe('Whether the dimension may be left out of a query'),
+});
+
+/**
+ * PXWEB dimension overview with sample values.
+ * @type {z.ZodObject}
+ * @constant
+ */
+export const pxwebDimensionSummarySchema = z.object({
+  code: z.string().describe('Dimension code, used as query key'),
+  name: z.string().optional().describe('Dimension label'),
+  isTime: z.boolean().describe('Whether this is the time dimension'),
+  valueCount: z.number().describe('Number of values'),
+  sampleValues: z.array(z.string()).describe('First value codes'),
+  sampleValueTexts: z.array(z.string()).describe('First value labels'),
+  note: z.string().nullable().describe('Number of values not shown, if any'),
+});
+
+/**
+ * SSE dimension with all its values, as returned by groupSseDimensions().
+ * @type {z.ZodObject}
+ * @constant
+ */
+export const sseDimensionSchema = z.object({
+  code: z.string().describe('Dimension code, used as query key'),
+  text: z.string().optional().describe('Dimension label'),
+  values: z.array(z.object({
+    value: z.string().describe('Value code, used as query value'),
+    valueText: z.string().optional().describe('Value label'),
+  })),
+});
+
+/**
+ * SSE observation: dimension labels keyed by dimension code, plus the observed value.
+ * @type {z.ZodObject}
+ * @constant
+ */
+export const sseObservationSchema = z.object({
+  value: z.number().nullable().describe('Observed value (null if missing or not a number)'),
+}).catchall(z.string());
+
+/**
+ * Output of search_datasets.
+ * @type {Object<string, z.ZodTypeAny>}
+ * @constant
+ */
+export const datasetListOutput = {
+  totalResults: z.number().describe('Number of datasets returned'),
+  datasets: z.array(datasetSummarySchema),
+};
+
+/**
+ * Output of list_themes.
+ * @type {Object<string, z.ZodTypeAny>}
+ * @constant
+ */
+export const themeListOutput = {
+  totalThemes: z.number().describe('Number of themes'),
+  themes: z.array(themeSchema),
+  note: z.string(),
+};
+
+/**
+ * Output of browse_pxweb.
+ * @type {Object<string, z.ZodTypeAny>}
+ * @constant
+ */
+export const pxwebBrowseOutput = {
+  path: z.string().describe('Browsed folder path ("" for the root)'),
+  totalNodes: z.number().describe('Number of matching folders and tables'),
+  nodes: z.array(pxwebNodeSchema).describe('Matching folders and tables, up to the limit'),
+  foldersListed: z.number().describe('Number of folders listed'),
+  truncated: z.boolean().describe('Whether folders were left unlisted or nodes left out because of the limits'),
+};
+
+/**
+ * Output of get_dataset_info, as returned by formatAssetInfo().
+ * @type {Object<string, z.ZodTypeAny>}
+ * @constant
+ */
+export const assetInfoOutput = {
+  ...datasetSummarySchema.shape,
+  subtitle: z.string().nullable().describe('Dataset subtitle'),
+  summary: z.string().nullable().describe('Short summary'),
+  themes: z.array(z.string()).describe('Theme names'),
+  spatialDivisions: z.array(z.string()).describe('Spatial division names'),
+  links: z.array(z.object({
+    rel: z.string().optional(),
+    href: z.string(),
+  })).describe('Links to data files and related pages'),
+  lastChanged: z.string().optional().describe('Last change reported by the upstream (ISO 8601), if known'),
+};
+
+/**
+ * Output of get_dataset_metadata.
+ * @type {Object<string, z.ZodTypeAny>}
+ * @constant
+ */
+export const pxwebMetadataOutput = {
+  title: z.string().describe('Dataset title'),
+  updated: z.string().describe('Last update, or "N/A"'),
+  source: z.string().describe('Data source'),
+  note: z.string().nullable().describe('Dataset note'),
+  variables: z.array(pxwebVariableSchema),
+  lastChanged: z.string().optional().describe('Last change reported by the upstream (ISO 8601), if known'),
+};
+
+/**
+ * Output of get_dataset_dimensions.
+ * @type {Object<string, z.ZodTypeAny>}
+ * @constant
+ */
+export const pxwebDimensionsOutput = {
+  datasetTitle: z.string().optional().describe('Dataset title'),
+  totalDimensions: z.number().describe('Number of dimensions'),
+  dimensions: z.array(pxwebDimensionSummarySchema),
+  tip: z.string(),
+  lastChanged: z.string().optional().describe('Last change reported by the upstream (ISO 8601), if known'),
+};
+
+/**
+ * Output of get_sse_metadata.
+ * @type {Object<string, z.ZodTypeAny>}
+ * @constant
+ */
+export const sseMetadataOutput = {
+  totalDimensions: z.number().describe('Number of dimensions'),
+  dimensions: z.array(sseDimensionSchema),
+  lastChanged: z.string().optional().describe('Last change reported by the upstream (ISO 8601), if known'),
+};
+
+/**
+ * Output of get_statistical_data: the PXWEB response or the local conversion.
+ * `json` responses have columns and data rows; `json-stat` responses have a dataset;
+ * `json-stat2` responses are a dataset with id, size, dimension and value; text and
+ * binary formats have their content; tidy conversions have rows.
+ * Other fields of the response are passed through unchanged.
+ * @type {z.ZodObject}
+ * @constant
+ */
+export const pxwebDataOutput = z.object({
+  columns: z.array(z.object({
+    code: z.string(),
+    text: z.string().optional(),
+    type: z.string().optional(),
+  }).passthrough()).optional().describe('Columns of a json response; type "c" marks value columns'),
+  data: z.array(z.object({
+    key: z.array(z.string()),
+    values: z.array(z.string()),
+  })).optional().describe('Rows of a json response: dimension value codes and cell values'),
+  dataset: z.object({
+    dimension: z.record(z.unknown()),
+    value: z.array(z.number().nullable()),
+  }).passthrough().optional().describe('JSON-stat dataset of a json-stat response'),
+  id: z.array(z.string()).optional().describe('Dimension IDs of a JSON-stat 2.0 dataset, in value order'),
+  size: z.array(z.number()).optional().describe('Number of categories per dimension of a JSON-stat 2.0 dataset'),
+  format: z.string().optional().describe('Format of text, binary and tidy results (csv, tsv, px, sdmx, xlsx, tidy)'),
+  mediaType: z.string().optional().describe('Media type of the content'),
+  encoding: z.literal('base64').optional().describe('Encoding of binary content'),
+  content: z.string().optional().describe('Content of a text or binary result'),
+  rows: z.array(z.record(z.union([z.string(), z.number(), z.null()]))).optional().describe('Tidy rows: the category label of each dimension, value and status'),
+  lastChanged: z.string().optional().describe('Last change reported by the upstream (ISO 8601), if known'),
+}).passthrough();
+
+/**
+ * Output of estimate_query, as returned by estimateQuery().
+ * @type {Object<string, z.ZodTypeAny>}
+ * @constant
+ */
+export const queryEstimateOutput = {
+  numberBfs: z.string().describe('BFS number of the dataset'),
+  format: z.string().describe('Estimated response format'),
+  convert: z.string().nullable().describe('Estimated local conversion (null if none)'),
+  cells: z.number().describe('Number of cells the query selects'),
+  dimensions: z.array(z.object({
+    code: z.string().describe('Dimension code, used as query key'),
+    text: z.string().describe('Dimension label'),
+    time: z.boolean().describe('Whether this is the time dimension'),
+    values: z.number().describe('Number of values of the dimension'),
+    selected: z.number().nullable().describe('Number of selected values (null if left out of the query)'),
+    filter: z.string().nullable().describe('Selection filter (null if left out of the query)'),
+    eliminable: z.boolean().describe('Whether the dimension may be left out of a query, which returns its total'),
+  })).describe('Dimensions of the dataset and their selections'),
+  limits: z.object({
+    maxCells: z.number().nullable().describe('Maximum cells PXWEB returns per request'),
+    maxCalls: z.number().nullable().describe('Maximum requests per time window'),
+    timeWindow: z.number().nullable().describe('Time window of maxCalls, in seconds'),
+    maxChunks: z.number().nullable().describe('Maximum requests a query is split into (BFS_PXWEB_MAX_CHUNKS; null is unlimited)'),
+  }).describe('PXWEB limits (null where the configuration is unavailable)'),
+  requests: z.number().describe('Requests the query takes (a lower bound above the chunk limit)'),
+  withinLimits: z.boolean().describe('Whether get_statistical_data can fetch the query within the limits'),
+  estimatedBytes: z.number().describe('Approximate size of the response'),
+  estimatedTokens: z.number().describe('Approximate size of the response in tokens'),
+  largeResponse: z.boolean().describe('Whether the response would take much of a context window'),
+  recommendations: z.array(z.string()).describe('Narrower selections or other changes to make (empty if the query is fine)'),
+};
+
+/**
+ * Output of get_sse_data.
+ * @type {Object<string, z.ZodTypeAny>}
+ * @constant
+ */
+export const sseDataOutput = {
+  totalObservations: z.number().describe('Number of observations'),
+  data: z.array(sseObservationSchema),
+  lastChanged: z.string().optional().describe('Last change reported by the upstream (ISO 8601), if known'),
+};
+
+/**
+ * Statistics of the response cache, as returned by responseCache.stats().
+ * @type {z.ZodObject}
+ * @constant
+ */
+export const cacheStatsSchema = z.object({
+  entries: z.number().describe('Number of responses in memory'),
+  bytes: z.number().describe('Total size of the responses in memory'),
+  maxEntries: z.number(),
+  maxBytes: z.number(),
+  hits: z.number(),
+  misses: z.number(),
+  evictions: z.number().describe('Responses removed to stay within the limits'),
+  coalesced: z.number().describe('Requests that joined an identical request in flight'),
+  revalidated: z.number().describe('Expired responses renewed after a 304 Not Modified'),
+  inFlight: z.number().describe('Requests currently in flight'),
+  endpoints: z.record(z.object({
+    entries: z.number(),
+    bytes: z.number(),
+    ttlSeconds: z.number().describe('Time-to-live (0: not cached)'),
+  })).describe('Statistics per endpoint'),
+  disk: z.object({
+    dir: z.string(),
+    entries: z.number(),
+  }).nullable().describe('On-disk store (null if disabled)'),
+});
+
+/**
+ * Output of manage_cache.
+ * @type {Object<string, z.ZodTypeAny>}
+ * @constant
+ */
+export const cacheOutput = {
+  action: z.enum(['stats', 'clear']),
+  endpoint: z.string().optional().describe('Endpoint the action was limited to'),
+  removed: z.number().optional().describe('Number of removed memory entries and disk files'),
+  stats: cacheStatsSchema,
+};
+
+/**
+ * Result of one upstream probe.
+ * @type {z.ZodObject}
+ * @constant
+ */
+export const upstreamHealthSchema = z.object({
+  name: z.enum(['pxweb', 'sse', 'dam']).describe('Upstream API'),
+  url: z.string().describe('Probed URL'),
+  status: z.enum(['ok', 'error']),
+  latencyMs: z.number().describe('Time until the probe succeeded or failed'),
+  details: z.record(z.unknown()).optional().describe('Probe response summary'),
+  errorType: z.enum(['network', 'timeout', 'http', 'parse', 'circuit-open', 'unknown']).optional().describe('Failure class; circuit-open if requests fail fast after repeated failures'),
+  httpStatus: z.number().optional().describe('HTTP status of a failed response'),
+  error: z.string().optional().describe('Error message'),
+});
+
+/**
+ * Output of check_health.
+ * @type {Object<string, z.ZodTypeAny>}
+ * @constant
+ */
+export const healthOutput = {
+  status: z.enum(['ok', 'degraded', 'down']).describe('ok if all upstreams respond, down if none does'),
+  checkedAt: z.string().describe('Time of the check (ISO 8601)'),
+  server: z.object({
+    name: z.string(),
+    version: z.string(),
+    nodeVersion: z.string(),
+    uptimeSeconds: z.number(),
+  }),
+  upstreams: z.array(upstreamHealthSchema),
+  config: z.record(z.unknown()).describe('Effective configuration without secrets'),
+  cache: z.record(z.unknown()).describe('Cache statistics'),
+  rateLimiter: z.object({
+    rate: z.number().describe('Requests per second per host (0: unlimited)'),
+    burst: z.number(),
+    maxConcurrent: z.number().describe('Requests in flight across all hosts (0: unlimited)'),
+    active: z.number().describe('Requests in flight'),
+    queued: z.number().describe('Requests waiting for the limiter'),
+    hosts: z.record(z.object({
+      tokens: z.number().describe('Requests the host may receive right away'),
+      pausedSeconds: z.number().describe('Seconds until the host accepts requests again after a Retry-After'),
+    })),
+  }).describe('Upstream rate limiter state'),
+  circuits: z.record(z.object({
+    state: z.enum(['closed', 'open', 'half-open']),
+    failures: z.number().describe('Consecutive failures'),
+    retryAfterSeconds: z.number().describe('Seconds until the next probe request while open'),
+    lastError: z.string().nullable().describe('Last failure'),
+  })).describe('Circuit breaker state per upstream'),
+};
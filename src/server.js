@@ -0,0 +1,65 @@
+/**
+ * @fileoverview MCP server factory for BFS MCP Server.
+ * Builds a fully configured McpServer instance with all BFS tools, resources and prompts registered.
+ * The factory is shared by every transport: the stdio entry point creates a single
+ * instance, while the HTTP transport creates one instance per client session.
+ *
+ * @module server
+ * @see {@link https://modelcontextprotocol.io|Model Context Protocol}
+ */
+
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { config } from './config.js';
+import { logger } from './utils/logger.js';
+import { registerTools } from './tools/registry.js';
+import { registerDatasetResources } from './resources/dataset-resources.js';
+import { registerAnalysisPrompts } from './prompts/analysis-prompts.js';
+
+/**
+ * Creates and configures the MCP server instance with all available tools, resources and prompts.
+ * Adds a helper method to simplify tool registration and registers the enabled tools of all
+ * built-in and additional tool modules (see {@link module:tools/registry}).
+ * The helper takes the input schema as a zod shape and, optionally, the output schema
+ * (a zod shape or zod object, see {@link module:schemas/output-schemas}).
+ *
+ * @param {Object} [options={}] - Server options
+ * @param {Array<{group: string, register: Function}>} [options.toolModules=[]] - Additional tool modules,
+ *   as returned by loadToolModules()
+ * @returns {McpServer} Configured MCP server instance with all tools, resources and prompts registered
+ *
+ * @example
+ * const server = createServer();
+ * // Server now has catalog, data, metadata and health tools, dataset resources and analysis prompts registered
+ *
+ * @example
+ * const toolModules = await loadToolModules();
+ * const server = createServer({ toolModules });
+ */
+export function createServer({ toolModules = [] } = {}) {
+  const server = new McpServer({
+    name: config.serverName,
+    version: config.serverVersion,
+  });
+
+  // Helper function to make tool registration easier
+  server.tool = function(name, description, schema, handler, outputSchema) {
+    this.registerTool(name, {
+      description,
+      inputSchema: schema,
+      outputSchema,
+    }, handler);
+  };
+
+  // Register enabled tools
+  const { tools } = registerTools(server, { modules: toolModules });
+
+  // Register all resources
+  registerDatasetResources(server);
+
+  // Register the prompts whose tools are enabled, naming the tools as registered
+  registerAnalysisPrompts(server, { tools });
+
+  logger.debug('All tools, resources and prompts registered successfully');
+
+  return server;
+}
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Cache management tools for BFS MCP server.
+ *
+ * This module registers the manage_cache tool, which reports statistics of the
+ * response cache and clears it, either completely or for one endpoint. Clear the
+ * cache when a dataset was updated upstream before its cached responses expired.
+ *
+ * @module tools/cache-tools
+ * @see {@link module:utils/cache} for the response cache
+ */
+
+import { z } from 'zod';
+import { logger } from '../utils/logger.js';
+import { formatToolResult, formatToolError } from '../utils/formatting.js';
+import { responseCache, CACHE_ENDPOINTS } from '../utils/cache.js';
+import { cacheOutput } from '../schemas/output-schemas.js';
+
+/**
+ * Register cache management tools with the MCP server.
+ *
+ * @param {Object} server - MCP server instance with tool registration capabilities
+ *
+ * @example
+ * import { registerCacheTools } from './tools/cache-tools.js';
+ * registerCacheTools(server);
+ */
+export function registerCacheTools(server) {
+
+  /**
+   * MCP Tool: manage_cache
+   *
+   * Shows response cache statistics or clears cached responses.
+   *
+   * @async
+   * @param {object} params - The parameters for the tool.
+   * @param {string} params.action - 'stats' or 'clear'.
+   * @param {string} [params.endpoint] - Limit clearing to one endpoint.
+   * @returns {Promise<object>} A promise that resolves to the MCP tool response.
+   */
+  server.tool(
+    'manage_cache',
+    'Show statistics of the BFS response cache (entries, size, hits, TTL per endpoint) or clear cached responses. Clear the cache to force fresh data after an upstream update.',
+    {
+      action: z.enum(['stats', 'clear']).default('stats').describe('stats: show cache statistics; clear: remove cached responses'),
+      endpoint: z.enum(CACHE_ENDPOINTS).optional().describe('Only clear responses of this endpoint (default: all)'),
+    },
+    async ({ action, endpoint }) => {
+      try {
+        if (action === 'clear') {
+          logger.info({ endpoint }, 'Clearing response cache');
+          const removed = await responseCache.clear(endpoint);
+
+          return formatToolResult({
+            action,
+            ...(endpoint && { endpoint }),
+            removed,
+            stats: await responseCache.stats(),
+          });
+        }
+
+        return formatToolResult({
+          action,
+          stats: await responseCache.stats(),
+        });
+      } catch (error) {
+        logger.error({ error: error.message, action }, 'Error managing cache');
+        return formatToolError(error, 'managing cache');
+      }
+    },
+    cacheOutput
+  );
+}
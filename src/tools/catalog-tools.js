@@ -10,6 +10,9 @@
  * - List all available statistical themes/categories
  * - Retrieve detailed metadata for specific datasets
  * 
+ * and with the PXWEB API to browse the folders and tables it serves, which
+ * includes tables missing from the DAM catalog.
+ * 
  * @module tools/catalog-tools
  * @see {@link https://www.bfs.admin.ch/bfs/en/home.html|Swiss Federal Statistical Office}
  * @see {@link https://dam-api.bfs.admin.ch/hub/api/dam/assets|BFS DAM API}
@@ -17,18 +20,23 @@
 
 import { z } from 'zod';
 import { searchCatalog, getAssetMetadata, getThemes } from '../api/dam-client.js';
+import { browsePxweb } from '../api/pxweb-client.js';
 import { logger } from '../utils/logger.js';
+import { formatDatasetSummary, formatAssetInfo, formatToolResult, formatToolError } from '../utils/formatting.js';
+import { InvalidQueryError, NotFoundError } from '../utils/errors.js';
+import { datasetListOutput, themeListOutput, assetInfoOutput, pxwebBrowseOutput } from '../schemas/output-schemas.js';
 
 /**
  * Registers catalog-related tools with the MCP server.
  * 
- * This function registers three MCP tools:
+ * This function registers four MCP tools:
  * 1. search_datasets - Search the BFS catalog by keywords and filters
  * 2. list_themes - List all available statistical themes
  * 3. get_dataset_info - Get detailed metadata for a specific dataset
+ * 4. browse_pxweb - Browse the folders and tables of the PXWEB API
  * 
  * Each tool is registered with Zod schemas for input validation and
- * comprehensive error handling.
+ * structured output, and comprehensive error handling.
  * 
  * @param {Object} server - MCP server instance with tool registration methods
  * @returns {void}
@@ -59,6 +67,7 @@ export function registerCatalogTools(server) {
    * @param {string} [params.publishingYearStart] - Start year (e.g., "2020")
    * @param {string} [params.publishingYearEnd] - End year (e.g., "2023")
    * @param {number} [params.limit=50] - Maximum results (1-1000)
+   * @param {Object} extra - MCP request handler context; its signal cancels upstream requests
    * @returns {Promise<Object>} MCP tool response with dataset list
    * @throws {Error} If search fails or API is unavailable
    * 
@@ -91,7 +100,7 @@ export function registerCatalogTools(server) {
       publishingYearEnd: z.string().optional().describe('Filter by publishing year end (e.g., "2023")'),
       limit: z.number().min(1).max(1000).default(50).describe('Maximum number of results to return (default: 50, max: 1000)'),
     },
-    async ({ language, query, theme, spatialDivision, publishingYearStart, publishingYearEnd, limit }) => {
+    async ({ language, query, theme, spatialDivision, publishingYearStart, publishingYearEnd, limit }, extra) => {
       try {
         logger.info({ language, query, theme }, 'Searching BFS catalog');
         
@@ -103,41 +112,21 @@ export function registerCatalogTools(server) {
           publishingYearStart,
           publishingYearEnd,
           limit,
-        });
+        }, { signal: extra?.signal });
         
         // Format results for better readability
-        const datasets = results.data?.map(item => ({
-          title: item.description?.titles?.main || 'Untitled',
-          numberBfs: item.shop?.orderNr || 'N/A',
-          numberAsset: item.ids?.damId || 'N/A',
-          publicationDate: item.bfs?.embargo || 'N/A',
-          language: item.description?.language || language,
-        })) || [];
+        const datasets = results.data?.map(item => formatDatasetSummary(item, language)) || [];
         
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                totalResults: datasets.length,
-                datasets,
-              }, null, 2),
-            },
-          ],
-        };
+        return formatToolResult({
+          totalResults: datasets.length,
+          datasets,
+        });
       } catch (error) {
         logger.error({ error: error.message }, 'Error searching catalog');
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error searching catalog: ${error.message}`,
-            },
-          ],
-          isError: true,
-        };
+        return formatToolError(error, 'searching catalog');
       }
-    }
+    },
+    datasetListOutput
   );
   
   /**
@@ -181,31 +170,17 @@ export function registerCatalogTools(server) {
         // Note: Theme names are currently in English only
         // In a production version, you might want to fetch localized names
         
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                totalThemes: themes.length,
-                themes,
-                note: 'Use the prodima number with search_datasets to filter by theme',
-              }, null, 2),
-            },
-          ],
-        };
+        return formatToolResult({
+          totalThemes: themes.length,
+          themes,
+          note: 'Use the prodima number with search_datasets to filter by theme',
+        });
       } catch (error) {
         logger.error({ error: error.message }, 'Error listing themes');
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error listing themes: ${error.message}`,
-            },
-          ],
-          isError: true,
-        };
+        return formatToolError(error, 'listing themes');
       }
-    }
+    },
+    themeListOutput
   );
   
   /**
@@ -224,6 +199,7 @@ export function registerCatalogTools(server) {
    * @param {string} [params.numberBfs] - BFS number (e.g., "px-x-1502040100_131")
    * @param {string} [params.numberAsset] - Asset number from DAM API
    * @param {string} params.language - Language for results (de, fr, it, en)
+   * @param {Object} extra - MCP request handler context; its signal cancels upstream requests
    * @returns {Promise<Object>} MCP tool response with dataset metadata
    * @throws {Error} If neither identifier is provided or dataset not found
    * 
@@ -249,10 +225,12 @@ export function registerCatalogTools(server) {
       numberAsset: z.string().optional().describe('Asset number of the dataset'),
       language: z.enum(['de', 'fr', 'it', 'en']).default('en').describe('Language for results'),
     },
-    async ({ numberBfs, numberAsset, language }) => {
+    async ({ numberBfs, numberAsset, language }, extra) => {
       try {
         if (!numberBfs && !numberAsset) {
-          throw new Error('Either numberBfs or numberAsset must be provided');
+          throw new InvalidQueryError('Either numberBfs or numberAsset must be provided', {
+            hint: 'Pass the BFS number (e.g. "px-x-1502040100_131") or the asset number of the dataset.',
+          });
         }
         
         logger.info({ numberBfs, numberAsset, language }, 'Getting dataset info');
@@ -265,54 +243,89 @@ export function registerCatalogTools(server) {
             language,
             orderNr: numberBfs,
             limit: 1,
-          });
+          }, { signal: extra?.signal });
           
           if (!searchResults.data || searchResults.data.length === 0) {
-            throw new Error(`Dataset not found with BFS number: ${numberBfs}`);
+            throw new NotFoundError(`Dataset not found with BFS number: ${numberBfs}`);
           }
           
           assetNum = searchResults.data[0].ids?.damId?.toString();
         }
         
-        const metadata = await getAssetMetadata(assetNum, language);
+        let lastChanged;
+        const metadata = await getAssetMetadata(assetNum, language, {
+          signal: extra?.signal,
+          onLastChanged: value => { lastChanged = value; },
+        });
         
         // Format metadata for readability
-        const info = {
-          title: metadata.description?.titles?.main || 'Untitled',
-          subtitle: metadata.description?.titles?.sub || null,
-          numberBfs: metadata.shop?.orderNr || 'N/A',
-          numberAsset: metadata.ids?.damId || 'N/A',
-          publicationDate: metadata.bfs?.embargo || 'N/A',
-          language: metadata.description?.language || language,
-          summary: metadata.description?.shortSummary?.raw || null,
-          themes: metadata.description?.categorization?.prodima?.map(p => p.text) || [],
-          spatialDivisions: metadata.description?.categorization?.spatialdivision?.map(s => s.text) || [],
-          links: metadata.links?.map(link => ({
-            rel: link.rel,
-            href: link.href,
-          })) || [],
-        };
+        const info = formatAssetInfo(metadata, language);
         
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(info, null, 2),
-            },
-          ],
-        };
+        return formatToolResult({ ...info, ...(lastChanged && { lastChanged }) });
       } catch (error) {
         logger.error({ error: error.message }, 'Error getting dataset info');
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error getting dataset info: ${error.message}`,
-            },
-          ],
-          isError: true,
-        };
+        return formatToolError(error, 'getting dataset info');
+      }
+    },
+    assetInfoOutput
+  );
+  
+  /**
+   * MCP Tool: browse_pxweb
+   * 
+   * Lists the folders and tables of the PXWEB database tree, starting at the
+   * root or at a folder path. Recursive browsing walks the subfolders (up to
+   * 50 folder requests); the filter keeps the folders and tables whose title,
+   * id or path contains the text. Tables come with the BFS number used by
+   * get_statistical_data and get_dataset_metadata.
+   * 
+   * @async
+   * @param {Object} params - Browse parameters
+   * @param {string} [params.path] - Folder path to start from (default: the root)
+   * @param {string} params.language - Language for titles (de, fr, it, en)
+   * @param {boolean} [params.recursive=false] - Also list the subfolders
+   * @param {string} [params.filter] - Text the returned folders and tables must contain
+   * @param {number} [params.limit=200] - Maximum number of nodes returned
+   * @param {Object} extra - MCP request handler context; its signal cancels upstream requests
+   * @returns {Promise<Object>} MCP tool response with the folders and tables
+   * @throws {Error} If the folder does not exist or PXWEB is unavailable
+   * 
+   * @example
+   * // Find tables about commuters
+   * {
+   *   language: 'en',
+   *   recursive: true,
+   *   filter: 'commuter'
+   * }
+   */
+  server.tool(
+    'browse_pxweb',
+    'Browse the folders and tables served by the BFS PXWEB API, including tables that search_datasets does not find. Lists a folder (default: the root) with ids, titles and update dates; optionally walks the subfolders and filters by text. Tables include the numberBfs for get_dataset_metadata and get_statistical_data.',
+    {
+      path: z.string().default('').describe('Folder path to list, as returned in the path of a folder (default: the root)'),
+      language: z.enum(['de', 'fr', 'it', 'en']).default('en').describe('Language for titles'),
+      recursive: z.boolean().default(false).describe('Also list the subfolders (at most 50 folders per call)'),
+      filter: z.string().optional().describe('Only return folders and tables whose title, id or path contains this text (case and accents are ignored)'),
+      limit: z.number().min(1).max(1000).default(200).describe('Maximum number of folders and tables to return (default: 200, max: 1000)'),
+    },
+    async ({ path, language, recursive, filter, limit }, extra) => {
+      try {
+        logger.info({ path, language, recursive, filter }, 'Browsing PXWEB');
+        
+        const result = await browsePxweb(path, language, { recursive, filter, signal: extra?.signal });
+        
+        return formatToolResult({
+          path: result.path,
+          totalNodes: result.nodes.length,
+          nodes: result.nodes.slice(0, limit),
+          foldersListed: result.foldersListed,
+          truncated: result.truncated || result.nodes.length > limit,
+        });
+      } catch (error) {
+        logger.error({ error: error.message, path }, 'Error browsing PXWEB');
+        return formatToolError(error, 'browsing PXWEB');
       }
-    }
+    },
+    pxwebBrowseOutput
   );
 }
@@ -7,7 +7,8 @@
  * - SSE API: Modern SDMX-based API optimized for time-series data
  * 
  * Both tools support multi-language responses, dimension-based filtering, and provide
- * comprehensive error handling with helpful tips for common issues.
+ * comprehensive error handling with helpful tips for common issues. A third tool
+ * estimates the size of a PXWEB query before the data is requested.
  * 
  * @module tools/data-tools
  * @see {@link module:api/pxweb-client} for PXWEB API implementation
@@ -15,16 +16,51 @@
  */
 
 import { z } from 'zod';
-import { getData as getPxwebData } from '../api/pxweb-client.js';
+import { getData as getPxwebData, estimateQuery } from '../api/pxweb-client.js';
 import { getSseData } from '../api/sse-client.js';
 import { logger } from '../utils/logger.js';
+import { formatToolResult, formatToolError } from '../utils/formatting.js';
+import { pxwebDataOutput, sseDataOutput, queryEstimateOutput } from '../schemas/output-schemas.js';
+import { createProgressReporter, PXWEB_DATA_PHASES, SSE_DATA_PHASES } from '../utils/progress.js';
+
+/**
+ * PXWEB selection spec of one dimension: a filter and its values.
+ * @type {z.ZodObject}
+ * @constant
+ */
+const pxwebSelectionSchema = z.object({
+  filter: z.string().regex(/^(item|all|top|agg:.+|vs:.+)$/).describe('PXWEB filter: "item" (listed codes), "top" (latest N periods), "all" (codes matching wildcard patterns), "agg:<aggregation>" or "vs:<value set>"'),
+  values: z.array(z.string()).optional().describe('Codes for item, agg: and vs:; the count for top (e.g. ["5"]); patterns for all (e.g. ["*"], ["1*"]; default ["*"])'),
+});
+
+/**
+ * PXWEB query of get_statistical_data and estimate_query: value codes, labels or a selection spec per dimension.
+ * @type {z.ZodOptional}
+ * @constant
+ */
+const pxwebQuerySchema = z.record(z.union([z.string(), z.array(z.string()), pxwebSelectionSchema])).optional().describe('Optional dimension filters as key-value pairs. Keys are dimension codes, values are dimension value codes or labels in the requested language (string or array of strings) or a selection spec. Example: {"Jahr": {"filter": "top", "values": ["5"]}, "Kanton": {"filter": "all", "values": ["*"]}, "Geschlecht": ["0", "1"]}');
+
+/**
+ * Response format of get_statistical_data and estimate_query.
+ * @type {z.ZodDefault}
+ * @constant
+ */
+const pxwebFormatSchema = z.enum(['json-stat', 'json-stat2', 'json', 'csv', 'px', 'xlsx', 'sdmx']).default('json-stat').describe('Response format of PXWEB (default: json-stat). csv, px and sdmx are returned as text content, xlsx as base64 content');
+
+/**
+ * Local conversion of get_statistical_data and estimate_query.
+ * @type {z.ZodOptional}
+ * @constant
+ */
+const pxwebConvertSchema = z.enum(['csv', 'tsv', 'json-stat2', 'tidy']).optional().describe('Convert the table locally instead of using a PXWEB format (format is then ignored): csv or tsv text with one line per cell, a JSON-stat 2.0 dataset, or tidy rows ({"Jahr": "2023", "Kanton": "Zürich", "value": 1}). Works for tables of any size');
 
 /**
  * Register data retrieval tools with the MCP server.
  * 
- * Registers two tools for retrieving statistical data:
+ * Registers three tools for retrieving statistical data:
  * 1. get_statistical_data - Uses PXWEB API for traditional statistical tables
  * 2. get_sse_data - Uses SSE API for time-series data with SDMX format
+ * 3. estimate_query - Estimates the size of a get_statistical_data query before it runs
  * 
  * Both tools include comprehensive input validation using Zod schemas and provide
  * detailed error messages with troubleshooting tips.
@@ -43,63 +79,59 @@ export function registerDataTools(server) {
    *
    * Retrieves statistical data from a BFS dataset using the PXWEB API.
    * Supports optional filtering by specific dimensions and can return data
-   * in multiple formats (json-stat, json, csv).
+   * in the PXWEB formats (json-stat, json-stat2, json, csv, px, xlsx, sdmx) or
+   * convert it locally (csv, tsv, json-stat2, tidy).
    *
    * Before using this tool, it is recommended to use `get_dataset_metadata`
    * to discover available dimensions and their possible values for filtering.
    *
+   * When the client passes a progress token, progress notifications are sent
+   * for each phase (metadata, downloading, parsing, formatting).
+   *
    * @async
    * @param {object} params - The parameters for the tool.
    * @param {string} params.numberBfs - BFS number of the dataset.
    * @param {string} params.language - Language for the results.
-   * @param {object} [params.query] - Optional dimension filters.
+   * @param {object} [params.query] - Optional dimension filters (value codes or `{ filter, values }` selection specs).
    * @param {string} [params.format] - The response format.
+   * @param {string} [params.convert] - Optional local conversion (csv, tsv, json-stat2, tidy).
+   * @param {object} extra - MCP request handler context; its signal cancels upstream requests.
    * @returns {Promise<object>} A promise that resolves to the MCP tool response.
    * @throws {Error} If the API request fails.
    */
   server.tool(
     'get_statistical_data',
-    'Retrieve statistical data from a BFS dataset using the PXWEB API. You can optionally filter by specific dimensions. Use get_dataset_metadata first to see available dimensions and values for filtering. Returns data in JSON-stat format by default.',
+    'Retrieve statistical data from a BFS dataset using the PXWEB API. You can optionally filter by specific dimensions. Use get_dataset_metadata first to see available dimensions and values for filtering. Returns data in JSON-stat format by default; use convert for tidy rows, CSV or TSV.',
     {
       numberBfs: z.string().describe('BFS number (FSO number) of the dataset (e.g., "px-x-1502040100_131")'),
       language: z.enum(['de', 'fr', 'it', 'en']).default('en').describe('Language for results and labels'),
-      query: z.record(z.union([z.string(), z.array(z.string())])).optional().describe('Optional dimension filters as key-value pairs. Keys are dimension codes, values are dimension value codes (string or array of strings). Example: {"Jahr": ["40", "41"], "Geschlecht": ["0", "1"]}'),
-      format: z.enum(['json-stat', 'json', 'csv']).default('json-stat').describe('Response format (default: json-stat)'),
+      query: pxwebQuerySchema,
+      format: pxwebFormatSchema,
+      convert: pxwebConvertSchema,
     },
-    async ({ numberBfs, language, query, format }) => {
+    async ({ numberBfs, language, query, format, convert }, extra) => {
       try {
-        logger.info({ numberBfs, language, hasQuery: !!query, format }, 'Getting statistical data');
+        logger.info({ numberBfs, language, hasQuery: !!query, format, convert }, 'Getting statistical data');
         
-        const data = await getPxwebData(numberBfs, language, query, format);
+        const onProgress = createProgressReporter(extra, PXWEB_DATA_PHASES);
+        let lastChanged;
+        const data = await getPxwebData(numberBfs, language, query, format, {
+          convert,
+          onProgress,
+          signal: extra?.signal,
+          onLastChanged: value => { lastChanged = value; },
+        });
         
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(data, null, 2),
-            },
-          ],
-        };
+        onProgress({ phase: 'formatting', message: 'Formatting response' });
+        
+        return formatToolResult({ ...data, ...(lastChanged && { lastChanged }) });
       } catch (error) {
         logger.error({ error: error.message, numberBfs }, 'Error getting statistical data');
         
-        let errorMessage = `Error getting statistical data: ${error.message}`;
-        
-        if (error.message.includes('429')) {
-          errorMessage += '\n\nTip: You may be hitting rate limits. Try adding a delay or querying specific dimensions instead of all data.';
-        }
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: errorMessage,
-            },
-          ],
-          isError: true,
-        };
+        return formatToolError(error, 'getting statistical data');
       }
-    }
+    },
+    pxwebDataOutput
   );
   
   /**
@@ -112,6 +144,9 @@ export function registerDataTools(server) {
    * It is recommended to use `get_sse_metadata` first to discover available
    * dimensions and their possible values for filtering.
    *
+   * When the client passes a progress token, progress notifications are sent
+   * for each phase (resolving, metadata, downloading, parsing, formatting).
+   *
    * @async
    * @param {object} params - The parameters for the tool.
    * @param {string} params.numberBfs - BFS dataset identifier for SSE.
@@ -119,6 +154,7 @@ export function registerDataTools(server) {
    * @param {object} [params.query] - Optional dimension filters.
    * @param {string} [params.startPeriod] - Start period for time-series data.
    * @param {string} [params.endPeriod] - End period for time-series data.
+   * @param {object} extra - MCP request handler context; its signal cancels upstream requests.
    * @returns {Promise<object>} A promise that resolves to the MCP tool response.
    * @throws {Error} If the API request fails.
    */
@@ -126,48 +162,81 @@ export function registerDataTools(server) {
     'get_sse_data',
     'Retrieve time-series data from the Swiss Stats Explorer (SSE) API. This is a modern SDMX-based API that works well for time-series data. Use get_sse_metadata first to see available dimensions. You can filter by dimensions and time periods.',
     {
-      numberBfs: z.string().describe('BFS dataset identifier for SSE (e.g., "DF_LWZ_1")'),
+      numberBfs: z.string().describe('BFS dataset identifier for SSE, case-insensitive (e.g., "DF_LWZ_1"); add a version as "BFS:DF_LWZ_1(1.0)" (default: newest)'),
       language: z.enum(['de', 'fr', 'it', 'en']).default('en').describe('Language for results and labels'),
-      query: z.record(z.union([z.string(), z.array(z.string())])).optional().describe('Optional dimension filters as key-value pairs. Example: {"GR_KT_GDE": ["2581", "4001"], "LEERWOHN_TYP": ["4"]}'),
+      query: z.record(z.union([z.string(), z.array(z.string())])).optional().describe('Optional dimension filters as key-value pairs. Keys are dimension codes, values are dimension value codes or labels in the requested language. Example: {"GR_KT_GDE": ["2581", "4001"], "LEERWOHN_TYP": ["4"]} or {"GR_KT_GDE": ["Zürich", "Bern"]}'),
       startPeriod: z.string().optional().describe('Start period for time-series data (e.g., "2020")'),
       endPeriod: z.string().optional().describe('End period for time-series data (e.g., "2023")'),
     },
-    async ({ numberBfs, language, query, startPeriod, endPeriod }) => {
+    async ({ numberBfs, language, query, startPeriod, endPeriod }, extra) => {
       try {
         logger.info({ numberBfs, language, hasQuery: !!query, startPeriod, endPeriod }, 'Getting SSE data');
         
-        const data = await getSseData(numberBfs, language, query, startPeriod, endPeriod);
+        const onProgress = createProgressReporter(extra, SSE_DATA_PHASES);
+        let lastChanged;
+        const data = await getSseData(numberBfs, language, query, startPeriod, endPeriod, {
+          onProgress,
+          signal: extra?.signal,
+          onLastChanged: value => { lastChanged = value; },
+        });
         
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                totalObservations: data.length,
-                data,
-              }, null, 2),
-            },
-          ],
-        };
+        onProgress({ phase: 'formatting', message: `Formatting ${data.length} observations`, observations: data.length });
+        
+        return formatToolResult({
+          totalObservations: data.length,
+          data,
+          ...(lastChanged && { lastChanged }),
+        });
       } catch (error) {
         logger.error({ error: error.message, numberBfs }, 'Error getting SSE data');
         
-        let errorMessage = `Error getting SSE data: ${error.message}`;
+        return formatToolError(error, 'getting SSE data');
+      }
+    },
+    sseDataOutput
+  );
+  
+  /**
+   * MCP Tool: estimate_query
+   *
+   * Estimates the cost of a get_statistical_data query without downloading the data:
+   * the selected cells, the PXWEB limits, the number of requests and the approximate
+   * response size, with recommendations for narrower selections when the query is too big.
+   *
+   * @async
+   * @param {object} params - The parameters for the tool (as for get_statistical_data).
+   * @param {string} params.numberBfs - BFS number of the dataset.
+   * @param {string} params.language - Language for labels.
+   * @param {object} [params.query] - Optional dimension filters (value codes or `{ filter, values }` selection specs).
+   * @param {string} [params.format] - The response format to estimate.
+   * @param {string} [params.convert] - Optional local conversion to estimate.
+   * @param {object} extra - MCP request handler context; its signal cancels upstream requests.
+   * @returns {Promise<object>} A promise that resolves to the MCP tool response.
+   * @throws {Error} If the API request fails.
+   */
+  server.tool(
+    'estimate_query',
+    'Estimate a get_statistical_data query before running it: the number of cells it selects, the PXWEB limits (cells per request, requests per time window), the number of requests and the approximate response size in tokens. Takes the same input as get_statistical_data. Recommends narrower selections when the query is too big; use it before requesting large tables.',
+    {
+      numberBfs: z.string().describe('BFS number (FSO number) of the dataset (e.g., "px-x-1502040100_131")'),
+      language: z.enum(['de', 'fr', 'it', 'en']).default('en').describe('Language for results and labels'),
+      query: pxwebQuerySchema,
+      format: pxwebFormatSchema,
+      convert: pxwebConvertSchema,
+    },
+    async ({ numberBfs, language, query, format, convert }, extra) => {
+      try {
+        logger.info({ numberBfs, language, hasQuery: !!query, format, convert }, 'Estimating query');
         
-        if (error.message.includes('No records found')) {
-          errorMessage += '\n\nTip: Check your query filters and time period. The dataset may not have data for the specified criteria.';
-        }
+        const estimate = await estimateQuery(numberBfs, language, query, format, { convert, signal: extra?.signal });
         
-        return {
-          content: [
-            {
-              type: 'text',
-              text: errorMessage,
-            },
-          ],
-          isError: true,
-        };
+        return formatToolResult(estimate);
+      } catch (error) {
+        logger.error({ error: error.message, numberBfs }, 'Error estimating query');
+        
+        return formatToolError(error, 'estimating query');
       }
-    }
+    },
+    queryEstimateOutput
   );
 }
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Health and diagnostics tools for BFS MCP server.
+ * 
+ * This module registers the check_health tool, which probes the PXWEB, SSE and
+ * DAM APIs and reports their status together with the server version, the
+ * effective configuration, cache statistics, the rate limiter state and the
+ * circuit breaker state per upstream. Use it to find out whether a
+ * failing tool call is caused by an upstream outage or by the configuration.
+ * 
+ * @module tools/health-tools
+ * @see {@link module:api/health-check} for the upstream probes
+ */
+
+import { z } from 'zod';
+import { checkUpstreams, getEffectiveConfig } from '../api/health-check.js';
+import { getSseCacheStats } from '../api/sse-client.js';
+import { responseCache } from '../utils/cache.js';
+import { upstreamLimiter } from '../utils/rate-limiter.js';
+import { getCircuitStates } from '../utils/circuit-breaker.js';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { formatToolResult, formatToolError } from '../utils/formatting.js';
+import { healthOutput } from '../schemas/output-schemas.js';
+
+/**
+ * Register health and diagnostics tools with the MCP server.
+ * 
+ * @param {Object} server - MCP server instance with tool registration capabilities
+ * 
+ * @example
+ * import { registerHealthTools } from './tools/health-tools.js';
+ * registerHealthTools(server);
+ */
+export function registerHealthTools(server) {
+  
+  /**
+   * MCP Tool: check_health
+   *
+   * Probes all upstream APIs in parallel and reports per-upstream status and
+   * latency. Failures are classified as network, timeout, HTTP or parse errors.
+   * The tool itself only fails on unexpected errors; unreachable upstreams are
+   * reported in the result.
+   *
+   * @async
+   * @param {object} params - The parameters for the tool.
+   * @param {number} [params.timeoutSeconds] - Time limit per probe.
+   * @param {object} extra - MCP request handler context; its signal cancels the probes.
+   * @returns {Promise<object>} A promise that resolves to the MCP tool response.
+   */
+  server.tool(
+    'check_health',
+    'Check whether the BFS APIs (PXWEB, Swiss Stats Explorer, DAM catalog) are reachable. Reports status and latency per API, classifies failures (network, timeout, http, parse), and shows the server version, effective configuration and cache statistics. Use this when data tools fail unexpectedly.',
+    {
+      timeoutSeconds: z.number().min(1).max(60).default(10).describe('Time limit per probe in seconds (default: 10)'),
+    },
+    async ({ timeoutSeconds }, extra) => {
+      try {
+        logger.info({ timeoutSeconds }, 'Checking upstream health');
+        
+        const { status, upstreams } = await checkUpstreams({
+          timeout: timeoutSeconds * 1000,
+          signal: extra?.signal,
+        });
+        
+        return formatToolResult({
+          status,
+          checkedAt: new Date().toISOString(),
+          server: {
+            name: config.serverName,
+            version: config.serverVersion,
+            nodeVersion: process.version,
+            uptimeSeconds: Math.round(process.uptime()),
+          },
+          upstreams,
+          config: getEffectiveConfig(),
+          cache: {
+            response: await responseCache.stats(),
+            sse: getSseCacheStats(),
+          },
+          rateLimiter: upstreamLimiter.stats(),
+          circuits: getCircuitStates(),
+        });
+      } catch (error) {
+        logger.error({ error: error.message }, 'Error checking health');
+        return formatToolError(error, 'checking health');
+      }
+    },
+    healthOutput
+  );
+}
@@ -19,6 +19,8 @@ import { z } from 'zod';
 import { getMetadata as getPxwebMetadata } from '../api/pxweb-client.js';
 import { getSseMetadata } from '../api/sse-client.js';
 import { logger } from '../utils/logger.js';
+import { groupSseDimensions, formatToolResult, formatToolError } from '../utils/formatting.js';
+import { pxwebMetadataOutput, sseMetadataOutput, pxwebDimensionsOutput } from '../schemas/output-schemas.js';
 
 /**
  * Registers metadata-related tools with the MCP server.
@@ -54,6 +56,7 @@ export function registerMetadataTools(server) {
    * @param {object} params - The parameters for the tool.
    * @param {string} params.numberBfs - BFS number of the dataset.
    * @param {string} params.language - Language for the metadata.
+   * @param {object} extra - MCP request handler context; its signal cancels upstream requests.
    * @returns {Promise<object>} A promise that resolves to the MCP tool response.
    * @throws {Error} If the API request fails.
    */
@@ -64,11 +67,15 @@ export function registerMetadataTools(server) {
       numberBfs: z.string().describe('BFS number (FSO number) of the dataset (e.g., "px-x-1502040100_131")'),
       language: z.enum(['de', 'fr', 'it', 'en']).default('en').describe('Language for dimension and value labels'),
     },
-    async ({ numberBfs, language }) => {
+    async ({ numberBfs, language }, extra) => {
       try {
         logger.info({ numberBfs, language }, 'Getting dataset metadata');
         
-        const metadata = await getPxwebMetadata(numberBfs, language);
+        let lastChanged;
+        const metadata = await getPxwebMetadata(numberBfs, language, {
+          signal: extra?.signal,
+          onLastChanged: value => { lastChanged = value; },
+        });
         
         // Format metadata for better readability
         const formattedMetadata = {
@@ -85,29 +92,16 @@ export function registerMetadataTools(server) {
             time: variable.time || false,
             elimination: variable.elimination || false,
           })) || [],
+          ...(lastChanged && { lastChanged }),
         };
         
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(formattedMetadata, null, 2),
-            },
-          ],
-        };
+        return formatToolResult(formattedMetadata);
       } catch (error) {
         logger.error({ error: error.message, numberBfs }, 'Error getting dataset metadata');
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error getting dataset metadata: ${error.message}`,
-            },
-          ],
-          isError: true,
-        };
+        return formatToolError(error, 'getting dataset metadata');
       }
-    }
+    },
+    pxwebMetadataOutput
   );
   
   /**
@@ -121,6 +115,7 @@ export function registerMetadataTools(server) {
    * @param {object} params - The parameters for the tool.
    * @param {string} params.numberBfs - BFS dataset identifier for SSE.
    * @param {string} params.language - Language for the metadata.
+   * @param {object} extra - MCP request handler context; its signal cancels upstream requests.
    * @returns {Promise<object>} A promise that resolves to the MCP tool response.
    * @throws {Error} If the API request fails.
    */
@@ -128,59 +123,33 @@ export function registerMetadataTools(server) {
     'get_sse_metadata',
     'Get metadata for a Swiss Stats Explorer (SSE) dataset. Returns available dimensions and their possible values. Use this before calling get_sse_data to understand what filters you can apply.',
     {
-      numberBfs: z.string().describe('BFS dataset identifier for SSE (e.g., "DF_LWZ_1")'),
+      numberBfs: z.string().describe('BFS dataset identifier for SSE, case-insensitive (e.g., "DF_LWZ_1"); add a version as "BFS:DF_LWZ_1(1.0)" (default: newest)'),
       language: z.enum(['de', 'fr', 'it', 'en']).default('en').describe('Language for dimension and value labels'),
     },
-    async ({ numberBfs, language }) => {
+    async ({ numberBfs, language }, extra) => {
       try {
         logger.info({ numberBfs, language }, 'Getting SSE metadata');
         
-        const metadata = await getSseMetadata(numberBfs, language);
+        let lastChanged;
+        const metadata = await getSseMetadata(numberBfs, language, {
+          signal: extra?.signal,
+          onLastChanged: value => { lastChanged = value; },
+        });
         
         // Group by dimension code for better readability
-        const dimensionMap = {};
+        const dimensions = groupSseDimensions(metadata);
         
-        for (const item of metadata) {
-          if (!dimensionMap[item.code]) {
-            dimensionMap[item.code] = {
-              code: item.code,
-              text: item.text,
-              values: [],
-            };
-          }
-          
-          dimensionMap[item.code].values.push({
-            value: item.value,
-            valueText: item.valueText,
-          });
-        }
-        
-        const dimensions = Object.values(dimensionMap);
-        
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                totalDimensions: dimensions.length,
-                dimensions,
-              }, null, 2),
-            },
-          ],
-        };
+        return formatToolResult({
+          totalDimensions: dimensions.length,
+          dimensions,
+          ...(lastChanged && { lastChanged }),
+        });
       } catch (error) {
         logger.error({ error: error.message, numberBfs }, 'Error getting SSE metadata');
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error getting SSE metadata: ${error.message}`,
-            },
-          ],
-          isError: true,
-        };
+        return formatToolError(error, 'getting SSE metadata');
       }
-    }
+    },
+    sseMetadataOutput
   );
   
   /**
@@ -194,6 +163,7 @@ export function registerMetadataTools(server) {
    * @param {object} params - The parameters for the tool.
    * @param {string} params.numberBfs - BFS number of the dataset.
    * @param {string} params.language - Language for the dimension labels.
+   * @param {object} extra - MCP request handler context; its signal cancels upstream requests.
    * @returns {Promise<object>} A promise that resolves to the MCP tool response.
    * @throws {Error} If the API request fails.
    */
@@ -204,11 +174,15 @@ export function registerMetadataTools(server) {
       numberBfs: z.string().describe('BFS number (FSO number) of the dataset'),
       language: z.enum(['de', 'fr', 'it', 'en']).default('en').describe('Language for dimension labels'),
     },
-    async ({ numberBfs, language }) => {
+    async ({ numberBfs, language }, extra) => {
       try {
         logger.info({ numberBfs, language }, 'Getting dataset dimensions');
         
-        const metadata = await getPxwebMetadata(numberBfs, language);
+        let lastChanged;
+        const metadata = await getPxwebMetadata(numberBfs, language, {
+          signal: extra?.signal,
+          onLastChanged: value => { lastChanged = value; },
+        });
         
         const dimensions = metadata.variables?.map(variable => ({
           code: variable.code,
@@ -220,31 +194,18 @@ export function registerMetadataTools(server) {
           note: variable.values?.length > 5 ? `... and ${variable.values.length - 5} more values` : null,
         })) || [];
         
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                datasetTitle: metadata.title,
-                totalDimensions: dimensions.length,
-                dimensions,
-                tip: 'Use the "code" field as keys in your query object, and "sampleValues" as possible filter values',
-              }, null, 2),
-            },
-          ],
-        };
+        return formatToolResult({
+          datasetTitle: metadata.title,
+          totalDimensions: dimensions.length,
+          dimensions,
+          tip: 'Use the "code" field as keys in your query object, and "sampleValues" as possible filter values',
+          ...(lastChanged && { lastChanged }),
+        });
       } catch (error) {
         logger.error({ error: error.message, numberBfs }, 'Error getting dataset dimensions');
-        return {
-          content: [
-            {
-              type: 'text',
-              text: `Error getting dataset dimensions: ${error.message}`,
-            },
-          ],
-          isError: true,
-        };
+        return formatToolError(error, 'getting dataset dimensions');
       }
-    }
+    },
+    pxwebDimensionsOutput
   );
 }
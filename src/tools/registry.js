@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Tool registry for BFS MCP server.
+ *
+ * Registers the built-in tool modules and any additional tool modules, applying
+ * the tool configuration:
+ * - Tool groups can be enabled (`BFS_TOOL_GROUPS`) or disabled (`BFS_DISABLED_TOOL_GROUPS`)
+ * - Individual tools can be enabled (`BFS_ENABLED_TOOLS`) or disabled (`BFS_DISABLED_TOOLS`)
+ * - All tool names can be prefixed (`BFS_TOOL_PREFIX`) to avoid clashes with other MCP servers
+ * - Additional register modules are loaded from files or directories (`BFS_TOOL_MODULES`)
+ *
+ * Every tool belongs to the group of its module (catalog, data, metadata, health, cache, or the
+ * group of an additional module) and, for built-in tools, to the group of the API it
+ * calls (pxweb, sse, dam). Disabled tools win over enabled tools, which win over groups.
+ *
+ * @module tools/registry
+ */
+
+import { readdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { registerCatalogTools } from './catalog-tools.js';
+import { registerDataTools } from './data-tools.js';
+import { registerMetadataTools } from './metadata-tools.js';
+import { registerHealthTools } from './health-tools.js';
+import { registerCacheTools } from './cache-tools.js';
+
+/**
+ * Built-in tool modules with their group names.
+ * @type {Array<{group: string, register: Function}>}
+ * @constant
+ */
+export const TOOL_MODULES = [
+  { group: 'catalog', register: registerCatalogTools },
+  { group: 'data', register: registerDataTools },
+  { group: 'metadata', register: registerMetadataTools },
+  { group: 'health', register: registerHealthTools },
+  { group: 'cache', register: registerCacheTools },
+];
+
+/**
+ * Built-in tools by the upstream API they call.
+ * @type {Object<string, string[]>}
+ * @constant
+ */
+export const API_TOOL_GROUPS = {
+  pxweb: ['browse_pxweb', 'get_statistical_data', 'estimate_query', 'get_dataset_metadata', 'get_dataset_dimensions'],
+  sse: ['get_sse_data', 'get_sse_metadata'],
+  dam: ['search_datasets', 'list_themes', 'get_dataset_info'],
+};
+
+/**
+ * Get the name under which a tool is exposed to clients.
+ *
+ * @param {string} name - Tool name without prefix
+ * @param {Object} [settings=config] - Tool configuration (uses `toolPrefix`)
+ * @returns {string} Prefixed tool name
+ * @example
+ * // With BFS_TOOL_PREFIX=bfs_
+ * toolName('get_sse_data'); // 'bfs_get_sse_data'
+ */
+export function toolName(name, settings = config) {
+  return `${settings.toolPrefix || ''}${name}`;
+}
+
+/**
+ * Get the groups of a tool: its module group and the API groups listing it.
+ *
+ * @param {string} name - Tool name without prefix
+ * @param {string} moduleGroup - Group of the module registering the tool
+ * @returns {string[]} Group names
+ */
+function toolGroups(name, moduleGroup) {
+  const apiGroups = Object.keys(API_TOOL_GROUPS).filter(api => API_TOOL_GROUPS[api].includes(name));
+  return [moduleGroup, ...apiGroups];
+}
+
+/**
+ * Decide whether a tool is registered.
+ *
+ * @param {string} name - Tool name without prefix
+ * @param {string[]} groups - Groups of the tool
+ * @param {Object} [settings=config] - Tool configuration (`toolGroups`, `disabledToolGroups`,
+ *   `enabledTools`, `disabledTools`; empty lists impose no restriction)
+ * @returns {boolean} True if the tool is enabled
+ * @example
+ * // SSE-only deployment: BFS_DISABLED_TOOL_GROUPS=pxweb
+ * isToolEnabled('get_statistical_data', ['data', 'pxweb']); // false
+ * isToolEnabled('get_sse_data', ['data', 'sse']);           // true
+ */
+export function isToolEnabled(name, groups, settings = config) {
+  if (settings.disabledTools?.includes(name)) {
+    return false;
+  }
+  if (settings.enabledTools?.includes(name)) {
+    return true;
+  }
+  if (groups.some(group => settings.disabledToolGroups?.includes(group))) {
+    return false;
+  }
+  if (settings.toolGroups?.length > 0) {
+    return groups.some(group => settings.toolGroups.includes(group));
+  }
+  return true;
+}
+
+/**
+ * Wrap the server for one tool module so that its tool registrations are
+ * filtered and prefixed. Everything else is passed through to the server.
+ *
+ * @param {Object} server - MCP server with the `tool` helper
+ * @param {string} group - Group of the module
+ * @param {Object} settings - Tool configuration
+ * @param {{registered: string[], skipped: string[], tools: Object<string, string>}} summary - Collects registered
+ *   and skipped tool names
+ * @returns {Object} Server proxy
+ */
+function scopedServer(server, group, settings, summary) {
+  const register = (name, registerFn) => {
+    if (!isToolEnabled(name, toolGroups(name, group), settings)) {
+      summary.skipped.push(name);
+      return undefined;
+    }
+    summary.registered.push(toolName(name, settings));
+    summary.tools[name] = toolName(name, settings);
+    return registerFn(toolName(name, settings));
+  };
+
+  return new Proxy(server, {
+    get(target, property) {
+      if (property === 'tool') {
+        return (name, ...rest) => register(name, prefixed => target.tool(prefixed, ...rest));
+      }
+      if (property === 'registerTool') {
+        return (name, ...rest) => register(name, prefixed => target.registerTool(prefixed, ...rest));
+      }
+      const value = Reflect.get(target, property);
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+  });
+}
+
+/**
+ * Register the built-in and additional tool modules with the MCP server.
+ *
+ * @param {Object} server - MCP server with the `tool` helper
+ * @param {Object} [options={}] - Registration options
+ * @param {Array<{group: string, register: Function}>} [options.modules=[]] - Additional tool modules
+ *   (see {@link loadToolModules})
+ * @param {Object} [options.settings=config] - Tool configuration
+ * @returns {{registered: string[], skipped: string[], tools: Object<string, string>}} Registered (prefixed) and
+ *   skipped tool names, and the exposed name of each registered tool by its name without prefix
+ *
+ * @example
+ * const modules = await loadToolModules();
+ * const { tools } = registerTools(server, { modules });
+ * tools.get_sse_data; // 'bfs_get_sse_data' with BFS_TOOL_PREFIX=bfs_, undefined if disabled
+ */
+export function registerTools(server, { modules = [], settings = config } = {}) {
+  const summary = { registered: [], skipped: [], tools: {} };
+
+  for (const { group, register } of [...TOOL_MODULES, ...modules]) {
+    register(scopedServer(server, group, settings, summary));
+  }
+
+  logger.debug(summary, 'Tools registered');
+  return summary;
+}
+
+/**
+ * Import one tool module file.
+ *
+ * @async
+ * @param {string} file - Absolute module path
+ * @returns {Promise<{group: string, register: Function}>} Tool module
+ * @throws {Error} If the module exports no register function
+ */
+async function importToolModule(file) {
+  const module = await import(pathToFileURL(file).href);
+  const register = module.registerTools || module.default;
+
+  if (typeof register !== 'function') {
+    throw new Error(`Tool module ${file} must export a registerTools function or a default function`);
+  }
+
+  return {
+    group: module.group || path.basename(file, path.extname(file)),
+    register,
+  };
+}
+
+/**
+ * Load additional tool modules.
+ *
+ * Each path is a module file or a directory whose `.js` and `.mjs` files are
+ * loaded in alphabetical order; relative paths are resolved against the working
+ * directory. A module exports `registerTools(server)` (or a default function)
+ * that registers its tools with `server.tool(name, description, inputSchema, handler, outputSchema)`,
+ * and optionally a `group` name (default: the file name).
+ *
+ * @async
+ * @param {string[]} [paths=config.toolModules] - Module files or directories
+ * @returns {Promise<Array<{group: string, register: Function}>>} Loaded tool modules
+ * @throws {Error} If a path does not exist or a module cannot be loaded
+ *
+ * @example
+ * // BFS_TOOL_MODULES=./custom-tools
+ * // custom-tools/inhouse.js:
+ * //   export const group = 'inhouse';
+ * //   export function registerTools(server) { server.tool('my_tool', 'Description', {}, handler); }
+ * const modules = await loadToolModules();
+ */
+export async function loadToolModules(paths = config.toolModules) {
+  const modules = [];
+
+  for (const modulePath of paths || []) {
+    const resolved = path.resolve(modulePath);
+
+    try {
+      if ((await stat(resolved)).isDirectory()) {
+        const files = (await readdir(resolved)).filter(file => /\.m?js$/.test(file)).sort();
+        for (const file of files) {
+          modules.push(await importToolModule(path.join(resolved, file)));
+        }
+      } else {
+        modules.push(await importToolModule(resolved));
+      }
+    } catch (error) {
+      throw new Error(`Failed to load tool modules from ${modulePath}: ${error.message}`, { cause: error });
+    }
+  }
+
+  logger.debug({ groups: modules.map(module => module.group) }, 'Loaded tool modules');
+  return modules;
+}
@@ -0,0 +1,433 @@
+/**
+ * @fileoverview HTTP transport for BFS MCP Server.
+ * Serves the MCP server over Streamable HTTP so that many clients can share a single
+ * server process. Each client session gets its own McpServer instance created from the
+ * shared factory. Legacy clients that only speak the deprecated HTTP+SSE transport are
+ * supported through the `/sse` and `/messages` endpoints.
+ *
+ * Endpoints:
+ * - `POST|GET|DELETE {path}` - Streamable HTTP (default path: `/mcp`)
+ * - `GET /sse` - Opens a legacy SSE stream
+ * - `POST /messages?sessionId=...` - Posts messages to a legacy SSE session
+ *
+ * Requests are rejected with 403 when their `Host` or `Origin` header names a host
+ * the server is not reached by (DNS rebinding protection), and with 413 when their
+ * body exceeds `BFS_HTTP_MAX_BODY_SIZE`.
+ *
+ * @module transports/http-server
+ * @see {@link https://modelcontextprotocol.io/specification/2025-03-26/basic/transports|MCP Transports}
+ */
+
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Path of the legacy SSE stream endpoint.
+ * @type {string}
+ * @constant
+ */
+const SSE_PATH = '/sse';
+
+/**
+ * Path legacy SSE clients post their messages to.
+ * @type {string}
+ * @constant
+ */
+const SSE_MESSAGES_PATH = '/messages';
+
+/**
+ * Host names that always refer to the local machine.
+ * @type {string[]}
+ * @constant
+ */
+const LOOPBACK_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Addresses that bind to all interfaces, so that the server may be reached by any host name.
+ * @type {string[]}
+ * @constant
+ */
+const WILDCARD_HOSTS = ['0.0.0.0', '::', '[::]', ''];
+
+/**
+ * Error thrown when a request body exceeds the size limit.
+ */
+class PayloadTooLargeError extends Error {
+  constructor(maxBodySize) {
+    super(`Request body exceeds ${maxBodySize} bytes`);
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+/**
+ * Get the host name of a `Host` header or an origin.
+ *
+ * @param {string} value - Host (with optional port) or URL
+ * @returns {string|null} Lower-case host name, IPv6 addresses in brackets, or null if invalid
+ *
+ * @example
+ * hostnameOf('localhost:3000');       // 'localhost'
+ * hostnameOf('http://[::1]:3000');    // '[::1]'
+ */
+function hostnameOf(value) {
+  try {
+    return new URL(value.includes('://') ? value : `http://${value}`).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the host names the server may be reached by.
+ *
+ * @param {string} host - Interface the server binds to
+ * @param {string[]} allowedHosts - Additionally allowed host names
+ * @returns {Set<string>} Allowed host names; empty if any host name is allowed
+ */
+function allowedHostnames(host, allowedHosts) {
+  const hostnames = allowedHosts.map(hostnameOf).filter(Boolean);
+
+  if (!WILDCARD_HOSTS.includes(host)) {
+    const hostname = hostnameOf(host.includes(':') && !host.startsWith('[') ? `[${host}]` : host);
+    hostnames.push(hostname);
+    if (LOOPBACK_HOSTNAMES.includes(hostname)) {
+      hostnames.push(...LOOPBACK_HOSTNAMES);
+    }
+  }
+
+  return new Set(hostnames);
+}
+
+/**
+ * Read and parse the JSON body of an incoming request.
+ * A body exceeding the size limit is drained without being kept in memory.
+ *
+ * @param {http.IncomingMessage} req - Incoming HTTP request
+ * @param {number} maxBodySize - Maximum body size in bytes
+ * @returns {Promise<*>} Parsed JSON body, or undefined if the body is empty
+ * @throws {PayloadTooLargeError} If the body exceeds `maxBodySize`
+ * @throws {SyntaxError} If the body is not valid JSON
+ */
+async function readJsonBody(req, maxBodySize) {
+  if (parseInt(req.headers['content-length'] || '0', 10) > maxBodySize) {
+    throw new PayloadTooLargeError(maxBodySize);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size <= maxBodySize) {
+      chunks.push(chunk);
+    }
+  }
+
+  if (size > maxBodySize) {
+    throw new PayloadTooLargeError(maxBodySize);
+  }
+
+  const raw = Buffer.concat(chunks).toString('utf8');
+  return raw ? JSON.parse(raw) : undefined;
+}
+
+/**
+ * Marker returned when a request body could not be read and an error response was sent.
+ * @type {symbol}
+ * @constant
+ */
+const INVALID_BODY = Symbol('invalidBody');
+
+/**
+ * Send a JSON-RPC error response without an associated request ID.
+ *
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @returns {void}
+ */
+function sendJsonRpcError(res, status, code, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null,
+  }));
+}
+
+/**
+ * Start an HTTP server exposing the MCP server over Streamable HTTP with SSE fallback.
+ *
+ * A new McpServer is created from `createServer` for every initialized session and
+ * connected to a dedicated transport. Sessions are tracked until the client deletes them,
+ * the connection closes, or the returned `close()` function is called.
+ *
+ * @async
+ * @param {Function} createServer - Factory returning a new, unconnected McpServer
+ * @param {Object} [options={}] - Server options (defaults come from config)
+ * @param {string} [options.host] - Interface to bind to
+ * @param {number} [options.port] - Port to listen on (0 picks a free port)
+ * @param {string} [options.path] - Streamable HTTP endpoint path
+ * @param {number} [options.shutdownTimeout] - Seconds to wait for open connections on close
+ * @param {number} [options.maxBodySize] - Maximum request body size in bytes
+ * @param {string[]} [options.allowedHosts] - Host names accepted besides `host`
+ * @returns {Promise<Object>} Handle with `url`, `httpServer`, `sessions` and an async `close()` function
+ *
+ * @example
+ * import { createServer } from '../server.js';
+ * import { startHttpServer } from './transports/http-server.js';
+ *
+ * const handle = await startHttpServer(createServer, { port: 3000 });
+ * console.error(`Listening on ${handle.url}`);
+ * process.on('SIGTERM', () => handle.close());
+ */
+export async function startHttpServer(createServer, options = {}) {
+  const {
+    host = config.httpHost,
+    port = config.httpPort,
+    path = config.httpPath,
+    shutdownTimeout = config.httpShutdownTimeout,
+    maxBodySize = config.httpMaxBodySize,
+    allowedHosts = config.httpAllowedHosts,
+  } = options;
+
+  const hostnames = allowedHostnames(host, allowedHosts);
+
+  /**
+   * Open sessions keyed by session ID.
+   * @type {Map<string, {transport: Object, server: Object, type: string}>}
+   */
+  const sessions = new Map();
+
+  async function closeSession(sessionId) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    sessions.delete(sessionId);
+
+    try {
+      await session.server.close();
+    } catch (error) {
+      logger.warn({ error: error.message, sessionId }, 'Error closing MCP session');
+    }
+  }
+
+  /**
+   * Read the JSON body of a request, answering 413 or 400 if it is too large or invalid.
+   *
+   * @returns {Promise<*>} Parsed body, or INVALID_BODY once an error response was sent
+   */
+  async function readRequestBody(req, res) {
+    try {
+      return await readJsonBody(req, maxBodySize);
+    } catch (error) {
+      if (error instanceof PayloadTooLargeError) {
+        logger.warn({ maxBodySize }, 'Rejected oversized HTTP request body');
+        res.setHeader('Connection', 'close');
+        sendJsonRpcError(res, 413, -32600, `Payload Too Large: ${error.message}`);
+      } else {
+        sendJsonRpcError(res, 400, -32700, 'Parse error: Invalid JSON');
+      }
+      return INVALID_BODY;
+    }
+  }
+
+  /**
+   * Check the `Host` and `Origin` headers against the host names the server is reached by.
+   * With no host names configured (bound to all interfaces), an origin must match the `Host` header.
+   *
+   * @returns {string|null} Name of the rejected header, or null if the request is allowed
+   */
+  function rejectedHeader(req) {
+    const requestHostname = hostnameOf(req.headers.host || '');
+    if (hostnames.size > 0 && !hostnames.has(requestHostname)) {
+      return 'Host';
+    }
+
+    const origin = req.headers.origin;
+    if (origin) {
+      const originHostname = hostnameOf(origin);
+      const allowed = hostnames.size > 0 ? hostnames.has(originHostname) : originHostname === requestHostname;
+      if (!allowed) {
+        return 'Origin';
+      }
+    }
+
+    return null;
+  }
+
+  async function handleStreamableRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const session = sessionId ? sessions.get(sessionId) : undefined;
+
+    if (session && session.type !== 'streamable') {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: Session belongs to a different transport');
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      if (!session) {
+        sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+        return;
+      }
+      await session.transport.handleRequest(req, res);
+      return;
+    }
+
+    const body = await readRequestBody(req, res);
+    if (body === INVALID_BODY) {
+      return;
+    }
+
+    if (session) {
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (sessionId || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (newSessionId) => {
+        sessions.set(newSessionId, { transport, server, type: 'streamable' });
+        logger.info({ sessionId: newSessionId, sessionCount: sessions.size }, 'MCP session initialized');
+      },
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId && sessions.has(transport.sessionId)) {
+        sessions.delete(transport.sessionId);
+        logger.info({ sessionId: transport.sessionId, sessionCount: sessions.size }, 'MCP session closed');
+      }
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleSseStream(req, res) {
+    const server = createServer();
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+
+    sessions.set(transport.sessionId, { transport, server, type: 'sse' });
+    logger.info({ sessionId: transport.sessionId, sessionCount: sessions.size }, 'Legacy SSE session opened');
+
+    res.on('close', () => {
+      if (sessions.has(transport.sessionId)) {
+        closeSession(transport.sessionId);
+        logger.info({ sessionId: transport.sessionId, sessionCount: sessions.size }, 'Legacy SSE session closed');
+      }
+    });
+
+    await server.connect(transport);
+  }
+
+  async function handleSseMessage(req, res, requestUrl) {
+    const sessionId = requestUrl.searchParams.get('sessionId');
+    const session = sessionId ? sessions.get(sessionId) : undefined;
+
+    if (!session || session.type !== 'sse') {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+
+    const body = await readRequestBody(req, res);
+    if (body === INVALID_BODY) {
+      return;
+    }
+
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  async function handleRequest(req, res) {
+    const header = rejectedHeader(req);
+    if (header) {
+      logger.warn({ host: req.headers.host, origin: req.headers.origin }, `Rejected HTTP request with disallowed ${header} header`);
+      sendJsonRpcError(res, 403, -32000, `Forbidden: ${header} not allowed`);
+      return;
+    }
+
+    const requestUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (requestUrl.pathname === path && ['POST', 'GET', 'DELETE'].includes(req.method)) {
+      await handleStreamableRequest(req, res);
+    } else if (requestUrl.pathname === SSE_PATH && req.method === 'GET') {
+      await handleSseStream(req, res);
+    } else if (requestUrl.pathname === SSE_MESSAGES_PATH && req.method === 'POST') {
+      await handleSseMessage(req, res, requestUrl);
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+    }
+  }
+
+  const httpServer = http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      logger.error({ error: error.message, stack: error.stack }, 'Error handling HTTP request');
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, 'Internal server error');
+      } else {
+        res.end();
+      }
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = httpServer.address();
+  const url = `http://${host}:${address.port}${path}`;
+
+  logger.info({ url, sseUrl: `http://${host}:${address.port}${SSE_PATH}` }, 'HTTP transport listening');
+
+  let closing = null;
+
+  /**
+   * Close all open sessions and stop accepting connections.
+   * Connections still open after the shutdown timeout are destroyed.
+   *
+   * @returns {Promise<void>} Resolves once the HTTP server is closed
+   */
+  function close() {
+    if (closing) {
+      return closing;
+    }
+
+    closing = (async () => {
+      logger.info({ sessionCount: sessions.size }, 'Shutting down HTTP transport');
+
+      const serverClosed = new Promise(resolve => httpServer.close(resolve));
+
+      await Promise.all([...sessions.keys()].map(closeSession));
+
+      httpServer.closeIdleConnections();
+      const forceTimer = setTimeout(() => httpServer.closeAllConnections(), shutdownTimeout * 1000);
+      forceTimer.unref();
+
+      await serverClosed;
+      clearTimeout(forceTimer);
+
+      logger.info('HTTP transport stopped');
+    })();
+
+    return closing;
+  }
+
+  return { url, httpServer, sessions, close };
+}
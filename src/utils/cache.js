@@ -0,0 +1,454 @@
+/**
+ * @fileoverview Response cache for the BFS API clients.
+ * An in-memory LRU cache with an optional on-disk store, so that repeated
+ * metadata and data requests are answered without hitting the BFS servers.
+ *
+ * Entries are grouped by endpoint (e.g. 'pxweb-metadata') and keyed by the
+ * request URL, body and language. Each endpoint uses the default TTL
+ * (`BFS_CACHE_TTL`) unless it has an override (`BFS_CACHE_TTL_OVERRIDES`);
+ * a TTL of 0 disables caching. The memory cache is limited by number of
+ * entries and total size; the least recently used entries are evicted first.
+ * With `BFS_CACHE_DIR` set, entries are also written to disk and survive restarts.
+ *
+ * Responses with an `ETag` or `Last-Modified` header are kept after they expire
+ * and revalidated with a conditional request; on 304 Not Modified the cached
+ * response is renewed instead of downloaded again.
+ *
+ * Identical requests that are in flight at the same time are coalesced: later
+ * callers wait for the first request instead of sending their own, even for
+ * endpoints that are not cached.
+ *
+ * @module utils/cache
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile, readdir, unlink } from 'node:fs/promises';
+import path from 'node:path';
+import { config } from '../config.js';
+import { logger } from './logger.js';
+
+/**
+ * Endpoints whose responses are cached.
+ * @type {string[]}
+ * @constant
+ */
+export const CACHE_ENDPOINTS = [
+  'pxweb-metadata',
+  'pxweb-config',
+  'pxweb-browse',
+  'pxweb-data',
+  'dam-search',
+  'dam-asset',
+  'sse-metadata',
+  'sse-data',
+];
+
+/**
+ * Returned by a fetch function when the upstream answered 304 Not Modified.
+ * @type {symbol}
+ * @constant
+ */
+export const NOT_MODIFIED = Symbol('notModified');
+
+/**
+ * Response value together with its validators.
+ */
+class ValidatedResponse {
+  /**
+   * @param {*} value - Response value
+   * @param {{etag?: string, lastModified?: string}} validators - Response validators
+   */
+  constructor(value, validators) {
+    this.value = value;
+    this.validators = validators;
+  }
+}
+
+/**
+ * Attach the validators of an HTTP response to its value, for returning from a
+ * fetch function passed to `wrap`.
+ *
+ * @param {*} value - Response value
+ * @param {Headers} [headers] - Response headers (`ETag`, `Last-Modified`)
+ * @returns {*} Value with validators (the plain value if the response has none)
+ *
+ * @example
+ * const response = await ky.get(url, { headers });
+ * return withValidators(await response.json(), response.headers);
+ */
+export function withValidators(value, headers) {
+  const etag = headers?.get?.('etag');
+  const lastModified = headers?.get?.('last-modified');
+
+  if (!etag && !lastModified) {
+    return value;
+  }
+  return new ValidatedResponse(value, {
+    ...(etag && { etag }),
+    ...(lastModified && { lastModified }),
+  });
+}
+
+/**
+ * Build the conditional request headers for revalidating a response.
+ *
+ * @param {{etag?: string, lastModified?: string}} [validators] - Validators of the cached response
+ * @returns {Object<string, string>} `If-None-Match` and `If-Modified-Since` headers (empty without validators)
+ */
+function conditionalHeaders(validators) {
+  return {
+    ...(validators?.etag && { 'If-None-Match': validators.etag }),
+    ...(validators?.lastModified && { 'If-Modified-Since': validators.lastModified }),
+  };
+}
+
+/**
+ * Get the last change time reported by the validators of a response.
+ *
+ * @param {{lastModified?: string}} [validators] - Response validators
+ * @returns {string|undefined} Last-Modified time as ISO 8601, if known
+ *
+ * @example
+ * lastChanged({ lastModified: 'Tue, 01 Apr 2025 06:00:00 GMT' }); // '2025-04-01T06:00:00.000Z'
+ */
+export function lastChanged(validators) {
+  const time = validators?.lastModified ? new Date(validators.lastModified) : null;
+  return time && !Number.isNaN(time.getTime()) ? time.toISOString() : undefined;
+}
+
+/**
+ * Build the cache key of a request.
+ *
+ * @param {Object} request - Request identity
+ * @param {string} request.url - Request URL (including query string)
+ * @param {*} [request.body] - Request body
+ * @param {string} [request.language] - Request language
+ * @returns {string} SHA-256 hash of the request identity
+ */
+function hashKey({ url, body, language }) {
+  return createHash('sha256').update(JSON.stringify([url, body ?? null, language ?? null])).digest('hex');
+}
+
+/**
+ * Create a response cache.
+ *
+ * @param {Object} [options={}] - Cache options
+ * @param {number} [options.ttl=3600] - Default time-to-live in seconds (0 disables caching)
+ * @param {Object<string, number>} [options.ttlOverrides={}] - TTL in seconds per endpoint
+ * @param {number} [options.maxEntries=500] - Maximum number of entries in memory
+ * @param {number} [options.maxBytes=52428800] - Maximum total size of the entries in memory
+ * @param {string} [options.dir] - Directory of the on-disk store (default: memory only)
+ * @returns {Object} Cache with `wrap`, `get`, `set`, `clear` and `stats`
+ *
+ * @example
+ * const cache = createCache({ ttl: 600, dir: '/var/cache/bfs-mcp' });
+ * const metadata = await cache.wrap('pxweb-metadata', { url, language: 'en' }, () => ky.get(url).json());
+ */
+export function createCache(options = {}) {
+  const {
+    ttl = 3600,
+    ttlOverrides = {},
+    maxEntries = 500,
+    maxBytes = 50 * 1024 * 1024,
+    dir,
+  } = options;
+
+  /** @type {Map<string, {endpoint: string, value: *, bytes: number, expiresAt: number}>} */
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0, coalesced: 0, revalidated: 0 };
+  /** @type {Map<string, {promise: Promise<*>, signal?: AbortSignal}>} */
+  const pending = new Map();
+  let totalBytes = 0;
+
+  const ttlFor = endpoint => (ttlOverrides[endpoint] ?? ttl) * 1000;
+  const entryKey = (endpoint, request) => `${endpoint}-${hashKey(request)}`;
+  const filePath = key => path.join(dir, `${key}.json`);
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (entry) {
+      totalBytes -= entry.bytes;
+      entries.delete(key);
+    }
+  };
+
+  const remember = (key, entry) => {
+    remove(key);
+
+    if (entry.bytes > maxBytes) {
+      return;
+    }
+
+    entries.set(key, entry);
+    totalBytes += entry.bytes;
+
+    // Maps iterate in insertion order: the first key is the least recently used
+    while (entries.size > maxEntries || totalBytes > maxBytes) {
+      remove(entries.keys().next().value);
+      counters.evictions++;
+    }
+  };
+
+  const readDisk = async (key) => {
+    try {
+      const entry = JSON.parse(await readFile(filePath(key), 'utf8'));
+      if (entry.expiresAt > Date.now() || entry.validators) {
+        return entry;
+      }
+      await unlink(filePath(key)).catch(() => {});
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.debug({ error: error.message, key }, 'Failed to read cache entry from disk');
+      }
+    }
+    return null;
+  };
+
+  const writeDisk = async (key, entry) => {
+    try {
+      await mkdir(dir, { recursive: true });
+      await writeFile(filePath(key), JSON.stringify({
+        endpoint: entry.endpoint,
+        expiresAt: entry.expiresAt,
+        validators: entry.validators,
+        value: entry.value,
+      }));
+    } catch (error) {
+      logger.warn({ error: error.message, dir }, 'Failed to write cache entry to disk');
+    }
+  };
+
+  const listDiskFiles = async () => {
+    try {
+      return (await readdir(dir)).filter(file => file.endsWith('.json') && CACHE_ENDPOINTS.some(endpoint => file.startsWith(`${endpoint}-`)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.debug({ error: error.message, dir }, 'Failed to list cache directory');
+      }
+      return [];
+    }
+  };
+
+  // Expired entries are kept while they have validators, so that they can be revalidated
+  const lookup = async (key) => {
+    let entry = entries.get(key);
+
+    if (entry && entry.expiresAt <= Date.now() && !entry.validators) {
+      remove(key);
+      entry = undefined;
+    }
+
+    if (!entry && dir) {
+      const stored = await readDisk(key);
+      if (stored) {
+        entry = { ...stored, bytes: Buffer.byteLength(JSON.stringify(stored.value)) };
+      }
+    }
+
+    if (entry) {
+      // Re-insert to mark the entry as most recently used
+      remember(key, entry);
+    }
+    return entry;
+  };
+
+  const cache = {
+    /**
+     * Get a cached response that has not expired.
+     * @param {string} endpoint - Endpoint name
+     * @param {Object} request - Request identity ({ url, body, language })
+     * @returns {Promise<{value: *, validators?: Object}|undefined>} Cached entry, or undefined on a miss
+     */
+    async get(endpoint, request) {
+      if (ttlFor(endpoint) <= 0) {
+        return undefined;
+      }
+
+      const key = entryKey(endpoint, request);
+      const entry = await lookup(key);
+
+      if (!entry || entry.expiresAt <= Date.now()) {
+        counters.misses++;
+        return undefined;
+      }
+
+      counters.hits++;
+      return { value: entry.value, ...(entry.validators && { validators: entry.validators }) };
+    },
+
+    /**
+     * Store a response.
+     * @param {string} endpoint - Endpoint name
+     * @param {Object} request - Request identity ({ url, body, language })
+     * @param {*} value - JSON-serializable response
+     * @param {{etag?: string, lastModified?: string}} [validators] - Validators for revalidating the response
+     * @returns {Promise<void>}
+     */
+    async set(endpoint, request, value, validators) {
+      const entryTtl = ttlFor(endpoint);
+      if (entryTtl <= 0 || value === undefined) {
+        return;
+      }
+
+      const key = entryKey(endpoint, request);
+      const entry = {
+        endpoint,
+        value,
+        ...(validators && (validators.etag || validators.lastModified) && { validators }),
+        bytes: Buffer.byteLength(JSON.stringify(value)),
+        expiresAt: Date.now() + entryTtl,
+      };
+
+      remember(key, entry);
+
+      if (dir) {
+        await writeDisk(key, entry);
+      }
+    },
+
+    /**
+     * Return the cached response or fetch and cache it.
+     *
+     * `fetchFn` is called with the conditional request headers (`If-None-Match`,
+     * `If-Modified-Since`) of an expired response, if it has validators. It returns
+     * the response value, the value with validators (see {@link withValidators}),
+     * or {@link NOT_MODIFIED} when the upstream answered 304, in which case the
+     * expired response is renewed and returned.
+     *
+     * If the same request is already in flight, its response is shared. When the
+     * shared request is cancelled by its own caller, the waiting callers retry.
+     * @param {string} endpoint - Endpoint name
+     * @param {Object} request - Request identity ({ url, body, language })
+     * @param {Function} fetchFn - Async function performing the request with the given headers
+     * @param {Object} [wrapOptions={}] - Lookup options
+     * @param {boolean} [wrapOptions.refresh=false] - Skip the lookup and revalidate or replace the cached response
+     * @param {AbortSignal} [wrapOptions.signal] - Signal passed to the request by this caller
+     * @param {Function} [wrapOptions.onValidators] - Called with the validators (`{ etag, lastModified }`)
+     *   of the returned response
+     * @returns {Promise<*>} Response
+     */
+    async wrap(endpoint, request, fetchFn, { refresh = false, signal, onValidators = () => {} } = {}) {
+      const hit = refresh ? undefined : await cache.get(endpoint, request);
+      if (hit) {
+        logger.debug({ endpoint, url: request.url }, 'Cache hit');
+        onValidators(hit.validators || {});
+        return hit.value;
+      }
+
+      const key = entryKey(endpoint, request);
+      const inFlight = pending.get(key);
+      if (inFlight) {
+        counters.coalesced++;
+        logger.debug({ endpoint, url: request.url }, 'Joining in-flight request');
+        try {
+          const { value, validators } = await inFlight.promise;
+          onValidators(validators);
+          return value;
+        } catch (error) {
+          if (inFlight.signal?.aborted && !signal?.aborted) {
+            return cache.wrap(endpoint, request, fetchFn, { refresh, signal, onValidators });
+          }
+          throw error;
+        }
+      }
+
+      const promise = (async () => {
+        const stale = ttlFor(endpoint) > 0 ? await lookup(key) : undefined;
+        const result = await fetchFn(conditionalHeaders(stale?.validators));
+
+        if (result === NOT_MODIFIED) {
+          if (!stale) {
+            throw new Error(`Upstream answered 304 Not Modified for ${request.url} without a cached response`);
+          }
+          logger.debug({ endpoint, url: request.url }, 'Cached response revalidated');
+          counters.revalidated++;
+          await cache.set(endpoint, request, stale.value, stale.validators);
+          return { value: stale.value, validators: stale.validators };
+        }
+
+        const { value, validators = {} } = result instanceof ValidatedResponse ? result : { value: result };
+        await cache.set(endpoint, request, value, validators);
+        return { value, validators };
+      })();
+
+      pending.set(key, { promise, signal });
+      try {
+        const { value, validators } = await promise;
+        onValidators(validators);
+        return value;
+      } finally {
+        pending.delete(key);
+      }
+    },
+
+    /**
+     * Remove cached responses from memory and disk.
+     * @param {string} [endpoint] - Only remove entries of this endpoint (default: all)
+     * @returns {Promise<number>} Number of removed memory entries and disk files
+     */
+    async clear(endpoint) {
+      let removed = 0;
+
+      for (const [key, entry] of [...entries]) {
+        if (!endpoint || entry.endpoint === endpoint) {
+          remove(key);
+          removed++;
+        }
+      }
+
+      if (dir) {
+        for (const file of await listDiskFiles()) {
+          if (!endpoint || file.startsWith(`${endpoint}-`)) {
+            await unlink(path.join(dir, file)).catch(() => {});
+            removed++;
+          }
+        }
+      }
+
+      return removed;
+    },
+
+    /**
+     * Get cache statistics.
+     * @returns {Promise<Object>} Entry counts and sizes (total and per endpoint), hit/miss/coalescing
+     *   counters, requests in flight, limits and TTLs
+     */
+    async stats() {
+      const endpoints = {};
+      for (const endpoint of CACHE_ENDPOINTS) {
+        endpoints[endpoint] = { entries: 0, bytes: 0, ttlSeconds: ttlFor(endpoint) / 1000 };
+      }
+      for (const entry of entries.values()) {
+        endpoints[entry.endpoint] ??= { entries: 0, bytes: 0, ttlSeconds: ttlFor(entry.endpoint) / 1000 };
+        endpoints[entry.endpoint].entries++;
+        endpoints[entry.endpoint].bytes += entry.bytes;
+      }
+
+      return {
+        entries: entries.size,
+        bytes: totalBytes,
+        maxEntries,
+        maxBytes,
+        ...counters,
+        inFlight: pending.size,
+        endpoints,
+        disk: dir ? { dir, entries: (await listDiskFiles()).length } : null,
+      };
+    },
+  };
+
+  return cache;
+}
+
+/**
+ * Response cache shared by the API clients, configured from `BFS_CACHE_*` settings.
+ * @type {Object}
+ * @constant
+ */
+export const responseCache = createCache({
+  ttl: config.cacheTTL,
+  ttlOverrides: config.cacheTTLOverrides,
+  maxEntries: config.cacheMaxEntries,
+  maxBytes: config.cacheMaxBytes,
+  dir: config.cacheDir || undefined,
+});
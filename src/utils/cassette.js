@@ -0,0 +1,207 @@
+/**
+ * @fileoverview HTTP cassettes for offline work and testing.
+ * A fetch function used by all API clients (PXWEB and DAM through ky, SSE directly)
+ * that can record upstream requests and responses to fixture files and replay
+ * them without network access.
+ *
+ * Modes (`BFS_CASSETTE_MODE`):
+ * - `off`: requests go to the network (default)
+ * - `record`: requests go to the network; each response is written to `BFS_CASSETTE_DIR`
+ * - `replay`: responses are served from `BFS_CASSETTE_DIR`; unrecorded requests fail
+ *
+ * One file is written per request, named after the method, host and path and a
+ * hash of the method, URL, body and language. Files hold the request and the
+ * response status, headers and body as text, so PXWEB and DAM JSON and SSE XML
+ * can be inspected and edited by hand; other bodies (e.g. xlsx) are stored as base64.
+ *
+ * @module utils/cassette
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { config, CASSETTE_MODES } from '../config.js';
+import { logger } from './logger.js';
+import { upstreamLimiter } from './rate-limiter.js';
+
+/**
+ * Response headers that describe the transfer rather than the recorded body
+ * (which fetch has already decompressed) and are therefore not recorded.
+ * @type {string[]}
+ * @constant
+ */
+const TRANSFER_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection'];
+
+/**
+ * Statuses whose responses cannot have a body.
+ * @type {number[]}
+ * @constant
+ */
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+/**
+ * Media types whose bodies are recorded as text (if they are valid UTF-8).
+ * @type {RegExp}
+ * @constant
+ */
+const TEXT_MEDIA_TYPES = /^text\/|json|xml|javascript/i;
+
+/**
+ * Encode a response body for a cassette.
+ *
+ * @param {ArrayBuffer} bytes - Response body
+ * @param {string|null} contentType - Content-Type header of the response
+ * @returns {{body: string, encoding?: string}} Body as text, or as base64 with `encoding: 'base64'`
+ */
+function encodeBody(bytes, contentType) {
+  if (!contentType || TEXT_MEDIA_TYPES.test(contentType)) {
+    try {
+      return { body: new TextDecoder('utf-8', { fatal: true }).decode(bytes) };
+    } catch {
+      // Not UTF-8 (e.g. a PX file in ISO-8859-1): keep the bytes
+    }
+  }
+  return { body: Buffer.from(bytes).toString('base64'), encoding: 'base64' };
+}
+
+/**
+ * Describe a request as recorded in a cassette.
+ *
+ * @async
+ * @param {string|URL|Request} input - Fetch input
+ * @param {RequestInit} [init] - Fetch options
+ * @returns {Promise<{method: string, url: string, language: string|null, body: string|null}>} Request identity
+ */
+async function describeRequest(input, init) {
+  // Clone Request inputs: their body is still needed for the actual request
+  const request = new Request(input instanceof Request ? input.clone() : input, init);
+  const body = request.body ? await request.text() : '';
+
+  return {
+    method: request.method,
+    url: request.url,
+    language: request.headers.get('accept-language'),
+    body: body || null,
+  };
+}
+
+/**
+ * Get the file name of a recorded request.
+ *
+ * @param {Object} request - Request identity from describeRequest()
+ * @returns {string} File name, e.g. `GET-www.pxweb.bfs.admin.ch-en-px-x-0102010000_101-2f6c1a9e04b7.json`
+ */
+function cassetteFile({ method, url, language, body }) {
+  const { host, pathname } = new URL(url);
+  const slug = `${host}${pathname}`.replace(/[^a-zA-Z0-9._-]+/g, '-').replace(/-+$/, '').slice(0, 100);
+  const hash = createHash('sha256').update(JSON.stringify([method, url, language, body])).digest('hex').slice(0, 12);
+  return `${method}-${slug}-${hash}.json`;
+}
+
+/**
+ * Create a fetch function that records or replays upstream requests.
+ *
+ * @param {Object} [options={}] - Cassette options
+ * @param {string} [options.mode='off'] - 'off', 'record' or 'replay'
+ * @param {string} [options.dir] - Directory of the cassette files (required for record and replay)
+ * @param {Function} [options.fetchFn] - Fetch implementation used for network requests
+ *   (default: the global fetch at the time of the request)
+ * @returns {Function} Fetch-compatible function
+ * @throws {Error} If the mode is unknown or no directory is given for record or replay
+ *
+ * @example
+ * const replay = createCassetteFetch({ mode: 'replay', dir: 'tests/fixtures/cassettes' });
+ * const metadata = await ky.get(url, { fetch: replay }).json();
+ */
+export function createCassetteFetch(options = {}) {
+  const { mode = 'off', dir, fetchFn = (input, init) => globalThis.fetch(input, init) } = options;
+
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(`Invalid cassette mode: ${mode} (expected one of ${CASSETTE_MODES.join(', ')})`);
+  }
+  if (mode === 'off') {
+    return fetchFn;
+  }
+  if (!dir) {
+    throw new Error(`A cassette directory is required in ${mode} mode`);
+  }
+
+  if (mode === 'replay') {
+    return async (input, init) => {
+      const request = await describeRequest(input, init);
+      const file = path.join(dir, cassetteFile(request));
+
+      let cassette;
+      try {
+        cassette = JSON.parse(await readFile(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`No cassette recorded for ${request.method} ${request.url} (expected ${file})`, { cause: error });
+      }
+
+      logger.debug({ method: request.method, url: request.url, file }, 'Replaying cassette');
+      const { status, statusText, headers, body, encoding } = cassette.response;
+      const content = encoding === 'base64' ? Buffer.from(body, 'base64') : body;
+      return new Response(NULL_BODY_STATUSES.includes(status) ? null : content, { status, statusText, headers });
+    };
+  }
+
+  return async (input, init) => {
+    const request = await describeRequest(input, init);
+    const response = await fetchFn(input, init);
+
+    // A 304 answers a conditional request of the response cache; the cassette keeps the
+    // full response recorded before, which replay serves to a cold cache as well
+    if (response.status === 304) {
+      logger.debug({ method: request.method, url: request.url }, 'Not recording 304 Not Modified');
+      return response;
+    }
+
+    const file = path.join(dir, cassetteFile(request));
+    const cassette = {
+      request,
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: Object.fromEntries([...response.headers].filter(([name]) => !TRANSFER_HEADERS.includes(name))),
+        ...encodeBody(await response.clone().arrayBuffer(), response.headers.get('content-type')),
+      },
+    };
+
+    try {
+      await mkdir(dir, { recursive: true });
+      await writeFile(file, `${JSON.stringify(cassette, null, 2)}\n`);
+      logger.debug({ method: request.method, url: request.url, file }, 'Recorded cassette');
+    } catch (error) {
+      logger.warn({ error: error.message, file }, 'Failed to record cassette');
+    }
+
+    return response;
+  };
+}
+
+/**
+ * Cassette fetch of the API clients, created on the first request.
+ * @type {Function|undefined}
+ */
+let cassetteFetch;
+
+/**
+ * Fetch function of the API clients, configured from `BFS_CASSETTE_MODE` and `BFS_CASSETTE_DIR`.
+ * Requests that go to the network are throttled by the upstream rate limiter;
+ * replayed requests are not. The cassette setup is checked on the first request
+ * rather than on import (see {@link module:config.validateConfig}).
+ *
+ * @async
+ * @param {string|URL|Request} input - Fetch input
+ * @param {Object} [init] - Fetch options
+ * @returns {Promise<Response>} Response
+ * @throws {Error} If the cassette mode is unknown
+ */
+export async function upstreamFetch(input, init) {
+  cassetteFetch ??= createCassetteFetch({
+    mode: config.cassetteMode,
+    dir: config.cassetteDir,
+    fetchFn: upstreamLimiter.fetch,
+  });
+  return cassetteFetch(input, init);
+}
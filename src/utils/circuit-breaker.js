@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Circuit breakers for the upstream APIs.
+ * One breaker per upstream (PXWEB, DAM, SSE) stops sending requests to a
+ * service that keeps failing, so tool calls fail fast instead of waiting
+ * through retries and timeouts:
+ *
+ * - closed: requests are sent; after `BFS_CIRCUIT_FAILURE_THRESHOLD` consecutive
+ *   failures the breaker opens
+ * - open: requests fail immediately with a "service unavailable, retry after"
+ *   error until `BFS_CIRCUIT_RESET_TIMEOUT` seconds have passed
+ * - half-open: one probe request is sent; if it succeeds the breaker closes,
+ *   otherwise it opens again
+ *
+ * Only outages count as failures: network errors, timeouts, 5xx and 429 responses.
+ * Client errors (e.g. 404), local errors (parse errors, bugs) and requests cancelled
+ * by the caller do not.
+ * Responses in the cache are still served while a breaker is open.
+ *
+ * @module utils/circuit-breaker
+ */
+
+import { config } from '../config.js';
+import { logger } from './logger.js';
+import { classifyError } from './errors.js';
+
+/**
+ * Breaker states.
+ * @type {string[]}
+ * @constant
+ */
+export const CIRCUIT_STATES = ['closed', 'open', 'half-open'];
+
+/**
+ * Check whether an error means that the upstream is failing (see classifyError()).
+ *
+ * @param {Error} error - Error of a request (ky HTTPError, SSE HTTP error, network error, timeout)
+ * @returns {boolean} True for network errors, timeouts, 5xx and 429 responses
+ */
+function isUpstreamFailure(error) {
+  const { type, httpStatus } = classifyError(error);
+  return type === 'network' || type === 'timeout' || (type === 'http' && (httpStatus >= 500 || httpStatus === 429));
+}
+
+/**
+ * Create a circuit breaker.
+ *
+ * @param {Object} options - Breaker options
+ * @param {string} options.name - Upstream name, used in logs
+ * @param {string} [options.label=options.name] - Service name used in error messages
+ * @param {number} [options.failureThreshold=5] - Consecutive failures that open the breaker (0 disables it)
+ * @param {number} [options.resetTimeout=30] - Seconds the breaker stays open before a probe request
+ * @returns {Object} Breaker with `run(fn, options)`, `state()` and `reset()`
+ *
+ * @example
+ * const breaker = createCircuitBreaker({ name: 'pxweb', label: 'PXWEB' });
+ * const metadata = await breaker.run(() => ky.get(url).json(), { signal });
+ */
+export function createCircuitBreaker(options) {
+  const { name, label = name, failureThreshold = 5, resetTimeout = 30 } = options;
+
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let probing = false;
+  let lastError = null;
+
+  const retryAfterSeconds = () => Math.max(0, Math.ceil((openedAt + resetTimeout * 1000 - Date.now()) / 1000));
+
+  const open = (error) => {
+    state = 'open';
+    openedAt = Date.now();
+    logger.warn({ circuit: name, failures, error: error.message, resetTimeout }, 'Circuit opened');
+  };
+
+  const unavailable = () => {
+    const retryAfter = Math.max(1, retryAfterSeconds());
+    const error = new Error(`${label} is unavailable after ${failures} consecutive failures (circuit ${state}); retry after ${retryAfter} s`);
+    error.circuit = name;
+    error.retryAfter = retryAfter;
+    return error;
+  };
+
+  return {
+    /**
+     * Run a request through the breaker.
+     * @param {Function} fn - Async function performing the request
+     * @param {Object} [runOptions={}] - Run options
+     * @param {AbortSignal} [runOptions.signal] - Caller's signal; failures after it aborted are not counted
+     * @returns {Promise<*>} Result of fn
+     * @throws {Error} Without calling fn if the breaker is open, otherwise the error of fn
+     */
+    async run(fn, { signal } = {}) {
+      if (failureThreshold <= 0) {
+        return fn();
+      }
+
+      if (state === 'open') {
+        if (retryAfterSeconds() > 0) {
+          throw unavailable();
+        }
+        state = 'half-open';
+        logger.info({ circuit: name }, 'Circuit half-open, probing upstream');
+      }
+
+      const isProbe = state === 'half-open';
+      if (isProbe) {
+        if (probing) {
+          throw unavailable();
+        }
+        probing = true;
+      }
+
+      try {
+        const result = await fn();
+        if (state !== 'closed') {
+          logger.info({ circuit: name }, 'Circuit closed');
+        }
+        state = 'closed';
+        failures = 0;
+        lastError = null;
+        return result;
+      } catch (error) {
+        if (signal?.aborted || !isUpstreamFailure(error)) {
+          if (isProbe) {
+            // The probe didn't tell whether the upstream recovered; let the next request probe again
+            state = 'open';
+            openedAt = Date.now() - resetTimeout * 1000;
+          }
+          throw error;
+        }
+
+        failures++;
+        lastError = error.message;
+        if (isProbe || failures >= failureThreshold) {
+          open(error);
+        }
+        throw error;
+      } finally {
+        if (isProbe) {
+          probing = false;
+        }
+      }
+    },
+
+    /**
+     * Get the breaker state.
+     * @returns {{state: string, failures: number, retryAfterSeconds: number, lastError: string|null}} State,
+     *   consecutive failures, seconds until the next probe (while open) and the last failure
+     */
+    state() {
+      return {
+        state,
+        failures,
+        retryAfterSeconds: state === 'open' ? retryAfterSeconds() : 0,
+        lastError,
+      };
+    },
+
+    /**
+     * Close the breaker and forget past failures.
+     * @returns {void}
+     */
+    reset() {
+      state = 'closed';
+      failures = 0;
+      openedAt = 0;
+      probing = false;
+      lastError = null;
+    },
+  };
+}
+
+const breakerOptions = {
+  failureThreshold: config.circuitFailureThreshold,
+  resetTimeout: config.circuitResetTimeout,
+};
+
+/**
+ * Circuit breakers of the upstream APIs, configured from `BFS_CIRCUIT_FAILURE_THRESHOLD`
+ * and `BFS_CIRCUIT_RESET_TIMEOUT`.
+ * @type {{pxweb: Object, dam: Object, sse: Object}}
+ * @constant
+ */
+export const circuitBreakers = {
+  pxweb: createCircuitBreaker({ name: 'pxweb', label: 'PXWEB', ...breakerOptions }),
+  dam: createCircuitBreaker({ name: 'dam', label: 'DAM catalog', ...breakerOptions }),
+  sse: createCircuitBreaker({ name: 'sse', label: 'Swiss Stats Explorer', ...breakerOptions }),
+};
+
+/**
+ * Get the state of all upstream circuit breakers.
+ *
+ * @returns {Object<string, Object>} Breaker state by upstream name
+ *
+ * @example
+ * getCircuitStates().pxweb.state; // 'closed'
+ */
+export function getCircuitStates() {
+  return Object.fromEntries(Object.entries(circuitBreakers).map(([name, breaker]) => [name, breaker.state()]));
+}
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Typed errors of the BFS MCP server.
+ * The API clients turn failed requests into one of the error classes below, so
+ * that tools, resources and the CLI can report every failure the same way: a
+ * message, a machine-readable `code` and a `hint` telling the caller what to
+ * do next (e.g. the valid dimension codes of a dataset).
+ *
+ * | Class | Code | Raised for |
+ * |-------|------|------------|
+ * | NotFoundError | NOT_FOUND | Unknown datasets, assets or dataflows; queries without matching records |
+ * | InvalidQueryError | INVALID_QUERY | Invalid arguments, unknown dimensions or values, other 4xx responses |
+ * | RateLimitedError | RATE_LIMITED | 429 Too Many Requests |
+ * | UpstreamError | UPSTREAM_ERROR | Network errors, 5xx responses, open circuits |
+ * | TimeoutError | TIMEOUT | Requests exceeding `BFS_REQUEST_TIMEOUT` or `BFS_DATA_TIMEOUT` |
+ * | ParseError | PARSE_ERROR | Malformed JSON or XML responses |
+ * | TooLargeError | TOO_LARGE | Queries selecting more cells than the upstream allows |
+ *
+ * @module utils/errors
+ */
+
+/**
+ * Response bodies of 4xx responses that reject a query for its size.
+ * @type {RegExp}
+ * @constant
+ */
+const TOO_LARGE_PATTERN = /too (many|large)|max(imum)?[ _-]?(cells|values)/i;
+
+/**
+ * Error codes of network failures.
+ * @type {string[]}
+ * @constant
+ */
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ETIMEDOUT', 'EHOSTUNREACH'];
+
+/**
+ * Base class of the typed errors.
+ *
+ * @example
+ * throw new NotFoundError('Dataset px-x-123 not found', { hint: 'Use search_datasets to find datasets' });
+ */
+export class BfsError extends Error {
+  /**
+   * Machine-readable error code, overridden by each subclass.
+   * @type {string}
+   */
+  static code = 'BFS_ERROR';
+
+  /**
+   * Default hint, overridden by each subclass.
+   * @type {string|null}
+   */
+  static hint = null;
+
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options={}] - Error options
+   * @param {string} [options.hint] - What the caller can do about the error (default: the class hint)
+   * @param {Object} [options.details] - Machine-readable details (e.g. valid dimension codes)
+   * @param {number} [options.status] - HTTP status of the upstream response
+   * @param {number} [options.retryAfter] - Seconds after which the request may be retried
+   * @param {Error} [options.cause] - Original error
+   */
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = this.constructor.name;
+    this.code = this.constructor.code;
+    this.hint = options.hint ?? this.constructor.hint;
+    this.details = options.details ?? null;
+    if (options.status !== undefined) {
+      this.status = options.status;
+    }
+    if (options.retryAfter !== undefined) {
+      this.retryAfter = options.retryAfter;
+    }
+  }
+
+  /**
+   * Get the machine-readable part of the error.
+   * @returns {{code: string, hint: string|null, retryAfter?: number, details?: Object}} Code, hint,
+   *   retry delay and details
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      hint: this.hint,
+      ...(this.retryAfter !== undefined && { retryAfter: this.retryAfter }),
+      ...(this.details && { details: this.details }),
+    };
+  }
+}
+
+/** The dataset, asset, dataflow or records asked for do not exist. */
+export class NotFoundError extends BfsError {
+  static code = 'NOT_FOUND';
+  static hint = 'Check the identifier; search_datasets finds datasets and their BFS numbers.';
+}
+
+/** The request is invalid (arguments, dimension codes or values). */
+export class InvalidQueryError extends BfsError {
+  static code = 'INVALID_QUERY';
+  static hint = 'Check the dimension codes and values with get_dataset_metadata or get_sse_metadata.';
+}
+
+/** The upstream rejected the request because too many requests were sent. */
+export class RateLimitedError extends BfsError {
+  static code = 'RATE_LIMITED';
+  static hint = 'Wait before retrying, and query specific dimension values instead of all data.';
+}
+
+/** The upstream is unreachable, failing or temporarily disabled by its circuit breaker. */
+export class UpstreamError extends BfsError {
+  static code = 'UPSTREAM_ERROR';
+  static hint = 'The BFS service is unavailable or failing; try again later.';
+}
+
+/** The request did not complete in time. */
+export class TimeoutError extends BfsError {
+  static code = 'TIMEOUT';
+  static hint = 'Select fewer dimension values or a shorter period, or raise BFS_DATA_TIMEOUT.';
+}
+
+/** The upstream response could not be parsed. */
+export class ParseError extends BfsError {
+  static code = 'PARSE_ERROR';
+  static hint = 'The BFS service returned a malformed response; try again later or request another format.';
+}
+
+/** The query selects more data than the upstream returns at once. */
+export class TooLargeError extends BfsError {
+  static code = 'TOO_LARGE';
+  static hint = 'Select fewer values per dimension; get_dataset_metadata lists the available values.';
+}
+
+/**
+ * Convert the error of a failed upstream request into a typed error.
+ *
+ * Typed errors keep their class and, unless it is the class default, their hint;
+ * the message is prefixed in both cases.
+ * Errors that are not upstream failures (e.g. cancelled requests) are wrapped in
+ * a plain Error.
+ *
+ * @param {Error} error - Error thrown while requesting or parsing (HTTPError of `utils/http.js`, TimeoutError,
+ *   network error, ...)
+ * @param {string} message - Message prefix describing the failed operation
+ * @param {Object} [options={}] - Conversion options
+ * @param {Object<string, string>} [options.hints={}] - Hints by error code, replacing the class hints
+ * @returns {Error} Typed error with the original error as `cause`
+ *
+ * @example
+ * catch (error) {
+ *   throw toBfsError(error, `Failed to fetch metadata for ${bfsNum}`, {
+ *     hints: { NOT_FOUND: 'Check the BFS number' },
+ *   });
+ * }
+ */
+export function toBfsError(error, message, options = {}) {
+  const { hints = {} } = options;
+  const text = `${message}: ${error.message}`;
+
+  if (error instanceof BfsError) {
+    // A specific hint of the original error wins over the hint of the operation
+    const specific = error.hint !== error.constructor.hint;
+    return new error.constructor(text, {
+      hint: specific ? error.hint : (hints[error.code] ?? error.hint),
+      details: error.details,
+      status: error.status,
+      retryAfter: error.retryAfter,
+      cause: error,
+    });
+  }
+
+  const status = error.response?.status ?? error.status;
+  const create = (ErrorClass, extra = {}) => new ErrorClass(text, {
+    hint: hints[ErrorClass.code],
+    status,
+    ...extra,
+    cause: error,
+  });
+
+  if (error.circuit) {
+    return create(UpstreamError, {
+      retryAfter: error.retryAfter,
+      hint: `The service failed repeatedly; retry after ${error.retryAfter} s.`,
+    });
+  }
+  if (error.name === 'TimeoutError') {
+    return create(TimeoutError);
+  }
+  if (error.name === 'SyntaxError') {
+    return create(ParseError);
+  }
+  if (status === 404) {
+    return create(NotFoundError);
+  }
+  if (status === 429) {
+    return create(RateLimitedError, {
+      retryAfter: error.retryAfter,
+      ...(error.retryAfter && !hints.RATE_LIMITED && {
+        hint: `Retry after ${error.retryAfter} s, and query specific dimension values instead of all data.`,
+      }),
+    });
+  }
+  if (status === 413 || (status >= 400 && status < 500 && TOO_LARGE_PATTERN.test(error.body || ''))) {
+    return create(TooLargeError);
+  }
+  if (status >= 400 && status < 500) {
+    return create(InvalidQueryError);
+  }
+  if (status >= 500 || NETWORK_ERROR_CODES.includes(error.code ?? error.cause?.code)
+    || (error.name === 'TypeError' && /fetch failed|network/i.test(error.message))) {
+    return create(UpstreamError);
+  }
+
+  return new Error(text, { cause: error });
+}
+
+/**
+ * Classify an upstream failure, as reported by check_health and counted by the circuit breakers.
+ * Follows the `cause` chain of wrapped client errors to the original error.
+ *
+ * @param {Error} error - Error thrown by an API client
+ * @returns {{type: ('network'|'timeout'|'http'|'parse'|'circuit-open'|'unknown'), httpStatus?: number}} Failure class
+ * and, for HTTP errors, the response status
+ *
+ * @example
+ * classifyError(new Error('Failed to list SSE dataflows', { cause: Object.assign(new Error('HTTP 503'), { status: 503 }) }));
+ * // Returns: { type: 'http', httpStatus: 503 }
+ */
+export function classifyError(error) {
+  for (let current = error; current; current = current.cause) {
+    const httpStatus = current.response?.status ?? current.status;
+
+    if (current.circuit) {
+      return { type: 'circuit-open' };
+    }
+    if (current.name === 'TimeoutError') {
+      return { type: 'timeout' };
+    }
+    if (current.name === 'HTTPError' || typeof httpStatus === 'number') {
+      return { type: 'http', httpStatus };
+    }
+    if (current.name === 'SyntaxError' || current.name === 'ParseError') {
+      return { type: 'parse' };
+    }
+    if (current.name === 'TypeError' && /fetch failed|network/i.test(current.message)) {
+      return { type: 'network' };
+    }
+    if (NETWORK_ERROR_CODES.includes(current.code)) {
+      return { type: 'network' };
+    }
+  }
+
+  return { type: 'unknown' };
+}
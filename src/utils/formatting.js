@@ -3,6 +3,8 @@
  * @module utils/formatting
  */
 
+import { BfsError, InvalidQueryError } from './errors.js';
+
 /**
  * Validate and normalize language code
  * 
@@ -11,7 +13,7 @@
  * 
  * @param {string} language - Language code (de, fr, it, en)
  * @returns {string} Validated language code in lowercase
- * @throws {Error} If language is invalid or not supported
+ * @throws {InvalidQueryError} If language is invalid or not supported
  * @example
  * import { validateLanguage } from './utils/formatting.js';
  * 
@@ -24,7 +26,9 @@ export function validateLanguage(language) {
   const lang = language?.toLowerCase();
   
   if (!validLanguages.includes(lang)) {
-    throw new Error(`Invalid language: ${language}. Must be one of: ${validLanguages.join(', ')}`);
+    throw new InvalidQueryError(`Invalid language: ${language}. Must be one of: ${validLanguages.join(', ')}`, {
+      hint: `Use one of the language codes ${validLanguages.join(', ')}.`,
+    });
   }
   
   return lang;
@@ -38,7 +42,7 @@ export function validateLanguage(language) {
  * 
  * @param {string} numberBfs - BFS number to format
  * @returns {string} Cleaned BFS number
- * @throws {Error} If BFS number is not provided
+ * @throws {InvalidQueryError} If BFS number is not provided
  * @example
  * import { formatBfsNumber } from './utils/formatting.js';
  * 
@@ -47,7 +51,9 @@ export function validateLanguage(language) {
  */
 export function formatBfsNumber(numberBfs) {
   if (!numberBfs) {
-    throw new Error('BFS number is required');
+    throw new InvalidQueryError('BFS number is required', {
+      hint: 'Pass the BFS number of the dataset; search_datasets finds it.',
+    });
   }
   return numberBfs.trim();
 }
@@ -57,9 +63,13 @@ export function formatBfsNumber(numberBfs) {
  * 
  * Creates a promise that resolves after the specified delay.
  * Useful for implementing rate limiting or adding delays between API calls.
+ * If an abort signal is given, the sleep ends early and the promise rejects
+ * with the signal's abort reason.
  * 
  * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} [signal] - Signal that cancels the sleep
  * @returns {Promise<void>} Promise that resolves after the delay
+ * @throws {Error} The signal's abort reason if the signal is aborted
  * @example
  * import { sleep } from './utils/formatting.js';
  * 
@@ -72,8 +82,25 @@ export function formatBfsNumber(numberBfs) {
  *   await sleep(500); // Wait 500ms between items
  * }
  */
-export function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
 }
 
 /**
@@ -107,42 +134,250 @@ export function getSpatialDivisionCode(spatialDivision) {
 /**
  * Format error message for user-friendly output
  * 
- * Converts technical error objects into user-friendly messages,
- * with special handling for common HTTP status codes (429, 404, 400).
+ * Renders an error as text: the message, followed by the error code and the
+ * hint for typed errors (see {@link module:utils/errors}).
  * 
- * @param {Error} error - Error object, potentially with response property
+ * @param {Error} error - Error object, typed or not
  * @returns {string} Formatted, user-friendly error message
  * @example
  * import { formatErrorMessage } from './utils/formatting.js';
  * 
- * // HTTP error with status code
- * const error1 = { response: { status: 429 }, message: 'Too many requests' };
- * formatErrorMessage(error1); // Returns 'Rate limit exceeded. Please wait...'
- * 
- * // HTTP 404 error
- * const error2 = { response: { status: 404 }, message: 'Not found' };
- * formatErrorMessage(error2); // Returns 'Dataset not found. Please check...'
+ * // Typed error
+ * formatErrorMessage(new NotFoundError('Dataset px-x-123 not found', { hint: 'Check the BFS number.' }));
+ * // Returns 'Dataset px-x-123 not found\nCode: NOT_FOUND\nHint: Check the BFS number.'
  * 
  * // Generic error
  * const error3 = new Error('Connection failed');
  * formatErrorMessage(error3); // Returns 'Connection failed'
  */
 export function formatErrorMessage(error) {
-  if (error.response) {
-    const status = error.response.status;
-    
-    if (status === 429) {
-      return 'Rate limit exceeded. Please wait a few seconds before trying again.';
-    }
-    if (status === 404) {
-      return 'Dataset not found. Please check the BFS number and try again.';
+  const lines = [error.message || 'An unknown error occurred'];
+  
+  if (error instanceof BfsError) {
+    lines.push(`Code: ${error.code}`);
+    if (error.hint) {
+      lines.push(`Hint: ${error.hint}`);
     }
-    if (status === 400) {
-      return 'Invalid request. Please check your query parameters.';
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Build an MCP tool error result
+ * 
+ * Renders the error with {@link formatErrorMessage}, prefixed with the failed
+ * action. For typed errors, the code, hint, retry delay and details are also
+ * returned in `_meta.error`, so that clients can react without parsing the text.
+ * 
+ * @param {Error} error - Error thrown while handling the tool call
+ * @param {string} action - Failed action, e.g. 'getting statistical data'
+ * @returns {{content: Array<Object>, isError: true, _meta?: Object}} MCP tool error result
+ * @example
+ * import { formatToolError } from './utils/formatting.js';
+ * 
+ * catch (error) {
+ *   return formatToolError(error, 'getting dataset metadata');
+ * }
+ */
+export function formatToolError(error, action) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: `Error ${action}: ${formatErrorMessage(error)}`,
+      },
+    ],
+    ...(error instanceof BfsError && { _meta: { error: error.toJSON() } }),
+    isError: true,
+  };
+}
+
+/**
+ * Group flat SSE metadata rows by dimension
+ * 
+ * Converts the flat array returned by getSseMetadata() (one row per
+ * dimension value) into one entry per dimension with its list of values.
+ * Dimension order follows the order of first appearance.
+ * 
+ * @param {Array<Object>} metadata - Flat SSE metadata rows with code, text, value and valueText
+ * @returns {Array<Object>} Dimensions, each with code, text and values array of { value, valueText }
+ * @example
+ * import { groupSseDimensions } from './utils/formatting.js';
+ * 
+ * groupSseDimensions([
+ *   { code: 'GEO', text: 'Geography', value: 'CH', valueText: 'Switzerland' },
+ *   { code: 'GEO', text: 'Geography', value: 'ZH', valueText: 'Zürich' },
+ * ]);
+ * // Returns [{ code: 'GEO', text: 'Geography', values: [{ value: 'CH', valueText: 'Switzerland' }, ...] }]
+ */
+export function groupSseDimensions(metadata) {
+  const dimensionMap = {};
+  
+  for (const item of metadata) {
+    if (!dimensionMap[item.code]) {
+      dimensionMap[item.code] = {
+        code: item.code,
+        text: item.text,
+        values: [],
+      };
     }
     
-    return `HTTP ${status}: ${error.message}`;
+    dimensionMap[item.code].values.push({
+      value: item.value,
+      valueText: item.valueText,
+    });
   }
   
-  return error.message || 'An unknown error occurred';
+  return Object.values(dimensionMap);
+}
+
+/**
+ * Maximum number of valid values listed in a hint.
+ * @type {number}
+ * @constant
+ */
+const MAX_HINT_VALUES = 20;
+
+/**
+ * Describe the dimension codes and values of a query that a dataset does not have
+ * 
+ * Compares a query with the dimensions of a dataset and returns what is wrong
+ * with it, as a message, a hint listing the valid codes (at most 20 values per
+ * dimension) and machine-readable details for an InvalidQueryError.
+ * 
+ * @param {Array<{code: string, values: string[]}>} dimensions - Dimensions of the dataset with their value codes
+ * @param {Object<string, string|string[]>} query - Query with dimension codes as keys and value codes as values
+ * @returns {{message: string, hint: string, details: Object}|null} Description, or null if the query is valid;
+ *   details hold `invalidDimensions` and `validDimensions`, or `invalidValues` by dimension
+ * @example
+ * import { describeInvalidQuery } from './utils/formatting.js';
+ * 
+ * describeInvalidQuery([{ code: 'Jahr', values: ['2022', '2023'] }], { Year: '2023' });
+ * // Returns { message: 'Unknown dimension: Year', hint: 'Valid dimensions: Jahr',
+ * //   details: { invalidDimensions: ['Year'], validDimensions: ['Jahr'] } }
+ */
+export function describeInvalidQuery(dimensions, query) {
+  const validDimensions = dimensions.map(dimension => dimension.code);
+  const invalidDimensions = Object.keys(query).filter(code => !validDimensions.includes(code));
+  
+  if (invalidDimensions.length > 0) {
+    return {
+      message: `Unknown dimension${invalidDimensions.length > 1 ? 's' : ''}: ${invalidDimensions.join(', ')}`,
+      hint: `Valid dimensions: ${validDimensions.join(', ')}`,
+      details: { invalidDimensions, validDimensions },
+    };
+  }
+  
+  const invalidValues = {};
+  for (const { code, values } of dimensions) {
+    if (query[code] === undefined) {
+      continue;
+    }
+    const invalid = [query[code]].flat().filter(value => !values.includes(value));
+    if (invalid.length > 0) {
+      invalidValues[code] = invalid;
+    }
+  }
+  
+  if (Object.keys(invalidValues).length === 0) {
+    return null;
+  }
+  
+  const hints = Object.keys(invalidValues).map(code => {
+    const { values } = dimensions.find(dimension => dimension.code === code);
+    const more = values.length > MAX_HINT_VALUES ? ` (and ${values.length - MAX_HINT_VALUES} more)` : '';
+    return `Valid values of ${code}: ${values.slice(0, MAX_HINT_VALUES).join(', ')}${more}`;
+  });
+  
+  return {
+    message: `Unknown values: ${Object.entries(invalidValues).map(([code, values]) => `${code}=${values.join(',')}`).join('; ')}`,
+    hint: hints.join('; '),
+    details: { invalidValues },
+  };
+}
+
+/**
+ * Format a DAM catalog search result item as a dataset summary
+ * 
+ * Extracts the fields needed to identify and query a dataset from
+ * a raw DAM asset item, substituting placeholders for missing values.
+ * 
+ * @param {Object} item - Raw DAM asset item from searchCatalog()
+ * @param {string} language - Fallback language code
+ * @returns {Object} Dataset summary with title, numberBfs, numberAsset, publicationDate and language
+ * @example
+ * import { formatDatasetSummary } from './utils/formatting.js';
+ * 
+ * const results = await searchCatalog({ language: 'en', extendedSearch: 'population' });
+ * const datasets = results.data.map(item => formatDatasetSummary(item, 'en'));
+ */
+export function formatDatasetSummary(item, language) {
+  return {
+    title: item.description?.titles?.main || 'Untitled',
+    numberBfs: item.shop?.orderNr || 'N/A',
+    numberAsset: item.ids?.damId || 'N/A',
+    publicationDate: item.bfs?.embargo || 'N/A',
+    language: item.description?.language || language,
+  };
+}
+
+/**
+ * Format DAM asset metadata as dataset information
+ * 
+ * Extracts title, identifiers, summary, categorization and links
+ * from the raw DAM asset metadata returned by getAssetMetadata().
+ * 
+ * @param {Object} metadata - Raw DAM asset metadata
+ * @param {string} language - Fallback language code
+ * @returns {Object} Dataset information
+ * @example
+ * import { formatAssetInfo } from './utils/formatting.js';
+ * 
+ * const metadata = await getAssetMetadata('12345678', 'en');
+ * const info = formatAssetInfo(metadata, 'en');
+ * console.log(info.title, info.numberBfs);
+ */
+export function formatAssetInfo(metadata, language) {
+  return {
+    title: metadata.description?.titles?.main || 'Untitled',
+    subtitle: metadata.description?.titles?.sub || null,
+    numberBfs: metadata.shop?.orderNr || 'N/A',
+    numberAsset: metadata.ids?.damId || 'N/A',
+    publicationDate: metadata.bfs?.embargo || 'N/A',
+    language: metadata.description?.language || language,
+    summary: metadata.description?.shortSummary?.raw || null,
+    themes: metadata.description?.categorization?.prodima?.map(p => p.text) || [],
+    spatialDivisions: metadata.description?.categorization?.spatialdivision?.map(s => s.text) || [],
+    links: metadata.links?.map(link => ({
+      rel: link.rel,
+      href: link.href,
+    })) || [],
+  };
+}
+
+/**
+ * Build an MCP tool result from a JSON-serializable object
+ * 
+ * Returns the object as `structuredContent` (validated against the tool's
+ * output schema) and, for clients without structured output support, as
+ * pretty-printed JSON in a text block.
+ * 
+ * @param {Object} data - Tool output matching the tool's output schema
+ * @returns {{content: Array<Object>, structuredContent: Object}} MCP tool result
+ * @example
+ * import { formatToolResult } from './utils/formatting.js';
+ * 
+ * return formatToolResult({ totalDimensions: dimensions.length, dimensions });
+ */
+export function formatToolResult(data) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(data, null, 2),
+      },
+    ],
+    structuredContent: data,
+  };
 }
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Shared HTTP layer of the BFS API clients.
+ * Creates the ky instances used by the PXWEB, DAM and SSE clients, so that all
+ * upstream requests behave the same way:
+ *
+ * - Requests go through `upstreamFetch` (cassettes and rate limiter)
+ * - Failed requests are retried (`BFS_MAX_RETRIES`) with exponential backoff and
+ *   full jitter; `Retry-After` headers are honored
+ * - Timeouts come from the configuration (`BFS_REQUEST_TIMEOUT`, `BFS_DATA_TIMEOUT`)
+ * - Every request carries the `User-Agent` (`BFS_USER_AGENT`), the additional
+ *   headers from `BFS_REQUEST_HEADERS` and an `X-Request-ID` that is kept across
+ *   retries and appears in all log lines of the request
+ * - HTTP errors carry `status`, the response `body`, the `requestId` and, if the
+ *   response has a `Retry-After` header, `retryAfter` in seconds; their message is
+ *   `HTTP <status>: <body>`
+ *
+ * @module utils/http
+ */
+
+import { randomUUID } from 'node:crypto';
+import ky from 'ky';
+import { config } from '../config.js';
+import { logger } from './logger.js';
+import { upstreamFetch } from './cassette.js';
+import { parseRetryAfter } from './rate-limiter.js';
+
+/**
+ * HTTP statuses of failed requests that are retried.
+ * @type {number[]}
+ * @constant
+ */
+export const RETRY_STATUS_CODES = [408, 413, 429, 500, 502, 503, 504];
+
+/**
+ * Header carrying the request ID.
+ * @type {string}
+ * @constant
+ */
+export const REQUEST_ID_HEADER = 'X-Request-ID';
+
+/**
+ * Maximum length of the response body kept on HTTP errors.
+ * @type {number}
+ * @constant
+ */
+const MAX_ERROR_BODY = 2000;
+
+/**
+ * Maximum length of the response body in HTTP error messages.
+ * @type {number}
+ * @constant
+ */
+const MAX_ERROR_MESSAGE_BODY = 300;
+
+/**
+ * Upper limit of the delay between retries in milliseconds.
+ * @type {number}
+ * @constant
+ */
+const BACKOFF_LIMIT = 10000;
+
+/**
+ * Create an HTTP client for one upstream API.
+ *
+ * @param {Object} options - Client options
+ * @param {string} options.name - Upstream name used in logs ('pxweb', 'dam', 'sse')
+ * @param {string} [options.prefixUrl] - Base URL prepended to relative request URLs
+ * @param {Object<string, string>} [options.headers={}] - Headers of every request of this client
+ * @param {number} [options.timeout] - Default timeout in milliseconds (default: `BFS_REQUEST_TIMEOUT`)
+ * @param {number} [options.retryLimit] - Retries of failed requests (default: `BFS_MAX_RETRIES`)
+ * @param {Function} [options.fetchFn=upstreamFetch] - Fetch implementation
+ * @returns {Object} ky instance; per-request options (e.g. `timeout`, `headers`, `signal`) override the defaults
+ *
+ * @example
+ * const http = createHttpClient({ name: 'sse', timeout: config.dataTimeout * 1000 });
+ * const xml = await http.get(url, { headers: { 'Accept': 'application/xml' }, signal }).text();
+ */
+export function createHttpClient(options) {
+  const {
+    name,
+    prefixUrl,
+    headers = {},
+    timeout = config.requestTimeout * 1000,
+    retryLimit = config.maxRetries,
+    fetchFn = upstreamFetch,
+  } = options;
+
+  return ky.create({
+    ...(prefixUrl && { prefixUrl }),
+    fetch: fetchFn,
+    timeout,
+    headers: {
+      'User-Agent': config.userAgent,
+      ...config.requestHeaders,
+      ...headers,
+    },
+    retry: {
+      limit: retryLimit,
+      methods: ['get', 'post'],
+      statusCodes: RETRY_STATUS_CODES,
+      backoffLimit: BACKOFF_LIMIT,
+      jitter: true,
+    },
+    hooks: {
+      beforeRequest: [
+        (request) => {
+          // Retries reuse the request, and with it the ID
+          if (!request.headers.has(REQUEST_ID_HEADER)) {
+            request.headers.set(REQUEST_ID_HEADER, randomUUID());
+          }
+          logger.debug({
+            upstream: name,
+            requestId: request.headers.get(REQUEST_ID_HEADER),
+            method: request.method,
+            url: request.url,
+          }, 'Upstream request');
+        },
+      ],
+      beforeRetry: [
+        ({ request, error, retryCount }) => {
+          logger.warn({
+            upstream: name,
+            requestId: request.headers.get(REQUEST_ID_HEADER),
+            url: request.url,
+            retryCount,
+            error: error.message,
+          }, 'Retrying upstream request');
+        },
+      ],
+      afterResponse: [
+        (request, _options, response) => {
+          logger.debug({
+            upstream: name,
+            requestId: request.headers.get(REQUEST_ID_HEADER),
+            status: response.status,
+          }, 'Upstream response');
+        },
+      ],
+      beforeError: [
+        async (error) => {
+          const { request, response } = error;
+          const body = await response.clone().text().catch(() => '');
+
+          error.status = response.status;
+          error.body = body.slice(0, MAX_ERROR_BODY);
+          error.requestId = request.headers.get(REQUEST_ID_HEADER);
+          const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+          if (retryAfter > 0) {
+            error.retryAfter = Math.ceil(retryAfter / 1000);
+          }
+          error.message = body
+            ? `HTTP ${response.status}: ${body.slice(0, MAX_ERROR_MESSAGE_BODY)}`
+            : `HTTP ${response.status} ${response.statusText}`.trim();
+
+          logger.debug({ upstream: name, requestId: error.requestId, status: error.status, url: request.url }, 'Upstream request failed');
+          return error;
+        },
+      ],
+    },
+  });
+}
@@ -0,0 +1,337 @@
+/**
+ * @fileoverview JSON-stat helpers for BFS MCP server.
+ * Reads the dimensions of JSON-stat datasets as returned by PXWEB (version 1.0,
+ * wrapped in a `dataset` bundle, and version 2.0), merges datasets that
+ * were downloaded in chunks back into one dataset and converts datasets to
+ * JSON-stat 2.0, tidy rows and CSV or TSV.
+ *
+ * @module utils/json-stat
+ * @see {@link https://json-stat.org/format/|JSON-stat format}
+ */
+
+/**
+ * Get the dataset of a JSON-stat response.
+ *
+ * @param {Object} response - JSON-stat 1.0 bundle (`{ dataset: {...} }`) or 2.0 dataset
+ * @returns {Object} Dataset
+ */
+export function getDataset(response) {
+  return response.dataset ?? response;
+}
+
+/**
+ * Get the dimension IDs and sizes of a dataset, in value order.
+ *
+ * @param {Object} dataset - JSON-stat dataset (1.0 keeps `id` and `size` in `dimension`, 2.0 at the top)
+ * @returns {{ids: string[], sizes: number[]}} Dimension IDs and their number of categories
+ */
+export function getDimensions(dataset) {
+  return {
+    ids: dataset.id ?? dataset.dimension.id,
+    sizes: dataset.size ?? dataset.dimension.size,
+  };
+}
+
+/**
+ * Get the category codes of a dimension, ordered by their index.
+ *
+ * @param {Object} dimension - JSON-stat dimension with `category.index` (object or array)
+ * @returns {string[]} Category codes
+ */
+export function getCategoryCodes(dimension) {
+  const index = dimension.category?.index;
+
+  if (Array.isArray(index)) {
+    return index;
+  }
+  if (index) {
+    return Object.keys(index).sort((a, b) => index[a] - index[b]);
+  }
+  // A dimension with a single category may only have a label
+  return Object.keys(dimension.category?.label || {});
+}
+
+/**
+ * Visit the cells of a value or status field (array or sparse object).
+ *
+ * @param {Array|Object|undefined} field - Values or statuses by flat index
+ * @param {Function} visit - Called with each flat index and entry
+ */
+function forEachCell(field, visit) {
+  if (Array.isArray(field)) {
+    field.forEach((entry, index) => visit(index, entry));
+  } else if (field && typeof field === 'object') {
+    for (const [index, entry] of Object.entries(field)) {
+      visit(Number(index), entry);
+    }
+  }
+}
+
+/**
+ * Merge JSON-stat datasets that each hold a part of the same table.
+ *
+ * The parts must have the same dimensions in the same order; they may differ in
+ * the categories of any dimension (e.g. one part per block of years). Categories
+ * keep the order in which they first appear across the parts. Cells missing from
+ * all parts are null.
+ *
+ * @param {Array<Object>} parts - JSON-stat responses (1.0 bundles or 2.0 datasets) of the chunks
+ * @returns {Object} Merged response in the form of the first part
+ *
+ * @example
+ * import { mergeJsonStat } from './utils/json-stat.js';
+ *
+ * // Two chunks of a table, split by year
+ * const merged = mergeJsonStat([years2020to2021, years2022to2023]);
+ * getDimensions(getDataset(merged)).sizes; // e.g. [26, 4]
+ */
+export function mergeJsonStat(parts) {
+  if (parts.length === 1) {
+    return parts[0];
+  }
+
+  const datasets = parts.map(getDataset);
+  const first = datasets[0];
+  const { ids } = getDimensions(first);
+
+  // Categories of the merged dataset, in order of first appearance
+  const categories = ids.map(id => {
+    const codes = [];
+    const positions = new Map();
+    const labels = {};
+    const units = {};
+
+    for (const dataset of datasets) {
+      const dimension = dataset.dimension[id];
+      for (const code of getCategoryCodes(dimension)) {
+        if (!positions.has(code)) {
+          positions.set(code, codes.length);
+          codes.push(code);
+        }
+        labels[code] ??= dimension.category?.label?.[code] ?? code;
+        if (dimension.category?.unit?.[code]) {
+          units[code] ??= dimension.category.unit[code];
+        }
+      }
+    }
+
+    return { codes, positions, labels, units };
+  });
+
+  const sizes = categories.map(({ codes }) => codes.length);
+  const strides = sizes.map((_, d) => sizes.slice(d + 1).reduce((product, size) => product * size, 1));
+  const total = sizes.reduce((product, size) => product * size, 1);
+
+  const value = new Array(total).fill(null);
+  const status = {};
+
+  for (const dataset of datasets) {
+    const { sizes: partSizes } = getDimensions(dataset);
+    const partCodes = ids.map(id => getCategoryCodes(dataset.dimension[id]));
+
+    // Flat index of a part cell in the merged dataset
+    const mergedIndex = (index) => {
+      let rest = index;
+      let merged = 0;
+      for (let d = ids.length - 1; d >= 0; d--) {
+        const position = rest % partSizes[d];
+        rest = Math.floor(rest / partSizes[d]);
+        merged += categories[d].positions.get(partCodes[d][position]) * strides[d];
+      }
+      return merged;
+    };
+
+    forEachCell(dataset.value, (index, entry) => {
+      value[mergedIndex(index)] = entry;
+    });
+    if (typeof dataset.status === 'string') {
+      forEachCell(dataset.value, (index) => {
+        status[mergedIndex(index)] = dataset.status;
+      });
+    } else {
+      forEachCell(dataset.status, (index, entry) => {
+        if (entry !== null && entry !== undefined) {
+          status[mergedIndex(index)] = entry;
+        }
+      });
+    }
+  }
+
+  const dimension = { ...first.dimension };
+  ids.forEach((id, d) => {
+    const { codes, labels, units } = categories[d];
+    dimension[id] = {
+      ...first.dimension[id],
+      category: {
+        ...first.dimension[id].category,
+        index: Object.fromEntries(codes.map((code, position) => [code, position])),
+        label: labels,
+        ...(Object.keys(units).length > 0 && { unit: units }),
+      },
+    };
+  });
+
+  const merged = { ...first, dimension, value };
+  if (first.size) {
+    merged.size = sizes;
+  } else {
+    dimension.size = sizes;
+  }
+  // A status that applies to all cells of every part stays a single string
+  const statuses = datasets.map(dataset => dataset.status);
+  if (statuses.every(entry => entry === undefined)) {
+    delete merged.status;
+  } else if (!statuses.every(entry => typeof entry === 'string' && entry === statuses[0])) {
+    merged.status = status;
+  }
+
+  return parts[0].dataset ? { ...parts[0], dataset: merged } : merged;
+}
+
+/**
+ * Convert a JSON-stat response to a JSON-stat 2.0 dataset.
+ * JSON-stat 1.0 bundles are unwrapped and the `id`, `size` and `role` of their
+ * dimensions moved to the dataset; 2.0 datasets are returned unchanged.
+ *
+ * @param {Object} response - JSON-stat 1.0 bundle or 2.0 dataset
+ * @returns {Object} JSON-stat 2.0 dataset
+ *
+ * @example
+ * import { toJsonStat2 } from './utils/json-stat.js';
+ *
+ * toJsonStat2({ dataset: { dimension: { id: ['Jahr'], size: [1], Jahr: {...} }, value: [1] } });
+ * // { version: '2.0', class: 'dataset', id: ['Jahr'], size: [1], dimension: { Jahr: {...} }, value: [1] }
+ */
+export function toJsonStat2(response) {
+  const dataset = getDataset(response);
+  if (dataset.id) {
+    return dataset;
+  }
+
+  const { id, size, role, ...dimension } = dataset.dimension;
+  return {
+    version: '2.0',
+    class: 'dataset',
+    ...dataset,
+    id,
+    size,
+    ...(role && { role }),
+    dimension,
+  };
+}
+
+/**
+ * Get the values or statuses of a dataset as one entry per cell.
+ *
+ * @param {Array|Object|string|undefined} field - Values or statuses (array, sparse object, or one status for all cells)
+ * @param {number} total - Number of cells
+ * @returns {Array} Entries by flat index (null where missing)
+ */
+function toCellArray(field, total) {
+  if (typeof field === 'string') {
+    return new Array(total).fill(field);
+  }
+
+  const cells = new Array(total).fill(null);
+  forEachCell(field, (index, entry) => {
+    cells[index] = entry ?? null;
+  });
+  return cells;
+}
+
+/**
+ * Get the names of the value and status columns of tidy rows. A name that is also a
+ * dimension ID is prefixed with underscores until it is unique.
+ *
+ * @param {string[]} ids - Dimension IDs
+ * @returns {{value: string, status: string}} Column names
+ *
+ * @example
+ * cellColumns(['Jahr', 'value']); // { value: '_value', status: 'status' }
+ */
+function cellColumns(ids) {
+  const unique = (name) => {
+    let column = name;
+    while (ids.includes(column)) {
+      column = `_${column}`;
+    }
+    return column;
+  };
+  return { value: unique('value'), status: unique('status') };
+}
+
+/**
+ * Convert a JSON-stat response to tidy rows: one row per cell with the category label
+ * of each dimension (keyed by dimension ID), the `value` and, if the dataset has
+ * statuses, the `status`. Where a dimension ID is `value` or `status`, these columns
+ * are named `_value` or `_status` instead.
+ *
+ * @param {Object} response - JSON-stat 1.0 bundle or 2.0 dataset
+ * @returns {Array<Object>} Rows in value order (the last dimension varies fastest)
+ *
+ * @example
+ * import { toTidyRows } from './utils/json-stat.js';
+ *
+ * toTidyRows(dataset);
+ * // [{ Jahr: '2020', Region: 'Zürich', value: 1520968 }, ...]
+ */
+export function toTidyRows(response) {
+  const dataset = getDataset(response);
+  const { ids, sizes } = getDimensions(dataset);
+  const labels = ids.map((id) => {
+    const dimension = dataset.dimension[id];
+    return getCategoryCodes(dimension).map(code => dimension.category?.label?.[code] ?? code);
+  });
+  const total = sizes.reduce((product, size) => product * size, 1);
+  const values = toCellArray(dataset.value, total);
+  const statuses = dataset.status === undefined || dataset.status === null ? null : toCellArray(dataset.status, total);
+  const columns = cellColumns(ids);
+
+  return values.map((value, index) => {
+    const positions = [];
+    let rest = index;
+    for (let d = ids.length - 1; d >= 0; d--) {
+      positions[d] = rest % sizes[d];
+      rest = Math.floor(rest / sizes[d]);
+    }
+
+    const row = Object.fromEntries(ids.map((id, d) => [id, labels[d][positions[d]]]));
+    row[columns.value] = value;
+    if (statuses) {
+      row[columns.status] = statuses[index];
+    }
+    return row;
+  });
+}
+
+/**
+ * Convert a JSON-stat response to CSV or TSV: a header line with the dimension IDs,
+ * `value` and, if the dataset has statuses, `status` (named as in toTidyRows()), then one
+ * line per cell.
+ * CSV cells are quoted as in RFC 4180; TSV cells have tabs and line breaks replaced with spaces.
+ *
+ * @param {Object} response - JSON-stat 1.0 bundle or 2.0 dataset
+ * @param {string} [separator=','] - Cell separator: ',' for CSV, '\t' for TSV
+ * @returns {string} Delimited text, lines separated by '\n'
+ *
+ * @example
+ * import { toDelimited } from './utils/json-stat.js';
+ *
+ * toDelimited(dataset);
+ * // 'Jahr,Region,value\n2020,Zürich,1520968\n...'
+ */
+export function toDelimited(response, separator = ',') {
+  const dataset = getDataset(response);
+  const rows = toTidyRows(dataset);
+  const { ids } = getDimensions(dataset);
+  const { value, status } = cellColumns(ids);
+  const columns = [...ids, value, ...(rows[0] && status in rows[0] ? [status] : [])];
+  const escape = separator === '\t'
+    ? text => text.replace(/[\t\r\n]+/g, ' ')
+    : text => (text.includes(separator) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+
+  return [
+    columns.map(escape).join(separator),
+    ...rows.map(row => columns.map(column => escape(String(row[column] ?? ''))).join(separator)),
+  ].join('\n');
+}
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Label resolution for BFS MCP server queries.
+ * Lets queries name dimensions and values by their labels in the requested
+ * language (e.g. `{ Kanton: ['Zürich', 'Bern'] }`) instead of their codes.
+ * Codes always win; labels are matched ignoring case, accents and punctuation,
+ * then by whole words and finally with a small edit distance. Labels that match
+ * nothing or several values are reported with suggestions.
+ *
+ * @module utils/labels
+ */
+
+import { describeInvalidQuery } from './formatting.js';
+import { InvalidQueryError } from './errors.js';
+
+/**
+ * Maximum number of suggestions or matches listed per label.
+ * @type {number}
+ * @constant
+ */
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Normalize a label for comparison: lower case, without accents and punctuation.
+ *
+ * @param {string} text - Label or code
+ * @returns {string} Normalized text with single spaces between words
+ * @example
+ * normalizeLabel('- Zürich'); // 'zurich'
+ * normalizeLabel('Bern / Berne'); // 'bern berne'
+ */
+export function normalizeLabel(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Levenshtein distance of two strings.
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits turning a into b
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find the options a label refers to.
+ *
+ * Tries, in order: the exact code; the normalized code or label; labels containing
+ * all words of the label; labels within a small edit distance (only for labels with
+ * letters, so that "2020" never matches "2021"). The first step with matches decides.
+ * Without matches, labels within a larger edit distance or with the same first three
+ * characters are suggested.
+ *
+ * @param {string} text - Code or label from the query
+ * @param {Array<{code: string, label: string}>} options - Codes and labels to match against
+ * @returns {{matches: Array<Object>, suggestions: Array<Object>}} Matching options (one if
+ *   resolved, several if ambiguous) and, without matches, the closest options
+ */
+function matchLabel(text, options) {
+  const byCode = options.find(option => option.code === text);
+  if (byCode) {
+    return { matches: [byCode], suggestions: [] };
+  }
+
+  const wanted = normalizeLabel(text);
+  const candidates = options.map(option => ({
+    option,
+    code: normalizeLabel(option.code),
+    label: normalizeLabel(option.label),
+  }));
+
+  const exact = candidates.filter(({ code, label }) => code === wanted || label === wanted);
+  if (exact.length > 0) {
+    return { matches: exact.map(({ option }) => option), suggestions: [] };
+  }
+
+  const words = wanted.split(' ').filter(Boolean);
+  const containing = candidates.filter(({ label }) => {
+    const labelWords = label.split(' ');
+    return words.length > 0 && words.every(word => labelWords.includes(word));
+  });
+  if (containing.length > 0) {
+    return { matches: containing.map(({ option }) => option), suggestions: [] };
+  }
+
+  const ranked = candidates
+    .map(({ option, label }) => ({ option, label, distance: editDistance(wanted, label) }))
+    .sort((a, b) => a.distance - b.distance);
+  const closest = ranked[0]?.distance;
+
+  if (/\p{L}/u.test(wanted) && closest <= Math.max(1, Math.floor(wanted.length / 4))) {
+    return { matches: ranked.filter(({ distance }) => distance === closest).map(({ option }) => option), suggestions: [] };
+  }
+
+  // Close labels, and labels starting like the text (e.g. "Genève" for "Genf")
+  const prefix = wanted.length >= 3 ? wanted.slice(0, 3) : null;
+  const suggestions = ranked
+    .filter(({ label, distance }) => distance <= Math.max(2, Math.floor(wanted.length / 2)) || (prefix && label.startsWith(prefix)))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ option }) => option);
+  return { matches: [], suggestions };
+}
+
+/**
+ * Format options for a hint, e.g. `Zürich (ZH)`.
+ *
+ * @param {Array<{code: string, label: string}>} options - Options to list
+ * @returns {string} Comma-separated labels with their codes
+ */
+function formatOptions(options) {
+  return options
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ code, label }) => (label && label !== code ? `${label} (${code})` : code))
+    .join(', ');
+}
+
+/**
+ * Resolve the dimension and value labels of a query to their codes.
+ *
+ * Dimension keys are matched against the dimension codes and labels, values against
+ * the codes and labels of their dimension. The resolved query keeps the order of the
+ * keys and the form of the values (string or array).
+ *
+ * @param {Array<Object>} dimensions - Dimensions of the dataset, each with `code`, `text` and
+ *   `values` ({ code, label } in the requested language)
+ * @param {Object<string, string|string[]>} query - Query with codes or labels
+ * @returns {Object<string, string|string[]>} Query with codes
+ * @throws {InvalidQueryError} If labels match no dimension or value (hint with suggestions and the
+ *   valid codes; details with `invalidDimensions` or `invalidValues`, and `unmatchedLabels` with
+ *   suggestions), several (details with `ambiguousLabels`), or if two keys name the same dimension
+ *
+ * @example
+ * import { resolveLabels } from './utils/labels.js';
+ *
+ * resolveLabels(
+ *   [{ code: 'Kanton', text: 'Canton', values: [{ code: 'ZH', label: 'Zürich' }, { code: 'BE', label: 'Bern / Berne' }] }],
+ *   { Canton: ['zurich', 'Bern'] },
+ * );
+ * // Returns { Kanton: ['ZH', 'BE'] }
+ */
+export function resolveLabels(dimensions, query) {
+  const dimensionOptions = dimensions.map(({ code, text }) => ({ code, label: text ?? code }));
+  const resolved = {};
+  // Resolved query without ambiguous labels, checked for unknown dimensions and values
+  const checked = {};
+  const ambiguous = [];
+  const unmatched = [];
+  const duplicates = [];
+
+  const resolve = (text, options, dimension) => {
+    const { matches, suggestions: closest } = matchLabel(text, options);
+    if (matches.length === 1) {
+      return matches[0].code;
+    }
+    if (matches.length > 1) {
+      ambiguous.push({ ...(dimension && { dimension }), label: text, matches: matches.slice(0, MAX_SUGGESTIONS) });
+      return null;
+    }
+    if (closest.length > 0) {
+      unmatched.push({ ...(dimension && { dimension }), label: text, suggestions: closest });
+    }
+    return text;
+  };
+
+  for (const [key, selection] of Object.entries(query)) {
+    const code = resolve(key, dimensionOptions);
+    if (code === null) {
+      resolved[key] = selection;
+      continue;
+    }
+    if (Object.hasOwn(resolved, code)) {
+      duplicates.push(code);
+      continue;
+    }
+
+    const dimension = dimensions.find(entry => entry.code === code);
+    if (!dimension) {
+      resolved[code] = selection;
+      checked[code] = [];
+      continue;
+    }
+
+    const values = [selection].flat().map(value => [value, resolve(value, dimension.values, code)]);
+    resolved[code] = Array.isArray(selection)
+      ? values.map(([value, match]) => match ?? value)
+      : (values[0][1] ?? values[0][0]);
+    checked[code] = values.filter(([, match]) => match !== null).map(([, match]) => match);
+  }
+
+  const invalid = describeInvalidQuery(
+    dimensions.map(({ code, values }) => ({ code, values: values.map(value => value.code) })),
+    checked,
+  );
+
+  if (!invalid && ambiguous.length === 0 && duplicates.length === 0) {
+    return resolved;
+  }
+
+  const message = [
+    invalid?.message,
+    duplicates.length > 0 && `Dimensions selected more than once: ${duplicates.join(', ')}`,
+    ambiguous.length > 0 && `Ambiguous labels: ${ambiguous.map(({ dimension, label }) => (dimension ? `${dimension}=${label}` : label)).join('; ')}`,
+  ].filter(Boolean).join('; ');
+
+  const hint = [
+    ...ambiguous.map(({ label, matches }) => `"${label}" matches ${formatOptions(matches)}; use the code`),
+    ...unmatched.map(({ label, suggestions }) => `Did you mean ${formatOptions(suggestions)} for "${label}"?`),
+    invalid?.hint,
+    duplicates.length > 0 && 'Select each dimension once, by its code or its label',
+  ].filter(Boolean).join('; ');
+
+  throw new InvalidQueryError(message, {
+    hint,
+    details: {
+      ...invalid?.details,
+      ...(ambiguous.length > 0 && { ambiguousLabels: ambiguous }),
+      ...(unmatched.length > 0 && { unmatchedLabels: unmatched }),
+    },
+  });
+}
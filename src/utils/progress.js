@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Progress reporting utility for BFS MCP server. Converts phase updates from the API clients into MCP progress notifications, so that clients can show what a long-running tool call is doing instead of appearing hung.
+ * @module utils/progress
+ */
+
+import { logger } from './logger.js';
+
+/**
+ * Phases of a PXWEB data request, in order.
+ * @type {string[]}
+ * @constant
+ */
+export const PXWEB_DATA_PHASES = ['metadata', 'downloading', 'parsing', 'formatting'];
+
+/**
+ * Phases of an SSE data request, in order.
+ * @type {string[]}
+ * @constant
+ */
+export const SSE_DATA_PHASES = ['resolving', 'metadata', 'downloading', 'parsing', 'formatting'];
+
+/**
+ * Create a progress callback for a tool call
+ *
+ * The returned callback accepts phase updates of the form
+ * `{ phase, message, ...details }` and sends them as `notifications/progress`
+ * when the caller requested progress (by passing a progress token). Progress is
+ * the 1-based position of the phase in `phases`, and total is the number of phases.
+ * Updates are always logged at debug level; notification failures are ignored.
+ *
+ * @param {Object} [extra] - MCP request handler context (provides `_meta.progressToken` and `sendNotification`)
+ * @param {string[]} phases - Ordered phase names
+ * @returns {Function} Progress callback `({ phase, message, ...details }) => void`
+ * @example
+ * import { createProgressReporter, PXWEB_DATA_PHASES } from './utils/progress.js';
+ *
+ * async (args, extra) => {
+ *   const onProgress = createProgressReporter(extra, PXWEB_DATA_PHASES);
+ *   const data = await getData(args.numberBfs, args.language, null, 'json', { onProgress });
+ *   onProgress({ phase: 'formatting', message: 'Formatting response' });
+ * }
+ */
+export function createProgressReporter(extra, phases) {
+  const progressToken = extra?._meta?.progressToken;
+  let lastProgress = 0;
+
+  return ({ phase, message, ...details }) => {
+    logger.debug({ phase, ...details }, message);
+
+    if (progressToken === undefined || typeof extra.sendNotification !== 'function') {
+      return;
+    }
+
+    // Progress must increase with every notification
+    const progress = Math.max(phases.indexOf(phase) + 1, lastProgress);
+    lastProgress = progress;
+
+    Promise.resolve(extra.sendNotification({
+      method: 'notifications/progress',
+      params: {
+        progressToken,
+        progress,
+        total: phases.length,
+        message,
+      },
+    })).catch((error) => {
+      logger.debug({ error: error.message, phase }, 'Failed to send progress notification');
+    });
+  };
+}
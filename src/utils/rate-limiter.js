@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Rate limiter for all upstream requests.
+ * Wraps the fetch function of the shared HTTP layer (`utils/http.js`) so that
+ * every request, including retries, is throttled the same way:
+ *
+ * - A token bucket per host allows `BFS_RATE_LIMIT` requests per second on
+ *   average, with bursts of up to `BFS_RATE_BURST` requests.
+ * - At most `BFS_MAX_CONCURRENT_REQUESTS` requests are in flight at a time,
+ *   across all hosts.
+ * - When a host answers 429 Too Many Requests (or 503) with a `Retry-After`
+ *   header, no further requests are sent to it until that time has passed.
+ *
+ * Requests wait in line until they may be sent; a waiting request can be
+ * cancelled with its abort signal.
+ *
+ * @module utils/rate-limiter
+ */
+
+import { config } from '../config.js';
+import { logger } from './logger.js';
+import { sleep } from './formatting.js';
+
+/**
+ * Statuses whose `Retry-After` header pauses requests to the host.
+ * @type {number[]}
+ * @constant
+ */
+const RETRY_AFTER_STATUSES = [429, 503];
+
+/**
+ * Parse a `Retry-After` header.
+ *
+ * @param {string|null} value - Header value: seconds or an HTTP date
+ * @returns {number} Milliseconds to wait (0 if missing or invalid)
+ *
+ * @example
+ * parseRetryAfter('120'); // 120000
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return 0;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+/**
+ * Get the host a fetch input is sent to.
+ *
+ * @param {string|URL|Request} input - Fetch input
+ * @returns {string} Host, e.g. 'www.pxweb.bfs.admin.ch'
+ */
+function hostOf(input) {
+  return new URL(input instanceof Request ? input.url : String(input)).host;
+}
+
+/**
+ * Create a rate limiter.
+ *
+ * @param {Object} [options={}] - Limiter options
+ * @param {number} [options.rate=2] - Requests per second per host (0 disables the token bucket)
+ * @param {number} [options.burst=10] - Requests a host may receive at once after being idle
+ * @param {number} [options.maxConcurrent=4] - Requests in flight across all hosts (0: unlimited)
+ * @param {Function} [options.fetchFn] - Fetch implementation of the limited requests
+ *   (default: the global fetch at the time of the request)
+ * @returns {Object} Limiter with `fetch(input, init)` and `stats()`
+ *
+ * @example
+ * const limiter = createRateLimiter({ rate: 1, burst: 5 });
+ * const response = await limiter.fetch(url, { signal });
+ */
+export function createRateLimiter(options = {}) {
+  const {
+    rate = 2,
+    burst = 10,
+    maxConcurrent = 4,
+    fetchFn = (input, init) => globalThis.fetch(input, init),
+  } = options;
+
+  /** @type {Map<string, {tokens: number, updatedAt: number, pausedUntil: number}>} */
+  const buckets = new Map();
+  /** @type {Set<Function>} */
+  const waiting = new Set();
+  let active = 0;
+  let queued = 0;
+
+  const bucketFor = (host) => {
+    let bucket = buckets.get(host);
+    if (!bucket) {
+      bucket = { tokens: Math.max(1, burst), updatedAt: Date.now(), pausedUntil: 0 };
+      buckets.set(host, bucket);
+    }
+
+    const now = Date.now();
+    bucket.tokens = Math.min(Math.max(1, burst), bucket.tokens + ((now - bucket.updatedAt) / 1000) * rate);
+    bucket.updatedAt = now;
+    return bucket;
+  };
+
+  // Wait until a request slot is released, or the signal aborts
+  const slotReleased = (signal) => new Promise((resolve, reject) => {
+    const onAbort = () => {
+      waiting.delete(wake);
+      reject(signal.reason);
+    };
+    const wake = () => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    };
+
+    waiting.add(wake);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+  const acquire = async (host, signal) => {
+    queued++;
+    try {
+      for (;;) {
+        signal?.throwIfAborted();
+        const bucket = bucketFor(host);
+        const now = Date.now();
+
+        if (bucket.pausedUntil > now) {
+          await sleep(bucket.pausedUntil - now, signal);
+        } else if (rate > 0 && bucket.tokens < 1) {
+          await sleep(Math.ceil(((1 - bucket.tokens) / rate) * 1000), signal);
+        } else if (maxConcurrent > 0 && active >= maxConcurrent) {
+          await slotReleased(signal);
+        } else {
+          if (rate > 0) {
+            bucket.tokens -= 1;
+          }
+          active++;
+          return;
+        }
+      }
+    } finally {
+      queued--;
+    }
+  };
+
+  const release = () => {
+    active--;
+    for (const wake of waiting) {
+      waiting.delete(wake);
+      wake();
+    }
+  };
+
+  return {
+    /**
+     * Send a request once the limits allow it.
+     * The request slot is held until the response headers arrive.
+     * @param {string|URL|Request} input - Fetch input
+     * @param {RequestInit} [init] - Fetch options
+     * @returns {Promise<Response>} Response
+     */
+    async fetch(input, init) {
+      const host = hostOf(input);
+      const signal = init?.signal ?? (input instanceof Request ? input.signal : undefined);
+      await acquire(host, signal);
+
+      try {
+        // The request may have been cancelled while its turn came up
+        signal?.throwIfAborted();
+        const response = await fetchFn(input, init);
+
+        if (RETRY_AFTER_STATUSES.includes(response.status)) {
+          const delay = parseRetryAfter(response.headers?.get('retry-after'));
+          if (delay > 0) {
+            const bucket = bucketFor(host);
+            bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + delay);
+            logger.warn({ host, status: response.status, retryAfterSeconds: delay / 1000 }, 'Upstream asked to slow down');
+          }
+        }
+
+        return response;
+      } finally {
+        release();
+      }
+    },
+
+    /**
+     * Get limiter statistics.
+     * @returns {{rate: number, burst: number, maxConcurrent: number, active: number, queued: number,
+     *   hosts: Object<string, {tokens: number, pausedSeconds: number}>}} Limits, requests in flight
+     *   and waiting, and the state of each host
+     */
+    stats() {
+      const hosts = {};
+      for (const host of buckets.keys()) {
+        const bucket = bucketFor(host);
+        hosts[host] = {
+          tokens: Math.floor(bucket.tokens),
+          pausedSeconds: Math.max(0, Math.ceil((bucket.pausedUntil - Date.now()) / 1000)),
+        };
+      }
+      return { rate, burst, maxConcurrent, active, queued, hosts };
+    },
+  };
+}
+
+/**
+ * Rate limiter of all upstream requests, configured from `BFS_RATE_LIMIT`,
+ * `BFS_RATE_BURST` and `BFS_MAX_CONCURRENT_REQUESTS` (or the deprecated
+ * `BFS_REQUEST_DELAY`).
+ * @type {Object}
+ * @constant
+ */
+export const upstreamLimiter = createRateLimiter({
+  rate: config.rateLimit,
+  burst: config.rateBurst,
+  maxConcurrent: config.maxConcurrentRequests,
+});
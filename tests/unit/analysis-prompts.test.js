@@ -0,0 +1,99 @@
+import { describe, it, expect, vi } from 'vitest';
+import { registerAnalysisPrompts } from '../../src/prompts/analysis-prompts.js';
+import * as damClient from '../../src/api/dam-client.js';
+
+vi.mock('../../src/api/dam-client.js');
+
+const registerPrompts = (options) => {
+  const mockServer = {
+    registerPrompt: vi.fn(),
+  };
+
+  registerAnalysisPrompts(mockServer, options);
+
+  return (name) => mockServer.registerPrompt.mock.calls.find(call => call[0] === name);
+};
+
+describe('registerAnalysisPrompts', () => {
+  it('should register all analysis prompts', () => {
+    const findPrompt = registerPrompts();
+
+    expect(findPrompt('explore_theme')).toBeDefined();
+    expect(findPrompt('compare_cantons')).toBeDefined();
+    expect(findPrompt('build_time_series')).toBeDefined();
+  });
+
+  it('should build the explore_theme prompt with the theme name', () => {
+    const findPrompt = registerPrompts();
+    const [, , promptFn] = findPrompt('explore_theme');
+
+    damClient.getThemes.mockReturnValue([
+      { name: 'Population', prodima: 900010, code: '01' },
+    ]);
+
+    const result = promptFn({ theme: '900010', topic: 'births', language: 'de' });
+    const text = result.messages[0].content.text;
+
+    expect(result.messages[0].role).toBe('user');
+    expect(text).toContain('"Population" (prodima 900010)');
+    expect(text).toContain('search_datasets with {"language": "de", "theme": 900010, "query": "births", "limit": 20}');
+    expect(text).toContain('get_dataset_dimensions');
+    expect(text).toContain('Never guess dimension codes');
+  });
+
+  it('should resolve explore_theme themes by name or code and reject unknown ones', () => {
+    const findPrompt = registerPrompts();
+    const [, , promptFn] = findPrompt('explore_theme');
+
+    damClient.getThemes.mockReturnValue([
+      { name: 'Population', prodima: 900010, code: '01' },
+    ]);
+
+    expect(promptFn({ theme: 'population' }).messages[0].content.text).toContain('"theme": 900010,');
+    expect(promptFn({ theme: '01' }).messages[0].content.text).toContain('"theme": 900010,');
+    expect(() => promptFn({ theme: 'Astronomy' })).toThrow('Unknown theme: Astronomy');
+  });
+
+  it('should skip the search step in compare_cantons when a dataset is given', () => {
+    const findPrompt = registerPrompts();
+    const [, , promptFn] = findPrompt('compare_cantons');
+
+    const withDataset = promptFn({ indicator: 'population', numberBfs: 'px-x-0102010000_102', year: '2023' });
+    const withoutDataset = promptFn({ indicator: 'population' });
+
+    expect(withDataset.messages[0].content.text).toContain('1. Use the dataset px-x-0102010000_102.');
+    expect(withDataset.messages[0].content.text).toContain('the year 2023');
+    expect(withoutDataset.messages[0].content.text).toContain('"spatialDivision": "Cantons"');
+    expect(withoutDataset.messages[0].content.text).toContain('"language": "en"');
+  });
+
+  it('should build the build_time_series prompt with the period range', () => {
+    const findPrompt = registerPrompts();
+    const [, , promptFn] = findPrompt('build_time_series');
+
+    const result = promptFn({ numberBfs: 'px-x-1234', startYear: '2010', endYear: '2020', language: 'fr' });
+    const text = result.messages[0].content.text;
+
+    expect(text).toContain('from 2010 to 2020');
+    expect(text).toContain('get_dataset_metadata with {"numberBfs": "px-x-1234", "language": "fr"}');
+    expect(text).toContain('get_statistical_data');
+  });
+
+  it('should name the tools as registered and skip prompts whose tools are disabled', () => {
+    const tools = Object.fromEntries(
+      ['search_datasets', 'get_dataset_dimensions', 'get_dataset_metadata', 'get_statistical_data'].map(name => [name, `bfs_${name}`])
+    );
+    const { get_dataset_metadata: _metadata, ...withoutMetadata } = tools;
+
+    const findPrompt = registerPrompts({ tools });
+    const text = findPrompt('build_time_series')[2]({ numberBfs: 'px-x-1234' }).messages[0].content.text;
+    const reduced = registerPrompts({ tools: withoutMetadata });
+
+    expect(text).toContain('1. Call bfs_get_dataset_metadata with');
+    expect(text).toContain('Call bfs_get_statistical_data with');
+    expect(text).not.toContain('estimate_query');
+    expect(reduced('build_time_series')).toBeUndefined();
+    expect(reduced('compare_cantons')[2]({ indicator: 'population' }).messages[0].content.text)
+      .toContain('3. Use the value codes and labels listed by the dimensions.');
+  });
+});
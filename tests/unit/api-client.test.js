@@ -1,6 +1,8 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import ky from 'ky';
 import { searchCatalog, getAssetMetadata, getThemes } from '../../src/api/dam-client.js';
+import { responseCache } from '../../src/utils/cache.js';
+import { circuitBreakers } from '../../src/utils/circuit-breaker.js';
 
 // Mock the 'ky' library
 // The apiClient is created via ky.create(), so we need to mock the instance methods
@@ -29,6 +31,8 @@ describe('dam-client', () => {
   beforeEach(() => {
     // Reset all mocks before each test
     vi.clearAllMocks();
+    responseCache.clear();
+    Object.values(circuitBreakers).forEach(breaker => breaker.reset());
   });
 
   describe('searchCatalog', () => {
@@ -47,6 +51,7 @@ describe('dam-client', () => {
       const result = await searchCatalog(params);
 
       expect(mockGet).toHaveBeenCalledWith('dam/assets', {
+        throwHttpErrors: expect.any(Function),
         searchParams: {
           language: 'en',
           articleModelGroup: 900029,
@@ -81,6 +86,7 @@ describe('dam-client', () => {
       const result = await getAssetMetadata('test-id', 'fr');
 
       expect(mockGet).toHaveBeenCalledWith('dam/assets/test-id', {
+        throwHttpErrors: expect.any(Function),
         headers: {
           'Accept-Language': 'fr',
         },
@@ -131,6 +137,7 @@ describe('dam-client', () => {
       await searchCatalog(params);
 
       expect(mockGet).toHaveBeenCalledWith('dam/assets', {
+        throwHttpErrors: expect.any(Function),
         searchParams: expect.objectContaining({
           language: 'de',
           title: 'Population',
@@ -161,6 +168,7 @@ describe('dam-client', () => {
       });
 
       expect(mockGet).toHaveBeenCalledWith('dam/assets', {
+        throwHttpErrors: expect.any(Function),
         searchParams: expect.objectContaining({
           prodima: [900010],
         }),
@@ -0,0 +1,155 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  completeLanguage,
+  completeThemeProdima,
+  completeThemeCode,
+  completeNumberBfs,
+  clearNumberBfsCompletions,
+  completeDataflowId,
+  completeDimensionCode,
+  completeDimensionValue,
+} from '../../src/completions/argument-completions.js';
+import * as damClient from '../../src/api/dam-client.js';
+import * as pxwebClient from '../../src/api/pxweb-client.js';
+import * as sseClient from '../../src/api/sse-client.js';
+
+vi.mock('../../src/api/dam-client.js');
+vi.mock('../../src/api/pxweb-client.js');
+vi.mock('../../src/api/sse-client.js');
+
+const mockMetadata = {
+  title: 'Test Dataset',
+  variables: [
+    { code: 'Jahr', text: 'Year', time: true, values: ['40', '41'], valueTexts: ['2020', '2021'] },
+    { code: 'Kanton', text: 'Canton', values: ['ZH', 'BE'], valueTexts: ['Zürich', 'Bern'] },
+  ],
+};
+
+describe('argument-completions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    clearNumberBfsCompletions();
+    damClient.getThemes.mockReturnValue([
+      { name: 'Population', prodima: 900010, code: '01' },
+      { name: 'Tourism', prodima: 900160, code: '10' },
+    ]);
+  });
+
+  describe('static completions', () => {
+    it('should complete languages by prefix', () => {
+      expect(completeLanguage('f')).toEqual(['fr']);
+      expect(completeLanguage('')).toEqual(['de', 'fr', 'it', 'en']);
+    });
+
+    it('should complete theme prodima numbers and codes', () => {
+      expect(completeThemeProdima('9000')).toEqual(['900010']);
+      expect(completeThemeCode('1')).toEqual(['10']);
+    });
+  });
+
+  describe('completeNumberBfs', () => {
+    it('should search by text and filter BFS numbers by prefix', async () => {
+      damClient.searchCatalog.mockResolvedValue({
+        data: [
+          { shop: { orderNr: 'px-x-0102010000_101' } },
+          { shop: { orderNr: 'px-x-0102010000_102' } },
+          { shop: { orderNr: 'px-x-9999' } },
+        ],
+      });
+
+      const result = await completeNumberBfs('px-x-0102', { arguments: { lang: 'de' } });
+
+      expect(damClient.searchCatalog).toHaveBeenCalledWith({ language: 'de', extendedSearch: 'px-x-0102', limit: 100 });
+      expect(result).toEqual(['px-x-0102010000_101', 'px-x-0102010000_102']);
+    });
+
+    it('should complete longer prefixes from a complete list without searching again', async () => {
+      damClient.searchCatalog.mockResolvedValue({
+        data: [{ shop: { orderNr: 'px-x-0102010000_101' } }, { shop: { orderNr: 'px-x-0102020000_201' } }],
+      });
+
+      await completeNumberBfs('px-x-0102', { arguments: { language: 'en' } });
+      const result = await completeNumberBfs('PX-X-01020100', { arguments: { language: 'en' } });
+      await completeNumberBfs('px-x-01020', { arguments: { language: 'de' } });
+
+      expect(result).toEqual(['px-x-0102010000_101']);
+      expect(damClient.searchCatalog).toHaveBeenCalledTimes(2);
+    });
+
+    it('should search again when the list of a prefix was cut off', async () => {
+      damClient.searchCatalog.mockResolvedValue({
+        data: Array.from({ length: 100 }, (_, index) => ({ shop: { orderNr: `px-x-01${String(index).padStart(8, '0')}` } })),
+      });
+
+      await completeNumberBfs('px-x-01');
+      await completeNumberBfs('px-x-010');
+
+      expect(damClient.searchCatalog).toHaveBeenCalledTimes(2);
+    });
+
+    it('should search by title for other input', async () => {
+      damClient.searchCatalog.mockResolvedValue({
+        data: [{ shop: { orderNr: 'px-x-1234' } }, { shop: {} }],
+      });
+
+      const result = await completeNumberBfs('Population');
+
+      expect(damClient.searchCatalog).toHaveBeenCalledWith({ language: 'en', title: 'Population', limit: 100 });
+      expect(result).toEqual(['px-x-1234']);
+    });
+
+    it('should not search for short input and swallow errors', async () => {
+      expect(await completeNumberBfs('p')).toEqual([]);
+      expect(damClient.searchCatalog).not.toHaveBeenCalled();
+
+      damClient.searchCatalog.mockRejectedValue(new Error('API Error'));
+      expect(await completeNumberBfs('Population')).toEqual([]);
+    });
+  });
+
+  describe('completeDataflowId', () => {
+    it('should complete dataflow IDs case-insensitively, once per ID', async () => {
+      sseClient.listDataflows.mockResolvedValue([
+        { agencyId: 'BFS', dataflowId: 'DF_LWZ_1', version: '1.0' },
+        { agencyId: 'BFS', dataflowId: 'DF_LWZ_1', version: '2.0' },
+        { agencyId: 'BFS', dataflowId: 'DF_PASTA_552_MONTHLY', version: '1.0' },
+      ]);
+
+      expect(await completeDataflowId('df_lw')).toEqual(['DF_LWZ_1']);
+      expect(await completeDataflowId('DF_')).toEqual(['DF_LWZ_1', 'DF_PASTA_552_MONTHLY']);
+    });
+
+    it('should return no suggestions when the dataflow list is unavailable', async () => {
+      sseClient.listDataflows.mockRejectedValue(new Error('Failed to list SSE dataflows: HTTP 503'));
+
+      expect(await completeDataflowId('DF_')).toEqual([]);
+    });
+  });
+
+  describe('dimension completions', () => {
+    it('should complete dimension codes once a dataset is chosen', async () => {
+      pxwebClient.getMetadata.mockResolvedValue(mockMetadata);
+
+      expect(await completeDimensionCode('k', { arguments: { numberBfs: 'px-x-1234', lang: 'fr' } })).toEqual(['Kanton']);
+      expect(pxwebClient.getMetadata).toHaveBeenCalledWith('px-x-1234', 'fr');
+      expect(await completeDimensionCode('k', { arguments: {} })).toEqual([]);
+    });
+
+    it('should complete time values by default and named dimensions on request', async () => {
+      pxwebClient.getMetadata.mockResolvedValue(mockMetadata);
+
+      const completeTime = completeDimensionValue();
+      const completeNamed = completeDimensionValue('dimension');
+
+      expect(await completeTime('202', { arguments: { numberBfs: 'px-x-1234' } })).toEqual(['2020', '2021']);
+      expect(await completeNamed('Z', { arguments: { numberBfs: 'px-x-1234', dimension: 'Kanton' } })).toEqual(['Zürich']);
+    });
+
+    it('should return no suggestions when metadata cannot be fetched', async () => {
+      pxwebClient.getMetadata.mockRejectedValue(new Error('Not Found'));
+
+      expect(await completeDimensionCode('J', { arguments: { numberBfs: 'px-x-1234' } })).toEqual([]);
+      expect(await completeDimensionValue()('2', { arguments: { numberBfs: 'px-x-1234' } })).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { registerCacheTools } from '../../src/tools/cache-tools.js';
+import { responseCache } from '../../src/utils/cache.js';
+
+describe('registerCacheTools', () => {
+  let manageCacheFn;
+
+  beforeEach(async () => {
+    await responseCache.clear();
+
+    const mockServer = {
+      tool: vi.fn(),
+    };
+
+    registerCacheTools(mockServer);
+    manageCacheFn = mockServer.tool.mock.calls.find(call => call[0] === 'manage_cache')[3];
+  });
+
+  it('should report cache statistics', async () => {
+    await responseCache.set('pxweb-metadata', { url: '/metadata', language: 'en' }, { title: 'Dataset' });
+
+    const result = await manageCacheFn({ action: 'stats' });
+
+    expect(result.isError).toBeUndefined();
+    expect(result.structuredContent.action).toBe('stats');
+    expect(result.structuredContent.stats.entries).toBe(1);
+    expect(result.structuredContent.stats.endpoints['pxweb-metadata'].entries).toBe(1);
+  });
+
+  it('should clear the responses of one endpoint', async () => {
+    await responseCache.set('pxweb-metadata', { url: '/metadata', language: 'en' }, {});
+    await responseCache.set('pxweb-data', { url: '/data', language: 'en' }, {});
+
+    const result = await manageCacheFn({ action: 'clear', endpoint: 'pxweb-data' });
+
+    expect(result.structuredContent).toEqual(expect.objectContaining({ action: 'clear', endpoint: 'pxweb-data', removed: 1 }));
+    expect(result.structuredContent.stats.entries).toBe(1);
+  });
+
+  it('should handle errors', async () => {
+    vi.spyOn(responseCache, 'stats').mockRejectedValueOnce(new Error('Disk unavailable'));
+
+    const result = await manageCacheFn({ action: 'stats' });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Disk unavailable');
+  });
+});
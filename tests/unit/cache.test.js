@@ -0,0 +1,220 @@
+import { describe, it, expect, vi, afterEach, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { createCache, withValidators, lastChanged, NOT_MODIFIED } from '../../src/utils/cache.js';
+
+const request = (url, extra = {}) => ({ url, language: 'en', ...extra });
+
+describe('response cache', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should fetch once and answer repeated requests from the cache', async () => {
+    const cache = createCache();
+    const fetchFn = vi.fn().mockResolvedValue({ title: 'Dataset' });
+
+    expect(await cache.wrap('pxweb-metadata', request('/a'), fetchFn)).toEqual({ title: 'Dataset' });
+    expect(await cache.wrap('pxweb-metadata', request('/a'), fetchFn)).toEqual({ title: 'Dataset' });
+
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+    expect(await cache.stats()).toEqual(expect.objectContaining({ entries: 1, hits: 1, misses: 1 }));
+  });
+
+  it('should key entries by URL, body and language', async () => {
+    const cache = createCache();
+    const fetchFn = vi.fn().mockResolvedValue({});
+
+    await cache.wrap('pxweb-data', request('/a', { body: { query: [1] } }), fetchFn);
+    await cache.wrap('pxweb-data', request('/a', { body: { query: [2] } }), fetchFn);
+    await cache.wrap('pxweb-data', request('/a', { body: { query: [1] }, language: 'de' }), fetchFn);
+
+    expect(fetchFn).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not cache failed requests', async () => {
+    const cache = createCache();
+    const fetchFn = vi.fn().mockRejectedValueOnce(new Error('HTTP 503')).mockResolvedValue('ok');
+
+    await expect(cache.wrap('sse-data', request('/a'), fetchFn)).rejects.toThrow('HTTP 503');
+    expect(await cache.wrap('sse-data', request('/a'), fetchFn)).toBe('ok');
+  });
+
+  it('should expire entries after the TTL of their endpoint', async () => {
+    vi.useFakeTimers();
+    const cache = createCache({ ttl: 60, ttlOverrides: { 'pxweb-metadata': 600 } });
+    const fetchFn = vi.fn().mockResolvedValue('value');
+
+    await cache.wrap('pxweb-data', request('/data'), fetchFn);
+    await cache.wrap('pxweb-metadata', request('/metadata'), fetchFn);
+    vi.advanceTimersByTime(61 * 1000);
+
+    expect(await cache.get('pxweb-data', request('/data'))).toBeUndefined();
+    expect(await cache.get('pxweb-metadata', request('/metadata'))).toEqual({ value: 'value' });
+  });
+
+  it('should not cache endpoints with a TTL of 0', async () => {
+    const cache = createCache({ ttlOverrides: { 'pxweb-data': 0 } });
+    const fetchFn = vi.fn().mockResolvedValue('value');
+
+    await cache.wrap('pxweb-data', request('/a'), fetchFn);
+    await cache.wrap('pxweb-data', request('/a'), fetchFn);
+
+    expect(fetchFn).toHaveBeenCalledTimes(2);
+  });
+
+  it('should refetch and replace the entry when refreshing', async () => {
+    const cache = createCache();
+    const fetchFn = vi.fn().mockResolvedValueOnce('old').mockResolvedValueOnce('new');
+
+    await cache.wrap('pxweb-config', request('/config'), fetchFn);
+    expect(await cache.wrap('pxweb-config', request('/config'), fetchFn, { refresh: true })).toBe('new');
+    expect(await cache.get('pxweb-config', request('/config'))).toEqual({ value: 'new' });
+  });
+
+  it('should coalesce identical requests in flight, even when not caching', async () => {
+    const cache = createCache({ ttl: 0 });
+    let resolveFetch;
+    const fetchFn = vi.fn(() => new Promise(resolve => { resolveFetch = resolve; }));
+
+    const requests = [cache.wrap('pxweb-data', request('/a'), fetchFn), cache.wrap('pxweb-data', request('/a'), fetchFn)];
+    await vi.waitFor(() => expect(fetchFn).toHaveBeenCalledTimes(1));
+    resolveFetch('value');
+
+    expect(await Promise.all(requests)).toEqual(['value', 'value']);
+    expect(await cache.stats()).toEqual(expect.objectContaining({ coalesced: 1, inFlight: 0 }));
+  });
+
+  it('should retry for waiting callers when the shared request is cancelled', async () => {
+    const cache = createCache();
+    const controller = new AbortController();
+    const fetchFn = vi.fn()
+      .mockImplementationOnce(() => new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason));
+      }))
+      .mockResolvedValueOnce('value');
+
+    const cancelled = cache.wrap('sse-data', request('/a'), fetchFn, { signal: controller.signal });
+    const waiting = cache.wrap('sse-data', request('/a'), fetchFn);
+    await vi.waitFor(() => expect(fetchFn).toHaveBeenCalledTimes(1));
+    controller.abort(new Error('Request cancelled'));
+
+    await expect(cancelled).rejects.toThrow('Request cancelled');
+    expect(await waiting).toBe('value');
+  });
+
+  it('should revalidate expired responses that have validators', async () => {
+    vi.useFakeTimers();
+    const cache = createCache({ ttl: 60 });
+    const headers = new Headers({ 'ETag': '"v1"', 'Last-Modified': 'Tue, 01 Apr 2025 06:00:00 GMT' });
+    const fetchFn = vi.fn()
+      .mockResolvedValueOnce(withValidators({ title: 'Dataset' }, headers))
+      .mockResolvedValueOnce(NOT_MODIFIED);
+    const onValidators = vi.fn();
+
+    await cache.wrap('pxweb-metadata', request('/a'), fetchFn);
+    vi.advanceTimersByTime(61 * 1000);
+    const result = await cache.wrap('pxweb-metadata', request('/a'), fetchFn, { onValidators });
+
+    expect(result).toEqual({ title: 'Dataset' });
+    expect(fetchFn).toHaveBeenNthCalledWith(1, {});
+    expect(fetchFn).toHaveBeenNthCalledWith(2, {
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Tue, 01 Apr 2025 06:00:00 GMT',
+    });
+    expect(lastChanged(onValidators.mock.calls[0][0])).toBe('2025-04-01T06:00:00.000Z');
+    expect(await cache.get('pxweb-metadata', request('/a'))).toEqual(expect.objectContaining({ value: { title: 'Dataset' } }));
+    expect((await cache.stats()).revalidated).toBe(1);
+  });
+
+  it('should replace expired responses that changed upstream', async () => {
+    vi.useFakeTimers();
+    const cache = createCache({ ttl: 60 });
+    const fetchFn = vi.fn()
+      .mockResolvedValueOnce(withValidators('old', new Headers({ 'ETag': '"v1"' })))
+      .mockResolvedValueOnce(withValidators('new', new Headers({ 'ETag': '"v2"' })));
+
+    await cache.wrap('sse-data', request('/a'), fetchFn);
+    vi.advanceTimersByTime(61 * 1000);
+
+    expect(await cache.wrap('sse-data', request('/a'), fetchFn)).toBe('new');
+    expect(await cache.get('sse-data', request('/a'))).toEqual({ value: 'new', validators: { etag: '"v2"' } });
+  });
+
+  it('should reject a 304 answer without a cached response', async () => {
+    const cache = createCache();
+
+    await expect(cache.wrap('sse-data', request('/a'), async () => NOT_MODIFIED)).rejects.toThrow('304 Not Modified');
+  });
+
+  it('should evict the least recently used entries when a limit is reached', async () => {
+    const cache = createCache({ maxEntries: 2 });
+
+    await cache.set('dam-asset', request('/1'), 'one');
+    await cache.set('dam-asset', request('/2'), 'two');
+    await cache.get('dam-asset', request('/1'));
+    await cache.set('dam-asset', request('/3'), 'three');
+
+    expect(await cache.get('dam-asset', request('/1'))).toEqual({ value: 'one' });
+    expect(await cache.get('dam-asset', request('/2'))).toBeUndefined();
+    expect((await cache.stats()).evictions).toBe(1);
+  });
+
+  it('should keep the total size within maxBytes', async () => {
+    const cache = createCache({ maxBytes: 25 });
+
+    await cache.set('sse-data', request('/1'), 'x'.repeat(10));
+    await cache.set('sse-data', request('/2'), 'y'.repeat(10));
+    await cache.set('sse-data', request('/3'), 'z'.repeat(10));
+    await cache.set('sse-data', request('/4'), 'w'.repeat(100));
+
+    const stats = await cache.stats();
+    expect(stats.entries).toBe(2);
+    expect(stats.bytes).toBeLessThanOrEqual(25);
+    expect(await cache.get('sse-data', request('/1'))).toBeUndefined();
+    expect(await cache.get('sse-data', request('/4'))).toBeUndefined();
+  });
+
+  it('should clear all entries or the entries of one endpoint', async () => {
+    const cache = createCache();
+    await cache.set('pxweb-data', request('/1'), 1);
+    await cache.set('pxweb-metadata', request('/2'), 2);
+
+    expect(await cache.clear('pxweb-data')).toBe(1);
+    expect((await cache.stats()).endpoints['pxweb-metadata'].entries).toBe(1);
+    expect(await cache.clear()).toBe(1);
+    expect((await cache.stats()).entries).toBe(0);
+  });
+
+  describe('on-disk store', () => {
+    let dir;
+
+    beforeAll(async () => {
+      dir = await mkdtemp(path.join(os.tmpdir(), 'bfs-cache-'));
+    });
+
+    afterAll(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should answer requests from disk after a restart', async () => {
+      await createCache({ dir }).set('pxweb-metadata', request('/a'), { title: 'Dataset' });
+
+      const restarted = createCache({ dir });
+
+      expect(await restarted.get('pxweb-metadata', request('/a'))).toEqual({ value: { title: 'Dataset' } });
+      expect((await restarted.stats()).disk).toEqual({ dir, entries: 1 });
+    });
+
+    it('should remove files when clearing', async () => {
+      const cache = createCache({ dir });
+      await cache.set('dam-search', request('/b'), []);
+
+      await cache.clear('dam-search');
+
+      expect((await readdir(dir)).some(file => file.startsWith('dam-search-'))).toBe(false);
+      expect((await readdir(dir)).some(file => file.startsWith('pxweb-metadata-'))).toBe(true);
+    });
+  });
+});
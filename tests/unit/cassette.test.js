@@ -0,0 +1,162 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import ky from 'ky';
+import { createCassetteFetch } from '../../src/utils/cassette.js';
+
+const PXWEB_URL = 'https://www.pxweb.bfs.admin.ch/api/v1/en/px-x-1234/px-x-1234.px';
+const SSE_URL = 'https://disseminate.stats.swiss/rest/dataflow';
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'content-type': 'application/json', 'content-encoding': 'gzip' },
+});
+
+describe('cassette', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'bfs-cassettes-'));
+  });
+
+  afterEach(async () => {
+    vi.unstubAllEnvs();
+    vi.unstubAllGlobals();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('should pass requests through when off', () => {
+    const fetchFn = vi.fn();
+
+    expect(createCassetteFetch({ fetchFn })).toBe(fetchFn);
+  });
+
+  it('should reject unknown modes and missing directories', () => {
+    expect(() => createCassetteFetch({ mode: 'rewind', dir })).toThrow('Invalid cassette mode: rewind');
+    expect(() => createCassetteFetch({ mode: 'replay' })).toThrow('A cassette directory is required in replay mode');
+  });
+
+  it('should record responses and replay them without network', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(jsonResponse({ title: 'Dataset' }));
+    const record = createCassetteFetch({ mode: 'record', dir, fetchFn });
+
+    expect(await ky.get(PXWEB_URL, { fetch: record }).json()).toEqual({ title: 'Dataset' });
+
+    const [file] = await readdir(dir);
+    expect(file).toMatch(/^GET-www\.pxweb\.bfs\.admin\.ch-api-v1-en-px-x-1234-px-x-1234\.px-[0-9a-f]{12}\.json$/);
+    const cassette = JSON.parse(await readFile(path.join(dir, file), 'utf8'));
+    expect(cassette.request).toEqual(expect.objectContaining({ method: 'GET', url: PXWEB_URL }));
+    expect(cassette.response).toEqual(expect.objectContaining({ status: 200, body: '{"title":"Dataset"}' }));
+    expect(cassette.response.headers).not.toHaveProperty('content-encoding');
+
+    const replay = createCassetteFetch({ mode: 'replay', dir, fetchFn });
+    expect(await ky.get(PXWEB_URL, { fetch: replay }).json()).toEqual({ title: 'Dataset' });
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should record binary and non-UTF-8 bodies as base64 and replay their bytes', async () => {
+    const workbook = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0xff, 0x00]);
+    const latin1 = Buffer.from('"Zürich"', 'latin1');
+    const fetchFn = vi.fn()
+      .mockResolvedValueOnce(new Response(workbook, { headers: { 'content-type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' } }))
+      .mockResolvedValueOnce(new Response(latin1, { headers: { 'content-type': 'text/csv; charset=iso-8859-1' } }));
+    const record = createCassetteFetch({ mode: 'record', dir, fetchFn });
+
+    await record(PXWEB_URL, { method: 'POST', body: '{"response":{"format":"xlsx"}}' });
+    await record(PXWEB_URL, { method: 'POST', body: '{"response":{"format":"csv"}}' });
+
+    const cassettes = await Promise.all((await readdir(dir)).map(async file => JSON.parse(await readFile(path.join(dir, file), 'utf8'))));
+    expect(cassettes.map(({ response }) => response.encoding)).toEqual(['base64', 'base64']);
+
+    const replay = createCassetteFetch({ mode: 'replay', dir });
+    const xlsx = await replay(PXWEB_URL, { method: 'POST', body: '{"response":{"format":"xlsx"}}' });
+    const csv = await replay(PXWEB_URL, { method: 'POST', body: '{"response":{"format":"csv"}}' });
+    expect(Buffer.from(await xlsx.arrayBuffer())).toEqual(workbook);
+    expect(Buffer.from(await csv.arrayBuffer())).toEqual(latin1);
+  });
+
+  it('should tell POST requests apart by body and replay error statuses', async () => {
+    const fetchFn = vi.fn()
+      .mockResolvedValueOnce(jsonResponse({ value: [1] }))
+      .mockResolvedValueOnce(jsonResponse({ error: 'Too many cells' }, 403));
+    const record = createCassetteFetch({ mode: 'record', dir, fetchFn });
+
+    await ky.post(PXWEB_URL, { fetch: record, json: { query: [1] } }).json();
+    await expect(ky.post(PXWEB_URL, { fetch: record, json: { query: [2] }, retry: 0 })).rejects.toThrow('403');
+
+    const replay = createCassetteFetch({ mode: 'replay', dir });
+    expect(await ky.post(PXWEB_URL, { fetch: replay, json: { query: [1] } }).json()).toEqual({ value: [1] });
+    await expect(ky.post(PXWEB_URL, { fetch: replay, json: { query: [2] }, retry: 0 })).rejects.toThrow('403');
+    await expect(replay(PXWEB_URL, { method: 'POST', body: '{"query":[3]}' })).rejects.toThrow(`No cassette recorded for POST ${PXWEB_URL}`);
+  });
+
+  it('should keep the recorded response when a conditional request is answered with 304', async () => {
+    const fetchFn = vi.fn()
+      .mockResolvedValueOnce(new Response('{"title":"Dataset"}', { headers: { 'content-type': 'application/json', etag: '"v1"' } }))
+      .mockResolvedValueOnce(new Response(null, { status: 304, headers: { etag: '"v1"' } }));
+    const record = createCassetteFetch({ mode: 'record', dir, fetchFn });
+
+    await record(PXWEB_URL);
+    expect((await record(PXWEB_URL, { headers: { 'If-None-Match': '"v1"' } })).status).toBe(304);
+
+    const replay = createCassetteFetch({ mode: 'replay', dir });
+    const response = await replay(PXWEB_URL);
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ title: 'Dataset' });
+  });
+
+  it('should let the API clients run offline in replay mode', async () => {
+    const dataflows = {
+      references: {
+        'urn:sdmx:org.sdmx.infomodel.datastructure.Dataflow=BFS:DF_TEST_1(1.0)': {},
+      },
+    };
+    const record = createCassetteFetch({ mode: 'record', dir, fetchFn: vi.fn().mockResolvedValue(jsonResponse(dataflows)) });
+    await record(SSE_URL, { headers: { 'Accept': 'application/json', 'Accept-Language': 'en' } });
+
+    vi.stubEnv('BFS_CASSETTE_MODE', 'replay');
+    vi.stubEnv('BFS_CASSETTE_DIR', dir);
+    vi.stubEnv('BFS_SSE_BASE_URL', 'https://disseminate.stats.swiss/rest');
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('fetch failed')));
+    vi.resetModules();
+    const { listDataflows } = await import('../../src/api/sse-client.js');
+
+    expect(await listDataflows()).toEqual([{ agencyId: 'BFS', dataflowId: 'DF_TEST_1', version: '1.0' }]);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should replay the fixture cassettes', async () => {
+    vi.stubEnv('BFS_CASSETTE_MODE', 'replay');
+    vi.stubEnv('BFS_CASSETTE_DIR', 'tests/fixtures/cassettes');
+    vi.stubEnv('BFS_PXWEB_BASE_URL', 'https://www.pxweb.bfs.admin.ch/api/v1');
+    vi.stubEnv('BFS_CACHE_DIR', '');
+    vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new TypeError('fetch failed')));
+    vi.resetModules();
+    const { getMetadata } = await import('../../src/api/pxweb-client.js');
+
+    const metadata = await getMetadata('px-x-0102010000_102', 'en');
+
+    expect(metadata.variables.map(variable => variable.code)).toEqual(['Kanton', 'Jahr']);
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should find the fixtures of the package by default, whatever the working directory', async () => {
+    vi.stubEnv('BFS_CASSETTE_DIR', '');
+    vi.resetModules();
+    const { config } = await import('../../src/config.js');
+
+    expect(config.cassetteDir).toBe(path.resolve('tests/fixtures/cassettes'));
+    expect(path.isAbsolute(config.cassetteDir)).toBe(true);
+  });
+
+  it('should report an invalid mode at startup instead of on import', async () => {
+    vi.stubEnv('BFS_CASSETTE_MODE', 'replya');
+    vi.resetModules();
+    const { config, validateConfig } = await import('../../src/config.js');
+    const { upstreamFetch } = await import('../../src/utils/cassette.js');
+
+    expect(() => validateConfig(config)).toThrow('Invalid BFS_CASSETTE_MODE: replya. Must be one of: off, record, replay');
+    await expect(upstreamFetch(PXWEB_URL)).rejects.toThrow('Invalid cassette mode: replya');
+  });
+});
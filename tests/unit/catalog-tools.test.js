@@ -1,8 +1,10 @@
 import { describe, it, expect, vi } from 'vitest';
 import { registerCatalogTools } from '../../src/tools/catalog-tools.js';
 import * as damClient from '../../src/api/dam-client.js';
+import * as pxwebClient from '../../src/api/pxweb-client.js';
 
 vi.mock('../../src/api/dam-client.js');
+vi.mock('../../src/api/pxweb-client.js');
 
 describe('registerCatalogTools', () => {
   it('should register the list_themes tool and return a list of themes', async () => {
@@ -82,7 +84,7 @@ describe('registerCatalogTools', () => {
       publishingYearStart: undefined,
       publishingYearEnd: undefined,
       limit: 50,
-    });
+    }, { signal: undefined });
   });
 
   it('should register the get_dataset_info tool and return dataset information', async () => {
@@ -128,7 +130,7 @@ describe('registerCatalogTools', () => {
     };
 
     expect(result.content[0].text).toEqual(JSON.stringify(expectedContent, null, 2));
-    expect(damClient.getAssetMetadata).toHaveBeenCalledWith('test-asset-id', 'en');
+    expect(damClient.getAssetMetadata).toHaveBeenCalledWith('test-asset-id', 'en', expect.objectContaining({ signal: undefined }));
   });
 
   it('should handle errors when getting dataset info', async () => {
@@ -187,7 +189,31 @@ describe('registerCatalogTools', () => {
       language: 'en',
       orderNr: 'test-bfs-nr',
       limit: 1,
+    }, { signal: undefined });
+    expect(damClient.getAssetMetadata).toHaveBeenCalledWith('test-asset-id', 'en', expect.objectContaining({ signal: undefined }));
+  });
+
+  it('should register the browse_pxweb tool and cap the returned nodes', async () => {
+    const mockServer = {
+      tool: vi.fn(),
+    };
+
+    registerCatalogTools(mockServer);
+
+    const browseFn = mockServer.tool.mock.calls.find(call => call[0] === 'browse_pxweb')[3];
+
+    const nodes = ['px-x-01', 'px-x-02', 'px-x-03'].map(id => ({ id, path: id, type: 'folder', title: id }));
+    pxwebClient.browsePxweb.mockResolvedValue({ path: '', nodes, foldersListed: 1, truncated: false });
+
+    const result = await browseFn({ path: '', language: 'en', recursive: true, filter: 'px', limit: 2 });
+
+    expect(pxwebClient.browsePxweb).toHaveBeenCalledWith('', 'en', { recursive: true, filter: 'px', signal: undefined });
+    expect(result.structuredContent).toEqual({
+      path: '',
+      totalNodes: 3,
+      nodes: nodes.slice(0, 2),
+      foldersListed: 1,
+      truncated: true,
     });
-    expect(damClient.getAssetMetadata).toHaveBeenCalledWith('test-asset-id', 'en');
   });
 });
@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createCircuitBreaker } from '../../src/utils/circuit-breaker.js';
+
+const httpError = status => Object.assign(new Error(`HTTP ${status}`), { status });
+
+describe('circuit breaker', () => {
+  let breaker;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    breaker = createCircuitBreaker({ name: 'pxweb', label: 'PXWEB', failureThreshold: 2, resetTimeout: 30 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should open after consecutive failures and fail fast', async () => {
+    const fn = vi.fn().mockRejectedValue(httpError(503));
+
+    await expect(breaker.run(fn)).rejects.toThrow('HTTP 503');
+    expect(breaker.state().state).toBe('closed');
+    await expect(breaker.run(fn)).rejects.toThrow('HTTP 503');
+
+    await expect(breaker.run(fn)).rejects.toThrow('PXWEB is unavailable after 2 consecutive failures (circuit open); retry after 30 s');
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(breaker.state()).toEqual({ state: 'open', failures: 2, retryAfterSeconds: 30, lastError: 'HTTP 503' });
+  });
+
+  it('should reset the failure count after a success', async () => {
+    await expect(breaker.run(() => Promise.reject(new TypeError('fetch failed')))).rejects.toThrow('fetch failed');
+    await breaker.run(async () => 'ok');
+    await expect(breaker.run(() => Promise.reject(new TypeError('fetch failed')))).rejects.toThrow('fetch failed');
+
+    expect(breaker.state()).toEqual(expect.objectContaining({ state: 'closed', failures: 1 }));
+  });
+
+  it('should not count client errors or cancelled requests', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(breaker.run(() => Promise.reject(httpError(404)))).rejects.toThrow('HTTP 404');
+    await expect(breaker.run(() => Promise.reject(new Error('aborted')), { signal: controller.signal })).rejects.toThrow('aborted');
+    await expect(breaker.run(() => Promise.reject(httpError(400)))).rejects.toThrow('HTTP 400');
+
+    expect(breaker.state()).toEqual(expect.objectContaining({ state: 'closed', failures: 0 }));
+  });
+
+  it('should not count local errors', async () => {
+    await expect(breaker.run(() => Promise.reject(new SyntaxError('Unexpected token <')))).rejects.toThrow('Unexpected token');
+    await expect(breaker.run(() => Promise.reject(new TypeError("Cannot read properties of undefined (reading 'map')")))).rejects.toThrow('Cannot read');
+    await expect(breaker.run(() => Promise.reject(new Error('Invalid input')))).rejects.toThrow('Invalid input');
+
+    expect(breaker.state()).toEqual(expect.objectContaining({ state: 'closed', failures: 0 }));
+  });
+
+  it('should count network errors, timeouts and 429 responses', async () => {
+    const timeout = Object.assign(new Error('Request timed out'), { name: 'TimeoutError' });
+    const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+    await expect(breaker.run(() => Promise.reject(timeout))).rejects.toThrow('timed out');
+    expect(breaker.state().failures).toBe(1);
+    await expect(breaker.run(() => Promise.reject(httpError(429)))).rejects.toThrow('HTTP 429');
+    expect(breaker.state().state).toBe('open');
+
+    breaker.reset();
+    await expect(breaker.run(() => Promise.reject(new Error('fetch failed', { cause: reset })))).rejects.toThrow('fetch failed');
+    expect(breaker.state().failures).toBe(1);
+  });
+
+  it('should let one probe through after the reset timeout and close on success', async () => {
+    const fn = vi.fn().mockRejectedValueOnce(httpError(502)).mockRejectedValueOnce(httpError(502));
+    await expect(breaker.run(fn)).rejects.toThrow();
+    await expect(breaker.run(fn)).rejects.toThrow();
+
+    vi.advanceTimersByTime(30 * 1000);
+    let resolveProbe;
+    const probe = breaker.run(() => new Promise(resolve => { resolveProbe = resolve; }));
+
+    expect(breaker.state().state).toBe('half-open');
+    await expect(breaker.run(fn)).rejects.toThrow('circuit half-open');
+
+    resolveProbe('ok');
+    expect(await probe).toBe('ok');
+    expect(breaker.state()).toEqual(expect.objectContaining({ state: 'closed', failures: 0 }));
+  });
+
+  it('should open again when the probe fails', async () => {
+    const fn = vi.fn().mockRejectedValue(new TypeError('fetch failed'));
+    await expect(breaker.run(fn)).rejects.toThrow();
+    await expect(breaker.run(fn)).rejects.toThrow();
+
+    vi.advanceTimersByTime(30 * 1000);
+    await expect(breaker.run(fn)).rejects.toThrow('fetch failed');
+
+    expect(breaker.state()).toEqual(expect.objectContaining({ state: 'open', failures: 3, retryAfterSeconds: 30 }));
+  });
+
+  it('should never open when disabled', async () => {
+    const disabled = createCircuitBreaker({ name: 'sse', failureThreshold: 0 });
+    const fn = vi.fn().mockRejectedValue(httpError(503));
+
+    for (let i = 0; i < 3; i++) {
+      await expect(disabled.run(fn)).rejects.toThrow('HTTP 503');
+    }
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+});
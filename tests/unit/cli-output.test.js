@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { getColumns, formatTable, formatCsv, formatOutput } from '../../src/cli/output.js';
+
+describe('cli output', () => {
+  const rows = [
+    { code: '01', name: 'Population' },
+    { code: '02', name: 'Territory, environment', extra: ['a', 'b'] },
+  ];
+
+  describe('getColumns', () => {
+    it('should collect columns in order of first appearance', () => {
+      expect(getColumns(rows)).toEqual(['code', 'name', 'extra']);
+    });
+  });
+
+  describe('formatTable', () => {
+    it('should render an aligned table with header', () => {
+      expect(formatTable(rows)).toBe([
+        'code  name                    extra',
+        '----  ----------------------  -----',
+        '01    Population',
+        '02    Territory, environment  a, b',
+      ].join('\n'));
+    });
+
+    it('should return an empty string for no rows', () => {
+      expect(formatTable([])).toBe('');
+    });
+  });
+
+  describe('formatCsv', () => {
+    it('should quote cells containing separators and quotes', () => {
+      const csv = formatCsv([{ name: 'Say "hi", world', value: null }]);
+      expect(csv).toBe('name,value\n"Say ""hi"", world",');
+    });
+  });
+
+  describe('formatOutput', () => {
+    it('should render JSON', () => {
+      expect(JSON.parse(formatOutput(rows, 'json'))).toEqual(rows);
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => formatOutput(rows, 'xml')).toThrow('Invalid output format: xml');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { runCli, parseQuery, pxwebJsonToRows } from '../../src/cli/commands.js';
+import * as damClient from '../../src/api/dam-client.js';
+import * as pxwebClient from '../../src/api/pxweb-client.js';
+import * as sseClient from '../../src/api/sse-client.js';
+import { NotFoundError } from '../../src/utils/errors.js';
+
+vi.mock('../../src/api/dam-client.js');
+vi.mock('../../src/api/pxweb-client.js');
+vi.mock('../../src/api/sse-client.js');
+
+// Run the CLI and capture its output
+const run = async (argv) => {
+  let stdout = '';
+  let stderr = '';
+  const exitCode = await runCli(argv, {
+    stdout: { write: text => { stdout += text; } },
+    stderr: { write: text => { stderr += text; } },
+  });
+  return { exitCode, stdout, stderr };
+};
+
+describe('cli', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('parseQuery', () => {
+    it('should parse DIMENSION=values pairs and JSON objects', () => {
+      expect(parseQuery(['Jahr=40,41', '{"Kanton": "ZH"}'])).toEqual({
+        Jahr: ['40', '41'],
+        Kanton: ['ZH'],
+      });
+      expect(parseQuery(['{"Jahr": {"filter": "top", "values": ["5"]}}'])).toEqual({
+        Jahr: { filter: 'top', values: ['5'] },
+      });
+      expect(parseQuery([])).toBeNull();
+      expect(() => parseQuery(['Jahr'])).toThrow('Invalid query: Jahr');
+    });
+  });
+
+  describe('pxwebJsonToRows', () => {
+    it('should flatten keys and values by column code', () => {
+      const rows = pxwebJsonToRows({
+        columns: [
+          { code: 'Jahr', type: 't' },
+          { code: 'Kanton', type: 'd' },
+          { code: 'Bevölkerung', type: 'c' },
+        ],
+        data: [{ key: ['2023', 'ZH'], values: ['1605508'] }],
+      });
+
+      expect(rows).toEqual([{ Jahr: '2023', Kanton: 'ZH', Bevölkerung: '1605508' }]);
+    });
+  });
+
+  it('should print usage and fail without a command', async () => {
+    const { exitCode, stderr } = await run([]);
+
+    expect(exitCode).toBe(1);
+    expect(stderr).toContain('Usage: bfs <command>');
+  });
+
+  it('should reject unknown commands', async () => {
+    const { exitCode, stderr } = await run(['nope']);
+
+    expect(exitCode).toBe(1);
+    expect(stderr).toContain('Unknown command: nope');
+  });
+
+  it('should search the catalog and print CSV', async () => {
+    damClient.searchCatalog.mockResolvedValue({
+      data: [{
+        description: { titles: { main: 'Population' }, language: 'de' },
+        shop: { orderNr: 'px-x-1234' },
+        ids: { damId: 42 },
+        bfs: { embargo: '2024-01-01' },
+      }],
+    });
+
+    const { exitCode, stdout } = await run(['search', 'population', '--lang', 'de', '--theme', '900010', '-o', 'csv']);
+
+    expect(exitCode).toBe(0);
+    expect(damClient.searchCatalog).toHaveBeenCalledWith(expect.objectContaining({
+      language: 'de',
+      extendedSearch: 'population',
+      prodima: 900010,
+      limit: 50,
+    }));
+    expect(stdout).toBe('title,numberBfs,numberAsset,publicationDate,language\nPopulation,px-x-1234,42,2024-01-01,de\n');
+  });
+
+  it('should resolve info by BFS number and print JSON', async () => {
+    damClient.searchCatalog.mockResolvedValue({ data: [{ ids: { damId: 42 } }] });
+    damClient.getAssetMetadata.mockResolvedValue({
+      description: { titles: { main: 'Population' } },
+      shop: { orderNr: 'px-x-1234' },
+      ids: { damId: 42 },
+    });
+
+    const { exitCode, stdout } = await run(['info', 'px-x-1234', '-o', 'json']);
+
+    expect(exitCode).toBe(0);
+    expect(damClient.getAssetMetadata).toHaveBeenCalledWith('42', 'en');
+    expect(JSON.parse(stdout)).toMatchObject({ title: 'Population', numberBfs: 'px-x-1234', numberAsset: 42 });
+  });
+
+  it('should list the values of one dimension', async () => {
+    pxwebClient.getMetadata.mockResolvedValue({
+      variables: [{ code: 'Jahr', text: 'Year', values: ['40'], valueTexts: ['2020/21'] }],
+    });
+
+    const { stdout } = await run(['meta', 'px-x-1234', '-d', 'Jahr', '-o', 'json']);
+    const { exitCode, stderr } = await run(['meta', 'px-x-1234', '-d', 'Kanton']);
+
+    expect(JSON.parse(stdout)).toEqual([{ value: '40', valueText: '2020/21' }]);
+    expect(exitCode).toBe(1);
+    expect(stderr).toContain('Dimension Kanton not found. Available dimensions: Jahr');
+  });
+
+  it('should browse PXWEB folders recursively with a filter', async () => {
+    const node = { id: 'px-x-1101.px', path: 'px-x-1101/px-x-1101.px', type: 'table', title: 'Commuters', numberBfs: 'px-x-1101' };
+    pxwebClient.browsePxweb.mockResolvedValue({ path: '', nodes: [node], foldersListed: 3, truncated: false });
+
+    const { exitCode, stdout } = await run(['browse', '-r', '--filter', 'commuter', '-o', 'csv']);
+
+    expect(exitCode).toBe(0);
+    expect(pxwebClient.browsePxweb).toHaveBeenCalledWith('', 'en', { recursive: true, filter: 'commuter' });
+    expect(stdout).toContain('px-x-1101/px-x-1101.px');
+  });
+
+  it('should fetch PXWEB data in json format with the parsed query', async () => {
+    pxwebClient.getData.mockResolvedValue({
+      columns: [{ code: 'Jahr', type: 't' }, { code: 'Wert', type: 'c' }],
+      data: [{ key: ['40'], values: ['123'] }],
+    });
+
+    const { exitCode, stdout } = await run(['data', 'px-x-1234', '-q', 'Jahr=40', '-o', 'json']);
+
+    expect(exitCode).toBe(0);
+    expect(pxwebClient.getData).toHaveBeenCalledWith('px-x-1234', 'en', { Jahr: ['40'] }, 'json');
+    expect(JSON.parse(stdout)).toEqual([{ Jahr: '40', Wert: '123' }]);
+  });
+
+  it('should estimate a PXWEB query', async () => {
+    pxwebClient.estimateQuery.mockResolvedValue({
+      numberBfs: 'px-x-1234',
+      cells: 4050,
+      dimensions: [],
+      limits: { maxCells: 100, maxCalls: 30, timeWindow: 10, maxChunks: 20 },
+      recommendations: ['Select at most 13 of the 27 values of Kanton'],
+    });
+
+    const { exitCode, stdout } = await run(['estimate', 'px-x-1234', '-q', 'Jahr=40', '-f', 'csv']);
+
+    expect(exitCode).toBe(0);
+    expect(pxwebClient.estimateQuery).toHaveBeenCalledWith('px-x-1234', 'en', { Jahr: ['40'] }, 'csv');
+    expect(stdout).toContain('maxCells 100');
+    expect(stdout).toContain('Select at most 13 of the 27 values of Kanton');
+  });
+
+  it('should fetch SSE data with periods', async () => {
+    sseClient.getSseData.mockResolvedValue([{ GEO: 'Switzerland', value: 100 }]);
+
+    const { exitCode } = await run(['sse-data', 'DF_TEST_1', '-q', 'GEO=CH', '--start', '2020', '--end', '2023']);
+
+    expect(exitCode).toBe(0);
+    expect(sseClient.getSseData).toHaveBeenCalledWith('DF_TEST_1', 'en', { GEO: ['CH'] }, '2020', '2023');
+  });
+
+  it('should report client errors on stderr', async () => {
+    sseClient.getSseMetadata.mockRejectedValue(new Error('Failed to fetch SSE metadata for DF_X: HTTP 404'));
+
+    const { exitCode, stderr } = await run(['sse-meta', 'DF_X']);
+
+    expect(exitCode).toBe(1);
+    expect(stderr).toBe('Error: Failed to fetch SSE metadata for DF_X: HTTP 404\n');
+  });
+
+  it('should print the code and hint of typed errors', async () => {
+    sseClient.getSseMetadata.mockRejectedValue(new NotFoundError('Dataset DF_X not found in SSE API', { hint: 'Check the dataflow ID.' }));
+
+    const { stderr } = await run(['sse-meta', 'DF_X']);
+
+    expect(stderr).toBe('Error: Dataset DF_X not found in SSE API\nCode: NOT_FOUND\nHint: Check the dataflow ID.\n');
+  });
+});
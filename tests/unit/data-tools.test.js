@@ -2,6 +2,7 @@ import { describe, it, expect, vi } from 'vitest';
 import { registerDataTools } from '../../src/tools/data-tools.js';
 import * as pxwebClient from '../../src/api/pxweb-client.js';
 import * as sseClient from '../../src/api/sse-client.js';
+import { NotFoundError } from '../../src/utils/errors.js';
 
 vi.mock('../../src/api/pxweb-client.js');
 vi.mock('../../src/api/sse-client.js');
@@ -37,7 +38,53 @@ describe('registerDataTools', () => {
     });
 
     expect(result.content[0].text).toEqual(JSON.stringify(mockData, null, 2));
-    expect(pxwebClient.getData).toHaveBeenCalledWith('test-bfs-nr', 'en', { "Jahr": ["2020"], "Demografisches Merkmal und Indikator": ["0"] }, 'json');
+    expect(pxwebClient.getData).toHaveBeenCalledWith('test-bfs-nr', 'en', { "Jahr": ["2020"], "Demografisches Merkmal und Indikator": ["0"] }, 'json', expect.objectContaining({ onProgress: expect.any(Function) }));
+  });
+
+  it('should pass local conversions on and return their rows', async () => {
+    const mockServer = {
+      tool: vi.fn(),
+    };
+
+    registerDataTools(mockServer);
+
+    const getStatisticalDataFn = mockServer.tool.mock.calls.find(call => call[0] === 'get_statistical_data')[3];
+
+    const tidy = { format: 'tidy', rows: [{ Jahr: '2020', Kanton: 'Zürich', value: 1 }] };
+    pxwebClient.getData.mockResolvedValue(tidy);
+
+    const result = await getStatisticalDataFn({ language: 'en', numberBfs: 'px-x-1234', format: 'json-stat', convert: 'tidy' });
+
+    expect(pxwebClient.getData).toHaveBeenCalledWith('px-x-1234', 'en', undefined, 'json-stat', expect.objectContaining({ convert: 'tidy' }));
+    expect(result.structuredContent).toEqual(tidy);
+  });
+
+  it('should send progress notifications when a progress token is given', async () => {
+    const mockServer = {
+      tool: vi.fn(),
+    };
+
+    registerDataTools(mockServer);
+
+    const getSseDataTool = mockServer.tool.mock.calls.find(call => call[0] === 'get_sse_data');
+    const getSseDataFn = getSseDataTool[3];
+
+    sseClient.getSseData.mockImplementation(async (numberBfs, language, query, startPeriod, endPeriod, { onProgress }) => {
+      onProgress({ phase: 'downloading', message: 'Downloading observations' });
+      return [{ GEO: 'Switzerland', value: 1 }];
+    });
+
+    const sendNotification = vi.fn().mockResolvedValue(undefined);
+    const result = await getSseDataFn(
+      { language: 'en', numberBfs: 'DF_TEST_1' },
+      { _meta: { progressToken: 'token-1' }, sendNotification }
+    );
+
+    expect(result.isError).toBeUndefined();
+    expect(sendNotification.mock.calls.map(([notification]) => notification.params)).toEqual([
+      { progressToken: 'token-1', progress: 3, total: 5, message: 'Downloading observations' },
+      { progressToken: 'token-1', progress: 5, total: 5, message: 'Formatting 1 observations' },
+    ]);
   });
 
   it('should handle errors when getting statistical data', async () => {
@@ -83,4 +130,48 @@ describe('registerDataTools', () => {
     expect(result.isError).toBe(true);
     expect(result.content[0].text).toContain('Error getting SSE data: API Error');
   });
+
+  it('should register the estimate_query tool and return the estimate', async () => {
+    const mockServer = {
+      tool: vi.fn(),
+    };
+
+    registerDataTools(mockServer);
+
+    const estimateQueryFn = mockServer.tool.mock.calls.find(call => call[0] === 'estimate_query')[3];
+
+    const estimate = { numberBfs: 'px-x-1234', cells: 2, requests: 1, withinLimits: true, recommendations: [] };
+    pxwebClient.estimateQuery.mockResolvedValue(estimate);
+
+    const query = { Jahr: { filter: 'top', values: ['2'] } };
+    const result = await estimateQueryFn({ numberBfs: 'px-x-1234', language: 'en', query, format: 'json' }, {});
+
+    expect(pxwebClient.estimateQuery).toHaveBeenCalledWith('px-x-1234', 'en', query, 'json', { convert: undefined, signal: undefined });
+    expect(result.structuredContent).toEqual(estimate);
+  });
+
+  it('should return the code and hint of typed errors', async () => {
+    const mockServer = {
+      tool: vi.fn(),
+    };
+
+    registerDataTools(mockServer);
+
+    const getSseDataFn = mockServer.tool.mock.calls.find(call => call[0] === 'get_sse_data')[3];
+
+    sseClient.getSseData.mockRejectedValue(new NotFoundError('No records found for the specified query', {
+      hint: 'Check the filters and period.',
+    }));
+
+    const result = await getSseDataFn({
+      language: 'en',
+      numberBfs: 'DF_TEST_1'
+    });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toBe(
+      'Error getting SSE data: No records found for the specified query\nCode: NOT_FOUND\nHint: Check the filters and period.'
+    );
+    expect(result._meta.error).toEqual({ code: 'NOT_FOUND', hint: 'Check the filters and period.' });
+  });
 });
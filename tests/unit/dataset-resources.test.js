@@ -0,0 +1,116 @@
+import { describe, it, expect, vi } from 'vitest';
+import { registerDatasetResources } from '../../src/resources/dataset-resources.js';
+import * as pxwebClient from '../../src/api/pxweb-client.js';
+import * as sseClient from '../../src/api/sse-client.js';
+import * as damClient from '../../src/api/dam-client.js';
+
+vi.mock('../../src/api/pxweb-client.js');
+vi.mock('../../src/api/sse-client.js');
+vi.mock('../../src/api/dam-client.js');
+
+const registerResources = () => {
+  const mockServer = {
+    registerResource: vi.fn(),
+  };
+
+  registerDatasetResources(mockServer);
+
+  return (name) => mockServer.registerResource.mock.calls.find(call => call[0] === name);
+};
+
+const mockThemes = [
+  { name: 'Population', prodima: 900010, code: '01' },
+  { name: 'Territory and environment', prodima: 900035, code: '02' },
+];
+
+describe('registerDatasetResources', () => {
+  it('should register the themes resource', async () => {
+    const findResource = registerResources();
+    const [, uri, , readFn] = findResource('themes');
+
+    damClient.getThemes.mockReturnValue(mockThemes);
+
+    const result = await readFn(new URL(uri));
+
+    expect(uri).toBe('bfs://themes');
+    expect(result.contents[0].mimeType).toBe('application/json');
+    expect(JSON.parse(result.contents[0].text)).toEqual({ totalThemes: 2, themes: mockThemes });
+  });
+
+  it('should list every theme and read a single theme', async () => {
+    const findResource = registerResources();
+    const [, template, , readFn] = findResource('theme');
+
+    damClient.getThemes.mockReturnValue(mockThemes);
+
+    const listing = await template.listCallback();
+    expect(listing.resources.map(r => r.uri)).toEqual(['bfs://themes/01', 'bfs://themes/02']);
+
+    const result = await readFn(new URL('bfs://themes/01'), { code: '01' });
+    expect(JSON.parse(result.contents[0].text)).toEqual(mockThemes[0]);
+
+    await expect(readFn(new URL('bfs://themes/99'), { code: '99' })).rejects.toThrow('Theme not found: 99');
+  });
+
+  it('should read PXWEB metadata through the template', async () => {
+    const findResource = registerResources();
+    const [, template, , readFn] = findResource('pxweb-metadata');
+
+    const mockMetadata = { title: 'Test Dataset', variables: [] };
+    pxwebClient.getMetadata.mockResolvedValue(mockMetadata);
+
+    const uri = new URL('bfs://pxweb/en/px-x-1234/metadata');
+    const variables = template.uriTemplate.match(uri.href);
+    const result = await readFn(uri, variables);
+
+    expect(variables).toEqual({ lang: 'en', numberBfs: 'px-x-1234' });
+    expect(pxwebClient.getMetadata).toHaveBeenCalledWith('px-x-1234', 'en', { signal: undefined });
+    expect(result.contents[0].uri).toBe(uri.href);
+    expect(JSON.parse(result.contents[0].text)).toEqual(mockMetadata);
+  });
+
+  it('should read SSE structure grouped by dimension', async () => {
+    const findResource = registerResources();
+    const [, template, , readFn] = findResource('sse-structure');
+
+    sseClient.getSseMetadata.mockResolvedValue([
+      { code: 'GEO', text: 'Geography', value: 'CH', valueText: 'Switzerland', position_dimension: 0 },
+      { code: 'GEO', text: 'Geography', value: 'ZH', valueText: 'Zürich', position_dimension: 0 },
+    ]);
+
+    const uri = new URL('bfs://sse/de/DF_TEST_1/structure');
+    const result = await readFn(uri, template.uriTemplate.match(uri.href));
+
+    expect(sseClient.getSseMetadata).toHaveBeenCalledWith('DF_TEST_1', 'de', { signal: undefined });
+    expect(JSON.parse(result.contents[0].text)).toEqual({
+      totalDimensions: 1,
+      dimensions: [
+        {
+          code: 'GEO',
+          text: 'Geography',
+          values: [
+            { value: 'CH', valueText: 'Switzerland' },
+            { value: 'ZH', valueText: 'Zürich' },
+          ],
+        },
+      ],
+    });
+  });
+
+  it('should read DAM asset metadata and propagate errors', async () => {
+    const findResource = registerResources();
+    const [, template, , readFn] = findResource('dam-asset');
+
+    const uri = new URL('bfs://dam/fr/asset/12345678');
+    const variables = template.uriTemplate.match(uri.href);
+
+    damClient.getAssetMetadata.mockResolvedValue({ ids: { damId: 12345678 } });
+    const result = await readFn(uri, variables);
+
+    expect(damClient.getAssetMetadata).toHaveBeenCalledWith('12345678', 'fr', { signal: undefined });
+    expect(JSON.parse(result.contents[0].text)).toEqual({ ids: { damId: 12345678 } });
+
+    damClient.getAssetMetadata.mockRejectedValue(new Error('API Error'));
+    await expect(readFn(uri, variables)).rejects.toThrow('API Error');
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toBfsError,
+  NotFoundError,
+  InvalidQueryError,
+  RateLimitedError,
+  UpstreamError,
+  TimeoutError,
+  ParseError,
+  TooLargeError,
+} from '../../src/utils/errors.js';
+
+const httpError = (status, body = '', extra = {}) => Object.assign(new Error(`HTTP ${status}: ${body}`), { status, body, ...extra });
+
+describe('errors', () => {
+  describe('toBfsError', () => {
+    it('should map HTTP statuses to typed errors', () => {
+      expect(toBfsError(httpError(404, 'Not Found'), 'Failed')).toBeInstanceOf(NotFoundError);
+      expect(toBfsError(httpError(400, 'Bad Request'), 'Failed')).toBeInstanceOf(InvalidQueryError);
+      expect(toBfsError(httpError(413), 'Failed')).toBeInstanceOf(TooLargeError);
+      expect(toBfsError(httpError(403, 'Too many values selected'), 'Failed')).toBeInstanceOf(TooLargeError);
+      expect(toBfsError(httpError(503, 'Service Unavailable'), 'Failed')).toBeInstanceOf(UpstreamError);
+    });
+
+    it('should keep the message, status and original error', () => {
+      const cause = httpError(404, 'Not Found');
+      const error = toBfsError(cause, 'Failed to fetch metadata for px-x-1');
+
+      expect(error.message).toBe('Failed to fetch metadata for px-x-1: HTTP 404: Not Found');
+      expect(error.code).toBe('NOT_FOUND');
+      expect(error.status).toBe(404);
+      expect(error.cause).toBe(cause);
+    });
+
+    it('should pass the Retry-After delay of rate limited requests on', () => {
+      const error = toBfsError(httpError(429, 'Too Many Requests', { retryAfter: 10 }), 'Failed');
+
+      expect(error).toBeInstanceOf(RateLimitedError);
+      expect(error.retryAfter).toBe(10);
+      expect(error.hint).toContain('Retry after 10 s');
+      expect(error.toJSON()).toEqual({ code: 'RATE_LIMITED', hint: error.hint, retryAfter: 10 });
+    });
+
+    it('should map timeouts, parse errors, network errors and open circuits', () => {
+      const timeout = Object.assign(new Error('Request timed out'), { name: 'TimeoutError' });
+      const circuit = Object.assign(new Error('PXWEB is unavailable'), { circuit: 'pxweb', retryAfter: 20 });
+
+      expect(toBfsError(timeout, 'Failed')).toBeInstanceOf(TimeoutError);
+      expect(toBfsError(new SyntaxError('Unexpected token <'), 'Failed')).toBeInstanceOf(ParseError);
+      expect(toBfsError(new TypeError('fetch failed'), 'Failed')).toBeInstanceOf(UpstreamError);
+      expect(toBfsError(circuit, 'Failed')).toEqual(expect.objectContaining({ code: 'UPSTREAM_ERROR', retryAfter: 20 }));
+    });
+
+    it('should wrap other errors in a plain Error', () => {
+      const error = toBfsError(new Error('Request cancelled'), 'Failed');
+
+      expect(error.constructor).toBe(Error);
+      expect(error.message).toBe('Failed: Request cancelled');
+    });
+
+    it('should use the hint of the operation instead of the class hint', () => {
+      const error = toBfsError(httpError(404), 'Failed', { hints: { NOT_FOUND: 'Check the asset number.' } });
+
+      expect(error.hint).toBe('Check the asset number.');
+    });
+
+    it('should keep the class and a specific hint of typed errors', () => {
+      const inner = new InvalidQueryError('Unknown dimension: Year', { hint: 'Valid dimensions: Jahr', details: { validDimensions: ['Jahr'] } });
+      const error = toBfsError(inner, 'Failed to fetch data', { hints: { INVALID_QUERY: 'Generic hint' } });
+
+      expect(error).toBeInstanceOf(InvalidQueryError);
+      expect(error.message).toBe('Failed to fetch data: Unknown dimension: Year');
+      expect(error.hint).toBe('Valid dimensions: Jahr');
+      expect(error.details).toEqual({ validDimensions: ['Jahr'] });
+    });
+  });
+});
@@ -5,7 +5,13 @@ import {
   sleep,
   getSpatialDivisionCode,
   formatErrorMessage,
+  formatToolError,
+  groupSseDimensions,
+  formatDatasetSummary,
+  formatAssetInfo,
+  formatToolResult,
 } from '../../src/utils/formatting.js';
+import { InvalidQueryError, NotFoundError, RateLimitedError } from '../../src/utils/errors.js';
 
 describe('formatting utilities', () => {
   describe('validateLanguage', () => {
@@ -72,6 +78,21 @@ describe('formatting utilities', () => {
       
       expect(elapsed).toBeLessThan(10);
     });
+
+    it('should reject when the signal aborts during the sleep', async () => {
+      const controller = new AbortController();
+      const start = Date.now();
+      const sleeping = sleep(1000, controller.signal);
+
+      controller.abort(new Error('Cancelled'));
+
+      await expect(sleeping).rejects.toThrow('Cancelled');
+      expect(Date.now() - start).toBeLessThan(100);
+    });
+
+    it('should reject immediately for an already aborted signal', async () => {
+      await expect(sleep(1000, AbortSignal.abort(new Error('Cancelled')))).rejects.toThrow('Cancelled');
+    });
   });
 
   describe('getSpatialDivisionCode', () => {
@@ -97,48 +118,22 @@ describe('formatting utilities', () => {
   });
 
   describe('formatErrorMessage', () => {
-    it('should format rate limit error (429)', () => {
-      const error = {
-        response: { status: 429 },
-        message: 'Too Many Requests',
-      };
-      
-      expect(formatErrorMessage(error)).toBe(
-        'Rate limit exceeded. Please wait a few seconds before trying again.'
-      );
-    });
-
-    it('should format not found error (404)', () => {
-      const error = {
-        response: { status: 404 },
-        message: 'Not Found',
-      };
+    it('should add the code and hint of typed errors', () => {
+      const error = new NotFoundError('Dataset px-x-123 not found', { hint: 'Check the BFS number.' });
       
       expect(formatErrorMessage(error)).toBe(
-        'Dataset not found. Please check the BFS number and try again.'
+        'Dataset px-x-123 not found\nCode: NOT_FOUND\nHint: Check the BFS number.'
       );
     });
 
-    it('should format bad request error (400)', () => {
-      const error = {
-        response: { status: 400 },
-        message: 'Bad Request',
-      };
+    it('should use the default hint of the error class', () => {
+      const error = new RateLimitedError('HTTP 429: Too Many Requests');
       
       expect(formatErrorMessage(error)).toBe(
-        'Invalid request. Please check your query parameters.'
+        `HTTP 429: Too Many Requests\nCode: RATE_LIMITED\nHint: ${RateLimitedError.hint}`
       );
     });
 
-    it('should format other HTTP errors', () => {
-      const error = {
-        response: { status: 500 },
-        message: 'Internal Server Error',
-      };
-      
-      expect(formatErrorMessage(error)).toBe('HTTP 500: Internal Server Error');
-    });
-
     it('should handle errors without response object', () => {
       const error = {
         message: 'Network error',
@@ -159,4 +154,122 @@ describe('formatting utilities', () => {
       expect(formatErrorMessage(error)).toBe('Test error');
     });
   });
+
+  describe('formatToolError', () => {
+    it('should return the error text and the machine-readable error', () => {
+      const error = new InvalidQueryError('Unknown dimension Foo', {
+        hint: 'Valid dimensions: Jahr, Kanton',
+        details: { validDimensions: ['Jahr', 'Kanton'] },
+      });
+      
+      expect(formatToolError(error, 'getting statistical data')).toEqual({
+        content: [{ type: 'text', text: 'Error getting statistical data: Unknown dimension Foo\nCode: INVALID_QUERY\nHint: Valid dimensions: Jahr, Kanton' }],
+        _meta: { error: { code: 'INVALID_QUERY', hint: 'Valid dimensions: Jahr, Kanton', details: { validDimensions: ['Jahr', 'Kanton'] } } },
+        isError: true,
+      });
+    });
+
+    it('should return untyped errors as text only', () => {
+      expect(formatToolError(new Error('Request cancelled'), 'getting SSE data')).toEqual({
+        content: [{ type: 'text', text: 'Error getting SSE data: Request cancelled' }],
+        isError: true,
+      });
+    });
+  });
+
+  describe('groupSseDimensions', () => {
+    it('should group metadata rows by dimension code', () => {
+      const metadata = [
+        { code: 'GEO', text: 'Geography', value: 'CH', valueText: 'Switzerland', position_dimension: 0 },
+        { code: 'TIME', text: 'Time', value: '2020', valueText: '2020', position_dimension: 1 },
+        { code: 'GEO', text: 'Geography', value: 'ZH', valueText: 'Zürich', position_dimension: 0 },
+      ];
+      
+      expect(groupSseDimensions(metadata)).toEqual([
+        {
+          code: 'GEO',
+          text: 'Geography',
+          values: [
+            { value: 'CH', valueText: 'Switzerland' },
+            { value: 'ZH', valueText: 'Zürich' },
+          ],
+        },
+        {
+          code: 'TIME',
+          text: 'Time',
+          values: [{ value: '2020', valueText: '2020' }],
+        },
+      ]);
+    });
+
+    it('should return an empty array for empty metadata', () => {
+      expect(groupSseDimensions([])).toEqual([]);
+    });
+  });
+
+  describe('formatDatasetSummary', () => {
+    it('should extract dataset identifiers', () => {
+      const item = {
+        description: { titles: { main: 'Population' }, language: 'de' },
+        shop: { orderNr: 'px-x-1234' },
+        ids: { damId: 42 },
+        bfs: { embargo: '2024-01-01' },
+      };
+      
+      expect(formatDatasetSummary(item, 'en')).toEqual({
+        title: 'Population',
+        numberBfs: 'px-x-1234',
+        numberAsset: 42,
+        publicationDate: '2024-01-01',
+        language: 'de',
+      });
+    });
+
+    it('should use placeholders for missing fields', () => {
+      expect(formatDatasetSummary({}, 'fr')).toEqual({
+        title: 'Untitled',
+        numberBfs: 'N/A',
+        numberAsset: 'N/A',
+        publicationDate: 'N/A',
+        language: 'fr',
+      });
+    });
+  });
+
+  describe('formatAssetInfo', () => {
+    it('should extract categorization and links', () => {
+      const metadata = {
+        description: {
+          titles: { main: 'Population', sub: 'By canton' },
+          shortSummary: { raw: 'Summary' },
+          categorization: {
+            prodima: [{ text: 'Population' }],
+            spatialdivision: [{ text: 'Cantons' }],
+          },
+        },
+        links: [{ rel: 'self', href: 'https://example.org', type: 'ignored' }],
+      };
+      
+      expect(formatAssetInfo(metadata, 'en')).toMatchObject({
+        title: 'Population',
+        subtitle: 'By canton',
+        summary: 'Summary',
+        themes: ['Population'],
+        spatialDivisions: ['Cantons'],
+        links: [{ rel: 'self', href: 'https://example.org' }],
+        language: 'en',
+      });
+    });
+  });
+
+  describe('formatToolResult', () => {
+    it('should return the data as structured content and JSON text', () => {
+      const data = { totalThemes: 1, themes: [{ name: 'Population', prodima: 900010, code: '01' }] };
+
+      expect(formatToolResult(data)).toEqual({
+        content: [{ type: 'text', text: JSON.stringify(data, null, 2) }],
+        structuredContent: data,
+      });
+    });
+  });
 });
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest';
+import { registerHealthTools } from '../../src/tools/health-tools.js';
+import * as healthCheck from '../../src/api/health-check.js';
+
+vi.mock('../../src/api/health-check.js');
+
+describe('registerHealthTools', () => {
+  it('should register the check_health tool and report upstream status', async () => {
+    const mockServer = {
+      tool: vi.fn(),
+    };
+
+    registerHealthTools(mockServer);
+
+    const checkHealthFn = mockServer.tool.mock.calls.find(call => call[0] === 'check_health')[3];
+
+    const upstreams = [
+      { name: 'pxweb', url: 'https://pxweb', status: 'ok', latencyMs: 12, details: {} },
+      { name: 'sse', url: 'https://sse', status: 'error', latencyMs: 5, errorType: 'network', error: 'fetch failed' },
+      { name: 'dam', url: 'https://dam', status: 'ok', latencyMs: 20, details: { results: 1 } },
+    ];
+    healthCheck.checkUpstreams.mockResolvedValue({ status: 'degraded', upstreams });
+    healthCheck.getEffectiveConfig.mockReturnValue({ maxRetries: 3 });
+
+    const result = await checkHealthFn({ timeoutSeconds: 5 });
+
+    expect(healthCheck.checkUpstreams).toHaveBeenCalledWith({ timeout: 5000, signal: undefined });
+    expect(result.isError).toBeUndefined();
+    expect(result.structuredContent).toEqual(expect.objectContaining({
+      status: 'degraded',
+      upstreams,
+      config: { maxRetries: 3 },
+      server: expect.objectContaining({ name: 'schwaizer-bfs-mcp', version: expect.any(String) }),
+      cache: expect.objectContaining({ response: expect.any(Object), sse: expect.any(Object) }),
+      rateLimiter: expect.objectContaining({ active: 0, queued: 0 }),
+      circuits: expect.objectContaining({ pxweb: expect.objectContaining({ state: 'closed' }) }),
+    }));
+  });
+
+  it('should handle unexpected errors', async () => {
+    const mockServer = {
+      tool: vi.fn(),
+    };
+
+    registerHealthTools(mockServer);
+
+    const checkHealthFn = mockServer.tool.mock.calls.find(call => call[0] === 'check_health')[3];
+    healthCheck.checkUpstreams.mockRejectedValue(new Error('Unexpected'));
+
+    const result = await checkHealthFn({ timeoutSeconds: 5 });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Error checking health: Unexpected');
+  });
+});
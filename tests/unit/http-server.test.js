@@ -0,0 +1,154 @@
+import http from 'node:http';
+import { describe, it, expect, afterEach } from 'vitest';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { startHttpServer } from '../../src/transports/http-server.js';
+
+const createTestServer = () => {
+  const server = new McpServer({ name: 'test-server', version: '0.0.0' });
+  server.registerTool('ping', { description: 'Ping' }, async () => ({
+    content: [{ type: 'text', text: 'pong' }],
+  }));
+  return server;
+};
+
+const initializeRequest = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-03-26',
+    capabilities: {},
+    clientInfo: { name: 'test-client', version: '0.0.0' },
+  },
+};
+
+// Parse the first JSON-RPC message from an SSE or JSON response body
+const readMessage = async (response) => {
+  const text = await response.text();
+  const dataLine = text.split('\n').find(line => line.startsWith('data: '));
+  return JSON.parse(dataLine ? dataLine.slice(6) : text);
+};
+
+const post = (url, body, headers = {}) => fetch(url, {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json',
+    'Accept': 'application/json, text/event-stream',
+    ...headers,
+  },
+  body: JSON.stringify(body),
+});
+
+describe('http-server', () => {
+  let handle;
+
+  afterEach(async () => {
+    await handle?.close();
+    handle = undefined;
+  });
+
+  it('should initialize a session and serve tool calls', async () => {
+    handle = await startHttpServer(createTestServer, { host: '127.0.0.1', port: 0, path: '/mcp' });
+
+    const initResponse = await post(handle.url, initializeRequest);
+    const sessionId = initResponse.headers.get('mcp-session-id');
+    const initMessage = await readMessage(initResponse);
+
+    expect(initResponse.status).toBe(200);
+    expect(sessionId).toBeTruthy();
+    expect(initMessage.result.serverInfo.name).toBe('test-server');
+    expect(handle.sessions.has(sessionId)).toBe(true);
+
+    const headers = { 'mcp-session-id': sessionId, 'mcp-protocol-version': '2025-03-26' };
+    await post(handle.url, { jsonrpc: '2.0', method: 'notifications/initialized' }, headers);
+
+    const listResponse = await post(handle.url, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, headers);
+    const listMessage = await readMessage(listResponse);
+
+    expect(listMessage.result.tools.map(tool => tool.name)).toEqual(['ping']);
+  });
+
+  it('should reject non-initialize requests without a session', async () => {
+    handle = await startHttpServer(createTestServer, { host: '127.0.0.1', port: 0, path: '/mcp' });
+
+    const response = await post(handle.url, { jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    const message = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(message.error.message).toContain('No valid session ID');
+  });
+
+  it('should reject invalid JSON bodies', async () => {
+    handle = await startHttpServer(createTestServer, { host: '127.0.0.1', port: 0, path: '/mcp' });
+
+    const response = await fetch(handle.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{not json',
+    });
+    const message = await response.json();
+
+    expect(response.status).toBe(400);
+    expect(message.error.code).toBe(-32700);
+  });
+
+  it('should reject bodies larger than the size limit', async () => {
+    handle = await startHttpServer(createTestServer, { host: '127.0.0.1', port: 0, path: '/mcp', maxBodySize: 64 });
+
+    const response = await post(handle.url, { ...initializeRequest, padding: 'x'.repeat(100) });
+    const message = await response.json();
+
+    expect(response.status).toBe(413);
+    expect(message.error.message).toContain('Payload Too Large');
+    expect(handle.sessions.size).toBe(0);
+  });
+
+  it('should reject requests with a foreign Host or Origin header', async () => {
+    handle = await startHttpServer(createTestServer, { host: '127.0.0.1', port: 0, path: '/mcp' });
+    const port = new URL(handle.url).port;
+    const request = (headers) => new Promise((resolve, reject) => {
+      const req = http.request(handle.url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers } }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }));
+    });
+
+    expect(await request({ Host: `attacker.example:${port}` })).toBe(403);
+    expect(await request({ Host: `localhost:${port}`, Origin: 'http://attacker.example' })).toBe(403);
+    expect(await request({ Host: `localhost:${port}`, Origin: `http://localhost:${port}` })).toBe(400);
+  });
+
+  it('should accept configured host names', async () => {
+    handle = await startHttpServer(createTestServer, {
+      host: '127.0.0.1', port: 0, path: '/mcp', allowedHosts: ['mcp.example.org'],
+    });
+
+    const response = await post(handle.url, initializeRequest, { Origin: 'https://mcp.example.org' });
+    await response.text();
+
+    expect(response.status).toBe(200);
+  });
+
+  it('should return 404 for unknown paths', async () => {
+    handle = await startHttpServer(createTestServer, { host: '127.0.0.1', port: 0, path: '/mcp' });
+
+    const response = await fetch(handle.url.replace('/mcp', '/unknown'));
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should close open sessions on shutdown', async () => {
+    handle = await startHttpServer(createTestServer, { host: '127.0.0.1', port: 0, path: '/mcp' });
+
+    const initResponse = await post(handle.url, initializeRequest);
+    await initResponse.text();
+    expect(handle.sessions.size).toBe(1);
+
+    await handle.close();
+
+    expect(handle.sessions.size).toBe(0);
+    expect(handle.httpServer.listening).toBe(false);
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createHttpClient, REQUEST_ID_HEADER } from '../../src/utils/http.js';
+import { config } from '../../src/config.js';
+
+const URL = 'https://disseminate.stats.swiss/rest/dataflow';
+
+describe('http client', () => {
+  it('should send the User-Agent, configured and client headers', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(new Response('{}'));
+    const http = createHttpClient({ name: 'sse', headers: { 'Accept': 'application/json' }, fetchFn });
+
+    await http.get(URL).json();
+
+    const [request] = fetchFn.mock.calls[0];
+    expect(request.headers.get('User-Agent')).toBe(config.userAgent);
+    expect(request.headers.get('Accept')).toBe('application/json');
+    expect(request.headers.get(REQUEST_ID_HEADER)).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('should retry failed requests with the same request ID', async () => {
+    const fetchFn = vi.fn()
+      .mockResolvedValueOnce(new Response('Service Unavailable', { status: 503 }))
+      .mockResolvedValueOnce(new Response('{"ok":true}'));
+    const http = createHttpClient({ name: 'pxweb', retryLimit: 1, fetchFn });
+
+    expect(await http.get(URL).json()).toEqual({ ok: true });
+
+    expect(fetchFn).toHaveBeenCalledTimes(2);
+    const [first, second] = fetchFn.mock.calls.map(([request]) => request.headers.get(REQUEST_ID_HEADER));
+    expect(second).toBe(first);
+  });
+
+  it('should not retry client errors', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(new Response('Not Found', { status: 404 }));
+    const http = createHttpClient({ name: 'dam', retryLimit: 2, fetchFn });
+
+    await expect(http.get(URL)).rejects.toThrow();
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should add the status, body and request ID to HTTP errors', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(new Response('{"error":"Too many cells"}', { status: 400 }));
+    const http = createHttpClient({ name: 'pxweb', fetchFn });
+
+    const error = await http.post(URL, { json: {} }).json().catch(error => error);
+
+    expect(error.message).toBe('HTTP 400: {"error":"Too many cells"}');
+    expect(error.status).toBe(400);
+    expect(error.body).toBe('{"error":"Too many cells"}');
+    expect(error.requestId).toBe(fetchFn.mock.calls[0][0].headers.get(REQUEST_ID_HEADER));
+  });
+
+  it('should use the status text when the error body is empty', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(new Response(null, { status: 502, statusText: 'Bad Gateway' }));
+    const http = createHttpClient({ name: 'sse', fetchFn });
+
+    await expect(http.get(URL)).rejects.toThrow('HTTP 502 Bad Gateway');
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { mergeJsonStat, getCategoryCodes, getDimensions, toJsonStat2, toTidyRows, toDelimited } from '../../src/utils/json-stat.js';
+
+// JSON-stat 2.0 dataset of years x regions
+const dataset = (years, regions, value, extra = {}) => ({
+  version: '2.0',
+  class: 'dataset',
+  id: ['Jahr', 'Region'],
+  size: [years.length, regions.length],
+  dimension: {
+    Jahr: { label: 'Year', category: { index: years } },
+    Region: { label: 'Region', category: { index: regions, label: Object.fromEntries(regions.map(code => [code, `Region ${code}`])) } },
+  },
+  value,
+  ...extra,
+});
+
+describe('json-stat', () => {
+  describe('getCategoryCodes', () => {
+    it('should order object indexes by position', () => {
+      expect(getCategoryCodes({ category: { index: { b: 1, a: 0 } } })).toEqual(['a', 'b']);
+      expect(getCategoryCodes({ category: { index: ['x', 'y'] } })).toEqual(['x', 'y']);
+      expect(getCategoryCodes({ category: { label: { only: 'Only' } } })).toEqual(['only']);
+    });
+  });
+
+  describe('mergeJsonStat', () => {
+    it('should return a single part unchanged', () => {
+      const part = dataset(['2020'], ['CH'], [1]);
+      expect(mergeJsonStat([part])).toBe(part);
+    });
+
+    it('should merge parts split along several dimensions', () => {
+      const merged = mergeJsonStat([
+        dataset(['2020'], ['CH'], [1]),
+        dataset(['2020'], ['ZH'], [2]),
+        dataset(['2021'], ['CH', 'ZH'], [3, 4]),
+      ]);
+
+      expect(getDimensions(merged)).toEqual({ ids: ['Jahr', 'Region'], sizes: [2, 2] });
+      expect(merged.dimension.Jahr.category.index).toEqual({ 2020: 0, 2021: 1 });
+      expect(merged.dimension.Region.category.label).toEqual({ CH: 'Region CH', ZH: 'Region ZH' });
+      expect(merged.value).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should keep the JSON-stat 1.0 bundle and remap sparse values and statuses', () => {
+      const bundle = (years, value, status) => {
+        const { id, size, ...rest } = dataset(years, ['CH', 'ZH'], value, status && { status });
+        return { dataset: { ...rest, dimension: { ...rest.dimension, id, size } } };
+      };
+
+      const merged = mergeJsonStat([
+        bundle(['2020'], { 1: 5 }, { 1: 'p' }),
+        bundle(['2021'], [6, 7]),
+      ]);
+
+      expect(merged.dataset.dimension.size).toEqual([2, 2]);
+      expect(merged.dataset.value).toEqual([null, 5, 6, 7]);
+      expect(merged.dataset.status).toEqual({ 1: 'p' });
+    });
+
+    it('should keep a status that applies to all cells', () => {
+      const merged = mergeJsonStat([
+        dataset(['2020'], ['CH'], [1], { status: 'e' }),
+        dataset(['2021'], ['CH'], [2], { status: 'e' }),
+      ]);
+
+      expect(merged.status).toBe('e');
+    });
+  });
+
+  describe('conversions', () => {
+    const bundle = {
+      dataset: {
+        label: 'Test',
+        dimension: {
+          id: ['Jahr', 'Region'],
+          size: [1, 2],
+          role: { time: ['Jahr'] },
+          Jahr: { label: 'Year', category: { index: { 2020: 0 } } },
+          Region: { label: 'Region', category: { index: { CH: 0, ZH: 1 }, label: { CH: 'Schweiz, total', ZH: 'Zürich' } } },
+        },
+        value: { 1: 5 },
+        status: { 1: 'p' },
+      },
+    };
+
+    it('should convert JSON-stat 1.0 bundles to 2.0 datasets', () => {
+      const converted = toJsonStat2(bundle);
+
+      expect(converted).toEqual(expect.objectContaining({
+        version: '2.0',
+        class: 'dataset',
+        label: 'Test',
+        id: ['Jahr', 'Region'],
+        size: [1, 2],
+        role: { time: ['Jahr'] },
+      }));
+      expect(Object.keys(converted.dimension)).toEqual(['Jahr', 'Region']);
+      expect(toJsonStat2(converted)).toBe(converted);
+    });
+
+    it('should convert datasets to tidy rows with labels, values and statuses', () => {
+      expect(toTidyRows(bundle)).toEqual([
+        { Jahr: '2020', Region: 'Schweiz, total', value: null, status: null },
+        { Jahr: '2020', Region: 'Zürich', value: 5, status: 'p' },
+      ]);
+      expect(toTidyRows(dataset(['2020'], ['CH'], [1]))).toEqual([{ Jahr: '2020', Region: 'Region CH', value: 1 }]);
+    });
+
+    it('should convert datasets to CSV and TSV', () => {
+      expect(toDelimited(bundle)).toBe('Jahr,Region,value,status\n2020,"Schweiz, total",,\n2020,Zürich,5,p');
+      expect(toDelimited(bundle, '\t')).toBe('Jahr\tRegion\tvalue\tstatus\n2020\tSchweiz, total\t\t\n2020\tZürich\t5\tp');
+    });
+
+    it('should rename the value and status columns when a dimension has their name', () => {
+      const clashing = {
+        dataset: {
+          dimension: {
+            id: ['value', 'status'],
+            size: [1, 1],
+            value: { category: { index: { A: 0 } } },
+            status: { category: { index: { B: 0 } } },
+          },
+          value: [7],
+          status: ['p'],
+        },
+      };
+
+      expect(toTidyRows(clashing)).toEqual([{ value: 'A', status: 'B', _value: 7, _status: 'p' }]);
+      expect(toDelimited(clashing)).toBe('value,status,_value,_status\nA,B,7,p');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeLabel, resolveLabels } from '../../src/utils/labels.js';
+import { InvalidQueryError } from '../../src/utils/errors.js';
+
+const dimensions = [
+  {
+    code: 'Kanton',
+    text: 'Canton',
+    values: [
+      { code: '0', label: 'Switzerland' },
+      { code: 'ZH', label: '- Zürich' },
+      { code: 'BE', label: '- Bern / Berne' },
+      { code: 'GE', label: '- Genève' },
+      { code: '261', label: '......0261 Zürich' },
+    ],
+  },
+  {
+    code: 'Jahr',
+    text: 'Year',
+    values: [
+      { code: '39', label: '2019' },
+      { code: '40', label: '2020' },
+      { code: '41', label: '2021' },
+    ],
+  },
+  {
+    code: 'Geschlecht',
+    text: 'Sex',
+    values: [
+      { code: '1', label: 'Total' },
+      { code: '2', label: 'Total' },
+    ],
+  },
+];
+
+describe('labels', () => {
+  describe('normalizeLabel', () => {
+    it('should ignore case, accents and punctuation', () => {
+      expect(normalizeLabel('- Zürich')).toBe('zurich');
+      expect(normalizeLabel('Bern / Berne')).toBe('bern berne');
+      expect(normalizeLabel('GENÈVE')).toBe('geneve');
+    });
+  });
+
+  describe('resolveLabels', () => {
+    it('should keep codes and resolve dimension and value labels', () => {
+      expect(resolveLabels(dimensions, {
+        Canton: ['zurich', 'Bern', 'GE'],
+        Jahr: '2020',
+      })).toEqual({ Kanton: ['ZH', 'BE', 'GE'], Jahr: '40' });
+    });
+
+    it('should resolve small typos in labels with letters', () => {
+      expect(resolveLabels(dimensions, { Kanton: ['Zurch', 'geneva'] })).toEqual({ Kanton: ['ZH', 'GE'] });
+    });
+
+    it('should report unmatched labels with suggestions', () => {
+      const error = (() => {
+        try {
+          return resolveLabels(dimensions, { Jahr: ['2018'] });
+        } catch (error) {
+          return error;
+        }
+      })();
+
+      expect(error).toBeInstanceOf(InvalidQueryError);
+      expect(error.message).toBe('Unknown values: Jahr=2018');
+      expect(error.hint).toContain('Did you mean 2019 (39)');
+      expect(error.hint).toContain('Valid values of Jahr: 39, 40, 41');
+      expect(error.details.invalidValues).toEqual({ Jahr: ['2018'] });
+      expect(error.details.unmatchedLabels[0]).toEqual(expect.objectContaining({ dimension: 'Jahr', label: '2018' }));
+    });
+
+    it('should report ambiguous labels with their matches', () => {
+      expect(() => resolveLabels(dimensions, { Sex: 'total' })).toThrow(expect.objectContaining({
+        message: 'Ambiguous labels: Geschlecht=total',
+        hint: '"total" matches Total (1), Total (2); use the code',
+        details: {
+          ambiguousLabels: [{ dimension: 'Geschlecht', label: 'total', matches: dimensions[2].values }],
+        },
+      }));
+    });
+
+    it('should reject dimensions selected by code and label', () => {
+      expect(() => resolveLabels(dimensions, { Jahr: '40', Year: '2021' })).toThrow('Dimensions selected more than once: Jahr');
+    });
+
+    it('should report unknown dimensions with the valid codes', () => {
+      expect(() => resolveLabels(dimensions, { Gemeinde: ['ZH'] })).toThrow(expect.objectContaining({
+        message: 'Unknown dimension: Gemeinde',
+        details: expect.objectContaining({ invalidDimensions: ['Gemeinde'] }),
+      }));
+    });
+  });
+});
@@ -34,7 +34,41 @@ describe('registerMetadataTools', () => {
     });
 
     expect(result.content[0].text).toEqual(JSON.stringify(mockMetadata, null, 2));
-    expect(pxwebClient.getMetadata).toHaveBeenCalledWith('test-bfs-nr', 'en');
+    expect(pxwebClient.getMetadata).toHaveBeenCalledWith('test-bfs-nr', 'en', expect.objectContaining({ signal: undefined }));
+  });
+
+  it('should report the last change of the dataset when known', async () => {
+    const mockServer = {
+      tool: vi.fn(),
+    };
+
+    registerMetadataTools(mockServer);
+
+    const getDatasetDimensionsFn = mockServer.tool.mock.calls.find(call => call[0] === 'get_dataset_dimensions')[3];
+    pxwebClient.getMetadata.mockImplementation(async (numberBfs, language, options) => {
+      options.onLastChanged('2025-04-01T06:00:00.000Z');
+      return { title: 'Test Dataset', variables: [] };
+    });
+
+    const result = await getDatasetDimensionsFn({ language: 'en', numberBfs: 'test-bfs-nr' });
+
+    expect(result.structuredContent.lastChanged).toBe('2025-04-01T06:00:00.000Z');
+  });
+
+  it('should pass the request signal to the API client', async () => {
+    const mockServer = {
+      tool: vi.fn(),
+    };
+
+    registerMetadataTools(mockServer);
+
+    const getSseMetadataFn = mockServer.tool.mock.calls.find(call => call[0] === 'get_sse_metadata')[3];
+    sseClient.getSseMetadata.mockResolvedValue([]);
+
+    const controller = new AbortController();
+    await getSseMetadataFn({ language: 'en', numberBfs: 'DF_TEST_1' }, { signal: controller.signal });
+
+    expect(sseClient.getSseMetadata).toHaveBeenCalledWith('DF_TEST_1', 'en', expect.objectContaining({ signal: controller.signal }));
   });
 
   it('should handle errors when getting dataset metadata', async () => {
@@ -0,0 +1,141 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { z } from 'zod';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createServer } from '../../src/server.js';
+import * as damClient from '../../src/api/dam-client.js';
+import * as pxwebClient from '../../src/api/pxweb-client.js';
+import * as sseClient from '../../src/api/sse-client.js';
+import {
+  datasetListOutput,
+  assetInfoOutput,
+  pxwebMetadataOutput,
+  pxwebDataOutput,
+  sseObservationSchema,
+} from '../../src/schemas/output-schemas.js';
+import { formatDatasetSummary, formatAssetInfo } from '../../src/utils/formatting.js';
+
+vi.mock('../../src/api/dam-client.js');
+vi.mock('../../src/api/pxweb-client.js');
+vi.mock('../../src/api/sse-client.js');
+
+describe('output schemas', () => {
+  it('should accept formatted catalog results', () => {
+    const item = {
+      description: { titles: { main: 'Population' }, language: 'en' },
+      shop: { orderNr: 'px-x-0102010000_101' },
+      ids: { damId: 12345 },
+    };
+
+    expect(z.object(datasetListOutput).safeParse({
+      totalResults: 1,
+      datasets: [formatDatasetSummary(item, 'en')],
+    }).success).toBe(true);
+    expect(z.object(assetInfoOutput).safeParse(formatAssetInfo(item, 'en')).success).toBe(true);
+  });
+
+  it('should accept PXWEB json and json-stat responses', () => {
+    expect(pxwebDataOutput.safeParse({
+      columns: [{ code: 'Jahr', text: 'Year', type: 't' }],
+      data: [{ key: ['2020'], values: ['8670300'] }],
+    }).success).toBe(true);
+    expect(pxwebDataOutput.safeParse({
+      dataset: { dimension: { Jahr: {} }, value: [8670300, null], label: 'Population' },
+    }).success).toBe(true);
+  });
+
+  it('should reject observations with a non-numeric value', () => {
+    expect(sseObservationSchema.safeParse({ GEO: 'Switzerland', value: 1.5 }).success).toBe(true);
+    expect(sseObservationSchema.safeParse({ GEO: 'Switzerland', value: '1.5' }).success).toBe(false);
+  });
+
+  it('should reject metadata with renamed fields', () => {
+    expect(z.object(pxwebMetadataOutput).safeParse({
+      title: 'Test',
+      updated: 'N/A',
+      source: 'BFS',
+      note: null,
+      variables: [{ code: 'Jahr', label: 'Year', values: [], valueTexts: [], time: true, elimination: false }],
+    }).success).toBe(false);
+  });
+});
+
+describe('structured tool results', () => {
+  let client;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await createServer().connect(serverTransport);
+    client = new Client({ name: 'test-client', version: '0.0.0' });
+    await client.connect(clientTransport);
+  });
+
+  afterEach(async () => {
+    await client.close();
+  });
+
+  it('should declare an output schema for every tool', async () => {
+    const { tools } = await client.listTools();
+
+    expect(tools.length).toBeGreaterThan(0);
+    for (const tool of tools) {
+      expect(tool.outputSchema?.type, tool.name).toBe('object');
+    }
+  });
+
+  it('should return structured content matching the text content', async () => {
+    sseClient.getSseMetadata.mockResolvedValue([
+      { code: 'GEO', text: 'Geography', value: 'CH', valueText: 'Switzerland', position_dimension: 0 },
+    ]);
+
+    const result = await client.callTool({ name: 'get_sse_metadata', arguments: { numberBfs: 'DF_TEST_1' } });
+
+    expect(result.isError).toBeFalsy();
+    expect(result.structuredContent).toEqual({
+      totalDimensions: 1,
+      dimensions: [{ code: 'GEO', text: 'Geography', values: [{ value: 'CH', valueText: 'Switzerland' }] }],
+    });
+    expect(JSON.parse(result.content[0].text)).toEqual(result.structuredContent);
+  });
+
+  it('should return observations as structured content', async () => {
+    sseClient.getSseData.mockResolvedValue([{ GEO: 'Switzerland', TIME_PERIOD: '2023', value: 100.5 }]);
+
+    const result = await client.callTool({ name: 'get_sse_data', arguments: { numberBfs: 'DF_TEST_1' } });
+
+    expect(result.isError).toBeFalsy();
+    expect(result.structuredContent.data).toEqual([{ GEO: 'Switzerland', TIME_PERIOD: '2023', value: 100.5 }]);
+  });
+
+  it('should not return structured content for errors', async () => {
+    damClient.searchCatalog.mockRejectedValue(new Error('API Error'));
+
+    const result = await client.callTool({ name: 'search_datasets', arguments: { query: 'population' } });
+
+    expect(result.isError).toBe(true);
+    expect(result.structuredContent).toBeUndefined();
+  });
+
+  it('should return PXWEB responses as structured content', async () => {
+    const response = { dataset: { dimension: {}, value: [1, 2], label: 'Test' } };
+    pxwebClient.getData.mockResolvedValue(response);
+
+    const result = await client.callTool({ name: 'get_statistical_data', arguments: { numberBfs: 'px-x-1234' } });
+
+    expect(result.structuredContent).toEqual(response);
+  });
+
+  it.each([
+    { format: 'tidy', rows: [{ Jahr: '2020', Kanton: 'Zürich', value: 1, status: null }] },
+    { format: 'xlsx', mediaType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', encoding: 'base64', content: 'UEsDBA==' },
+    { version: '2.0', class: 'dataset', id: ['Jahr'], size: [1], dimension: {}, value: [1] },
+  ])('should return converted and non-JSON PXWEB results as structured content (%#)', async (response) => {
+    pxwebClient.getData.mockResolvedValue(response);
+
+    const result = await client.callTool({ name: 'get_statistical_data', arguments: { numberBfs: 'px-x-1234', convert: 'tidy' } });
+
+    expect(result.isError).toBeFalsy();
+    expect(result.structuredContent).toEqual(response);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createProgressReporter, PXWEB_DATA_PHASES } from '../../src/utils/progress.js';
+
+describe('createProgressReporter', () => {
+  it('should send progress notifications with phase position and total', () => {
+    const sendNotification = vi.fn().mockResolvedValue(undefined);
+    const onProgress = createProgressReporter({ _meta: { progressToken: 42 }, sendNotification }, PXWEB_DATA_PHASES);
+
+    onProgress({ phase: 'downloading', message: 'Downloading 10 cells', cells: 10 });
+
+    expect(sendNotification).toHaveBeenCalledWith({
+      method: 'notifications/progress',
+      params: { progressToken: 42, progress: 2, total: 4, message: 'Downloading 10 cells' },
+    });
+  });
+
+  it('should never decrease progress', () => {
+    const sendNotification = vi.fn().mockResolvedValue(undefined);
+    const onProgress = createProgressReporter({ _meta: { progressToken: 'abc' }, sendNotification }, PXWEB_DATA_PHASES);
+
+    onProgress({ phase: 'parsing', message: 'Parsing' });
+    onProgress({ phase: 'unknown', message: 'Still parsing' });
+
+    expect(sendNotification.mock.calls[1][0].params.progress).toBe(3);
+  });
+
+  it('should not send notifications without a progress token', () => {
+    const sendNotification = vi.fn();
+    const onProgress = createProgressReporter({ _meta: {}, sendNotification }, PXWEB_DATA_PHASES);
+
+    onProgress({ phase: 'metadata', message: 'Fetching metadata' });
+
+    expect(sendNotification).not.toHaveBeenCalled();
+  });
+
+  it('should work without a request context', () => {
+    const onProgress = createProgressReporter(undefined, PXWEB_DATA_PHASES);
+
+    expect(() => onProgress({ phase: 'metadata', message: 'Fetching metadata' })).not.toThrow();
+  });
+
+  it('should ignore notification failures', async () => {
+    const sendNotification = vi.fn().mockRejectedValue(new Error('Connection closed'));
+    const onProgress = createProgressReporter({ _meta: { progressToken: 1 }, sendNotification }, PXWEB_DATA_PHASES);
+
+    expect(() => onProgress({ phase: 'metadata', message: 'Fetching metadata' })).not.toThrow();
+    await Promise.resolve();
+  });
+});
@@ -1,16 +1,22 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import ky from 'ky';
-import { getMetadata, getData, getConfig } from '../../src/api/pxweb-client.js';
+import { getMetadata, getData, getConfig, estimateQuery, browsePxweb } from '../../src/api/pxweb-client.js';
+import { responseCache } from '../../src/utils/cache.js';
+import { circuitBreakers } from '../../src/utils/circuit-breaker.js';
+import { InvalidQueryError, NotFoundError, TooLargeError } from '../../src/utils/errors.js';
 
 // Mock ky
+// The HTTP client is created via ky.create(), so we need to mock the instance methods
 vi.mock('ky', () => {
   const mockGet = vi.fn();
   const mockPost = vi.fn();
   
   return {
     default: {
-      get: mockGet,
-      post: mockPost,
+      create: vi.fn(() => ({
+        get: mockGet,
+        post: mockPost,
+      })),
       __mockGet: mockGet,
       __mockPost: mockPost,
     },
@@ -32,6 +38,8 @@ const mockPost = ky.__mockPost;
 describe('pxweb-client', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    responseCache.clear();
+    Object.values(circuitBreakers).forEach(breaker => breaker.reset());
   });
 
   describe('getMetadata', () => {
@@ -53,13 +61,24 @@ describe('pxweb-client', () => {
       expect(mockGet).toHaveBeenCalledWith(
         expect.stringContaining('/en/px-x-1234/px-x-1234.px'),
         expect.objectContaining({
-          retry: expect.any(Object),
-          timeout: 30000,
+          throwHttpErrors: expect.any(Function),
         })
       );
       expect(result).toEqual(mockMetadata);
     });
 
+    it('should answer repeated requests from the response cache', async () => {
+      mockGet.mockReturnValue({
+        json: vi.fn().mockResolvedValue({ title: 'Test Dataset', variables: [] }),
+      });
+
+      await getMetadata('px-x-1234', 'en');
+      const result = await getMetadata('px-x-1234', 'en');
+
+      expect(mockGet).toHaveBeenCalledTimes(1);
+      expect(result.title).toBe('Test Dataset');
+    });
+
     it('should handle API errors gracefully', async () => {
       mockGet.mockReturnValue({
         json: vi.fn().mockRejectedValue(new Error('Not Found')),
@@ -94,15 +113,9 @@ describe('pxweb-client', () => {
       ],
     };
 
-    it('should fetch data with custom query', async () => {
+    it('should fetch data with custom query without fetching metadata', async () => {
       const mockData = { data: [1, 2, 3] };
 
-      // First call for metadata
-      mockGet.mockReturnValueOnce({
-        json: vi.fn().mockResolvedValue(mockMetadata),
-      });
-
-      // Second call for data
       mockPost.mockReturnValue({
         json: vi.fn().mockResolvedValue(mockData),
       });
@@ -114,7 +127,7 @@ describe('pxweb-client', () => {
 
       const result = await getData('px-x-1234', 'en', query, 'json');
 
-      expect(mockGet).toHaveBeenCalled();
+      expect(mockGet).not.toHaveBeenCalledWith(expect.stringMatching(/\.px$/), expect.anything());
       expect(mockPost).toHaveBeenCalledWith(
         expect.stringContaining('/en/px-x-1234/px-x-1234.px'),
         expect.objectContaining({
@@ -186,12 +199,106 @@ describe('pxweb-client', () => {
       );
     });
 
-    it('should handle single value in query as array', async () => {
-      const mockData = { data: [1, 2, 3] };
+    it('should list the valid dimensions when PXWEB rejects the query', async () => {
+      mockPost.mockRejectedValue(Object.assign(new Error('HTTP 400: Bad Request'), { status: 400, body: 'Bad Request' }));
+      mockGet.mockReturnValue({
+        json: vi.fn().mockResolvedValue({ variables: [{ code: 'Jahr', values: ['2020'] }, { code: 'Kanton', values: ['ZH'] }] }),
+      });
 
-      mockGet.mockReturnValueOnce({
-        json: vi.fn().mockResolvedValue(mockMetadata),
+      const error = await getData('px-x-1234', 'en', { Year: ['2020'] }).catch(error => error);
+
+      expect(error).toBeInstanceOf(InvalidQueryError);
+      expect(error.message).toBe('Failed to fetch data for px-x-1234: Unknown dimension: Year');
+      expect(error.hint).toBe('Valid dimensions: Jahr, Kanton');
+      expect(error.details).toEqual({ invalidDimensions: ['Year'], validDimensions: ['Jahr', 'Kanton'] });
+    });
+
+    it('should resolve labels with the metadata when PXWEB rejects the query', async () => {
+      mockPost
+        .mockRejectedValueOnce(Object.assign(new Error('HTTP 400: Bad Request'), { status: 400, body: 'Bad Request' }))
+        .mockReturnValueOnce({ json: vi.fn().mockResolvedValue({ data: [] }) });
+      mockGet.mockReturnValue({
+        json: vi.fn().mockResolvedValue({
+          variables: [
+            { code: 'Jahr', text: 'Year', values: ['39', '40'], valueTexts: ['2019', '2020'] },
+            { code: 'Kanton', text: 'Canton', values: ['ZH', 'BE'], valueTexts: ['Zürich', 'Bern / Berne'] },
+          ],
+        }),
+      });
+
+      await getData('px-x-1234', 'en', { Year: '2020', Kanton: ['zurich', 'Bern'] }, 'json');
+
+      expect(mockPost).toHaveBeenCalledTimes(2);
+      expect(mockPost.mock.calls[1][1].json.query).toEqual([
+        { code: 'Jahr', selection: { filter: 'item', values: ['40'] } },
+        { code: 'Kanton', selection: { filter: 'item', values: ['ZH', 'BE'] } },
+      ]);
+    });
+
+    it('should resolve labels with cached metadata before sending the query', async () => {
+      mockGet.mockReturnValue({
+        json: vi.fn().mockResolvedValue({
+          variables: [{ code: 'Kanton', text: 'Canton', values: ['ZH', 'BE'], valueTexts: ['Zürich', 'Bern / Berne'] }],
+        }),
       });
+      mockPost.mockReturnValue({ json: vi.fn().mockResolvedValue({ data: [] }) });
+      await getMetadata('px-x-1234', 'en');
+
+      await getData('px-x-1234', 'en', { Canton: ['zurich'] }, 'json');
+
+      expect(mockPost).toHaveBeenCalledTimes(1);
+      expect(mockPost.mock.calls[0][1].json.query).toEqual([
+        { code: 'Kanton', selection: { filter: 'item', values: ['ZH'] } },
+      ]);
+    });
+
+    it('should match resolved labels to their dimension when codes are numeric', async () => {
+      mockPost
+        .mockRejectedValueOnce(Object.assign(new Error('HTTP 400: Bad Request'), { status: 400, body: 'Bad Request' }))
+        .mockReturnValueOnce({ json: vi.fn().mockResolvedValue({ data: [] }) });
+      mockGet.mockReturnValue({
+        json: vi.fn().mockResolvedValue({
+          variables: [
+            { code: 'Kanton', text: 'Canton', values: ['ZH', 'BE'], valueTexts: ['Zürich', 'Bern / Berne'] },
+            { code: '2', text: 'Sex', values: ['1', '2'], valueTexts: ['Man', 'Woman'] },
+          ],
+        }),
+      });
+
+      await getData('px-x-1234', 'en', { Canton: ['zurich'], Sex: ['Woman'] }, 'json');
+
+      expect(mockPost.mock.calls[1][1].json.query).toEqual([
+        { code: 'Kanton', selection: { filter: 'item', values: ['ZH'] } },
+        { code: '2', selection: { filter: 'item', values: ['2'] } },
+      ]);
+    });
+
+    it('should suggest values for labels that match none', async () => {
+      mockPost.mockRejectedValue(Object.assign(new Error('HTTP 400: Bad Request'), { status: 400, body: 'Bad Request' }));
+      mockGet.mockReturnValue({
+        json: vi.fn().mockResolvedValue({ variables: [{ code: 'Kanton', values: ['ZH', 'GE'], valueTexts: ['Zürich', 'Genève'] }] }),
+      });
+
+      const error = await getData('px-x-1234', 'en', { Kanton: ['Genf'] }).catch(error => error);
+
+      expect(error).toBeInstanceOf(InvalidQueryError);
+      expect(error.message).toBe('Failed to fetch data for px-x-1234: Unknown values: Kanton=Genf');
+      expect(error.hint).toContain('Did you mean Genève (GE) for "Genf"?');
+      expect(mockPost).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report unknown datasets as not found', async () => {
+      mockPost.mockRejectedValue(Object.assign(new Error('HTTP 404: Not Found'), { status: 404 }));
+
+      const error = await getData('px-x-9999', 'en', { Jahr: ['2020'] }).catch(error => error);
+
+      expect(error).toBeInstanceOf(NotFoundError);
+      expect(error.code).toBe('NOT_FOUND');
+      expect(error.hint).toContain('search_datasets');
+    });
+
+    it('should handle single value in query as array', async () => {
+      const mockData = { data: [1, 2, 3] };
 
       mockPost.mockReturnValue({
         json: vi.fn().mockResolvedValue(mockData),
@@ -220,6 +327,375 @@ describe('pxweb-client', () => {
         })
       );
     });
+    it('should report progress phases with cell count and size', async () => {
+      mockGet.mockReturnValueOnce({
+        json: vi.fn().mockResolvedValue(mockMetadata),
+      });
+
+      mockPost.mockReturnValue({
+        headers: new Headers({ 'content-length': '1234' }),
+        json: vi.fn().mockResolvedValue({ data: [] }),
+      });
+
+      const onProgress = vi.fn();
+      await getData('px-x-1234', 'en', null, 'json', { onProgress });
+
+      expect(onProgress.mock.calls.map(([update]) => update.phase)).toEqual(['metadata', 'downloading', 'parsing']);
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ phase: 'downloading', cells: 4 }));
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ phase: 'parsing', bytes: 1234 }));
+    });
+
+    it('should pass the abort signal to the metadata and data requests', async () => {
+      mockGet.mockReturnValueOnce({
+        json: vi.fn().mockResolvedValue(mockMetadata),
+      });
+
+      mockPost.mockReturnValue({
+        json: vi.fn().mockResolvedValue({ data: [] }),
+      });
+
+      const controller = new AbortController();
+      await getData('px-x-1234', 'en', null, 'json', { signal: controller.signal });
+
+      expect(mockGet).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ signal: controller.signal }));
+      expect(mockPost).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ signal: controller.signal }));
+    });
+
+    it('should reuse metadata passed by the caller', async () => {
+      mockPost.mockReturnValue({
+        json: vi.fn().mockResolvedValue({ data: [] }),
+      });
+
+      const onProgress = vi.fn();
+      await getData('px-x-1234', 'en', { Jahr: ['2020', '2021'] }, 'json', { metadata: mockMetadata, onProgress });
+      await getData('px-x-1234', 'en', null, 'json', { metadata: mockMetadata, onProgress });
+
+      expect(mockGet).not.toHaveBeenCalledWith(expect.stringMatching(/\.px$/), expect.anything());
+      expect(onProgress.mock.calls.map(([update]) => update.phase)).not.toContain('metadata');
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ phase: 'downloading', cells: 4 }));
+    });
+
+    it('should send concurrent identical requests only once', async () => {
+      let resolveData;
+      mockPost.mockReturnValue({
+        json: vi.fn(() => new Promise(resolve => { resolveData = resolve; })),
+      });
+
+      const query = { Jahr: ['2020'] };
+      const requests = [getData('px-x-1234', 'en', query, 'json'), getData('px-x-1234', 'en', query, 'json')];
+      await vi.waitFor(() => expect(resolveData).toBeDefined());
+      resolveData({ data: [1] });
+
+      expect(await Promise.all(requests)).toEqual([{ data: [1] }, { data: [1] }]);
+      expect(mockPost).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getData formats', () => {
+    beforeEach(() => {
+      mockGet.mockImplementation(() => ({
+        json: vi.fn().mockResolvedValue({ maxValues: 100 }),
+      }));
+    });
+
+    const mockResponse = (bytes, contentType) => {
+      mockPost.mockReturnValue({
+        headers: new Headers({ 'content-type': contentType }),
+        arrayBuffer: vi.fn().mockResolvedValue(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)),
+        json: vi.fn().mockRejectedValue(new SyntaxError('Unexpected token')),
+      });
+    };
+
+    it('should return text formats as content decoded with their charset', async () => {
+      mockResponse(Buffer.from('"Jahr","Zürich"\n', 'latin1'), 'text/csv; charset=iso-8859-1');
+
+      const result = await getData('px-x-1234', 'de', { Jahr: ['2020'] }, 'csv');
+
+      expect(mockPost.mock.calls[0][1].json.response).toEqual({ format: 'csv' });
+      expect(result).toEqual({ format: 'csv', mediaType: 'text/csv', content: '"Jahr","Zürich"\n' });
+    });
+
+    it('should return xlsx content as base64', async () => {
+      mockResponse(Buffer.from([0x50, 0x4b, 0x03, 0x04]), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+      const result = await getData('px-x-1234', 'de', { Jahr: ['2020'] }, 'xlsx');
+
+      expect(result).toEqual(expect.objectContaining({ format: 'xlsx', encoding: 'base64', content: 'UEsDBA==' }));
+    });
+
+    it('should reject unknown formats and conversions before sending the query', async () => {
+      await expect(getData('px-x-1234', 'de', { Jahr: ['2020'] }, 'html')).rejects.toThrow(InvalidQueryError);
+      await expect(getData('px-x-1234', 'de', { Jahr: ['2020'] }, 'json-stat', { convert: 'parquet' })).rejects.toThrow('Unknown conversion: parquet');
+      expect(mockPost).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getData chunking', () => {
+    const metadata = {
+      variables: [
+        { code: 'Jahr', text: 'Year', values: ['2020', '2021', '2022'] },
+        { code: 'Region', text: 'Region', values: ['CH', 'ZH'] },
+      ],
+    };
+
+    // JSON-stat 1.0 response of a chunk: value = year index * 10 + region index
+    const jsonStat = ({ query }) => {
+      const years = query.find(q => q.code === 'Jahr').selection.values;
+      const regions = ['CH', 'ZH'];
+      return {
+        dataset: {
+          label: 'Test',
+          dimension: {
+            id: ['Jahr', 'Region'],
+            size: [years.length, regions.length],
+            Jahr: { label: 'Year', category: { index: Object.fromEntries(years.map((year, i) => [year, i])) } },
+            Region: { label: 'Region', category: { index: { CH: 0, ZH: 1 }, label: { CH: 'Switzerland', ZH: 'Zürich' } } },
+          },
+          value: years.flatMap(year => regions.map((_, r) => metadata.variables[0].values.indexOf(year) * 10 + r)),
+        },
+      };
+    };
+
+    beforeEach(() => {
+      mockGet.mockImplementation(url => ({
+        json: vi.fn().mockResolvedValue(url.includes('?config') ? { maxValues: 4, maxCalls: 30, timeWindow: 10 } : metadata),
+      }));
+      mockPost.mockImplementation((url, { json }) => ({
+        json: vi.fn().mockResolvedValue(jsonStat(json)),
+      }));
+    });
+
+    it('should split queries above the cell limit and merge the JSON-stat chunks', async () => {
+      const onProgress = vi.fn();
+      const result = await getData('px-x-1234', 'en', null, 'json-stat', { onProgress });
+
+      expect(mockPost).toHaveBeenCalledTimes(2);
+      expect(mockPost.mock.calls.map(([, { json }]) => json.query[0].selection.values)).toEqual([['2020', '2021'], ['2022']]);
+      expect(result.dataset.dimension.size).toEqual([3, 2]);
+      expect(result.dataset.dimension.Jahr.category.index).toEqual({ 2020: 0, 2021: 1, 2022: 2 });
+      expect(result.dataset.value).toEqual([0, 1, 10, 11, 20, 21]);
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ phase: 'downloading', chunk: 2, chunks: 2, cells: 2 }));
+    });
+
+    it('should send queries within the limit in one request', async () => {
+      await getData('px-x-1234', 'en', { Jahr: ['2020', '2021'], Region: ['CH', 'ZH'] });
+
+      expect(mockPost).toHaveBeenCalledTimes(1);
+    });
+
+    it('should convert the merged chunks locally', async () => {
+      const result = await getData('px-x-1234', 'en', null, 'px', { convert: 'csv' });
+
+      expect(mockPost).toHaveBeenCalledTimes(2);
+      expect(mockPost.mock.calls[0][1].json.response.format).toBe('json-stat');
+      expect(result).toEqual({
+        format: 'csv',
+        mediaType: 'text/csv',
+        content: 'Jahr,Region,value\n2020,Switzerland,0\n2020,Zürich,1\n2021,Switzerland,10\n2021,Zürich,11\n2022,Switzerland,20\n2022,Zürich,21',
+      });
+    });
+
+    it('should reject oversized queries in formats that cannot be merged', async () => {
+      const error = await getData('px-x-1234', 'en', null, 'csv').catch(error => error);
+
+      expect(error).toBeInstanceOf(TooLargeError);
+      expect(error.message).toContain('selects 6 cells of px-x-1234; PXWEB returns at most 4 per request');
+      expect(mockPost).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getData selections', () => {
+    const metadata = {
+      variables: [
+        { code: 'Jahr', text: 'Year', values: ['2020', '2021', '2022'], time: true },
+        { code: 'Region', text: 'Region', values: ['CH', 'ZH', 'ZG'] },
+      ],
+    };
+
+    const mockLimit = (maxValues) => {
+      mockGet.mockImplementation(url => ({
+        json: vi.fn().mockResolvedValue(url.includes('?config') ? { maxValues } : metadata),
+      }));
+    };
+
+    beforeEach(() => {
+      mockLimit(100);
+      mockPost.mockImplementation((url, { json }) => ({
+        json: vi.fn().mockResolvedValue({ data: [json.query] }),
+      }));
+    });
+
+    it('should send top and all selections and count their cells from the metadata', async () => {
+      const onProgress = vi.fn();
+      await getData('px-x-1234', 'en', {
+        Jahr: { filter: 'top', values: ['2'] },
+        Region: { filter: 'all', values: ['Z*'] },
+      }, 'json', { onProgress });
+
+      expect(mockPost).toHaveBeenCalledTimes(1);
+      expect(mockPost.mock.calls[0][1].json.query).toEqual([
+        { code: 'Jahr', selection: { filter: 'top', values: ['2'] } },
+        { code: 'Region', selection: { filter: 'all', values: ['Z*'] } },
+      ]);
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ phase: 'metadata' }));
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ phase: 'downloading', cells: 4 }));
+    });
+
+    it('should default all selections to every value', async () => {
+      await getData('px-x-1234', 'en', { Region: { filter: 'all' } }, 'json');
+
+      expect(mockPost.mock.calls[0][1].json.query).toEqual([{ code: 'Region', selection: { filter: 'all', values: ['*'] } }]);
+    });
+
+    it('should resolve top and all selections to values when splitting', async () => {
+      mockLimit(4);
+
+      const result = await getData('px-x-1234', 'en', {
+        Jahr: { filter: 'top', values: ['2'] },
+        Region: { filter: 'all' },
+      }, 'json');
+
+      expect(result.data).toEqual([
+        [
+          { code: 'Jahr', selection: { filter: 'item', values: ['2021', '2022'] } },
+          { code: 'Region', selection: { filter: 'item', values: ['CH', 'ZH'] } },
+        ],
+        [
+          { code: 'Jahr', selection: { filter: 'item', values: ['2021', '2022'] } },
+          { code: 'Region', selection: { filter: 'item', values: ['ZG'] } },
+        ],
+      ]);
+    });
+
+    it('should pass aggregation and value set selections on', async () => {
+      const onProgress = vi.fn();
+      await getData('px-x-1234', 'en', {
+        Jahr: ['2022'],
+        Region: { filter: 'agg:Grossregionen.agg', values: ['R1', 'R2'] },
+      }, 'json', { onProgress });
+
+      expect(mockPost.mock.calls[0][1].json.query[1]).toEqual({
+        code: 'Region',
+        selection: { filter: 'agg:Grossregionen.agg', values: ['R1', 'R2'] },
+      });
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ phase: 'downloading', cells: 2 }));
+    });
+
+    it.each([
+      [{ Region: { filter: 'top', values: ['2'] } }, 'top selects the latest periods of the time dimension', 'Use top with Jahr.'],
+      [{ Jahr: { filter: 'top', values: ['last'] } }, 'top needs one positive count', '{"filter": "top", "values": ["5"]}'],
+      [{ Region: { filter: 'all', values: ['B*'] } }, 'no values match B*', 'Patterns use * as a wildcard'],
+      [{ Region: { filter: 'vs:Kantone', values: [] } }, 'vs:Kantone needs the codes of the groups to select', 'group codes of Kantone'],
+      [{ Region: { filter: 'any' } }, 'unknown filter "any"', 'Use one of the filters'],
+      [{ Gemeinde: { filter: 'top', values: ['2'] } }, 'Unknown dimension: Gemeinde', 'Valid dimensions: Jahr, Region'],
+    ])('should reject selections that do not fit the metadata (%j)', async (query, message, hint) => {
+      const error = await getData('px-x-1234', 'en', query).catch(error => error);
+
+      expect(error).toBeInstanceOf(InvalidQueryError);
+      expect(error.message).toContain(message);
+      expect(error.hint).toContain(hint);
+      expect(mockPost).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('estimateQuery', () => {
+    const years = Array.from({ length: 50 }, (_, i) => String(1974 + i));
+    const cantons = Array.from({ length: 27 }, (_, i) => (i === 0 ? 'CH' : `K${i}`));
+    const metadata = {
+      variables: [
+        { code: 'Jahr', text: 'Year', values: years, valueTexts: years, time: true, elimination: false },
+        { code: 'Kanton', text: 'Canton', values: cantons, valueTexts: cantons.map(code => (code === 'K1' ? 'Zürich' : `Canton ${code}`)), elimination: true },
+        { code: 'Geschlecht', text: 'Sex', values: ['0', '1', '2'], valueTexts: ['Total', 'Male', 'Female'], elimination: false },
+      ],
+    };
+
+    beforeEach(() => {
+      mockGet.mockImplementation(url => ({
+        json: vi.fn().mockResolvedValue(url.includes('?config') ? { maxValues: 100, maxCalls: 30, timeWindow: 10 } : metadata),
+      }));
+    });
+
+    it('should count the cells of a query with labels and selections without fetching data', async () => {
+      const estimate = await estimateQuery('px-x-1234', 'en', {
+        Year: { filter: 'top', values: ['2'] },
+        Kanton: 'Zürich',
+        Geschlecht: ['1', '2'],
+      });
+
+      expect(estimate).toEqual(expect.objectContaining({
+        numberBfs: 'px-x-1234',
+        format: 'json-stat',
+        cells: 4,
+        limits: { maxCells: 100, maxCalls: 30, timeWindow: 10, maxChunks: 20 },
+        requests: 1,
+        withinLimits: true,
+        largeResponse: false,
+        recommendations: [],
+      }));
+      expect(estimate.dimensions[0]).toEqual({
+        code: 'Jahr', text: 'Year', time: true, values: 50, selected: 2, filter: 'top', eliminable: false,
+      });
+      expect(estimate.estimatedTokens).toBe(Math.ceil(estimate.estimatedBytes / 4));
+      expect(mockPost).not.toHaveBeenCalled();
+    });
+
+    it('should recommend narrower selections for a whole table above the chunk limit', async () => {
+      const estimate = await estimateQuery('px-x-1234', 'en');
+
+      expect(estimate.cells).toBe(4050);
+      expect(estimate.requests).toBe(41);
+      expect(estimate.withinLimits).toBe(false);
+      expect(estimate.recommendations).toEqual([
+        'Pass a query: without one, all values of every dimension are selected',
+        'Select the latest 24 of the 50 periods of Jahr: {"Jahr": {"filter": "top", "values": ["24"]}}',
+        'Select at most 13 of the 27 values of Kanton, or leave it out to get its total',
+        'Select at most 1 of the 3 values of Geschlecht',
+      ]);
+    });
+
+    it('should flag large responses that fit the request limits', async () => {
+      const estimate = await estimateQuery('px-x-1234', 'en', {
+        Jahr: { filter: 'all' },
+        Kanton: { filter: 'all' },
+        Geschlecht: '0',
+      }, 'json');
+
+      expect(estimate.cells).toBe(1350);
+      expect(estimate.requests).toBe(17);
+      expect(estimate.withinLimits).toBe(true);
+      expect(estimate.largeResponse).toBe(true);
+      expect(estimate.recommendations[0]).toMatch(/^Select the latest \d+ of the 50 periods of Jahr/);
+    });
+
+    it('should report mandatory dimensions left out and formats that cannot be chunked', async () => {
+      const estimate = await estimateQuery('px-x-1234', 'en', { Kanton: { filter: 'all' }, Jahr: { filter: 'all' } }, 'csv');
+
+      expect(estimate.withinLimits).toBe(false);
+      expect(estimate.dimensions[2]).toEqual(expect.objectContaining({ code: 'Geschlecht', selected: null, filter: null }));
+      expect(estimate.recommendations.slice(0, 2)).toEqual([
+        'Select values of Geschlecht: PXWEB rejects queries that leave it out',
+        'Request the format json-stat, json-stat2, or json, which is downloaded in chunks, or convert the table locally',
+      ]);
+    });
+
+    it('should estimate without limits when the configuration is unavailable', async () => {
+      mockGet.mockImplementation(url => ({
+        json: url.includes('?config') ? vi.fn().mockRejectedValue(new Error('Config Error')) : vi.fn().mockResolvedValue(metadata),
+      }));
+
+      const estimate = await estimateQuery('px-x-1234', 'en', { Jahr: '2023', Geschlecht: '0' });
+
+      expect(estimate.cells).toBe(1);
+      expect(estimate.limits).toEqual({ maxCells: null, maxCalls: null, timeWindow: null, maxChunks: 20 });
+      expect(estimate.withinLimits).toBe(true);
+    });
+
+    it('should reject queries that do not fit the metadata', async () => {
+      const error = await estimateQuery('px-x-1234', 'en', { Gemeinde: ['261'] }).catch(error => error);
+
+      expect(error).toBeInstanceOf(InvalidQueryError);
+      expect(error.message).toBe('Failed to estimate query for px-x-1234: Unknown dimension: Gemeinde');
+    });
   });
 
   describe('getConfig', () => {
@@ -237,7 +713,8 @@ describe('pxweb-client', () => {
       const result = await getConfig('en');
 
       expect(mockGet).toHaveBeenCalledWith(
-        expect.stringContaining('/en/?config')
+        expect.stringContaining('/en/?config'),
+        { signal: undefined }
       );
       expect(result).toEqual(mockConfig);
     });
@@ -262,8 +739,90 @@ describe('pxweb-client', () => {
       await getConfig();
 
       expect(mockGet).toHaveBeenCalledWith(
-        expect.stringContaining('/de/?config')
+        expect.stringContaining('/de/?config'),
+        { signal: undefined }
       );
     });
   });
+
+  describe('browsePxweb', () => {
+    const listings = {
+      '/en/': [
+        { dbid: 'px-x-0101', text: 'Population' },
+        { dbid: 'px-x-1101', text: 'Mobility' },
+      ],
+      '/en/px-x-0101/': [
+        { id: 'px-x-0101.px', type: 't', text: 'Population by canton', updated: '2024-08-27T08:30:00' },
+      ],
+      '/en/px-x-1101/': [
+        { id: 'Pendler', type: 'l', text: 'Commuters' },
+        { id: 'px-x-1101.px', type: 't', text: 'Vehicles', updated: '2024-03-01T08:30:00' },
+      ],
+      '/en/px-x-1101/Pendler/': [
+        { id: 'px-x-1101_201.px', type: 't', text: 'Commuters by mode of transport' },
+      ],
+    };
+
+    beforeEach(() => {
+      mockGet.mockImplementation(url => {
+        const listing = listings[url.replace(/^.*\/api\/v1/, '')];
+        return {
+          json: listing
+            ? vi.fn().mockResolvedValue(listing)
+            : vi.fn().mockRejectedValue(Object.assign(new Error('HTTP 404: Not Found'), { status: 404 })),
+        };
+      });
+    });
+
+    it('should list the databases of the root as folders', async () => {
+      const result = await browsePxweb('', 'en');
+
+      expect(result).toEqual({
+        path: '',
+        nodes: [
+          { id: 'px-x-0101', path: 'px-x-0101', type: 'folder', title: 'Population' },
+          { id: 'px-x-1101', path: 'px-x-1101', type: 'folder', title: 'Mobility' },
+        ],
+        foldersListed: 1,
+        truncated: false,
+      });
+    });
+
+    it('should list tables with their BFS number and update date', async () => {
+      const { nodes } = await browsePxweb('px-x-0101/', 'en');
+
+      expect(nodes).toEqual([{
+        id: 'px-x-0101.px',
+        path: 'px-x-0101/px-x-0101.px',
+        type: 'table',
+        title: 'Population by canton',
+        updated: '2024-08-27T08:30:00',
+        numberBfs: 'px-x-0101',
+      }]);
+    });
+
+    it('should walk subfolders and filter by text', async () => {
+      const result = await browsePxweb('', 'en', { recursive: true, filter: 'commuter' });
+
+      expect(result.nodes.map(node => node.path)).toEqual(['px-x-1101/Pendler', 'px-x-1101/Pendler/px-x-1101_201.px']);
+      expect(result.foldersListed).toBe(4);
+      expect(result.truncated).toBe(false);
+    });
+
+    it('should stop after the maximum number of folders', async () => {
+      const result = await browsePxweb('', 'en', { recursive: true, maxFolders: 2 });
+
+      expect(result.foldersListed).toBe(2);
+      expect(result.truncated).toBe(true);
+      expect(mockGet).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report unknown folders as not found', async () => {
+      const error = await browsePxweb('px-x-9999', 'en').catch(error => error);
+
+      expect(error).toBeInstanceOf(NotFoundError);
+      expect(error.message).toContain('Failed to list PXWEB folder px-x-9999');
+      expect(error.hint).toContain('Browse from the root');
+    });
+  });
 });
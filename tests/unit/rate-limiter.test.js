@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRateLimiter, parseRetryAfter } from '../../src/utils/rate-limiter.js';
+
+const PXWEB_URL = 'https://www.pxweb.bfs.admin.ch/api/v1/en/?config';
+const SSE_URL = 'https://disseminate.stats.swiss/rest/dataflow';
+
+describe('rate limiter', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should allow a burst and then throttle requests to the configured rate', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(new Response('{}'));
+    const limiter = createRateLimiter({ rate: 1, burst: 2, maxConcurrent: 0, fetchFn });
+
+    const requests = [limiter.fetch(PXWEB_URL), limiter.fetch(PXWEB_URL), limiter.fetch(PXWEB_URL)];
+    await vi.advanceTimersByTimeAsync(0);
+    expect(fetchFn).toHaveBeenCalledTimes(2);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(fetchFn).toHaveBeenCalledTimes(3);
+    await Promise.all(requests);
+  });
+
+  it('should keep a bucket per host', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(new Response('{}'));
+    const limiter = createRateLimiter({ rate: 1, burst: 1, maxConcurrent: 0, fetchFn });
+
+    const requests = [limiter.fetch(PXWEB_URL), limiter.fetch(PXWEB_URL), limiter.fetch(SSE_URL)];
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(fetchFn.mock.calls.map(([url]) => url)).toEqual([PXWEB_URL, SSE_URL]);
+    expect(limiter.stats()).toEqual(expect.objectContaining({ queued: 1 }));
+    await vi.advanceTimersByTimeAsync(1000);
+    await Promise.all(requests);
+  });
+
+  it('should cap the number of requests in flight', async () => {
+    const responses = [];
+    const fetchFn = vi.fn(() => new Promise(resolve => responses.push(resolve)));
+    const limiter = createRateLimiter({ rate: 0, maxConcurrent: 1, fetchFn });
+
+    const first = limiter.fetch(PXWEB_URL);
+    const second = limiter.fetch(SSE_URL);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+    expect(limiter.stats()).toEqual(expect.objectContaining({ active: 1, queued: 1 }));
+
+    responses[0](new Response('{}'));
+    await first;
+    await vi.advanceTimersByTimeAsync(0);
+    expect(fetchFn).toHaveBeenCalledTimes(2);
+
+    responses[1](new Response('{}'));
+    await second;
+    expect(limiter.stats()).toEqual(expect.objectContaining({ active: 0, queued: 0 }));
+  });
+
+  it('should pause a host for the time given in Retry-After', async () => {
+    const fetchFn = vi.fn()
+      .mockResolvedValueOnce(new Response('Too many requests', { status: 429, headers: { 'Retry-After': '5' } }))
+      .mockResolvedValue(new Response('{}'));
+    const limiter = createRateLimiter({ rate: 10, burst: 10, fetchFn });
+
+    expect((await limiter.fetch(PXWEB_URL)).status).toBe(429);
+    expect(limiter.stats().hosts['www.pxweb.bfs.admin.ch'].pausedSeconds).toBe(5);
+
+    const retry = limiter.fetch(PXWEB_URL);
+    await limiter.fetch(SSE_URL);
+    await vi.advanceTimersByTimeAsync(4000);
+    expect(fetchFn).toHaveBeenCalledTimes(2);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect((await retry).status).toBe(200);
+    expect(fetchFn).toHaveBeenCalledTimes(3);
+  });
+
+  it('should stop waiting when the request is cancelled', async () => {
+    const fetchFn = vi.fn().mockResolvedValue(new Response('{}'));
+    const limiter = createRateLimiter({ rate: 1, burst: 1, fetchFn });
+    const controller = new AbortController();
+
+    await limiter.fetch(PXWEB_URL);
+    const waiting = limiter.fetch(PXWEB_URL, { signal: controller.signal });
+    controller.abort(new Error('Request cancelled'));
+
+    await expect(waiting).rejects.toThrow('Request cancelled');
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+    expect(limiter.stats().queued).toBe(0);
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse seconds and HTTP dates', () => {
+      vi.setSystemTime(new Date('2025-04-01T06:00:00Z'));
+
+      expect(parseRetryAfter('120')).toBe(120000);
+      expect(parseRetryAfter('Tue, 01 Apr 2025 06:00:30 GMT')).toBe(30000);
+      expect(parseRetryAfter('soon')).toBe(0);
+      expect(parseRetryAfter(null)).toBe(0);
+    });
+  });
+
+  describe('configuration', () => {
+    afterEach(() => {
+      vi.unstubAllEnvs();
+    });
+
+    it('should map the deprecated BFS_REQUEST_DELAY onto the limiter', async () => {
+      vi.stubEnv('BFS_RATE_LIMIT', '');
+      vi.stubEnv('BFS_RATE_BURST', '');
+      vi.stubEnv('BFS_REQUEST_DELAY', '2');
+      vi.resetModules();
+      const { upstreamLimiter } = await import('../../src/utils/rate-limiter.js');
+
+      expect(upstreamLimiter.stats()).toMatchObject({ rate: 0.5, burst: 1 });
+    });
+
+    it('should warn about BFS_REQUEST_DELAY at startup, not on import', async () => {
+      vi.stubEnv('BFS_RATE_LIMIT', '');
+      vi.stubEnv('BFS_RATE_BURST', '');
+      vi.stubEnv('BFS_REQUEST_DELAY', '2');
+      vi.resetModules();
+      const { logger } = await import('../../src/utils/logger.js');
+      const warn = vi.spyOn(logger, 'warn');
+      await import('../../src/utils/rate-limiter.js');
+      const { validateConfig } = await import('../../src/config.js');
+
+      expect(warn).not.toHaveBeenCalled();
+      expect(validateConfig()).toEqual([
+        'BFS_REQUEST_DELAY is deprecated; set BFS_RATE_LIMIT and BFS_RATE_BURST instead (now 0.5 requests per second, burst 1)',
+      ]);
+    });
+
+    it('should prefer BFS_RATE_LIMIT over BFS_REQUEST_DELAY', async () => {
+      vi.stubEnv('BFS_RATE_LIMIT', '3');
+      vi.stubEnv('BFS_RATE_BURST', '');
+      vi.stubEnv('BFS_REQUEST_DELAY', '2');
+      vi.resetModules();
+      const { upstreamLimiter } = await import('../../src/utils/rate-limiter.js');
+
+      expect(upstreamLimiter.stats()).toMatchObject({ rate: 3, burst: 10 });
+    });
+  });
+});
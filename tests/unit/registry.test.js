@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { isToolEnabled, registerTools, loadToolModules, toolName } from '../../src/tools/registry.js';
+
+vi.mock('../../src/api/pxweb-client.js');
+vi.mock('../../src/api/sse-client.js');
+vi.mock('../../src/api/dam-client.js');
+
+const defaults = {
+  toolGroups: [],
+  disabledToolGroups: [],
+  enabledTools: [],
+  disabledTools: [],
+  toolPrefix: '',
+};
+
+const registeredNames = (server) => server.tool.mock.calls.map(call => call[0]);
+
+describe('tool registry', () => {
+  describe('isToolEnabled', () => {
+    it('should enable every tool by default', () => {
+      expect(isToolEnabled('get_sse_data', ['data', 'sse'], defaults)).toBe(true);
+    });
+
+    it('should apply enabled and disabled groups', () => {
+      const settings = { ...defaults, toolGroups: ['sse', 'health'] };
+
+      expect(isToolEnabled('get_sse_data', ['data', 'sse'], settings)).toBe(true);
+      expect(isToolEnabled('get_statistical_data', ['data', 'pxweb'], settings)).toBe(false);
+      expect(isToolEnabled('get_statistical_data', ['data', 'pxweb'], { ...defaults, disabledToolGroups: ['pxweb'] })).toBe(false);
+    });
+
+    it('should let disabled tools win over enabled tools, and enabled tools over groups', () => {
+      const settings = {
+        ...defaults,
+        disabledToolGroups: ['pxweb'],
+        enabledTools: ['get_dataset_dimensions', 'check_health'],
+        disabledTools: ['check_health'],
+      };
+
+      expect(isToolEnabled('get_dataset_dimensions', ['metadata', 'pxweb'], settings)).toBe(true);
+      expect(isToolEnabled('check_health', ['health'], settings)).toBe(false);
+    });
+  });
+
+  describe('registerTools', () => {
+    it('should register all built-in tools', () => {
+      const server = { tool: vi.fn() };
+
+      const summary = registerTools(server, { settings: defaults });
+
+      expect(registeredNames(server)).toEqual(expect.arrayContaining([
+        'search_datasets', 'list_themes', 'get_dataset_info', 'browse_pxweb',
+        'get_statistical_data', 'get_sse_data', 'estimate_query',
+        'get_dataset_metadata', 'get_sse_metadata', 'get_dataset_dimensions',
+        'check_health', 'manage_cache',
+      ]));
+      expect(summary.skipped).toEqual([]);
+    });
+
+    it('should hide PXWEB tools and prefix the remaining tool names', () => {
+      const server = { tool: vi.fn() };
+
+      const summary = registerTools(server, {
+        settings: { ...defaults, disabledToolGroups: ['pxweb'], toolPrefix: 'bfs_' },
+      });
+
+      expect(registeredNames(server)).toContain('bfs_get_sse_data');
+      expect(registeredNames(server)).not.toContain('bfs_get_statistical_data');
+      expect(summary.skipped).toEqual(['browse_pxweb', 'get_statistical_data', 'estimate_query', 'get_dataset_metadata', 'get_dataset_dimensions']);
+      expect(summary.tools.get_sse_data).toBe('bfs_get_sse_data');
+      expect(summary.tools).not.toHaveProperty('get_statistical_data');
+    });
+
+    it('should filter and prefix tools of additional modules', () => {
+      const server = { tool: vi.fn(), registerTool: vi.fn(), marker: 'server' };
+      const register = vi.fn((scoped) => {
+        expect(scoped.marker).toBe('server');
+        scoped.tool('inhouse_report', 'Report', {}, vi.fn());
+        scoped.registerTool('inhouse_export', { description: 'Export' }, vi.fn());
+      });
+
+      registerTools(server, {
+        modules: [{ group: 'inhouse', register }],
+        settings: { ...defaults, toolGroups: ['inhouse'], toolPrefix: 'x_' },
+      });
+
+      expect(registeredNames(server)).toEqual(['x_inhouse_report']);
+      expect(server.registerTool).toHaveBeenCalledWith('x_inhouse_export', { description: 'Export' }, expect.any(Function));
+    });
+  });
+
+  describe('toolName', () => {
+    it('should prepend the configured prefix', () => {
+      expect(toolName('get_sse_data', { toolPrefix: 'bfs_' })).toBe('bfs_get_sse_data');
+      expect(toolName('get_sse_data', { toolPrefix: '' })).toBe('get_sse_data');
+    });
+  });
+
+  describe('loadToolModules', () => {
+    let directory;
+
+    beforeAll(async () => {
+      directory = await mkdtemp(path.join(os.tmpdir(), 'bfs-tools-'));
+      await writeFile(path.join(directory, 'b-report.mjs'), [
+        "export const group = 'inhouse';",
+        "export function registerTools(server) { server.tool('inhouse_report', 'Report', {}, async () => ({ content: [] })); }",
+      ].join('\n'));
+      await writeFile(path.join(directory, 'a-export.js'), 'export default function register() {}');
+      await writeFile(path.join(directory, 'notes.txt'), 'not a module');
+    });
+
+    afterAll(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should load the modules of a directory in alphabetical order', async () => {
+      const modules = await loadToolModules([directory]);
+
+      expect(modules.map(module => module.group)).toEqual(['a-export', 'inhouse']);
+      expect(modules.every(module => typeof module.register === 'function')).toBe(true);
+    });
+
+    it('should load a single module file', async () => {
+      const modules = await loadToolModules([path.join(directory, 'b-report.mjs')]);
+
+      expect(modules).toHaveLength(1);
+      expect(modules[0].group).toBe('inhouse');
+    });
+
+    it('should reject modules without a register function', async () => {
+      const file = path.join(directory, 'invalid.mjs');
+      await writeFile(file, 'export const value = 1;');
+
+      await expect(loadToolModules([file])).rejects.toThrow('must export a registerTools function or a default function');
+      await rm(file);
+    });
+
+    it('should reject missing paths', async () => {
+      await expect(loadToolModules([path.join(directory, 'missing')])).rejects.toThrow('Failed to load tool modules from');
+    });
+  });
+});
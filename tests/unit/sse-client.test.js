@@ -1,5 +1,12 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { getSseMetadata, getSseData } from '../../src/api/sse-client.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { createServer } from '../../src/server.js';
+import { getSseMetadata, getSseData, listDataflows, findDataflow, clearDataflowIndex, getSseCacheStats } from '../../src/api/sse-client.js';
+import { config } from '../../src/config.js';
+import { responseCache } from '../../src/utils/cache.js';
+import { circuitBreakers } from '../../src/utils/circuit-breaker.js';
+import { InvalidQueryError, NotFoundError } from '../../src/utils/errors.js';
 
 // Mock xml2js
 vi.mock('xml2js', () => ({
@@ -21,9 +28,22 @@ global.fetch = vi.fn();
 // Import parseStringPromise after mocking
 import { parseStringPromise } from 'xml2js';
 
+// Upstream responses
+const jsonResponse = body => new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+const xmlResponse = (xml, headers = {}) => new Response(xml, { headers: { 'Content-Type': 'application/xml', ...headers } });
+const errorResponse = (status, text) => new Response(text, { status });
+
+// Dataflow list response with the given URN references
+const dataflowList = (...dataflows) => jsonResponse({
+  references: Object.fromEntries(dataflows.map(dataflow => [`urn:sdmx:org.sdmx.infomodel.datastructure.Dataflow=${dataflow}`, {}])),
+});
+
 describe('sse-client', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    responseCache.clear();
+    Object.values(circuitBreakers).forEach(breaker => breaker.reset());
+    clearDataflowIndex();
   });
 
   describe('getSseMetadata', () => {
@@ -79,16 +99,8 @@ describe('sse-client', () => {
 
       // Mock fetch calls
       global.fetch
-        .mockResolvedValueOnce({
-          ok: true,
-          json: vi.fn().mockResolvedValue(dataflowResponse),
-          text: vi.fn().mockResolvedValue(JSON.stringify(dataflowResponse)),
-        })
-        .mockResolvedValueOnce({
-          ok: true,
-          json: vi.fn().mockResolvedValue({}),
-          text: vi.fn().mockResolvedValue(metadataXml),
-        });
+        .mockResolvedValueOnce(jsonResponse(dataflowResponse))
+        .mockResolvedValueOnce(xmlResponse(metadataXml));
 
       parseStringPromise.mockResolvedValue(parsedMetadata);
 
@@ -106,12 +118,9 @@ describe('sse-client', () => {
     });
 
     it('should handle API errors gracefully', async () => {
-      global.fetch.mockResolvedValueOnce({
-        ok: false,
-        status: 500,
-        text: vi.fn().mockResolvedValue('Internal Server Error'),
-        json: vi.fn().mockRejectedValue(new Error('Internal Server Error')),
-      });
+      global.fetch
+        .mockResolvedValueOnce(dataflowList('BFS:DF_TEST_1(1.0)'))
+        .mockResolvedValueOnce(errorResponse(500, 'Internal Server Error'));
 
       await expect(getSseMetadata('DF_TEST_1', 'en')).rejects.toThrow(
         'Failed to fetch SSE metadata'
@@ -192,21 +201,9 @@ describe('sse-client', () => {
 
       // Mock fetch calls: dataflow, metadata, data
       global.fetch
-        .mockResolvedValueOnce({
-          ok: true,
-          json: vi.fn().mockResolvedValue(dataflowResponse),
-          text: vi.fn().mockResolvedValue(JSON.stringify(dataflowResponse)),
-        })
-        .mockResolvedValueOnce({
-          ok: true,
-          json: vi.fn().mockResolvedValue({}),
-          text: vi.fn().mockResolvedValue(metadataXml),
-        })
-        .mockResolvedValueOnce({
-          ok: true,
-          json: vi.fn().mockResolvedValue({}),
-          text: vi.fn().mockResolvedValue(dataXml),
-        });
+        .mockResolvedValueOnce(jsonResponse(dataflowResponse))
+        .mockResolvedValueOnce(xmlResponse(metadataXml))
+        .mockResolvedValueOnce(xmlResponse(dataXml));
 
       parseStringPromise
         .mockResolvedValueOnce(parsedMetadata)
@@ -222,17 +219,276 @@ describe('sse-client', () => {
       ]);
     });
 
+    it('should report progress phases with response size', async () => {
+      global.fetch
+        .mockResolvedValueOnce(dataflowList('BFS:DF_TEST_1(1.0)'))
+        .mockResolvedValueOnce(xmlResponse('<message:Structure></message:Structure>'))
+        .mockResolvedValueOnce(xmlResponse('<data/>'));
+
+      parseStringPromise
+        .mockResolvedValueOnce({ 'message:Structure': {} })
+        .mockResolvedValueOnce({ 'message:GenericData': { 'message:DataSet': [{}] } });
+
+      const onProgress = vi.fn();
+      await getSseData('DF_TEST_1', 'en', null, null, null, { onProgress });
+
+      expect(onProgress.mock.calls.map(([update]) => update.phase)).toEqual(['resolving', 'metadata', 'downloading', 'parsing']);
+      expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ phase: 'parsing', bytes: 7 }));
+    });
+
     it('should handle API errors gracefully', async () => {
-      global.fetch.mockResolvedValueOnce({
-        ok: false,
-        status: 404,
-        text: vi.fn().mockResolvedValue('Not Found'),
-        json: vi.fn().mockRejectedValue(new Error('Not Found')),
-      });
-
-      await expect(getSseData('DF_TEST_1', 'en')).rejects.toThrow(
-        'HTTP 404'
-      );
+      global.fetch
+        .mockResolvedValueOnce(dataflowList('BFS:DF_TEST_1(1.0)'))
+        .mockResolvedValueOnce(errorResponse(404, 'NoRecordsFound'));
+
+      const error = await getSseData('DF_TEST_1', 'en').catch(error => error);
+
+      expect(error.message).toContain('HTTP 404: NoRecordsFound');
+      expect(error.cause).toEqual(expect.objectContaining({ status: 404, body: 'NoRecordsFound', requestId: expect.any(String) }));
+    });
+
+    it('should reject query dimensions and values the dataset does not have', async () => {
+      const metadata = [{ code: 'GEO', text: 'Geography', value: 'CH', valueText: 'Switzerland', position_dimension: 0 }];
+      global.fetch.mockResolvedValueOnce(dataflowList('BFS:DF_TEST_1(1.0)'));
+
+      const unknownDimension = await getSseData('DF_TEST_1', 'en', { REGION: 'ZH' }, null, null, { metadata }).catch(error => error);
+      const unknownValue = await getSseData('DF_TEST_1', 'en', { GEO: ['CH', 'XX'] }, null, null, { metadata }).catch(error => error);
+
+      expect(unknownDimension).toBeInstanceOf(InvalidQueryError);
+      expect(unknownDimension.message).toBe('Invalid query for DF_TEST_1: Unknown dimension: REGION');
+      expect(unknownDimension.hint).toBe('Valid dimensions: GEO');
+      expect(unknownValue.hint).toBe('Valid values of GEO: CH');
+      expect(unknownValue.details).toEqual({ invalidValues: { GEO: ['XX'] } });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report queries without records as not found', async () => {
+      const metadata = [{ code: 'GEO', text: 'Geography', value: 'CH', valueText: 'Switzerland', position_dimension: 0 }];
+      global.fetch
+        .mockResolvedValueOnce(dataflowList('BFS:DF_TEST_1(1.0)'))
+        .mockResolvedValueOnce(errorResponse(404, 'NoRecordsFound'));
+
+      const error = await getSseData('DF_TEST_1', 'en', { GEO: 'CH' }, '2030', null, { metadata }).catch(error => error);
+
+      expect(error).toBeInstanceOf(NotFoundError);
+      expect(error.message).toBe('No records found for the specified query');
+      expect(error.hint).toContain('filters and period');
+    });
+
+    it('should revalidate expired data and report the last change', async () => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      const lastModified = 'Tue, 01 Apr 2025 06:00:00 GMT';
+      global.fetch
+        .mockResolvedValueOnce(dataflowList('BFS:DF_TEST_1(1.0)'))
+        .mockResolvedValueOnce(xmlResponse('<data/>', { 'ETag': '"v1"', 'Last-Modified': lastModified }))
+        .mockResolvedValueOnce(dataflowList('BFS:DF_TEST_1(1.0)'))
+        .mockResolvedValueOnce(new Response(null, { status: 304 }));
+      parseStringPromise.mockResolvedValue({ 'message:GenericData': {} });
+
+      try {
+        const metadata = [{ code: 'GEO', text: 'Geography', value: 'CH', valueText: 'Switzerland', position_dimension: 0 }];
+        await getSseData('DF_TEST_1', 'en', null, null, null, { metadata });
+        vi.setSystemTime(Date.now() + 2 * 3600 * 1000);
+        const onLastChanged = vi.fn();
+        await getSseData('DF_TEST_1', 'en', null, null, null, { metadata, onLastChanged });
+
+        const { headers } = global.fetch.mock.calls[3][0];
+        expect(headers.get('If-None-Match')).toBe('"v1"');
+        expect(headers.get('If-Modified-Since')).toBe(lastModified);
+        expect(parseStringPromise).toHaveBeenLastCalledWith('<data/>');
+        expect(onLastChanged).toHaveBeenCalledWith('2025-04-01T06:00:00.000Z');
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('listDataflows', () => {
+    it('should parse dataflow URNs', async () => {
+      global.fetch.mockResolvedValueOnce(jsonResponse({
+        references: {
+          'urn:sdmx:org.sdmx.infomodel.datastructure.Dataflow=BFS:DF_TEST_1(1.0)': {},
+          'urn:sdmx:org.sdmx.infomodel.datastructure.Dataflow=BFS:DF_TEST_2(2.1)': {},
+          'urn:sdmx:org.sdmx.infomodel.codelist.Codelist=BFS:CL_GEO(1.0)': {},
+        },
+      }));
+
+      const result = await listDataflows();
+
+      expect(result).toEqual([
+        { agencyId: 'BFS', dataflowId: 'DF_TEST_1', version: '1.0' },
+        { agencyId: 'BFS', dataflowId: 'DF_TEST_2', version: '2.1' },
+      ]);
+    });
+
+    it('should handle API errors gracefully', async () => {
+      global.fetch.mockResolvedValueOnce(errorResponse(503, 'Service Unavailable'));
+
+      await expect(listDataflows()).rejects.toThrow('Failed to list SSE dataflows: HTTP 503: Service Unavailable');
+    });
+
+    it('should fail fast while the SSE circuit is open', async () => {
+      global.fetch.mockImplementation(async () => errorResponse(503, 'Service Unavailable'));
+
+      for (let i = 0; i < config.circuitFailureThreshold; i++) {
+        await expect(listDataflows()).rejects.toThrow('HTTP 503');
+      }
+      await expect(listDataflows()).rejects.toThrow(/Swiss Stats Explorer is unavailable .*retry after \d+ s/);
+
+      expect(global.fetch).toHaveBeenCalledTimes(config.circuitFailureThreshold);
+      global.fetch.mockReset();
+    });
+
+    it('should abort the request when the caller cancels', async () => {
+      global.fetch.mockImplementationOnce(({ signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }));
+
+      const controller = new AbortController();
+      const listing = listDataflows({ signal: controller.signal });
+      await vi.waitFor(() => expect(global.fetch).toHaveBeenCalled());
+      controller.abort(new Error('Request cancelled'));
+
+      await expect(listing).rejects.toThrow('Failed to list SSE dataflows: Request cancelled');
+    });
+
+    it('should fetch the list from the configured base URL once per TTL', async () => {
+      vi.useFakeTimers();
+      global.fetch
+        .mockResolvedValueOnce(dataflowList('BFS:DF_TEST_1(1.0)'))
+        .mockResolvedValueOnce(dataflowList('BFS:DF_TEST_1(1.0)', 'BFS:DF_TEST_2(1.0)'));
+
+      try {
+        await Promise.all([listDataflows(), listDataflows()]);
+        expect(await listDataflows()).toHaveLength(1);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(global.fetch.mock.calls[0][0].url).toBe(`${config.sseBaseUrl}/dataflow`);
+
+        vi.advanceTimersByTime(config.sseDataflowTTL * 1000 + 1);
+
+        expect(await listDataflows()).toHaveLength(2);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(getSseCacheStats().dataflowIndex).toEqual(expect.objectContaining({ entries: 2, baseUrl: config.sseBaseUrl }));
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should keep using the expired list when refreshing fails', async () => {
+      vi.useFakeTimers();
+      global.fetch
+        .mockResolvedValueOnce(dataflowList('BFS:DF_TEST_1(1.0)'))
+        .mockResolvedValueOnce(errorResponse(503, 'Service Unavailable'));
+
+      try {
+        await listDataflows();
+        vi.advanceTimersByTime(config.sseDataflowTTL * 1000 + 1);
+
+        expect(await listDataflows()).toHaveLength(1);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe('findDataflow', () => {
+    beforeEach(() => {
+      global.fetch.mockResolvedValueOnce(dataflowList('BFS:DF_TEST_1(1.0)', 'BFS:DF_TEST_1(1.10)', 'BFS:DF_TEST_1(1.9)', 'BFS:DF_OTHER(1.0)'));
+    });
+
+    it('should match dataflow IDs case-insensitively and pick the newest version', async () => {
+      expect(await findDataflow('df_test_1')).toEqual({ agencyId: 'BFS', dataflowId: 'DF_TEST_1', version: '1.10' });
+    });
+
+    it('should resolve SDMX references with agency and version', async () => {
+      expect(await findDataflow('bfs:DF_TEST_1(1.9)')).toEqual({ agencyId: 'BFS', dataflowId: 'DF_TEST_1', version: '1.9' });
+      await expect(findDataflow('DF_TEST_1(2.0)')).rejects.toThrow('Version 2.0 of dataset DF_TEST_1 not found in SSE API (available: 1.10, 1.9, 1.0)');
+      await expect(findDataflow('OTHER:DF_TEST_1')).rejects.toThrow('Dataset DF_TEST_1 not found in SSE API');
+    });
+
+    it('should build metadata and data URLs for the resolved version', async () => {
+      global.fetch
+        .mockResolvedValueOnce(xmlResponse('<message:Structure/>'))
+        .mockResolvedValueOnce(xmlResponse('<data/>'));
+      parseStringPromise
+        .mockResolvedValueOnce({ 'message:Structure': {} })
+        .mockResolvedValueOnce({ 'message:GenericData': {} });
+
+      await getSseData('df_test_1', 'en');
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(global.fetch.mock.calls[1][0].url).toBe(`${config.sseBaseUrl}/dataflow/BFS/DF_TEST_1/1.10?references=all`);
+      expect(global.fetch.mock.calls[2][0].url).toBe(`${config.sseBaseUrl}/data/BFS,DF_TEST_1,1.10/all?dimensionAtObservation=AllDimensions`);
+    });
+
+    it('should reuse metadata passed by the caller', async () => {
+      global.fetch.mockResolvedValueOnce(xmlResponse('<data/>'));
+      parseStringPromise.mockResolvedValueOnce({ 'message:GenericData': {} });
+
+      const onProgress = vi.fn();
+      const metadata = [{ code: 'GEO', text: 'Geography', value: 'CH', valueText: 'Switzerland', position_dimension: 0 }];
+      await getSseData('DF_TEST_1', 'en', { GEO: 'CH' }, null, null, { metadata, onProgress });
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(global.fetch.mock.calls[1][0].url).toContain('/data/BFS,DF_TEST_1,1.10/CH?');
+      expect(onProgress.mock.calls.map(([update]) => update.phase)).not.toContain('metadata');
+    });
+
+    it('should resolve dimension and value labels to codes', async () => {
+      global.fetch.mockResolvedValueOnce(xmlResponse('<data/>'));
+      parseStringPromise.mockResolvedValueOnce({ 'message:GenericData': {} });
+
+      const metadata = [
+        { code: 'GEO', text: 'Canton', value: 'ZH', valueText: 'Zürich', position_dimension: 0 },
+        { code: 'GEO', text: 'Canton', value: 'BE', valueText: 'Bern / Berne', position_dimension: 0 },
+      ];
+      await getSseData('DF_TEST_1', 'en', { canton: ['zurich', 'Berne'] }, null, null, { metadata });
+
+      expect(global.fetch.mock.calls[1][0].url).toContain('/data/BFS,DF_TEST_1,1.10/ZH+BE?');
+    });
+  });
+
+  describe('get_sse_data tool', () => {
+    it('should return missing observations and dimension values that pass the output schema', async () => {
+      global.fetch
+        .mockResolvedValueOnce(dataflowList('BFS:DF_TEST_1(1.0)'))
+        .mockResolvedValueOnce(xmlResponse('<message:Structure></message:Structure>'))
+        .mockResolvedValueOnce(xmlResponse('<message:GenericData></message:GenericData>'));
+      parseStringPromise
+        .mockResolvedValueOnce({ 'message:Structure': {} })
+        .mockResolvedValueOnce({
+          'message:GenericData': {
+            'message:DataSet': [{
+              'generic:Obs': [
+                {
+                  'generic:ObsKey': [{ 'generic:Value': [{ $: { id: 'GEO', value: 'CH' } }, { $: { id: 'SEX' } }] }],
+                  'generic:ObsValue': [{ $: { value: 'NaN' } }],
+                },
+                {
+                  'generic:ObsKey': [{ 'generic:Value': [{ $: { id: 'GEO', value: 'ZH' } }, { $: { id: 'SEX', value: 'F' } }] }],
+                  'generic:ObsValue': [{ $: { value: '7.5' } }],
+                },
+              ],
+            }],
+          },
+        });
+
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      await createServer().connect(serverTransport);
+      const client = new Client({ name: 'test-client', version: '0.0.0' });
+      await client.connect(clientTransport);
+
+      try {
+        const result = await client.callTool({ name: 'get_sse_data', arguments: { numberBfs: 'DF_TEST_1', language: 'en' } });
+
+        expect(result.isError).toBeFalsy();
+        expect(result.structuredContent.data).toEqual([
+          { GEO: 'CH', SEX: '', value: null },
+          { GEO: 'ZH', SEX: 'F', value: 7.5 },
+        ]);
+      } finally {
+        await client.close();
+      }
     });
   });
 });
@@ -2,6 +2,12 @@ import { defineConfig } from 'vitest/config';
 
 export default defineConfig({
   test: {
+    env: {
+      // Upstreams are mocked in unit tests; the rate limiter and retries are tested on their own
+      BFS_RATE_LIMIT: '0',
+      BFS_MAX_CONCURRENT_REQUESTS: '0',
+      BFS_MAX_RETRIES: '0',
+    },
     coverage: {
       provider: 'v8',
       reporter: ['text', 'json', 'html'],
@@ -14,6 +20,7 @@ export default defineConfig({
         '**/*.test.js',
         '**/*.spec.js',
         'src/index.js', // MCP server entry point - requires integration testing
+        'src/cli.js', // CLI entry point - logic is tested via src/cli/commands.js
       ],
       thresholds: {
         statements: 80,